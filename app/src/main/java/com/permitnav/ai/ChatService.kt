@@ -1,6 +1,7 @@
 package com.permitnav.ai
 
 import android.util.Log
+import com.google.firebase.auth.FirebaseAuth
 import com.permitnav.BuildConfig
 import com.permitnav.data.models.*
 import io.ktor.client.*
@@ -10,6 +11,7 @@ import io.ktor.client.request.*
 import io.ktor.http.*
 import io.ktor.serialization.kotlinx.json.*
 import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.tasks.await
 import kotlinx.coroutines.withContext
 import kotlinx.serialization.Serializable
 import kotlinx.serialization.json.Json
@@ -118,8 +120,12 @@ class ChatService {
                 conversationId = request.conversationId
             )
             
+            // Conversations belong to the signed-in driver - the backend needs their ID token for them
+            val idToken = FirebaseAuth.getInstance().currentUser?.getIdToken(false)?.await()?.token
+
             val response = client.post(CHAT_ENDPOINT) {
                 contentType(ContentType.Application.Json)
+                idToken?.let { header("Authorization", "Bearer $it") }
                 setBody(backendRequest)
             }
             
@@ -0,0 +1,237 @@
+/**
+ * Axle configuration and per-axle weight checks
+ * Gross weight alone does not decide an overweight permit - states look at how the weight is spread:
+ * single/tandem/tridem axle limits and the Federal Bridge Formula B (23 CFR 658.17) over every run of
+ * consecutive axles. Spacings are feet (centre to centre, axle 1 = steer axle), weights pounds.
+ */
+
+const { parseLength, parseWeight, formatLength, formatWeight } = require('./measurements');
+
+// Axles closer than this (96 in.) act as one group (23 CFR 658.5 tandem definition)
+const GROUP_SPACING_FEET = 8;
+
+// Axles the router assumes when a load does not say (tractor + 53' trailer)
+const DEFAULT_AXLE_COUNT = 5;
+
+const GROUP_TYPES = { 1: 'singleAxle', 2: 'tandemAxle', 3: 'tridemAxle' };
+const GROUP_LABELS = { singleAxle: 'Single axle', tandemAxle: 'Tandem axle', tridemAxle: 'Tridem axle' };
+
+const BRIDGE_FORMULA_REF = '23 CFR 658.17 (Federal Bridge Formula B)';
+
+/**
+ * Axle configuration in any units -> { count, spacings (ft), weights (lbs) }
+ * Accepts the permit parser's shape; numbers are read in units { length, weight }.
+ * @returns {Object|null} null when there is nothing to go on
+ */
+function normalizeAxleConfiguration(config, units = {}) {
+  if (!config) return null;
+  const lengthUnit = units.length || 'ft';
+  const weightUnit = units.weight || 'lb';
+
+  const spacings = (config.spacings || []).map(value => parseLength(value, lengthUnit));
+  const weights = (config.weights || []).map(value => parseWeight(value, weightUnit));
+  if (spacings.some(value => value === null || value <= 0)) {
+    throw new Error(`Invalid axle spacing in ${JSON.stringify(config.spacings)}`);
+  }
+  if (weights.some(value => value === null || value < 0)) {
+    throw new Error(`Invalid axle weight in ${JSON.stringify(config.weights)}`);
+  }
+
+  const count = Number(config.count) || weights.length || (spacings.length ? spacings.length + 1 : 0);
+  if (!count) return null;
+  if (spacings.length && spacings.length !== count - 1) {
+    throw new Error(`${count} axles need ${count - 1} spacings, got ${spacings.length}`);
+  }
+  if (weights.length && weights.length !== count) {
+    throw new Error(`${count} axles need ${count} weights, got ${weights.length}`);
+  }
+
+  return { count, spacings, weights };
+}
+
+/**
+ * Split axles into groups (single, tandem, tridem, ...) by spacing
+ * Needs spacings; weights are summed per group when known.
+ */
+function axleGroups(config) {
+  if (!config?.spacings?.length) return [];
+
+  const groups = [];
+  let current = [0];
+  for (let i = 1; i < config.count; i++) {
+    if (config.spacings[i - 1] <= GROUP_SPACING_FEET) {
+      current.push(i);
+    } else {
+      groups.push(current);
+      current = [i];
+    }
+  }
+  groups.push(current);
+
+  return groups.map(axles => ({
+    type: GROUP_TYPES[axles.length] || 'multiAxle',
+    axles: axles.map(i => i + 1),
+    spread: spreadFeet(config.spacings, axles[0], axles[axles.length - 1]),
+    weight: config.weights.length ? axles.reduce((sum, i) => sum + config.weights[i], 0) : null
+  }));
+}
+
+function spreadFeet(spacings, first, last) {
+  let feet = 0;
+  for (let i = first; i < last; i++) feet += spacings[i];
+  return Math.round(feet * 1000) / 1000;
+}
+
+/**
+ * Bridge Formula B: W = 500 (LN / (N - 1) + 12N + 36)
+ * L is measured to the nearest foot and W rounded to the nearest 500 lbs, as in the FHWA bridge table
+ * (51 ft over 5 axles: 79,875 -> 80,000).
+ * Two or three axles within 8 ft are held to the 34,000 lb tandem limit instead.
+ * @param {number} distanceFeet - Distance between the outer axles of the group
+ * @param {number} axleCount - Axles in the group (2+)
+ * @returns {number} Maximum pounds on the group
+ */
+function bridgeFormulaWeight(distanceFeet, axleCount) {
+  if (axleCount <= 3 && distanceFeet <= GROUP_SPACING_FEET) return 34000;
+  const feet = Math.max(Math.round(distanceFeet), GROUP_SPACING_FEET);
+  const pounds = 500 * (feet * axleCount / (axleCount - 1) + 12 * axleCount + 36);
+  return Math.round(pounds / 500) * 500;
+}
+
+/**
+ * Check every run of two or more consecutive axles against Bridge Formula B
+ * @returns {{checked: boolean, checks: Object[], failures: Object[]}}
+ */
+function checkBridgeFormula(config) {
+  if (!config?.spacings?.length || config.weights.length !== config.count) {
+    return { checked: false, checks: [], failures: [] };
+  }
+
+  const groups = axleGroups(config);
+  const checks = [];
+  for (let first = 0; first < config.count - 1; first++) {
+    for (let last = first + 1; last < config.count; last++) {
+      const distance = spreadFeet(config.spacings, first, last);
+      const axleCount = last - first + 1;
+      const weight = config.weights.slice(first, last + 1).reduce((sum, w) => sum + w, 0);
+      let allowed = bridgeFormulaWeight(distance, axleCount);
+
+      // Two consecutive tandems may carry 34,000 lbs each when their outer axles are 36 ft or more apart
+      const tandems = groups.filter(group => group.axles[0] >= first + 1 && group.axles[group.axles.length - 1] <= last + 1);
+      if (distance >= 36 && tandems.length === 2 && tandems.every(group => group.type === 'tandemAxle') &&
+          tandems[0].axles[0] === first + 1 && tandems[1].axles[1] === last + 1) {
+        allowed = Math.max(allowed, 68000);
+      }
+
+      checks.push({ axles: [first + 1, last + 1], axleCount, distance, weight, allowed, ok: weight <= allowed });
+    }
+  }
+
+  return { checked: true, checks, failures: checks.filter(check => !check.ok) };
+}
+
+/**
+ * Check an axle configuration against a state's axle limits and the bridge formula
+ * Exceeding a legal axle limit or the bridge formula means an overweight permit;
+ * exceeding the state's permittable axle maximum means superload review.
+ * @param {Object} config - Normalized configuration (normalizeAxleConfiguration)
+ * @param {Object} limits - State limits from getStateLimits()
+ * @returns {{violations: Object[], warnings: Object[], oversize: Object[], groups: Object[], bridge: Object}}
+ */
+function evaluateAxles(config, limits) {
+  const violations = [];
+  const warnings = [];
+  const oversize = [];
+  const state = limits.state;
+
+  if (!config) {
+    return { violations, warnings, oversize, groups: [], bridge: { checked: false, checks: [], failures: [] } };
+  }
+
+  const groups = axleGroups(config);
+  if (!groups.length) {
+    warnings.push({
+      code: 'MISSING_AXLE_SPACINGS',
+      field: 'axleConfiguration',
+      message: `Axle spacings are missing - cannot check axle groups or the bridge formula for ${state}`
+    });
+  } else if (config.weights.length !== config.count) {
+    warnings.push({
+      code: 'MISSING_AXLE_WEIGHTS',
+      field: 'axleConfiguration',
+      message: `Axle weights are missing - cannot check axle limits or the bridge formula for ${state}`
+    });
+  }
+
+  for (const group of groups) {
+    if (group.weight === null) continue;
+    const field = group.type;
+    const label = `${GROUP_LABELS[field] || `${group.axles.length}-axle group`} ${group.axles.join('-')}`;
+    const legal = limits.legal[field];
+    const permitMax = limits.permitMax[field];
+
+    if (permitMax && group.weight > permitMax.value) {
+      violations.push({
+        code: 'EXCEEDS_PERMIT_MAX',
+        field,
+        axles: group.axles,
+        actual: group.weight,
+        limit: permitMax.value,
+        unit: 'lbs',
+        ruleRef: permitMax.ref,
+        message: `${label} ${formatWeight(group.weight)} exceeds the ${state} maximum of ${formatWeight(permitMax.value)} - superload review required`
+      });
+    } else if (legal && group.weight > legal.value) {
+      oversize.push({
+        code: 'EXCEEDS_LEGAL',
+        field,
+        axles: group.axles,
+        actual: group.weight,
+        limit: legal.value,
+        unit: 'lbs',
+        ruleRef: legal.ref,
+        message: `${label} ${formatWeight(group.weight)} is over the ${state} legal limit of ${formatWeight(legal.value)} - permit required`
+      });
+    }
+  }
+
+  const bridge = checkBridgeFormula(config);
+  if (bridge.failures.length && limits.bridgeFormula !== false) {
+    // Report the worst run; the rest are in bridge.failures
+    const worst = bridge.failures.reduce((a, b) => (b.weight - b.allowed > a.weight - a.allowed ? b : a));
+    oversize.push({
+      code: 'EXCEEDS_BRIDGE_FORMULA',
+      field: 'axleConfiguration',
+      axles: worst.axles,
+      actual: worst.weight,
+      limit: worst.allowed,
+      unit: 'lbs',
+      ruleRef: BRIDGE_FORMULA_REF,
+      message: `Axles ${worst.axles.join('-')} carry ${formatWeight(worst.weight)} over ${formatLength(worst.distance)}; ` +
+        `the bridge formula allows ${formatWeight(worst.allowed)} - permit required` +
+        (bridge.failures.length > 1 ? ` (${bridge.failures.length} axle runs over)` : '')
+    });
+  }
+
+  return { violations, warnings, oversize, groups, bridge };
+}
+
+/**
+ * Axle values for HERE Routing v8 truck[axleCount] and truck[weightPerAxle] (heaviest axle, pounds -
+ * the caller converts to kg). weightPerAxle stays null when per-axle weights are unknown rather than guessed.
+ */
+function routingAxleParams(config) {
+  const params = { axleCount: config?.count || DEFAULT_AXLE_COUNT, weightPerAxle: null };
+  if (config?.weights?.length) params.weightPerAxle = Math.max(...config.weights);
+  return params;
+}
+
+module.exports = {
+  DEFAULT_AXLE_COUNT,
+  normalizeAxleConfiguration,
+  axleGroups,
+  bridgeFormulaWeight,
+  checkBridgeFormula,
+  evaluateAxles,
+  routingAxleParams
+};
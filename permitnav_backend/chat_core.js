@@ -0,0 +1,693 @@
+/**
+ * Compliance chat core
+ * The one prompt set, response schema and regulation data source behind every chat entry point:
+ * the pdfchat Cloud Function (index.js), the local server (pdf_chat_server.mjs) and the CLI (chat_worker.mjs).
+ *
+ * Data source is chosen by CHAT_DATA_SOURCE=firestore|local (default firestore):
+ *   firestore - state_regulations/{STATE} chunks (versions/{n}/chunks) written by preprocess_pdfs_to_firestore.mjs
+ *   local     - pdf_cache/{STATE}_content.txt written by process_state_pdfs.mjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildIndex, embedIndex, retrieve, loadLocalIndex } = require('./regulation_retrieval');
+const conversations = require('./conversation_store');
+const { createFieldStreamer } = require('./chat_stream');
+const { COMPLIANCE_SCHEMA, validateOrRepair, recordSchemaOutcome } = require('./response_schema');
+const { verifyCitations } = require('./citations');
+const { getState } = require('./state_registry');
+const { formatLength, formatWeight } = require('./measurements');
+const { parsePermitText } = require('./permit_parser');
+const { extractDimensions } = require('./permit_rules');
+const { normalizeRoadType, calculateEscorts, formatEscortText } = require('./escort_calculator');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, 'pdf_cache');
+const DEFAULT_STATE = 'IN';
+
+// Questions that get calculated escort requirements in their prompt
+const ESCORT_QUESTION = /\b(escorts?|pilot\s*cars?|flag\s*cars?|height\s*poles?|police)\b/i;
+
+const SUMMARY_PROMPT = 'Summarize this trucking permit compliance chat in under 150 words. Keep the state, permit details, dimensions, and any rules or answers the driver may refer back to.';
+
+function departmentName(state) {
+  return getState(state)?.dot.name || `${state.toUpperCase()} Department of Transportation`;
+}
+
+function defaultContactInfo(state) {
+  return {
+    state,
+    department: departmentName(state),
+    phones: [],
+    emails: [],
+    websites: []
+  };
+}
+
+/**
+ * Extract contact information from regulation text
+ */
+function extractContactInfo(pdfContent, state) {
+  const phonePattern = /(\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4})/g;
+  const emailPattern = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g;
+  const websitePattern = /(https?:\/\/[^\s]+|www\.[^\s]+)/g;
+
+  const phones = [...new Set(pdfContent.match(phonePattern) || [])];
+  const emails = [...new Set(pdfContent.match(emailPattern) || [])];
+  const websites = [...new Set(pdfContent.match(websitePattern) || [])];
+
+  return {
+    state: state.toUpperCase(),
+    department: departmentName(state),
+    phones: phones.slice(0, 3),
+    emails: emails.slice(0, 3),
+    websites: websites.slice(0, 2),
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+/**
+ * How many passages to retrieve for a question
+ */
+function passageCount(question) {
+  return question && question.length > 10 ? 3 : 2;
+}
+
+/**
+ * Retrieved chunks -> passages kept for citation checks, and the labelled text the model cites from
+ */
+function toPassages(retrieved, source) {
+  return retrieved.map(({ chunkIndex, id, page, section, score, text }) => ({ chunkIndex, id, page, section, score, text, source }));
+}
+
+function formatPassages(passages) {
+  return passages
+    .map(passage => {
+      const label = [passage.id, passage.section, passage.page ? `page ${passage.page}` : null].filter(Boolean);
+      return `[${label.join(', ')}]\n${passage.text}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * state_regulations/{STATE}/versions/{version} - its chunks and pages subcollections hold that version's text
+ */
+function regulationVersionRef(db, state, version) {
+  return db.collection('state_regulations').doc(state).collection('versions').doc(String(version));
+}
+
+/**
+ * A state doc's chunks: its version's chunks subcollection, or the chunks array docs stored before that
+ */
+async function loadRegulationChunks(db, state, stateData) {
+  if (stateData.chunks) return stateData.chunks;
+  if (!stateData.chunkCount) return [];
+  // An interrupted ingest may have left extra chunks past chunkCount under the same version
+  const snapshot = await regulationVersionRef(db, state, stateData.version).collection('chunks')
+    .orderBy('chunkIndex')
+    .limit(stateData.chunkCount)
+    .get();
+  return snapshot.docs.map(doc => {
+    const { chunkIndex, ...chunk } = doc.data();
+    return chunk;
+  });
+}
+
+/**
+ * Regulation chunks from Firestore state_regulations/{STATE}
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} options - { embedder }
+ */
+function createFirestoreSource(db, options = {}) {
+  const { embedder = null } = options;
+  // Per-instance cache of retrieval indexes, keyed by state (rebuilt when the state is reprocessed)
+  const indexCache = new Map();
+
+  async function getIndex(state, stateData) {
+    const cached = indexCache.get(state);
+    if (cached && cached.processedAt === stateData.processedAt) {
+      return cached;
+    }
+
+    const index = buildIndex(await loadRegulationChunks(db, state, stateData), { state, processedAt: stateData.processedAt });
+    if (embedder) {
+      await embedIndex(index, embedder);
+    }
+
+    indexCache.set(state, index);
+    return index;
+  }
+
+  return {
+    name: 'firestore',
+
+    /**
+     * States with ingested regulations
+     * @returns {Promise<Array<{state: string, processedAt: string, version: number|null, pageCount: number|null, chunkCount: number, extractionConfidence: number|null}>>}
+     */
+    async listStates() {
+      const snapshot = await db.collection('state_regulations')
+        .select('processedAt', 'version', 'pageCount', 'chunkCount', 'extraction.confidence')
+        .get();
+      return snapshot.docs.map(doc => {
+        const data = doc.data();
+        return {
+          state: doc.id,
+          processedAt: data.processedAt || null,
+          version: data.version || null,
+          pageCount: data.pageCount || null,
+          chunkCount: data.chunkCount || 0,
+          extractionConfidence: data.extraction?.confidence ?? null
+        };
+      });
+    },
+
+    /**
+     * @returns {Promise<{available: boolean, content: string, passages: Object[], contactInfo: Object}>}
+     */
+    async load(state, question = '') {
+      try {
+        console.log(`⚡ Loading regulations for ${state} from Firestore`);
+        const stateDoc = await db.collection('state_regulations').doc(state).get();
+
+        if (!stateDoc.exists) {
+          console.warn(`⚠️ No regulations found for state: ${state}`);
+          return {
+            available: false,
+            content: `No specific regulations available for ${state}. Please contact the state DOT directly.`,
+            passages: [],
+            contactInfo: defaultContactInfo(state)
+          };
+        }
+
+        const stateData = stateDoc.data();
+        console.log(`📋 Found ${stateData.chunkCount} regulation chunks for ${state}`);
+
+        // Score every chunk against the question and keep the best passages
+        const index = await getIndex(state, stateData);
+        const passages = toPassages(
+          await retrieve(index, question, { k: passageCount(question), embedder }),
+          stateData.filename || null
+        );
+
+        console.log(`🔎 Retrieved chunks ${passages.map(p => p.id).join(', ')} for ${state}`);
+        return {
+          available: true,
+          content: formatPassages(passages),
+          passages,
+          contactInfo: stateData.contactInfo || defaultContactInfo(state)
+        };
+
+      } catch (error) {
+        console.error(`❌ Error loading regulations for ${state}:`, error);
+        return {
+          available: false,
+          content: `Unable to load specific regulations for ${state}. Please contact the state DOT for current requirements.`,
+          passages: [],
+          contactInfo: defaultContactInfo(state)
+        };
+      }
+    }
+  };
+}
+
+/**
+ * Regulation text from the local pdf_cache (no Firebase needed)
+ * @param {Object} options - { cacheDir, embedder }
+ */
+function createLocalSource(options = {}) {
+  const { cacheDir = DEFAULT_CACHE_DIR, embedder = null } = options;
+  const indexCache = new Map();
+
+  async function getIndex(state) {
+    const index = loadLocalIndex(state, cacheDir);
+    if (!index) return null;
+
+    const cached = indexCache.get(state);
+    if (cached && cached.sourceMtime === index.sourceMtime) {
+      return cached;
+    }
+    if (embedder) {
+      await embedIndex(index, embedder);
+    }
+    indexCache.set(state, index);
+    return index;
+  }
+
+  return {
+    name: 'local',
+
+    async listStates() {
+      if (!fs.existsSync(cacheDir)) return [];
+      const states = new Set(fs.readdirSync(cacheDir)
+        .map(file => (file.match(/^([A-Z]{2})_(?:chunks\.json|content\.txt)$/) || [])[1])
+        .filter(Boolean));
+
+      return [...states].map(state => {
+        const chunksFile = path.join(cacheDir, `${state}_chunks.json`);
+        const meta = fs.existsSync(chunksFile) ? JSON.parse(fs.readFileSync(chunksFile, 'utf8')) : {};
+        return {
+          state,
+          processedAt: meta.extractedAt || null,
+          version: null,
+          pageCount: meta.pageCount || null,
+          chunkCount: meta.chunks ? meta.chunks.length : 0,
+          extractionConfidence: meta.extraction?.confidence ?? null
+        };
+      });
+    },
+
+    async load(state, question = '') {
+      const index = await getIndex(state);
+      if (!index) {
+        console.warn(`⚠️ No cached content for ${state}. Run: node process_state_pdfs.mjs states ${state}`);
+        return {
+          available: false,
+          content: `No specific regulations available for ${state}. Please contact the state DOT directly.`,
+          passages: [],
+          contactInfo: defaultContactInfo(state)
+        };
+      }
+
+      const passages = toPassages(
+        await retrieve(index, question, { k: passageCount(question), embedder }),
+        index.filename || null
+      );
+      console.log(`🔎 Retrieved cached passages ${passages.map(p => p.id).join(', ')} for ${state}`);
+      return {
+        available: true,
+        content: formatPassages(passages),
+        passages,
+        contactInfo: extractContactInfo(index.chunks.map(chunk => chunk.text).join(' '), state)
+      };
+    }
+  };
+}
+
+/**
+ * Data source selected by CHAT_DATA_SOURCE (or options.kind)
+ * @param {Object} options - { kind, db, cacheDir, embedder }
+ */
+function createDataSource(options = {}) {
+  const kind = (options.kind || process.env.CHAT_DATA_SOURCE || 'firestore').toLowerCase();
+
+  switch (kind) {
+    case 'firestore':
+      if (!options.db) throw new Error('CHAT_DATA_SOURCE=firestore needs a Firestore instance');
+      return createFirestoreSource(options.db, options);
+    case 'local':
+      return createLocalSource(options);
+    default:
+      throw new Error(`Unknown CHAT_DATA_SOURCE: ${kind} (expected firestore or local)`);
+  }
+}
+
+/**
+ * System prompt - persona, rules and the JSON response schema
+ */
+function createSystemPrompt(state, contactInfo, hasPermitContext) {
+  return `You are a virtual dispatcher helping truck drivers with permit questions in ${state}.
+
+Your job: Answer permit questions using state regulations, just like talking to a real dispatcher.
+
+Rules:
+- Use the state regulation content provided first
+- If you can't find the answer there, search web for DOT contacts
+- Talk like a person, not a robot - natural conversation
+- Stay focused on permit/trucking topics only
+- When unsure, give DOT contact info
+- Back each rule you state with a citation: the ID and page from the regulation passage's [ID, section, page] label and a short quote copied word for word from it
+
+${hasPermitContext ?
+'The driver has a specific permit - help them understand it.' :
+'General trucking question - give helpful guidance.'}
+
+Always respond with JSON containing exactly these keys (write "notes" first):
+{
+  "notes": "your helpful response",
+  "is_compliant": true/false (can the load move legally as described, with its permit?),
+  "violations": ["each problem as a short sentence"],
+  "escorts": "escort requirements",
+  "travel_restrictions": "time/route limits",
+  "confidence": 0.0-1.0,
+  "sources": ["State regulations"],
+  "citations": [{"chunk_id": "IN-2", "page": 1, "quote": "exact words copied from that passage"}]
+}
+
+DOT Contact: ${contactInfo.phones[0] || `${state} DOT`}`;
+}
+
+/**
+ * User prompt with permit context, calculated escort requirements and retrieved regulation passages
+ */
+function createUserPrompt(userQuestion, permitText, regulationContent, hasPermitContext, escortText = '') {
+  let prompt = `Question: ${userQuestion}\n\n`;
+
+  if (permitText && permitText.trim() !== '') {
+    prompt += `Permit info:\n${permitText}\n\n`;
+  }
+
+  if (escortText) {
+    prompt += `Escort requirements (calculated from the state's escort rules - explain these, do not work them out again):\n${escortText}\n\n`;
+  }
+
+  prompt += `State regulations:\n${regulationContent}\n\n`;
+
+  prompt += hasPermitContext ?
+    `Help me understand what this means for my permit.` :
+    `What do I need to know?`;
+
+  return prompt;
+}
+
+/**
+ * Permit document -> the same "PERMIT ..." text block the Android app sends
+ */
+function formatPermitText(permit) {
+  const dims = permit.dimensions || {};
+  const lines = [
+    'PERMIT DETAILS',
+    `Permit Number: ${permit.permitNumber || 'Unknown'}`,
+    `State: ${permit.state || 'Unknown'}`
+  ];
+
+  const sizes = [
+    dims.width != null ? `${formatLength(Number(dims.width))} W` : null,
+    dims.height != null ? `${formatLength(Number(dims.height))} H` : null,
+    dims.length != null ? `${formatLength(Number(dims.length))} L` : null
+  ].filter(Boolean);
+  if (sizes.length) lines.push(`Dimensions: ${sizes.join(' x ')}`);
+  if (dims.weight != null) lines.push(`Weight: ${formatWeight(Number(dims.weight))}`);
+  if (dims.axles != null) lines.push(`Axles: ${dims.axles}`);
+  if (permit.origin || permit.destination) lines.push(`Route: ${permit.origin || '?'} to ${permit.destination || '?'}`);
+  if (permit.routeDescription) lines.push(`Route details: ${permit.routeDescription}`);
+  if (Array.isArray(permit.restrictions) && permit.restrictions.length) {
+    lines.push(`Restrictions: ${permit.restrictions.join(', ')}`);
+  }
+  if (Array.isArray(permit.specialConditions) && permit.specialConditions.length) {
+    lines.push(`Special conditions: ${permit.specialConditions.join('; ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Request body checks shared by every chat entry point
+ * @returns {Object|null} 400 error body, or null when the request is usable
+ */
+function validateChatRequest(body) {
+  const { permitId, stateKey, userQuestion } = body || {};
+
+  if (!userQuestion || userQuestion.trim().length === 0) {
+    return {
+      error: 'User question is required',
+      code: 'MISSING_QUESTION'
+    };
+  }
+
+  if (!permitId && !stateKey) {
+    return {
+      error: 'Either permitId or stateKey must be provided',
+      code: 'MISSING_CONTEXT'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Safe answer when the model's response could not be validated or repaired
+ */
+function fallbackResponse(state) {
+  return {
+    notes: `I couldn't put together a reliable answer from the ${state} regulations right now. Please confirm with the ${state} DOT permit office before you move.`,
+    is_compliant: false,
+    violations: [],
+    escorts: 'Contact state DOT for escort requirements',
+    travel_restrictions: 'Check state regulations',
+    confidence: 0,
+    sources: [],
+    citations: []
+  };
+}
+
+/**
+ * Validated model JSON (see COMPLIANCE_SCHEMA) -> the compliance payload the Android app parses
+ * escorts (optional) is the calculateEscorts() result the prompt was given.
+ */
+function toComplianceResponse(response, { state, permitNumber, contactInfo, escorts = null }) {
+  return {
+    is_compliant: response.is_compliant,
+    violations: response.violations,
+    // Calculated requirements win over the model's wording
+    escorts: escorts?.summary || response.escorts || 'Contact state DOT for escort requirements',
+    travel_restrictions: response.travel_restrictions || 'Check state regulations',
+    notes: response.notes,
+    contact_info: response.confidence < 0.8 ? {
+      department: contactInfo.department,
+      phone: contactInfo.phones[0] || 'Contact state DOT',
+      email: contactInfo.emails[0] || null,
+      website: contactInfo.websites[0] || null,
+      office_hours: 'Standard business hours'
+    } : null,
+    confidence: response.confidence,
+    sources: response.sources.length ? response.sources : ['State regulation PDFs'],
+    citations: response.citations || [],
+    state,
+    permitNumber
+  };
+}
+
+/**
+ * Calculated escort requirements for an escort question, or null
+ * Dimensions in the question ("I'm 13' wide") take precedence over the permit's; the road type comes
+ * from the request or the question.
+ */
+async function escortContext(db, state, request, permit, permitText) {
+  const question = request.userQuestion;
+  if (!ESCORT_QUESTION.test(question)) return null;
+
+  const asked = parsePermitText(question).dimensions;
+  const permitDims = permit ? extractDimensions(permit) : permitText ? parsePermitText(permitText).dimensions : {};
+  const dims = {};
+  for (const field of ['width', 'height', 'length', 'overhangFront', 'overhangRear']) {
+    dims[field] = asked[field] ?? permitDims[field] ?? null;
+  }
+  if (dims.width === null && dims.height === null && dims.length === null) return null;
+
+  const escortRequest = {
+    state,
+    roadType: normalizeRoadType(request.roadType) || normalizeRoadType(question),
+    dims
+  };
+  try {
+    return await calculateEscorts(db, escortRequest);
+  } catch (error) {
+    console.warn(`⚠️ Published ${state} rules unavailable for escorts, using built-in limits: ${error.message}`);
+  }
+  try {
+    return await calculateEscorts(null, escortRequest);
+  } catch (error) {
+    console.warn(`⚠️ Could not calculate escorts for ${state}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Chat service wired to an LLM provider and a data source
+ * @param {Object} options - { llm, source, db, model }
+ *   db (optional) enables permit lookup by permitId and conversation memory
+ */
+function createChatService({ llm, source, db = null, model = 'default' }) {
+  async function summarize(transcript) {
+    const completion = await llm.complete({
+      model,
+      messages: [
+        { role: 'system', content: SUMMARY_PROMPT },
+        { role: 'user', content: transcript }
+      ],
+      temperature: 0.1
+    });
+    return completion.content.trim();
+  }
+
+  /**
+   * Stored permit for a permitId - only its driver or a dispatcher may chat about it.
+   * Throws ConversationAccessError (401/403) before anything reaches the model.
+   */
+  async function loadPermit(permitId, driverId, callerRole) {
+    if (!db || !permitId) return null;
+    let permit;
+    try {
+      const doc = await db.collection('permits').doc(permitId).get();
+      permit = doc.exists ? doc.data() : null;
+    } catch (error) {
+      console.warn(`⚠️ Could not load permit ${permitId}: ${error.message}`);
+      return null;
+    }
+    if (!permit) return null;
+
+    if (!driverId) {
+      throw new conversations.ConversationAccessError(401, 'UNAUTHENTICATED', 'Sign in to chat about a stored permit');
+    }
+    if (callerRole !== 'dispatcher' && permit.driverId !== driverId) {
+      throw new conversations.ConversationAccessError(403, 'FORBIDDEN', 'Not your permit');
+    }
+    return permit;
+  }
+
+  /**
+   * Load regulations, permit and conversation history and build the prompt messages
+   * @param {Object} request - { permitId, stateKey, permitText, userQuestion, conversationId, driverId, callerRole, roadType }
+   *   driverId is the verified caller; a conversationId needs one, and must be theirs if it already exists.
+   *   A stored permitId must belong to driverId unless callerRole is 'dispatcher'.
+   */
+  async function prepare(request) {
+    const { permitId, stateKey, userQuestion, conversationId, driverId = null, callerRole = null } = request;
+
+    console.log(`💬 Chat request: ${userQuestion.substring(0, 100)}...`);
+    console.log(`📋 Permit ID: ${permitId || 'N/A'}`);
+
+    // Ownership is checked before anything is replayed (or later appended) - throws ConversationAccessError
+    const history = conversationId && db ? await conversations.loadHistoryMessages(db, conversationId, driverId) : [];
+
+    // Clients that only send a permitId get the stored permit as context
+    const permit = request.permitText ? null : await loadPermit(permitId, driverId, callerRole);
+    const permitText = request.permitText || (permit ? formatPermitText(permit) : '');
+    const state = (stateKey || permit?.state || DEFAULT_STATE).toUpperCase();
+    console.log(`🏛️ State: ${state}`);
+
+    const regulation = await source.load(state, userQuestion);
+
+    const escorts = await escortContext(db, state, request, permit, permitText);
+    if (escorts) console.log(`🚗 Escorts: ${escorts.summary}`);
+
+    const hasPermitContext = Boolean(permitText && permitText.includes('PERMIT'));
+    const systemPrompt = createSystemPrompt(state, regulation.contactInfo, hasPermitContext);
+    const userPrompt = createUserPrompt(userQuestion, permitText, regulation.content, hasPermitContext, escorts ? formatEscortText(escorts) : '');
+
+    return {
+      state,
+      stateKey,
+      permitId,
+      permitNumber: permit?.permitNumber || permitId,
+      userQuestion,
+      conversationId,
+      driverId,
+      contactInfo: regulation.contactInfo,
+      passages: regulation.passages,
+      escorts,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        ...history,
+        { role: 'user', content: userPrompt }
+      ]
+    };
+  }
+
+  /**
+   * Shape the model's JSON into the app payload and remember the turn
+   */
+  async function finish(chat, response) {
+    const complianceResponse = toComplianceResponse(response, {
+      state: chat.stateKey || chat.state,
+      permitNumber: chat.permitNumber,
+      contactInfo: chat.contactInfo,
+      escorts: chat.escorts
+    });
+
+    if (chat.conversationId && db) {
+      await conversations.recordTurn(db, chat.conversationId, {
+        driverId: chat.driverId,
+        stateKey: chat.state,
+        permitId: chat.permitId,
+        question: chat.userQuestion,
+        answer: complianceResponse.notes,
+        confidence: complianceResponse.confidence
+      }, summarize);
+    }
+
+    return complianceResponse;
+  }
+
+  /**
+   * Validate the raw model answer (retrying with feedback) and fall back if it can't be repaired
+   * Citations are then checked against the passages the model saw - unsupported quotes are dropped.
+   */
+  async function validated(chat, llmRequest, content) {
+    const result = await validateOrRepair(llm, llmRequest, content, { schema: COMPLIANCE_SCHEMA });
+    await recordSchemaOutcome(db, COMPLIANCE_SCHEMA.name, result);
+
+    if (result.outcome === 'fallback') {
+      console.error(`❌ Unusable model response for ${chat.state}: ${result.errors.join('; ')}`);
+      return fallbackResponse(chat.state);
+    }
+    if (result.outcome !== 'valid') {
+      console.log(`🔧 Response ${result.outcome}: ${result.coercions.join('; ') || `${result.attempts} attempts`}`);
+    }
+
+    const { citations, dropped } = verifyCitations(result.value.citations, chat.passages);
+    const flagged = citations.filter(citation => !citation.verified).length;
+    if (dropped.length || flagged) {
+      console.warn(`⚠️ Citations for ${chat.state}: ${dropped.length} dropped (${dropped.map(c => c.reason).join(', ') || 'none'}), ${flagged} flagged`);
+    }
+    return { ...result.value, citations };
+  }
+
+  /**
+   * Answer a question in one round trip
+   */
+  async function ask(request) {
+    const chat = await prepare(request);
+    const llmRequest = { model, messages: chat.messages, temperature: 0.1, json: true };
+    const completion = await llm.complete(llmRequest);
+
+    const response = await validated(chat, llmRequest, completion.content);
+    console.log(`✅ Response generated with confidence: ${response.confidence}`);
+    return finish(chat, response);
+  }
+
+  /**
+   * Answer a question as it is generated
+   * Yields { event: 'delta', data: { text } } for the notes text, then { event: 'complete', data }.
+   * Stopping iteration early aborts the LLM request.
+   */
+  async function* askStream(request) {
+    yield* streamAnswer(await prepare(request));
+  }
+
+  /**
+   * askStream() for a request prepare() has already checked and loaded
+   */
+  async function* streamAnswer(chat) {
+    const llmRequest = { model, messages: chat.messages, temperature: 0.1, json: true };
+    const notes = createFieldStreamer('notes');
+    let raw = '';
+
+    for await (const delta of llm.stream(llmRequest)) {
+      raw += delta;
+      const text = notes.push(delta);
+      if (text) yield { event: 'delta', data: { text } };
+    }
+
+    // A repaired answer may differ from the streamed text - 'complete' carries the validated one
+    const response = await validated(chat, llmRequest, raw);
+    console.log(`✅ Streamed response generated with confidence: ${response.confidence}`);
+    yield { event: 'complete', data: await finish(chat, response) };
+  }
+
+  return { prepare, finish, ask, askStream, streamAnswer, summarize };
+}
+
+module.exports = {
+  extractContactInfo,
+  regulationVersionRef,
+  createFirestoreSource,
+  createLocalSource,
+  createDataSource,
+  createSystemPrompt,
+  createUserPrompt,
+  formatPermitText,
+  validateChatRequest,
+  fallbackResponse,
+  toComplianceResponse,
+  createChatService
+};
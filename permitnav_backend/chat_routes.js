@@ -0,0 +1,120 @@
+/**
+ * Chat endpoints
+ * Shared by the pdfchat Cloud Function (index.js) and the local server (pdf_chat_server.mjs)
+ */
+
+const { validateChatRequest } = require('./chat_core');
+const { resolveCaller, sendAccessError } = require('./conversation_routes');
+const { ConversationAccessError } = require('./conversation_store');
+const { openEventStream } = require('./chat_stream');
+
+async function chatRequest(req) {
+  const { permitId, stateKey, permitText, userQuestion, conversationId, roadType } = req.body;
+  const caller = await resolveCaller(req);
+  return {
+    permitId,
+    stateKey,
+    permitText,
+    userQuestion,
+    conversationId,
+    roadType,
+    driverId: caller?.uid || null,
+    callerRole: caller?.role || null
+  };
+}
+
+/**
+ * Register /api/chat and /api/chat/stream on an express app
+ * @param {import('express').Express} app - Express app
+ * @param {Object} chat - Chat service from createChatService()
+ */
+function registerChatRoutes(app, chat) {
+  /**
+   * Main chat endpoint - PDF-powered compliance responses
+   */
+  app.post('/api/chat', async (req, res) => {
+    try {
+      const invalid = validateChatRequest(req.body);
+      if (invalid) {
+        return res.status(400).json(invalid);
+      }
+
+      const complianceResponse = await chat.ask(await chatRequest(req));
+
+      console.log(`✅ Response sent (confidence: ${complianceResponse.confidence})`);
+      res.json(complianceResponse);
+
+    } catch (error) {
+      if (sendAccessError(res, error)) return;
+      console.error('❌ Chat API error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message,
+        confidence: 0
+      });
+    }
+  });
+
+  /**
+   * Streaming chat endpoint - same request body as /api/chat, answered over Server-Sent Events
+   * Invalid requests (400) and access errors (401/403) are answered as JSON before the stream opens.
+   *
+   * Events:
+   *   delta    {"text": "..."}   partial answer text (the `notes` field) as it is generated
+   *   complete {...}             the same compliance payload /api/chat returns
+   *   error    {"error", "message"}
+   */
+  app.post('/api/chat/stream', async (req, res) => {
+    const invalid = validateChatRequest(req.body);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    // Access checks and context loading answer as plain JSON - the stream only opens for an answer
+    let prepared;
+    try {
+      prepared = await chat.prepare(await chatRequest(req));
+    } catch (error) {
+      if (sendAccessError(res, error)) return;
+      console.error('❌ Chat stream error:', error);
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: error.message,
+        confidence: 0
+      });
+    }
+
+    const events = openEventStream(res);
+
+    try {
+      for await (const { event, data } of chat.streamAnswer(prepared)) {
+        if (events.closed()) {
+          // Driver went out of coverage - leaving the loop aborts the request
+          console.warn('⚠️ Chat stream closed by client');
+          return;
+        }
+        events.send(event, data);
+      }
+
+      console.log('✅ Streamed response sent');
+      events.end();
+
+    } catch (error) {
+      if (error instanceof ConversationAccessError) {
+        events.send('error', { error: error.message, code: error.code, confidence: 0 });
+        return events.end();
+      }
+      console.error('❌ Chat stream error:', error);
+      events.send('error', {
+        error: 'Internal server error',
+        message: error.message,
+        confidence: 0
+      });
+      events.end();
+    }
+  });
+}
+
+module.exports = {
+  registerChatRoutes
+};
@@ -0,0 +1,103 @@
+/**
+ * Chat streaming helpers
+ * Server-Sent Events plumbing and an incremental reader that pulls one string field
+ * out of a JSON object while the model is still generating it.
+ */
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Incrementally decode a top-level string field from streamed JSON text
+ * Feed it the raw completion deltas; it returns only the newly decoded field text.
+ * @param {string} field - JSON key to follow (e.g. 'notes')
+ * @returns {{push: function(string): string, done: function(): boolean}}
+ */
+function createFieldStreamer(field) {
+  const keyPattern = new RegExp(`"${field}"\\s*:\\s*"`);
+  let raw = '';
+  let cursor = -1;      // position in raw just after the opening quote, once found
+  let finished = false;
+
+  function push(chunk) {
+    raw += chunk;
+    if (finished) return '';
+
+    if (cursor < 0) {
+      const match = keyPattern.exec(raw);
+      if (!match) return '';
+      cursor = match.index + match[0].length;
+    }
+
+    let text = '';
+    while (cursor < raw.length) {
+      const char = raw[cursor];
+
+      if (char === '"') {
+        finished = true;
+        cursor++;
+        break;
+      }
+
+      if (char !== '\\') {
+        text += char;
+        cursor++;
+        continue;
+      }
+
+      // Escape sequence - wait for the rest of it if it was split across deltas
+      const next = raw[cursor + 1];
+      if (next === undefined) break;
+      if (next === 'u') {
+        const hex = raw.slice(cursor + 2, cursor + 6);
+        if (hex.length < 4) break;
+        text += String.fromCharCode(parseInt(hex, 16));
+        cursor += 6;
+      } else {
+        text += ESCAPES[next] ?? next;
+        cursor += 2;
+      }
+    }
+    return text;
+  }
+
+  return {
+    push,
+    done: () => finished
+  };
+}
+
+/**
+ * Switch an express response into an SSE stream
+ * @returns {{send: function(string, Object): void, end: function(): void, closed: function(): boolean}}
+ */
+function openEventStream(res) {
+  let closed = false;
+  // req 'close' fires once the body is read; the response closing means the client left
+  res.on('close', () => { closed = true; });
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!closed) res.end();
+      closed = true;
+    },
+    closed: () => closed
+  };
+}
+
+module.exports = {
+  createFieldStreamer,
+  openEventStream
+};
@@ -0,0 +1,105 @@
+/**
+ * Citation grounding
+ * The model cites { chunk_id, page, quote } for each rule it states. Before an answer goes out,
+ * every quote is checked against the passages the model was actually shown:
+ *   - found in the cited chunk           -> verified
+ *   - found in a different passage       -> verified, chunk_id/page corrected
+ *   - most of its words in one passage   -> kept but flagged (verified: false)
+ *   - not found                          -> dropped
+ */
+
+const { tokenize } = require('./regulation_retrieval');
+
+const MIN_QUOTE_LENGTH = 8;
+// Share of a paraphrased quote's terms that must appear in one passage to keep it (flagged)
+const APPROXIMATE_MATCH_RATIO = 0.8;
+
+/**
+ * Lowercase, straighten quotes/dashes and collapse whitespace so PDF text and model text compare equal
+ */
+function normalizeForMatch(text) {
+  return (text || '')
+    .replace(/[‘’′]/g, "'")
+    .replace(/[“”″]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function termCoverage(quote, text) {
+  const quoteTerms = [...new Set(tokenize(quote))];
+  if (!quoteTerms.length) return 0;
+  const textTerms = new Set(tokenize(text));
+  return quoteTerms.filter(term => textTerms.has(term)).length / quoteTerms.length;
+}
+
+function toCitation(citation, passage, verified, flag = null) {
+  const result = {
+    chunk_id: passage.id,
+    page: passage.page ?? null,
+    section: passage.section || null,
+    quote: citation.quote.trim(),
+    source: passage.source || null,
+    verified
+  };
+  if (flag) result.flag = flag;
+  return result;
+}
+
+/**
+ * Check model citations against the retrieved passages
+ * @param {Array<{chunk_id: string, page: number, quote: string}>} citations - From the model
+ * @param {Array<{id: string, page: number|null, section: string|null, text: string, source: string}>} passages - What the model saw
+ * @returns {{citations: Object[], dropped: Object[]}}
+ */
+function verifyCitations(citations, passages) {
+  const kept = [];
+  const dropped = [];
+  const seen = new Set();
+  const normalized = passages.map(passage => normalizeForMatch(passage.text));
+
+  for (const citation of citations || []) {
+    const quote = normalizeForMatch(citation.quote);
+    if (quote.length < MIN_QUOTE_LENGTH) {
+      dropped.push({ ...citation, reason: 'quote_too_short' });
+      continue;
+    }
+
+    const citedIndex = passages.findIndex(passage => passage.id === citation.chunk_id);
+    let result = null;
+
+    if (citedIndex >= 0 && normalized[citedIndex].includes(quote)) {
+      result = toCitation(citation, passages[citedIndex], true);
+    } else {
+      const foundIndex = normalized.findIndex(text => text.includes(quote));
+      if (foundIndex >= 0) {
+        result = toCitation(citation, passages[foundIndex], true, 'chunk_corrected');
+      } else {
+        // Paraphrased quote - keep it only if one passage clearly backs it, and say so
+        const coverage = passages.map(passage => termCoverage(citation.quote, passage.text));
+        const best = coverage.indexOf(Math.max(...coverage, 0));
+        if (best >= 0 && coverage[best] >= APPROXIMATE_MATCH_RATIO) {
+          result = toCitation(citation, passages[best], false, 'approximate_quote');
+        }
+      }
+    }
+
+    if (!result) {
+      dropped.push({ ...citation, reason: 'quote_not_found' });
+      continue;
+    }
+
+    const key = `${result.chunk_id}|${normalizeForMatch(result.quote)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    kept.push(result);
+  }
+
+  return { citations: kept, dropped };
+}
+
+module.exports = {
+  normalizeForMatch,
+  verifyCitations
+};
@@ -0,0 +1,129 @@
+/**
+ * Conversation history endpoints
+ * Shared by the pdfchat Cloud Function (index.js) and the local server (pdf_chat_server.mjs)
+ */
+
+const admin = require('firebase-admin');
+const store = require('./conversation_store');
+
+/**
+ * Verified caller: uid and role custom claim of a Firebase ID token (Authorization: Bearer <token>),
+ * or null when there is no valid token
+ */
+async function resolveCaller(req) {
+  const header = req.get('Authorization') || '';
+  if (!header.startsWith('Bearer ')) return null;
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(header.slice(7));
+    return { uid: decoded.uid, role: decoded.role || null };
+  } catch (error) {
+    console.warn(`⚠️ Rejecting invalid ID token: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Driver identity for conversation endpoints: the verified caller's uid, or null
+ */
+async function resolveDriverId(req) {
+  return (await resolveCaller(req))?.uid || null;
+}
+
+/**
+ * Answer a ConversationAccessError (401/403) - true when the error was one
+ */
+function sendAccessError(res, error) {
+  if (!(error instanceof store.ConversationAccessError)) return false;
+  res.status(error.status).json({ error: error.message, code: error.code });
+  return true;
+}
+
+/**
+ * Register list / fetch / delete conversation routes on an express app
+ * @param {import('express').Express} app - Express app
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ */
+function registerConversationRoutes(app, db) {
+  /**
+   * List the caller's conversations
+   * GET /api/conversations with Authorization: Bearer <Firebase ID token>
+   */
+  app.get('/api/conversations', async (req, res) => {
+    try {
+      const driverId = await resolveDriverId(req);
+      store.assertConversationAccess(null, driverId);
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      res.json(await store.listConversations(db, driverId, limit));
+    } catch (error) {
+      if (sendAccessError(res, error)) return;
+      console.error('❌ List conversations error:', error);
+      res.status(500).json({ error: 'Internal server error', message: error.message });
+    }
+  });
+
+  /**
+   * Fetch one conversation with its turns
+   */
+  app.get('/api/conversations/:conversationId', async (req, res) => {
+    try {
+      const driverId = await resolveDriverId(req);
+      store.assertConversationAccess(null, driverId);
+      const { conversation, turns } = await store.loadConversation(db, req.params.conversationId);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found', code: 'NOT_FOUND' });
+      }
+      store.assertConversationAccess(conversation, driverId);
+
+      res.json({
+        id: conversation.id,
+        driverId: conversation.driverId,
+        title: conversation.title,
+        stateKey: conversation.stateKey,
+        summary: conversation.summary,
+        turns: turns.map(turn => ({
+          index: turn.index,
+          question: turn.question,
+          answer: turn.answer,
+          stateKey: turn.stateKey,
+          createdAt: turn.createdAt?.toDate?.().toISOString() || null
+        }))
+      });
+    } catch (error) {
+      if (sendAccessError(res, error)) return;
+      console.error('❌ Fetch conversation error:', error);
+      res.status(500).json({ error: 'Internal server error', message: error.message });
+    }
+  });
+
+  /**
+   * Delete a conversation and its turns
+   */
+  app.delete('/api/conversations/:conversationId', async (req, res) => {
+    try {
+      const driverId = await resolveDriverId(req);
+      store.assertConversationAccess(null, driverId);
+      const { conversation } = await store.loadConversation(db, req.params.conversationId);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found', code: 'NOT_FOUND' });
+      }
+      store.assertConversationAccess(conversation, driverId);
+
+      await store.deleteConversation(db, conversation.id);
+      console.log(`🗑️ Deleted conversation ${conversation.id}`);
+      res.json({ success: true, conversationId: conversation.id });
+    } catch (error) {
+      if (sendAccessError(res, error)) return;
+      console.error('❌ Delete conversation error:', error);
+      res.status(500).json({ error: 'Internal server error', message: error.message });
+    }
+  });
+}
+
+module.exports = {
+  registerConversationRoutes,
+  resolveCaller,
+  resolveDriverId,
+  sendAccessError
+};
@@ -0,0 +1,275 @@
+/**
+ * Chat conversation memory
+ * Persists turns under conversations/{conversationId}/turns and replays prior turns
+ * into the prompt within a token budget. Long threads get a rolling summary.
+ */
+
+const admin = require('firebase-admin');
+
+// Prompt budget for replayed history (rough: 1 token ≈ 4 chars)
+const HISTORY_TOKEN_BUDGET = 1500;
+// Summarize once this many turns have piled up since the last summary...
+const SUMMARIZE_AFTER_TURNS = 12;
+// ...folding in everything except the most recent turns
+const KEEP_RECENT_TURNS = 6;
+
+/**
+ * Caller may not use a conversation; status/code are what the HTTP routes answer with
+ */
+class ConversationAccessError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ConversationAccessError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Only the driver who started a conversation may read or extend it; conversations without an owner
+ * (written before owners were required) are closed to everyone
+ */
+function ownsConversation(conversation, driverId) {
+  return Boolean(driverId && conversation.driverId && conversation.driverId === driverId);
+}
+
+/**
+ * Throw unless driverId may use the conversation (a conversation that does not exist yet is theirs to start)
+ */
+function assertConversationAccess(conversation, driverId) {
+  if (!driverId) {
+    throw new ConversationAccessError(401, 'UNAUTHENTICATED', 'Sign in to use conversation history');
+  }
+  if (conversation && !ownsConversation(conversation, driverId)) {
+    throw new ConversationAccessError(403, 'FORBIDDEN', 'Not your conversation');
+  }
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function conversationRef(db, conversationId) {
+  return db.collection('conversations').doc(conversationId);
+}
+
+/**
+ * Load a conversation and its turns (oldest first)
+ * @returns {Promise<{conversation: Object|null, turns: Object[]}>}
+ */
+async function loadConversation(db, conversationId) {
+  const ref = conversationRef(db, conversationId);
+  const [doc, turnsSnap] = await Promise.all([
+    ref.get(),
+    ref.collection('turns').orderBy('index', 'asc').get()
+  ]);
+
+  if (!doc.exists) {
+    return { conversation: null, turns: [] };
+  }
+
+  return {
+    conversation: { id: doc.id, ...doc.data() },
+    turns: turnsSnap.docs.map(turn => ({ id: turn.id, ...turn.data() }))
+  };
+}
+
+/**
+ * Chat messages for prior turns, newest kept first when the budget runs out
+ * @param {Object|null} conversation - Conversation document (for the rolling summary)
+ * @param {Object[]} turns - Turns from loadConversation()
+ * @param {number} tokenBudget - Max tokens of history to replay
+ */
+function buildHistoryMessages(conversation, turns, tokenBudget = HISTORY_TOKEN_BUDGET) {
+  const summarizedThrough = conversation?.summarizedThrough ?? -1;
+  const recent = turns.filter(turn => turn.index > summarizedThrough);
+  const messages = [];
+  let used = 0;
+
+  if (conversation?.summary) {
+    const summary = `Summary of the earlier conversation: ${conversation.summary}`;
+    used += estimateTokens(summary);
+    messages.push({ role: 'system', content: summary });
+  }
+
+  const replayed = [];
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const turn = recent[i];
+    const cost = estimateTokens(turn.question) + estimateTokens(turn.answer);
+    if (used + cost > tokenBudget) break;
+    used += cost;
+    replayed.unshift(
+      { role: 'user', content: turn.question },
+      { role: 'assistant', content: turn.answer }
+    );
+  }
+
+  return [...messages, ...replayed];
+}
+
+/**
+ * Append a question/answer turn, creating the conversation (owned by turn.driverId) on first use
+ * Throws ConversationAccessError when turn.driverId does not own an existing conversation.
+ * @param {Object} turn - { driverId, stateKey, permitId, question, answer, confidence }
+ */
+async function appendTurn(db, conversationId, turn) {
+  const ref = conversationRef(db, conversationId);
+  const FieldValue = admin.firestore.FieldValue;
+
+  return db.runTransaction(async tx => {
+    const doc = await tx.get(ref);
+    assertConversationAccess(doc.exists ? doc.data() : null, turn.driverId);
+    const index = doc.exists ? (doc.data().turnCount || 0) : 0;
+
+    if (doc.exists) {
+      tx.update(ref, {
+        turnCount: index + 1,
+        lastQuestion: turn.question.substring(0, 200),
+        stateKey: turn.stateKey || doc.data().stateKey || null,
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    } else {
+      tx.set(ref, {
+        driverId: turn.driverId,
+        title: turn.question.substring(0, 80),
+        stateKey: turn.stateKey || null,
+        permitId: turn.permitId || null,
+        turnCount: 1,
+        lastQuestion: turn.question.substring(0, 200),
+        summary: null,
+        summarizedThrough: -1,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    }
+
+    tx.set(ref.collection('turns').doc(), {
+      index,
+      question: turn.question,
+      answer: turn.answer,
+      stateKey: turn.stateKey || null,
+      confidence: turn.confidence ?? null,
+      createdAt: FieldValue.serverTimestamp()
+    });
+
+    return index;
+  });
+}
+
+/**
+ * Fold older turns into the rolling summary once the thread gets long
+ * @param {function(string): Promise<string>} summarize - Turns transcript -> summary text
+ * @returns {Promise<boolean>} whether a new summary was written
+ */
+async function summarizeIfNeeded(db, conversationId, summarize) {
+  const { conversation, turns } = await loadConversation(db, conversationId);
+  if (!conversation) return false;
+
+  const summarizedThrough = conversation.summarizedThrough ?? -1;
+  const unsummarized = turns.filter(turn => turn.index > summarizedThrough);
+  if (unsummarized.length < SUMMARIZE_AFTER_TURNS) return false;
+
+  const toFold = unsummarized.slice(0, unsummarized.length - KEEP_RECENT_TURNS);
+  const transcript = [
+    conversation.summary ? `Earlier summary: ${conversation.summary}` : '',
+    ...toFold.map(turn => `Driver: ${turn.question}\nDispatcher: ${turn.answer}`)
+  ].filter(Boolean).join('\n\n');
+
+  const summary = await summarize(transcript);
+
+  await conversationRef(db, conversationId).update({
+    summary,
+    summarizedThrough: toFold[toFold.length - 1].index,
+    summarizedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return true;
+}
+
+/**
+ * A driver's conversations, most recently active first
+ */
+async function listConversations(db, driverId, limit = 20) {
+  const snap = await db.collection('conversations')
+    .where('driverId', '==', driverId)
+    .orderBy('updatedAt', 'desc')
+    .limit(limit)
+    .get();
+
+  return snap.docs.map(doc => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      title: data.title,
+      stateKey: data.stateKey,
+      turnCount: data.turnCount,
+      lastQuestion: data.lastQuestion,
+      updatedAt: data.updatedAt?.toDate?.().toISOString() || null
+    };
+  });
+}
+
+/**
+ * Delete a conversation and all of its turns
+ */
+async function deleteConversation(db, conversationId) {
+  const ref = conversationRef(db, conversationId);
+  const turns = await ref.collection('turns').get();
+
+  // Firestore batches cap at 500 writes
+  for (let i = 0; i < turns.docs.length; i += 450) {
+    const batch = db.batch();
+    turns.docs.slice(i, i + 450).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+  await ref.delete();
+}
+
+/**
+ * Prior turns as chat messages for the conversation's owner
+ * Memory is best-effort - a failed read never fails the chat - but a caller who does not own the
+ * conversation gets a ConversationAccessError, not an empty history.
+ */
+async function loadHistoryMessages(db, conversationId, driverId) {
+  let loaded;
+  try {
+    loaded = await loadConversation(db, conversationId);
+  } catch (error) {
+    console.warn(`⚠️ Could not load conversation ${conversationId}: ${error.message}`);
+    return [];
+  }
+
+  assertConversationAccess(loaded.conversation, driverId);
+  const history = buildHistoryMessages(loaded.conversation, loaded.turns);
+  console.log(`🧵 Replaying ${history.length} history messages for ${conversationId}`);
+  return history;
+}
+
+/**
+ * Persist a turn and fold older turns into the summary when the thread gets long
+ */
+async function recordTurn(db, conversationId, turn, summarize) {
+  try {
+    await appendTurn(db, conversationId, turn);
+    if (await summarizeIfNeeded(db, conversationId, summarize)) {
+      console.log(`🧵 Summarized older turns of ${conversationId}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not save conversation ${conversationId}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  HISTORY_TOKEN_BUDGET,
+  ConversationAccessError,
+  ownsConversation,
+  assertConversationAccess,
+  estimateTokens,
+  loadConversation,
+  buildHistoryMessages,
+  appendTurn,
+  summarizeIfNeeded,
+  loadHistoryMessages,
+  recordTurn,
+  listConversations,
+  deleteConversation
+};
@@ -0,0 +1,149 @@
+/**
+ * Escort / pilot car requirement calculator
+ * Load dimensions + road type + state -> front/rear escorts, police escort, height pole and route survey,
+ * each backed by the escort tier (and rule reference) that triggered it. Deterministic - the chat passes
+ * the result to the LLM to explain instead of letting it work requirements out from passages.
+ */
+
+const { getStateLimits } = require('./state_limits');
+const { parseLength, formatLength } = require('./measurements');
+
+const ROAD_TYPES = ['interstate', 'multilane', 'two_lane'];
+
+const ROAD_TYPE_ALIASES = {
+  interstate: 'interstate', freeway: 'interstate', expressway: 'interstate', 'limited access': 'interstate',
+  multilane: 'multilane', 'multi lane': 'multilane', divided: 'multilane', 'four lane': 'multilane', '4 lane': 'multilane',
+  two_lane: 'two_lane', 'two lane': 'two_lane', '2 lane': 'two_lane', undivided: 'two_lane', secondary: 'two_lane'
+};
+
+const ROAD_TYPE_LABELS = { interstate: 'interstate', multilane: 'multilane highway', two_lane: 'two-lane road' };
+
+const DIMENSION_LABELS = { width: 'wide', height: 'high', length: 'long', overhangFront: 'front overhang', overhangRear: 'rear overhang' };
+
+/**
+ * "Two-lane", "freeway", "4 lane divided" -> "two_lane" / "interstate" / "multilane" (null when unknown)
+ * Also finds the road type in a sentence, e.g. a driver's question.
+ */
+function normalizeRoadType(roadType) {
+  if (!roadType) return null;
+  const text = String(roadType).toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (ROAD_TYPE_ALIASES[text]) return ROAD_TYPE_ALIASES[text];
+  // Free text ("on a 4-lane divided highway"): longest alias first so "undivided" is not read as "divided"
+  const alias = Object.keys(ROAD_TYPE_ALIASES)
+    .sort((a, b) => b.length - a.length)
+    .find(key => new RegExp(`\\b${key}\\b`).test(text));
+  return alias ? ROAD_TYPE_ALIASES[alias] : null;
+}
+
+/**
+ * Which escort tiers a set of dimensions triggers, combined into one requirement
+ * Tiers limited to certain roadTypes only apply on those roads; with no road type every tier applies,
+ * so the answer errs on the side of more escorts.
+ * @param {Object} dims - Feet: { width, height, length, overhangFront, overhangRear }
+ * @param {Object[]} escortTiers - limits.escorts
+ * @param {string} roadType - interstate | multilane | two_lane (optional)
+ */
+function evaluateEscorts(dims, escortTiers, roadType = null) {
+  const result = { front: 0, rear: 0, police: false, heightPole: false, routeSurvey: false, rules: [] };
+
+  for (const tier of escortTiers || []) {
+    const actual = dims[tier.dimension];
+    if (actual === null || actual === undefined || actual <= tier.over) continue;
+    if (roadType && tier.roadTypes && !tier.roadTypes.includes(roadType)) continue;
+
+    result.front = Math.max(result.front, tier.front || 0);
+    result.rear = Math.max(result.rear, tier.rear || 0);
+    result.police = result.police || Boolean(tier.police);
+    result.heightPole = result.heightPole || Boolean(tier.heightPole);
+    result.routeSurvey = result.routeSurvey || Boolean(tier.routeSurvey);
+    result.rules.push({
+      dimension: tier.dimension,
+      over: tier.over,
+      ...(tier.roadTypes ? { roadTypes: tier.roadTypes } : {}),
+      ruleRef: tier.ref
+    });
+  }
+
+  result.required = result.front > 0 || result.rear > 0 || result.police;
+  return result;
+}
+
+/**
+ * Plain-English summary: "1 front escort with a height pole and 1 rear escort"
+ */
+function describeEscorts(escorts) {
+  if (!escorts.required && !escorts.heightPole && !escorts.routeSurvey) return 'No escorts required';
+
+  const parts = [];
+  if (escorts.front) {
+    parts.push(`${escorts.front} front escort${escorts.front > 1 ? 's' : ''}${escorts.heightPole ? ' with a height pole' : ''}`);
+  } else if (escorts.heightPole) {
+    parts.push('a height pole');
+  }
+  if (escorts.rear) parts.push(`${escorts.rear} rear escort${escorts.rear > 1 ? 's' : ''}`);
+  if (escorts.police) parts.push('a police escort');
+  if (escorts.routeSurvey) parts.push('a route survey');
+  return parts.join(' and ').replace(/^./, c => c.toUpperCase());
+}
+
+/**
+ * Escort requirement block for the chat prompt (the model explains it, with the rule references)
+ */
+function formatEscortText(escorts) {
+  const road = escorts.roadType ? ` on a ${ROAD_TYPE_LABELS[escorts.roadType]}` : ' (road type not given - strictest tiers applied)';
+  const lines = [`${escorts.state}${road}: ${describeEscorts(escorts)}`];
+  for (const rule of escorts.rules) {
+    const roads = rule.roadTypes ? ` on ${rule.roadTypes.map(type => ROAD_TYPE_LABELS[type]).join('/')}` : '';
+    lines.push(`- Over ${formatLength(rule.over)} ${DIMENSION_LABELS[rule.dimension] || rule.dimension}${roads}: ${rule.ruleRef}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Escort requirements for a load in a state
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance (null = built-in limits only)
+ * @param {Object} request - { state, roadType, dims: { width, height, length, overhangFront, overhangRear }, units }
+ *   Dimensions may be numbers in units.length (default feet) or strings with their own units ("14'2\"").
+ * @returns {Promise<Object>} { state, roadType, dimensions, front, rear, police, heightPole, routeSurvey, required, rules, summary, ... }
+ */
+async function calculateEscorts(db, request) {
+  const state = String(request.state || '').trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(state)) throw new Error(`Invalid state: ${request.state}`);
+
+  const roadType = normalizeRoadType(request.roadType);
+  if (request.roadType && !roadType) {
+    throw new Error(`Unknown road type: ${request.roadType} (expected ${ROAD_TYPES.join(', ')})`);
+  }
+
+  const lengthUnit = request.units?.length || 'ft';
+  const raw = request.dims || {};
+  const dimensions = {};
+  for (const field of Object.keys(DIMENSION_LABELS)) {
+    dimensions[field] = parseLength(raw[field], lengthUnit);
+  }
+  if (Object.values(dimensions).every(value => value === null)) {
+    throw new Error('At least one of width, height or length is required');
+  }
+
+  const limits = await getStateLimits(db, state);
+  const escorts = evaluateEscorts(dimensions, limits.escorts, roadType);
+
+  return {
+    state,
+    roadType,
+    dimensions,
+    ...escorts,
+    summary: describeEscorts(escorts),
+    rulesSource: limits.source,
+    rulesVersion: limits.version || null
+  };
+}
+
+module.exports = {
+  ROAD_TYPES,
+  normalizeRoadType,
+  evaluateEscorts,
+  describeEscorts,
+  formatEscortText,
+  calculateEscorts
+};
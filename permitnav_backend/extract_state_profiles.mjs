@@ -0,0 +1,186 @@
+/**
+ * State Profile Extraction Stage
+ * Turns cached binder text (pdf_cache/, written by process_state_pdfs.mjs) into structured
+ * profiles, shows a diff against the published profile, and publishes to state_rules/{stateCode}
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { db, FieldValue } from './firebase_bootstrap.mjs';
+
+const require = createRequire(import.meta.url);
+const { extractStateProfile } = require('./state_profile_extractor.js');
+const { diffProfiles } = require('./state_profile_diff.js');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_DIR = path.join(__dirname, 'pdf_cache');
+const DRAFT_DIR = path.join(__dirname, 'state_profiles');
+
+/**
+ * Read cached binder text and its source filename for a state
+ */
+function readCachedBinder(state) {
+  const cacheFile = path.join(CACHE_DIR, `${state}_content.txt`);
+  if (!fs.existsSync(cacheFile)) return null;
+
+  const content = fs.readFileSync(cacheFile, 'utf8');
+  const filename = (content.match(/^FILENAME: (.+)$/m) || [])[1] || null;
+  return {
+    filename,
+    text: content.split('=== REGULATION CONTENT ===').pop()
+  };
+}
+
+/**
+ * Currently published profile (null if none or Firestore is unreachable)
+ */
+async function loadPublishedProfile(state) {
+  try {
+    const doc = await db.collection('state_rules').doc(state).get();
+    return doc.exists ? doc.data() : null;
+  } catch (error) {
+    console.warn(`⚠️ Could not read published profile for ${state}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Extract a draft profile for one state and write it with its review diff
+ */
+async function extractState(state) {
+  const binder = readCachedBinder(state);
+  if (!binder) {
+    console.error(`❌ No cached text for ${state}. Run: node process_state_pdfs.mjs states ${state}`);
+    return false;
+  }
+
+  const profile = extractStateProfile(binder.text, state, {
+    binderName: binder.filename || `${state} OS/OW Binder`,
+    sourceFile: binder.filename
+  });
+
+  const published = await loadPublishedProfile(state);
+  const changes = diffProfiles(published, profile);
+
+  const draft = {
+    profile,
+    review: {
+      previousVersion: published?.version || 0,
+      changes,
+      generatedAt: new Date().toISOString()
+    }
+  };
+
+  fs.writeFileSync(path.join(DRAFT_DIR, `${state}.draft.json`), JSON.stringify(draft, null, 2), 'utf8');
+
+  console.log(`\n📝 ${state}: draft written (${changes.length} change${changes.length === 1 ? '' : 's'} vs v${draft.review.previousVersion})`);
+  changes.forEach(change => console.log(`   • ${change.message}`));
+  if (profile.extraction.missing.length) {
+    console.log(`   ⚠️ Not found in binder: ${profile.extraction.missing.join(', ')}`);
+  }
+  if (profile.extraction.unresolved.length) {
+    console.log(`   ⚠️ Escort vehicles not stated, both positions assumed: ${profile.extraction.unresolved.join(', ')}`);
+  }
+  return true;
+}
+
+/**
+ * Publish a reviewed draft, archiving the previous version
+ */
+async function publishState(state) {
+  const draftFile = path.join(DRAFT_DIR, `${state}.draft.json`);
+  if (!fs.existsSync(draftFile)) {
+    console.error(`❌ No draft for ${state}. Run: node extract_state_profiles.mjs extract ${state}`);
+    return false;
+  }
+
+  const { profile, review } = JSON.parse(fs.readFileSync(draftFile, 'utf8'));
+  const published = await loadPublishedProfile(state);
+  const currentVersion = published?.version || 0;
+
+  // Someone published since this draft was reviewed - the diff shown is stale
+  if (currentVersion !== review.previousVersion) {
+    console.error(`❌ ${state} is now at v${currentVersion} (draft was reviewed against v${review.previousVersion}). Re-run extract.`);
+    return false;
+  }
+
+  if (review.changes.length === 0 && published) {
+    console.log(`⏭️ ${state}: no changes to publish`);
+    return true;
+  }
+
+  const stateRef = db.collection('state_rules').doc(state);
+  const batch = db.batch();
+  if (published) {
+    batch.set(stateRef.collection('versions').doc(String(currentVersion)), published);
+  }
+  batch.set(stateRef, {
+    ...profile,
+    version: currentVersion + 1,
+    changesFromPrevious: review.changes,
+    publishedAt: FieldValue.serverTimestamp()
+  });
+  await batch.commit();
+
+  fs.unlinkSync(draftFile);
+  console.log(`✅ ${state}: published v${currentVersion + 1}`);
+  return true;
+}
+
+function resolveStates(args) {
+  if (args.length === 1 && args[0] === 'all') {
+    return fs.readdirSync(CACHE_DIR)
+      .filter(file => file.endsWith('_content.txt'))
+      .map(file => file.replace('_content.txt', ''));
+  }
+  return args.map(state => state.toUpperCase());
+}
+
+// Command line interface
+const command = process.argv[2];
+const args = process.argv.slice(3);
+
+async function main() {
+  if (!fs.existsSync(DRAFT_DIR)) {
+    fs.mkdirSync(DRAFT_DIR, { recursive: true });
+  }
+
+  switch (command) {
+    case 'extract':
+      for (const state of resolveStates(args)) {
+        await extractState(state);
+      }
+      break;
+
+    case 'publish':
+      if (args.length === 0) {
+        console.error('❌ Please provide state codes to publish: node extract_state_profiles.mjs publish IN OH');
+        process.exit(1);
+      }
+      for (const state of resolveStates(args)) {
+        await publishState(state);
+      }
+      break;
+
+    default:
+      console.log(`
+📖 State Profile Extraction Usage:
+
+  Extract draft profiles from cached binder text and show the diff to review:
+  node extract_state_profiles.mjs extract IN OH
+  node extract_state_profiles.mjs extract all
+
+  Publish reviewed drafts to Firestore state_rules/{stateCode}:
+  node extract_state_profiles.mjs publish IN OH
+
+Drafts are written to ./state_profiles/{STATE}.draft.json for review.
+`);
+      break;
+  }
+}
+
+main().catch(e => { console.error('❌ Profile extraction error:', e); process.exit(1); });
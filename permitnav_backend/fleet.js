@@ -0,0 +1,421 @@
+/**
+ * Fleet profiles: trucks (tractors) and trailers
+ * A load's dims/weight are the cargo; what HERE and the permit rules care about is the whole rig. With a
+ * truck and trailer on the load, equipmentEnvelope() stacks the cargo on the trailer deck and combines
+ * the units into the overall height, width, length, gross weight and axle configuration.
+ * Profiles are stored in feet/pounds like loads (trucks/{truckId}, trailers/{trailerId}).
+ */
+
+const admin = require('firebase-admin');
+const { parseLength, parseWeight, normalizeLengthUnit, normalizeWeightUnit } = require('./measurements');
+const { normalizeAxleConfiguration, axleGroups } = require('./axles');
+const { FINISHED_LOAD_STATUSES } = require('./load_lifecycle');
+const { loadToDimensions } = require('./route_compliance');
+
+const EQUIPMENT_KINDS = {
+  truck: { collection: 'trucks', loadField: 'truckId' },
+  trailer: { collection: 'trailers', loadField: 'trailerId' }
+};
+
+// Deck height (ft) assumed when a trailer profile does not give one
+const TRAILER_TYPES = {
+  flatbed: 5,
+  step_deck: 3.5,
+  double_drop: 2,
+  rgn: 2,
+  lowboy: 1.5,
+  extendable: 5,
+  perimeter: 1.5,
+  schnabel: 1.5,
+  dry_van: 4,
+  reefer: 4,
+  tanker: 4,
+  other: 5
+};
+
+// HERE Routing v8 truck[shippedHazardousGoods] values
+const HAZMAT_CLASSES = [
+  'explosive', 'gas', 'flammable', 'combustible', 'organic', 'poison',
+  'radioActive', 'corrosive', 'poisonousInhalation', 'harmfulToWater', 'other'
+];
+
+// Fifth wheel to tractor rear, when the truck profile does not say (typical day cab / sleeper)
+const DEFAULT_FIFTH_WHEEL_SETBACK = 3;
+// Kingpin to trailer front (SAE standard kingpin setting)
+const DEFAULT_KINGPIN_SETBACK = 3;
+
+// Coupling geometry (all optional; defaults/assumptions are reported on the envelope):
+//   fifthWheelSetback   fifth wheel to tractor rear
+//   fifthWheelOffset    fifth wheel ahead of the tractor's last axle
+//   kingpinSetback      kingpin to trailer front
+//   kingpinToFirstAxle  kingpin to the trailer's first axle
+const LENGTH_FIELDS = {
+  truck: ['height', 'width', 'length', 'fifthWheelSetback', 'fifthWheelOffset'],
+  trailer: ['deckHeight', 'width', 'length', 'kingpinSetback', 'kingpinToFirstAxle']
+};
+const TEXT_FIELDS = {
+  truck: ['unitNumber', 'make', 'model', 'vin', 'plate'],
+  trailer: ['unitNumber', 'make', 'model', 'vin', 'plate']
+};
+
+/**
+ * Rejected profile operation; code is the HttpsError code callers should surface
+ */
+class FleetProfileError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'FleetProfileError';
+    this.code = code;
+  }
+}
+
+function equipmentKind(kind) {
+  const config = EQUIPMENT_KINDS[kind];
+  if (!config) throw new FleetProfileError('invalid-argument', `Unknown equipment kind: ${kind} (expected truck or trailer)`);
+  return config;
+}
+
+/**
+ * "flammable", ["Flammable", "corrosive"] -> HERE hazardous goods classes
+ */
+function normalizeHazmatClasses(value) {
+  if (value === null || value === undefined || value === false) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(entry => {
+    const match = HAZMAT_CLASSES.find(name => name.toLowerCase() === String(entry).trim().toLowerCase().replace(/[\s_-]/g, ''));
+    if (!match) throw new FleetProfileError('invalid-argument', `Unknown hazmat class: ${entry} (expected ${HAZMAT_CLASSES.join(', ')})`);
+    return match;
+  }).filter((name, index, all) => all.indexOf(name) === index);
+}
+
+/**
+ * Profile input in any units -> stored fields (feet/pounds)
+ * With partial, only the fields given are checked and returned (updates).
+ * @param {string} kind - truck | trailer
+ * @param {Object} input - { unitNumber, make, model, year, vin, plate, height/deckHeight, width, length,
+ *   tareWeight, axleConfiguration { count, spacings }, hazmatEndorsements, trailerType, ... }
+ * @param {Object} units - { length, weight } for plain numbers (default feet/pounds)
+ */
+function normalizeProfile(kind, input, units = {}, options = {}) {
+  equipmentKind(kind);
+  const lengthUnit = units.length ? normalizeLengthUnit(units.length) : 'ft';
+  const weightUnit = units.weight ? normalizeWeightUnit(units.weight) : 'lb';
+  if (!lengthUnit || !weightUnit) {
+    throw new FleetProfileError('invalid-argument', `Unknown units: ${JSON.stringify(units)} (length: ft/in/m/cm, weight: lb/kg/t/ton/kip)`);
+  }
+
+  const given = field => input[field] !== undefined;
+  const profile = {};
+
+  for (const field of TEXT_FIELDS[kind]) {
+    if (given(field)) profile[field] = input[field] === null ? null : String(input[field]).trim();
+  }
+  if (!options.partial && !profile.unitNumber) {
+    throw new FleetProfileError('invalid-argument', 'unitNumber is required');
+  }
+  if (given('year')) {
+    const year = input.year === null ? null : Number(input.year);
+    if (year !== null && !(Number.isInteger(year) && year > 1900 && year < 2100)) {
+      throw new FleetProfileError('invalid-argument', `Invalid year: ${input.year}`);
+    }
+    profile.year = year;
+  }
+
+  for (const field of LENGTH_FIELDS[kind]) {
+    if (!given(field)) continue;
+    const feet = input[field] === null ? null : parseLength(input[field], lengthUnit);
+    if (input[field] !== null && (feet === null || feet < 0)) {
+      throw new FleetProfileError('invalid-argument', `Invalid ${field}: ${input[field]}`);
+    }
+    profile[field] = feet;
+  }
+  if (given('tareWeight')) {
+    const pounds = input.tareWeight === null ? null : parseWeight(input.tareWeight, weightUnit);
+    if (input.tareWeight !== null && (pounds === null || pounds <= 0)) {
+      throw new FleetProfileError('invalid-argument', `Invalid tareWeight: ${input.tareWeight}`);
+    }
+    profile.tareWeight = pounds;
+  }
+
+  if (given('axleConfiguration')) {
+    try {
+      profile.axleConfiguration = normalizeAxleConfiguration(input.axleConfiguration, { length: lengthUnit, weight: weightUnit });
+    } catch (axleError) {
+      throw new FleetProfileError('invalid-argument', `Invalid axleConfiguration: ${axleError.message}`);
+    }
+    profile.axleGroups = axleGroups(profile.axleConfiguration);
+  }
+
+  if (given('hazmatEndorsements')) profile.hazmatEndorsements = normalizeHazmatClasses(input.hazmatEndorsements);
+
+  if (kind === 'trailer' && (given('trailerType') || !options.partial)) {
+    const type = String(input.trailerType || '').trim().toLowerCase().replace(/[\s-]/g, '_');
+    if (!TRAILER_TYPES[type]) {
+      throw new FleetProfileError('invalid-argument', `Unknown trailerType: ${input.trailerType} (expected ${Object.keys(TRAILER_TYPES).join(', ')})`);
+    }
+    profile.trailerType = type;
+  }
+
+  if (given('active')) profile.active = Boolean(input.active);
+  return profile;
+}
+
+function checkWriter(actor) {
+  if (!actor.service && actor.role !== 'dispatcher') {
+    throw new FleetProfileError('permission-denied', 'Only dispatchers can manage fleet profiles');
+  }
+}
+
+/**
+ * Create a truck or trailer profile (dispatchers/service only)
+ * @returns {Promise<{id: string, profile: Object}>}
+ */
+async function createProfile(db, kind, input, options) {
+  const { actor, units } = options;
+  checkWriter(actor);
+  const profile = normalizeProfile(kind, input || {}, units);
+
+  const FieldValue = admin.firestore.FieldValue;
+  const ref = db.collection(equipmentKind(kind).collection).doc();
+  const stored = {
+    ...profile,
+    hazmatEndorsements: profile.hazmatEndorsements || [],
+    active: profile.active !== false,
+    units: { length: 'ft', weight: 'lb' },
+    createdAt: FieldValue.serverTimestamp(),
+    createdBy: actor.uid
+  };
+  await ref.set(stored);
+  return { id: ref.id, profile: stored };
+}
+
+/**
+ * Update some fields of a profile; fields not given are kept
+ */
+async function updateProfile(db, kind, id, input, options) {
+  const { actor, units } = options;
+  checkWriter(actor);
+  const changes = normalizeProfile(kind, input || {}, units, { partial: true });
+  if (!Object.keys(changes).length) throw new FleetProfileError('invalid-argument', 'No profile fields to update');
+
+  const ref = db.collection(equipmentKind(kind).collection).doc(id);
+  const doc = await ref.get();
+  if (!doc.exists) throw new FleetProfileError('not-found', `${kind} ${id} not found`);
+
+  await ref.update({
+    ...changes,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedBy: actor.uid
+  });
+  return { id, profile: { ...doc.data(), ...changes } };
+}
+
+/**
+ * Delete a profile no active load uses (set active: false to retire one that has history)
+ */
+async function deleteProfile(db, kind, id, options) {
+  checkWriter(options.actor);
+  const config = equipmentKind(kind);
+  const ref = db.collection(config.collection).doc(id);
+  if (!(await ref.get()).exists) throw new FleetProfileError('not-found', `${kind} ${id} not found`);
+
+  const loads = await db.collection('loads').where(config.loadField, '==', id).get();
+  const active = loads.docs.filter(doc => !FINISHED_LOAD_STATUSES.includes(doc.data().status));
+  if (active.length) {
+    throw new FleetProfileError('failed-precondition',
+      `${kind} ${id} is on ${active.length} active load(s) (${active.slice(0, 5).map(doc => doc.id).join(', ')}) - set active: false instead`);
+  }
+
+  await ref.delete();
+  return { id, deleted: true };
+}
+
+/**
+ * List profiles, retired ones only when asked
+ */
+async function listProfiles(db, kind, options = {}) {
+  const snapshot = await db.collection(equipmentKind(kind).collection).get();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(profile => options.includeInactive || profile.active !== false)
+    .sort((a, b) => String(a.unitNumber).localeCompare(String(b.unitNumber), undefined, { numeric: true }));
+}
+
+/**
+ * Fetch the truck and trailer a load references
+ * @returns {Promise<{truck: Object|null, trailer: Object|null}>}
+ */
+async function getLoadEquipment(db, load) {
+  const equipment = { truck: null, trailer: null };
+  for (const [kind, config] of Object.entries(EQUIPMENT_KINDS)) {
+    const id = load[config.loadField];
+    if (!id) continue;
+    const doc = await db.collection(config.collection).doc(id).get();
+    if (!doc.exists) throw new FleetProfileError('not-found', `${kind} ${id} not found`);
+    equipment[kind] = { id, ...doc.data() };
+  }
+  return equipment;
+}
+
+/**
+ * Cargo hazmat classes the truck or trailer is not endorsed for
+ * @returns {Object[]} [{ kind, id, unitNumber, missing: [classes] }]
+ */
+function missingHazmatEndorsements(hazmat, equipment) {
+  if (!hazmat.length) return [];
+  return Object.keys(EQUIPMENT_KINDS)
+    .filter(kind => equipment[kind])
+    .map(kind => ({
+      kind,
+      id: equipment[kind].id,
+      unitNumber: equipment[kind].unitNumber || null,
+      missing: hazmat.filter(name => !(equipment[kind].hazmatEndorsements || []).includes(name))
+    }))
+    .filter(entry => entry.missing.length);
+}
+
+function maxOf(...values) {
+  const known = values.filter(value => value !== null && value !== undefined);
+  return known.length ? Math.max(...known) : null;
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Tractor axles followed by trailer axles
+ * The gap between the units is kingpinToFirstAxle minus how far the fifth wheel sits ahead of the
+ * tractor's last axle; without kingpinToFirstAxle only the axle count is known.
+ */
+function combineAxles(truck, trailer, assumptions) {
+  const tractorAxles = truck?.axleConfiguration || null;
+  const trailerAxles = trailer?.axleConfiguration || null;
+  if (!tractorAxles && !trailerAxles) return null;
+  if (!tractorAxles || !trailerAxles) return { count: (tractorAxles || trailerAxles).count, spacings: [], weights: [] };
+
+  const count = tractorAxles.count + trailerAxles.count;
+  const known = tractorAxles.spacings.length === tractorAxles.count - 1 &&
+    trailerAxles.spacings.length === trailerAxles.count - 1 &&
+    trailer.kingpinToFirstAxle !== null && trailer.kingpinToFirstAxle !== undefined;
+  if (!known) {
+    assumptions.push('Axle spacings unknown - trailer kingpinToFirstAxle or unit spacings missing');
+    return { count, spacings: [], weights: [] };
+  }
+  if (truck.fifthWheelOffset === null || truck.fifthWheelOffset === undefined) {
+    assumptions.push('Fifth wheel assumed over the tractor\'s last axle (no fifthWheelOffset)');
+  }
+
+  const gap = trailer.kingpinToFirstAxle - (truck.fifthWheelOffset || 0);
+  if (gap <= 0) {
+    assumptions.push('Axle spacings unknown - kingpinToFirstAxle is shorter than fifthWheelOffset');
+    return { count, spacings: [], weights: [] };
+  }
+  return { count, spacings: [...tractorAxles.spacings, round(gap), ...trailerAxles.spacings], weights: [] };
+}
+
+/**
+ * Overall envelope of truck + trailer + cargo (feet/pounds)
+ * Cargo sits on the trailer deck from its front; cargo longer than the deck overhangs the rear. Axle
+ * weights come from the load when it has them (a weigh ticket or permit), since tare per axle plus
+ * cargo cannot be split between axles without knowing where the cargo sits.
+ * @param {Object} cargo - loadToDimensions(load): { height, width, length, grossWeight (cargo weight), overhangFront, overhangRear }
+ * @param {Object} equipment - { truck, trailer } from getLoadEquipment()
+ * @param {Object} options - { axleConfiguration (the load's, normalized), hazmat (classes) }
+ * @returns {Object} { height, width, length, grossWeight, overhangFront, overhangRear, axleConfiguration, hazmat, trailerCount, truckId, trailerId, assumptions }
+ */
+function equipmentEnvelope(cargo, equipment, options = {}) {
+  const { truck, trailer } = equipment;
+  const assumptions = [];
+
+  let deckHeight = null;
+  if (trailer) {
+    deckHeight = trailer.deckHeight ?? TRAILER_TYPES[trailer.trailerType] ?? TRAILER_TYPES.other;
+    if (trailer.deckHeight === null || trailer.deckHeight === undefined) {
+      assumptions.push(`Deck height assumed ${deckHeight} ft for a ${trailer.trailerType || 'trailer'}`);
+    }
+  }
+  const height = maxOf(truck?.height, trailer && cargo.height !== null ? deckHeight + cargo.height : cargo.height);
+
+  // Cargo past the end of the deck is rear overhang, whatever the load says
+  const deckOverhang = trailer?.length && cargo.length !== null && cargo.length > trailer.length ? cargo.length - trailer.length : null;
+  const overhangRear = maxOf(cargo.overhangRear, deckOverhang);
+
+  let length = cargo.length;
+  if (truck && trailer) {
+    const fifthWheel = (truck.length ?? 0) - (truck.fifthWheelSetback ?? DEFAULT_FIFTH_WHEEL_SETBACK);
+    const trailerFront = fifthWheel - (trailer.kingpinSetback ?? DEFAULT_KINGPIN_SETBACK);
+    const deck = trailer.length ?? 0;
+    const overhang = cargo.length !== null && cargo.length > deck ? cargo.length - deck : 0;
+    length = maxOf(truck.length, trailerFront + deck + overhang);
+    if (truck.length === null || truck.length === undefined || trailer.length === null || trailer.length === undefined) {
+      assumptions.push('Overall length incomplete - truck or trailer length missing');
+    }
+  } else if (truck || trailer) {
+    const unit = truck || trailer;
+    length = maxOf(unit.length, cargo.length);
+  }
+
+  const tare = (truck?.tareWeight || 0) + (trailer?.tareWeight || 0);
+  if ((truck && !truck.tareWeight) || (trailer && !trailer.tareWeight)) {
+    assumptions.push('Gross weight excludes missing tare weights');
+  }
+
+  const axleConfiguration = options.axleConfiguration?.weights?.length
+    ? options.axleConfiguration
+    : combineAxles(truck, trailer, assumptions) || options.axleConfiguration || null;
+
+  return {
+    height: round(height),
+    width: round(maxOf(truck?.width, trailer?.width, cargo.width)),
+    length: round(length),
+    grossWeight: cargo.grossWeight === null && !tare ? null : Math.round((cargo.grossWeight || 0) + tare),
+    overhangFront: round(cargo.overhangFront ?? null),
+    overhangRear: round(overhangRear),
+    axleConfiguration,
+    hazmat: options.hazmat || [],
+    trailerCount: trailer ? 1 : 0,
+    truckId: truck?.id || null,
+    trailerId: trailer?.id || null,
+    trailerType: trailer?.trailerType || null,
+    assumptions
+  };
+}
+
+/**
+ * A load as seen through its envelope - what compliance checks should measure
+ * Overhangs come from the envelope, or from the load for envelopes stored before they were tracked.
+ */
+function envelopeToLoad(load, envelope) {
+  const cargo = loadToDimensions(load);
+  return {
+    ...load,
+    dims: {
+      h: envelope.height,
+      w: envelope.width,
+      l: envelope.length,
+      overhangFront: envelope.overhangFront ?? cargo.overhangFront,
+      overhangRear: envelope.overhangRear ?? cargo.overhangRear
+    },
+    weight: envelope.grossWeight,
+    axleConfiguration: envelope.axleConfiguration,
+    units: { length: 'ft', weight: 'lb' }
+  };
+}
+
+module.exports = {
+  EQUIPMENT_KINDS,
+  TRAILER_TYPES,
+  HAZMAT_CLASSES,
+  FleetProfileError,
+  normalizeHazmatClasses,
+  normalizeProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  listProfiles,
+  getLoadEquipment,
+  missingHazmatEndorsements,
+  equipmentEnvelope,
+  envelopeToLoad
+};
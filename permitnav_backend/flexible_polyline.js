@@ -0,0 +1,155 @@
+/**
+ * HERE Flexible Polyline decoder (and a 2D encoder for the offline router)
+ * Implements https://github.com/heremaps/flexible-polyline (format version 1)
+ */
+
+const ENCODING_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const DECODING_TABLE = {};
+for (let i = 0; i < ENCODING_CHARS.length; i++) {
+  DECODING_TABLE[ENCODING_CHARS[i]] = i;
+}
+
+const FORMAT_VERSION = 1;
+const THIRD_DIMENSIONS = ['absent', 'level', 'altitude', 'elevation', 'reserved1', 'reserved2', 'custom1', 'custom2'];
+
+/**
+ * Split the encoded string into unsigned varints (5 bits per char, 0x20 = continuation)
+ * Uses arithmetic instead of bit shifts - values can exceed 32 bits
+ */
+function decodeUnsignedValues(encoded) {
+  const values = [];
+  let result = 0;
+  let multiplier = 1;
+
+  for (const char of encoded) {
+    const value = DECODING_TABLE[char];
+    if (value === undefined) {
+      throw new Error(`Invalid flexible polyline character: ${char}`);
+    }
+
+    result += (value & 0x1F) * multiplier;
+    if (value & 0x20) {
+      multiplier *= 32;
+    } else {
+      values.push(result);
+      result = 0;
+      multiplier = 1;
+    }
+  }
+
+  if (multiplier !== 1) {
+    throw new Error('Invalid flexible polyline: truncated value');
+  }
+  return values;
+}
+
+function toSigned(value) {
+  return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+}
+
+/**
+ * Decode a flexible polyline
+ * @param {string} encoded - Polyline string from HERE Routing v8 (sections[].polyline)
+ * @returns {{precision: number, thirdDim: string, polyline: number[][]}} points as [lat, lng(, z)]
+ */
+function decode(encoded) {
+  const values = decodeHeader(encoded);
+  const { precision, thirdDim, thirdDimPrecision, body } = values;
+
+  const factorDegree = 10 ** precision;
+  const factorZ = 10 ** thirdDimPrecision;
+  const hasThirdDim = thirdDim !== 0;
+  const stride = hasThirdDim ? 3 : 2;
+
+  const polyline = [];
+  let lastLat = 0;
+  let lastLng = 0;
+  let lastZ = 0;
+
+  for (let i = 0; i + stride - 1 < body.length; i += stride) {
+    lastLat += toSigned(body[i]);
+    lastLng += toSigned(body[i + 1]);
+
+    if (hasThirdDim) {
+      lastZ += toSigned(body[i + 2]);
+      polyline.push([lastLat / factorDegree, lastLng / factorDegree, lastZ / factorZ]);
+    } else {
+      polyline.push([lastLat / factorDegree, lastLng / factorDegree]);
+    }
+  }
+
+  return { precision, thirdDim: THIRD_DIMENSIONS[thirdDim], thirdDimPrecision, polyline };
+}
+
+function decodeHeader(encoded) {
+  const values = decodeUnsignedValues(encoded);
+  if (values.length < 2) {
+    throw new Error('Invalid flexible polyline: missing header');
+  }
+
+  const [version, header] = values;
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported flexible polyline version: ${version}`);
+  }
+
+  return {
+    precision: header & 15,
+    thirdDim: (header >> 4) & 7,
+    thirdDimPrecision: (header >> 7) & 15,
+    body: values.slice(2)
+  };
+}
+
+function encodeUnsignedValue(value) {
+  let encoded = '';
+  // Arithmetic, like the decoder - values can exceed 32 bits
+  while (value > 0x1F) {
+    encoded += ENCODING_CHARS[(value % 32) | 0x20];
+    value = Math.floor(value / 32);
+  }
+  return encoded + ENCODING_CHARS[value];
+}
+
+function encodeSigned(value) {
+  return encodeUnsignedValue(value < 0 ? -value * 2 - 1 : value * 2);
+}
+
+/**
+ * Encode [lat, lng] points as a flexible polyline (no third dimension)
+ * @param {number[][]} points - [lat, lng] pairs
+ * @param {number} precision - Decimal places kept (HERE uses 5)
+ */
+function encode(points, precision = 5) {
+  const factor = 10 ** precision;
+  let encoded = encodeUnsignedValue(FORMAT_VERSION) + encodeUnsignedValue(precision);
+  let lastLat = 0;
+  let lastLng = 0;
+
+  for (const [lat, lng] of points) {
+    const scaledLat = Math.round(lat * factor);
+    const scaledLng = Math.round(lng * factor);
+    encoded += encodeSigned(scaledLat - lastLat) + encodeSigned(scaledLng - lastLng);
+    lastLat = scaledLat;
+    lastLng = scaledLng;
+  }
+  return encoded;
+}
+
+/**
+ * Great-circle distance in meters between two [lat, lng] points
+ */
+function haversineMeters(a, b) {
+  const R = 6371000;
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(b[0] - a[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+  decode,
+  encode,
+  haversineMeters
+};
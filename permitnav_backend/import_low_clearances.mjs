@@ -0,0 +1,96 @@
+/**
+ * Import known low clearances into low_clearances/{id} for planRoute's clearance check
+ *
+ * Usage: node import_low_clearances.mjs <file.json|file.csv> [--dry-run]
+ *
+ * Records (a JSON array, or CSV with a header row) carry lat, lng, clearance and optionally id,
+ * description and ref - e.g. a state DOT's posted low-clearance list, or National Bridge Inventory
+ * rows reduced to those columns. Clearance may carry units ("13'6\"", "4.1 m"); it is stored in feet.
+ * Each doc gets the grid tile findClearanceHits queries by. Docs without an id are keyed by position,
+ * so re-importing a file updates its structures instead of duplicating them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { normalizeLowClearance } = require('./route_scoring.js');
+
+const BATCH_SIZE = 400;
+
+// One CSV line -> fields; double quotes wrap fields with commas, "" is a literal quote
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      field += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+function readRecords(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() === '.json') return JSON.parse(text);
+
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+  const columns = splitCsvLine(header).map(column => column.toLowerCase());
+  return lines.map(line => {
+    const values = splitCsvLine(line);
+    return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+  });
+}
+
+function docId(record, structure) {
+  if (record.id) return String(record.id).replace(/\//g, '_');
+  return `${structure.lat.toFixed(5)}_${structure.lng.toFixed(5)}`;
+}
+
+async function main() {
+  const [file, ...flags] = process.argv.slice(2);
+  const dryRun = flags.includes('--dry-run');
+  if (!file) {
+    console.error('Usage: node import_low_clearances.mjs <file.json|file.csv> [--dry-run]');
+    process.exit(1);
+  }
+
+  const structures = [];
+  readRecords(file).forEach((record, i) => {
+    try {
+      const structure = normalizeLowClearance(record);
+      structures.push([docId(record, structure), structure]);
+    } catch (error) {
+      console.warn(`⚠️ Skipping record ${i + 1}: ${error.message}`);
+    }
+  });
+  console.log(`📋 ${structures.length} structures read from ${file}`);
+  if (dryRun || !structures.length) return;
+
+  const { db, FieldValue } = await import('./firebase_bootstrap.mjs');
+  for (let i = 0; i < structures.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const [id, structure] of structures.slice(i, i + BATCH_SIZE)) {
+      batch.set(db.collection('low_clearances').doc(id), { ...structure, importedAt: FieldValue.serverTimestamp() }, { merge: true });
+    }
+    await batch.commit();
+    console.log(`✅ Imported ${Math.min(i + BATCH_SIZE, structures.length)}/${structures.length}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Import failed:', error);
+  process.exit(1);
+});
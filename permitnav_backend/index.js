@@ -4,11 +4,50 @@
  */
 
 const functions = require('firebase-functions');
+const { onRequest } = require('firebase-functions/v2/https');
 const admin = require('firebase-admin');
 const express = require('express');
 const cors = require('cors');
-const OpenAI = require('openai');
-const pdfParse = require('pdf-parse');
+const { createProvider } = require('./llm_provider');
+const { createDataSource, createChatService } = require('./chat_core');
+const { getStateLimits } = require('./state_limits');
+const { evaluatePermit } = require('./permit_rules');
+const { parsePermitFile, mergeParsedPermit } = require('./permit_parser');
+const { checkRouteCompliance, loadToDimensions, dimensionsToLoadDims, loadUnits } = require('./route_compliance');
+const { normalizeAxleConfiguration, routingAxleParams } = require('./axles');
+const { ROAD_TYPES, normalizeRoadType, calculateEscorts } = require('./escort_calculator');
+const { checkTravelWindows } = require('./time_rules');
+const { findClearanceHits, scoreCandidate, compareCandidates } = require('./route_scoring');
+const { LoadTransitionError, transitionLoad, creationEntry } = require('./load_lifecycle');
+const {
+  TaskError,
+  handleLoadCreated,
+  handleLoadUpdated,
+  handleRoutePlanCreated,
+  handlePermitWritten,
+  handleTaskCreated,
+  handleTaskUpdated,
+  escalateOverdueTasks,
+  assignTask,
+  completeTask
+} = require('./task_engine');
+const {
+  FleetProfileError,
+  normalizeHazmatClasses,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  listProfiles,
+  getLoadEquipment,
+  missingHazmatEndorsements,
+  equipmentEnvelope,
+  envelopeToLoad
+} = require('./fleet');
+const { normalizeLengthUnit, normalizeWeightUnit } = require('./measurements');
+const { RoutingError, createRoutingProvider } = require('./routing_provider');
+const { registerChatRoutes } = require('./chat_routes');
+const { registerConversationRoutes } = require('./conversation_routes');
+const { registerStateRoutes } = require('./state_routes');
 
 // Initialize Firebase Admin with explicit bucket name
 admin.initializeApp({
@@ -17,10 +56,20 @@ admin.initializeApp({
 const db = admin.firestore();
 const storage = admin.storage();
 
-// Initialize OpenAI
-const openai = new OpenAI({ 
-  apiKey: functions.config().openai.key || process.env.OPENAI_API_KEY 
-});
+// Initialize the LLM provider (LLM_PROVIDER=mock runs the chat path offline from fixtures/llm)
+const openaiApiKey = functions.config().openai?.key || process.env.OPENAI_API_KEY;
+const llm = createProvider({ apiKey: openaiApiKey });
+
+// Optional semantic re-ranking on top of BM25 with the provider's embeddings (RETRIEVAL_EMBEDDINGS=on)
+const embedder = process.env.RETRIEVAL_EMBEDDINGS === 'on' ? llm : null;
+
+// Initialize the routing provider (ROUTING_PROVIDER=local routes offline from fixtures/routing)
+const hereApiKey = functions.config().here?.api_key || process.env.HERE_API_KEY;
+const routing = createRoutingProvider({ apiKey: hereApiKey });
+
+// Compliance chat over Firestore regulation chunks (CHAT_DATA_SOURCE=local for pdf_cache)
+const source = createDataSource({ db, embedder });
+const chat = createChatService({ llm, db, source });
 
 // Create Express app
 const expressApp = express();
@@ -46,19 +95,10 @@ expressApp.get('/health', (req, res) => {
 });
 
 /**
- * Get available states
+ * Get available states - see state_routes.js
+ * GET /api/states (codes with ingested regulations), ?detail=true for registry metadata
  */
-expressApp.get('/api/states', (req, res) => {
-  const states = [
-    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA',
-    'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
-    'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
-    'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC',
-    'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
-  ];
-  
-  res.json(states);
-});
+registerStateRoutes(expressApp, source);
 
 /**
  * Generate ephemeral token for OpenAI Realtime API
@@ -71,7 +111,7 @@ expressApp.post('/api/realtime-token', async (req, res) => {
     const response = await fetch('https://api.openai.com/v1/realtime/sessions', {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${openai.apiKey}`,
+        'Authorization': `Bearer ${openaiApiKey}`,
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
@@ -136,242 +176,35 @@ Speak clearly in American English with a neutral accent.`,
 });
 
 /**
- * Main chat endpoint - PDF-powered compliance responses
+ * Chat endpoints (/api/chat, /api/chat/stream) - see chat_core.js
  */
-expressApp.post('/api/chat', async (req, res) => {
-  try {
-    const { permitId, stateKey, permitText, userQuestion, conversationId } = req.body;
-    
-    // Validation
-    if (!userQuestion || userQuestion.trim().length === 0) {
-      return res.status(400).json({
-        error: 'User question is required',
-        code: 'MISSING_QUESTION'
-      });
-    }
-    
-    if (!permitId && !stateKey) {
-      return res.status(400).json({
-        error: 'Either permitId or stateKey must be provided',
-        code: 'MISSING_CONTEXT'
-      });
-    }
-
-    console.log(`💬 Chat request: ${userQuestion.substring(0, 100)}...`);
-    console.log(`📋 Permit ID: ${permitId || 'N/A'}`);
-    console.log(`🏛️ State: ${stateKey || 'From permit'}`);
-
-    // Get regulation content from Firestore (fast!)
-    const regulationData = await loadStateRegulationContent(stateKey || 'IN', userQuestion);
-    const regulationContent = regulationData.content;
-    const contactInfo = regulationData.contactInfo;
-
-    // Create natural conversational prompt
-    const hasPermitContext = permitText && permitText.includes('PERMIT');
-    const systemPrompt = createSystemPrompt(stateKey || 'IN', contactInfo, hasPermitContext);
-    const userPrompt = createUserPrompt(userQuestion, permitText, regulationContent, hasPermitContext);
-
-    // Query OpenAI with PDF content and hierarchy instructions
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: 0.1,
-      response_format: { type: 'json_object' }
-    });
-
-    const response = JSON.parse(completion.choices[0].message.content);
-    
-    console.log(`✅ Response generated with confidence: ${response.confidence}`);
-    
-    // Transform response to match Android app expectations
-    const complianceResponse = {
-      is_compliant: response.confidence > 0.7,
-      violations: response.violations || [],
-      escorts: response.escorts || 'Contact state DOT for escort requirements',
-      travel_restrictions: response.travel_restrictions || 'Check state regulations',
-      notes: response.notes || 'General guidance based on available information',
-      contact_info: response.confidence < 0.8 ? {
-        department: contactInfo.department,
-        phone: contactInfo.phones[0] || 'Contact state DOT',
-        email: contactInfo.emails[0] || null,
-        website: contactInfo.websites[0] || null,
-        office_hours: 'Standard business hours'
-      } : null,
-      confidence: response.confidence || 0.7,
-      sources: response.sources || ['State regulation PDFs'],
-      state: stateKey,
-      permitNumber: permitId
-    };
-
-    console.log(`✅ Response sent (confidence: ${response.confidence})`);
-    res.json(complianceResponse);
-
-  } catch (error) {
-    console.error('❌ Chat API error:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message,
-      confidence: 0
-    });
-  }
-});
+registerChatRoutes(expressApp, chat);
 
 /**
- * Load state regulation content from Firestore (lightning fast!)
+ * Conversation history endpoints (list / fetch / delete)
  */
-async function loadStateRegulationContent(state, userQuestion = '') {
-  try {
-    console.log(`⚡ Loading regulations for ${state} from Firestore`);
-    
-    // Get state regulations from Firestore
-    const stateDoc = await db.collection('state_regulations').doc(state.toUpperCase()).get();
-    
-    if (!stateDoc.exists) {
-      console.warn(`⚠️ No regulations found for state: ${state}`);
-      return {
-        content: `No specific regulations available for ${state}. Please contact the state DOT directly.`,
-        contactInfo: {
-          state: state.toUpperCase(),
-          department: `${state.toUpperCase()} Department of Transportation`,
-          phones: [],
-          emails: [],
-          websites: []
-        }
-      };
-    }
-    
-    const stateData = stateDoc.data();
-    console.log(`📋 Found ${stateData.chunkCount} regulation chunks for ${state}`);
-    
-    // For specific questions, search relevant chunks
-    // For general questions, use summary from first few chunks
-    let relevantContent = '';
-    
-    if (userQuestion && userQuestion.length > 10) {
-      // Use first 3 chunks for focused content (6000 chars max)
-      relevantContent = stateData.chunks.slice(0, 3).join('\n\n');
-    } else {
-      // Use first 2 chunks for general questions (4000 chars max)
-      relevantContent = stateData.chunks.slice(0, 2).join('\n\n');
-    }
-    
-    console.log(`✅ Loaded ${relevantContent.length} characters for ${state}`);
-    
-    return {
-      content: relevantContent,
-      contactInfo: stateData.contactInfo || {
-        state: state.toUpperCase(),
-        department: `${state.toUpperCase()} Department of Transportation`,
-        phones: [],
-        emails: [],
-        websites: []
-      }
-    };
-    
-  } catch (error) {
-    console.error(`❌ Error loading regulations for ${state}:`, error);
-    return {
-      content: `Unable to load specific regulations for ${state}. Please contact the state DOT for current requirements.`,
-      contactInfo: {
-        state: state.toUpperCase(),
-        department: `${state.toUpperCase()} Department of Transportation`,
-        phones: [],
-        emails: [],
-        websites: []
-      }
-    };
-  }
-}
-
-/**
- * Create system prompt with information hierarchy
- */
-function createSystemPrompt(state, contactInfo, hasPermitContext) {
-  return `You are a virtual dispatcher helping truck drivers with permit questions in ${state.toUpperCase()}.
-
-Your job: Answer permit questions using state regulations, just like talking to a real dispatcher.
-
-Rules:
-- Use the state regulation content provided first
-- If you can't find the answer there, search web for DOT contacts
-- Talk like a person, not a robot - natural conversation
-- Stay focused on permit/trucking topics only
-- When unsure, give DOT contact info
-
-${hasPermitContext ? 
-'The driver has a specific permit - help them understand it.' : 
-'General trucking question - give helpful guidance.'}
-
-Always respond with JSON:
-{
-  "is_compliant": true/false,
-  "violations": [],
-  "escorts": "escort requirements",
-  "travel_restrictions": "time/route limits", 
-  "notes": "your helpful response",
-  "confidence": 0.8,
-  "sources": ["State regulations"]
-}
-
-DOT Contact: ${contactInfo.phones[0] || `${state.toUpperCase()} DOT`}`;
-}
-
-/**
- * Create user prompt with permit context and PDF content
- */
-function createUserPrompt(userQuestion, permitText, regulationContent, hasPermitContext) {
-  let prompt = `Question: ${userQuestion}\n\n`;
-
-  if (permitText && permitText.trim() !== '') {
-    prompt += `Permit info:\n${permitText}\n\n`;
-  }
+registerConversationRoutes(expressApp, db);
 
-  prompt += `State regulations:\n${regulationContent}\n\n`;
-  
-  prompt += hasPermitContext ? 
-    `Help me understand what this means for my permit.` :
-    `What do I need to know?`;
+// Export the Express app as a 2nd gen Cloud Function with extended timeout - 1st gen buffers the
+// whole response, which would hold /api/chat/stream's events until the answer is complete.
+// Replacing the deployed 1st gen function: firebase functions:delete pdfchat, then deploy.
+exports.pdfchat = onRequest({
+  timeoutSeconds: 300,  // 5 minutes
+  memory: '1GiB'
+}, expressApp);
 
-  return prompt;
-}
+// ==========================================================================================
+// NEW DISPATCHER AUTOMATION FUNCTIONS
+// ==========================================================================================
 
 /**
- * Extract contact information from PDF content
+ * Who is calling, for permission checks and audit entries (role/service come from custom claims)
  */
-function extractContactInfo(pdfContent, state) {
-  const phonePattern = /(\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4})/g;
-  const emailPattern = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g;
-  const websitePattern = /(https?:\/\/[^\s]+|www\.[^\s]+)/g;
-
-  const phones = [...new Set(pdfContent.match(phonePattern) || [])];
-  const emails = [...new Set(pdfContent.match(emailPattern) || [])];
-  const websites = [...new Set(pdfContent.match(websitePattern) || [])];
-
-  return {
-    state: state.toUpperCase(),
-    department: `${state.toUpperCase()} Department of Transportation`,
-    phones: phones.slice(0, 3),
-    emails: emails.slice(0, 3),
-    websites: websites.slice(0, 2),
-    lastUpdated: new Date().toISOString()
-  };
+function actorFromContext(context) {
+  const token = context.auth.token || {};
+  return { uid: context.auth.uid, role: token.role || null, service: Boolean(token.service) };
 }
 
-// Export the Express app as a Firebase Cloud Function with extended timeout
-exports.pdfchat = functions
-  .runWith({
-    timeoutSeconds: 300,  // 5 minutes
-    memory: '1GB'
-  })
-  .https.onRequest(expressApp);
-
-// ==========================================================================================
-// NEW DISPATCHER AUTOMATION FUNCTIONS
-// ==========================================================================================
-
 /**
  * setUserRole
  * WHAT: Assign a user a role ("driver" or "dispatcher") as a custom claim + mirror in /users.
@@ -407,11 +240,112 @@ exports.setUserRole = functions.https.onCall(async (data, context) => {
   }
 });
 
+/**
+ * createFleetProfile / updateFleetProfile / deleteFleetProfile / listFleetProfiles
+ * WHAT: Manage truck (tractor) and trailer profiles: unit number, make/model, dimensions, tare weight,
+ *       axle configuration (groups are derived), trailer type and deck height, hazmat endorsements.
+ * WHY : planRoute routed every load as a generic 5-axle non-hazmat rig; loads now name their equipment.
+ * HOW : Call with { kind: 'truck' | 'trailer', profile, units? } to create, { kind, id, profile, units? } to
+ *       update (only the fields given), { kind, id } to delete (refused while an active load uses it - set
+ *       active: false instead) and { kind, includeInactive? } to list. Dispatchers only except listing.
+ *       Plain numbers are read in units { length, weight } (default feet/pounds). See fleet.js.
+ */
+exports.createFleetProfile = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { kind, profile, units } = data;
+
+    if (!kind || !profile) {
+      throw new functions.https.HttpsError('invalid-argument', 'kind and profile are required');
+    }
+
+    const result = await createProfile(db, kind, profile, { actor: actorFromContext(context), units });
+    return { success: true, kind, ...result };
+  } catch (error) {
+    console.error('createFleetProfile error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (error instanceof FleetProfileError) throw new functions.https.HttpsError(error.code, error.message);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+exports.updateFleetProfile = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { kind, id, profile, units } = data;
+
+    if (!kind || !id || !profile) {
+      throw new functions.https.HttpsError('invalid-argument', 'kind, id and profile are required');
+    }
+
+    const result = await updateProfile(db, kind, id, profile, { actor: actorFromContext(context), units });
+    return { success: true, kind, ...result };
+  } catch (error) {
+    console.error('updateFleetProfile error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (error instanceof FleetProfileError) throw new functions.https.HttpsError(error.code, error.message);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+exports.deleteFleetProfile = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { kind, id } = data;
+
+    if (!kind || !id) {
+      throw new functions.https.HttpsError('invalid-argument', 'kind and id are required');
+    }
+
+    const result = await deleteProfile(db, kind, id, { actor: actorFromContext(context) });
+    return { success: true, kind, ...result };
+  } catch (error) {
+    console.error('deleteFleetProfile error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (error instanceof FleetProfileError) throw new functions.https.HttpsError(error.code, error.message);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+exports.listFleetProfiles = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { kind, includeInactive } = data;
+
+    if (!kind) {
+      throw new functions.https.HttpsError('invalid-argument', 'kind is required');
+    }
+
+    const profiles = await listProfiles(db, kind, { includeInactive: Boolean(includeInactive) });
+    return { success: true, kind, profiles };
+  } catch (error) {
+    console.error('listFleetProfiles error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (error instanceof FleetProfileError) throw new functions.https.HttpsError(error.code, error.message);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
 /**
  * createLoad
- * WHAT: Create a Load and automatically create an open route_plan Task for dispatch.
+ * WHAT: Create a Load; onLoadCreated opens its route_plan Task for dispatch.
  * WHY : Dispatchers (or an automation) can drop in loads; system spawns next action.
- * HOW : POST JSON body with origin, destination, dims, weight, optional assignedDriverUid.
+ * HOW : POST JSON body with origin, destination, dims { h, w, l, overhangFront?, overhangRear? }, weight, optional units, axleConfiguration
+ *       { count, spacings, weights } and assignedDriverUid. Plain numbers are read in units { length, weight } (default metres/kg, the original HERE
+ *       convention); strings may carry their own ("14'2\"", "80,000 lbs"). Stored in feet/pounds.
+ *       Optional truckId/trailerId (fleet profiles) make dims/weight the cargo's; hazmat lists its classes.
  */
 exports.createLoad = functions.https.onCall(async (data, context) => {
   try {
@@ -427,7 +361,12 @@ exports.createLoad = functions.https.onCall(async (data, context) => {
       dims, 
       weight, 
       special, 
-      assignedDriverUid 
+      assignedDriverUid,
+      units,
+      axleConfiguration,
+      truckId,
+      trailerId,
+      hazmat
     } = data;
 
     if (!origin || !destination) {
@@ -437,43 +376,109 @@ exports.createLoad = functions.https.onCall(async (data, context) => {
       );
     }
 
-    // Create the load
-    const loadRef = await db.collection('loads').add({
+    const lengthUnit = units?.length ? normalizeLengthUnit(units.length) : 'm';
+    const weightUnit = units?.weight ? normalizeWeightUnit(units.weight) : 'kg';
+    if (!lengthUnit || !weightUnit) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Unknown units: ${JSON.stringify(units)} (length: ft/in/m/cm, weight: lb/kg/t/ton/kip)`
+      );
+    }
+
+    // Store everything in feet/pounds with the units recorded on the load
+    const measured = loadToDimensions({ dims, weight, units: { length: lengthUnit, weight: weightUnit } });
+    let axles = null;
+    try {
+      axles = normalizeAxleConfiguration(axleConfiguration, { length: lengthUnit, weight: weightUnit });
+    } catch (axleError) {
+      throw new functions.https.HttpsError('invalid-argument', `Invalid axleConfiguration: ${axleError.message}`);
+    }
+
+    // Equipment must exist; hazmat classes are the HERE shippedHazardousGoods names
+    const hazmatClasses = normalizeHazmatClasses(hazmat);
+    await getLoadEquipment(db, { truckId, trailerId });
+
+    // Create the load, starting its status history
+    const loadRef = db.collection('loads').doc();
+    const batch = db.batch();
+    batch.set(loadRef, {
       origin,
       destination,
       pickupWindow: pickupWindow || null,
       deliveryWindow: deliveryWindow || null,
-      dims: dims || null,
-      weight: weight || null,
+      dims: dims ? dimensionsToLoadDims(measured) : null,
+      weight: measured.grossWeight,
+      axleConfiguration: axles,
+      units: { length: 'ft', weight: 'lb' },
+      truckId: truckId || null,
+      trailerId: trailerId || null,
+      hazmat: hazmatClasses,
       special: special || [],
       assignedDriverUid: assignedDriverUid || null,
       status: 'new',
+      statusVersion: 0,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       createdBy: context.auth.uid
     });
-
-    // Automatically create a route planning task
-    await db.collection('tasks').add({
-      type: 'route_plan',
-      loadId: loadRef.id,
-      status: 'open',
-      driverUid: assignedDriverUid || null,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      createdBy: context.auth.uid
-    });
+    batch.set(loadRef.collection('history').doc(), creationEntry(actorFromContext(context)));
+    await batch.commit();
 
     return { success: true, loadId: loadRef.id };
   } catch (error) {
     console.error('createLoad error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (error instanceof FleetProfileError) throw new functions.https.HttpsError(error.code, error.message);
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
+// 13'6" x 8'6" x 59', 80,000 lbs - what planRoute assumes for dimensions a load does not give
+const LEGAL_TRUCK = { height: 13.5, width: 8.5, length: 59, grossWeight: 80000 };
+
+// HERE returns up to 6 alternatives besides the primary route
+const DEFAULT_ALTERNATIVES = 2;
+const MAX_ALTERNATIVES = 6;
+
+function isCoordinate(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+/**
+ * planRoute's alternatives / via / avoidAreas input, validated
+ */
+function routeOptions(data) {
+  const alternatives = data.alternatives === undefined ? DEFAULT_ALTERNATIVES : Number(data.alternatives);
+  if (!Number.isInteger(alternatives) || alternatives < 0 || alternatives > MAX_ALTERNATIVES) {
+    throw new functions.https.HttpsError('invalid-argument', `alternatives must be 0-${MAX_ALTERNATIVES}`);
+  }
+
+  const via = (data.via || []).map(point => ({ lat: Number(point?.lat), lng: Number(point?.lng) }));
+  if (via.some(point => !isCoordinate(point.lat, point.lng))) {
+    throw new functions.https.HttpsError('invalid-argument', 'via must be a list of { lat, lng }');
+  }
+
+  const avoidAreas = (data.avoidAreas || []).map(area => ({
+    north: Number(area?.north), south: Number(area?.south), east: Number(area?.east), west: Number(area?.west)
+  }));
+  if (avoidAreas.some(area => !isCoordinate(area.north, area.east) || !isCoordinate(area.south, area.west) || area.south >= area.north)) {
+    throw new functions.https.HttpsError('invalid-argument', 'avoidAreas must be a list of { north, south, east, west } boxes');
+  }
+
+  return { alternatives, via, avoidAreas };
+}
+
 /**
  * planRoute
- * WHAT: Calls HERE Truck Routing using Load + (basic) truck attrs; stores route; closes task.
+ * WHAT: Calls HERE Truck Routing using Load + (basic) truck attrs; stores route (onRoutePlanCreated closes the task).
  * WHY : Automates route planning step for dispatcher.
- * HOW : Call with { loadId }. Requires HERE_API_KEY in function config.
+ * HOW : Call with { loadId, departAt?, alternatives?, via?, avoidAreas? }. Requires HERE_API_KEY in function
+ *       config, or ROUTING_PROVIDER=local to route offline (routing_provider.js). departAt (ISO time, default
+ *       now) sets the route's ETAs, which are checked against each state's travel-time windows. A load with
+ *       truckId/trailerId is routed and checked as truck + trailer + cargo (fleet.js). The provider returns
+ *       the primary route plus up to `alternatives` (default 2) more, through via points [{ lat, lng }] and
+ *       around avoidAreas [{ north, south, east, west }]. Every candidate is checked and scored
+ *       (route_scoring.js) and stored under the plan's candidates; the plan carries the recommended one
+ *       until the dispatcher picks another with selectRoute.
  */
 exports.planRoute = functions.https.onCall(async (data, context) => {
   try {
@@ -486,6 +491,11 @@ exports.planRoute = functions.https.onCall(async (data, context) => {
     if (!loadId) {
       throw new functions.https.HttpsError('invalid-argument', 'loadId is required');
     }
+    const departAt = data.departAt ? new Date(data.departAt) : new Date();
+    if (isNaN(departAt.getTime())) {
+      throw new functions.https.HttpsError('invalid-argument', `Invalid departAt: ${data.departAt}`);
+    }
+    const options = routeOptions(data);
 
     // Get the load
     const loadDoc = await db.collection('loads').doc(loadId).get();
@@ -495,78 +505,639 @@ exports.planRoute = functions.https.onCall(async (data, context) => {
 
     const load = loadDoc.data();
     
-    // Default truck attributes (can be enhanced to use actual truck data)
+    // Load dimensions in feet/pounds
+    const dimensions = loadToDimensions(load);
+    let axles = null;
+    try {
+      axles = normalizeAxleConfiguration(load.axleConfiguration, loadUnits(load));
+    } catch (axleError) {
+      console.warn(`⚠️ Ignoring axle configuration on load ${loadId}: ${axleError.message}`);
+    }
+    const hazmat = normalizeHazmatClasses(load.hazmat);
+
+    // The load's truck and trailer must be endorsed for everything it carries
+    const equipment = await getLoadEquipment(db, load);
+    const unendorsed = missingHazmatEndorsements(hazmat, equipment);
+    if (unendorsed.length) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        unendorsed.map(entry => `${entry.kind} ${entry.unitNumber || entry.id} is not endorsed for ${entry.missing.join(', ')}`).join('; ')
+      );
+    }
+
+    // With a truck/trailer on the load the cargo is combined with them into the overall envelope;
+    // otherwise the load's dimensions are the overall ones, defaulting to a legal-size tractor-trailer
+    const envelope = equipment.truck || equipment.trailer
+      ? equipmentEnvelope(dimensions, equipment, { axleConfiguration: axles, hazmat })
+      : null;
+    const { axleCount, weightPerAxle } = routingAxleParams(envelope ? envelope.axleConfiguration : axles);
+    const overall = envelope || dimensions;
     const truck = {
-      height: (load.dims?.h ?? 4.0),
-      width: (load.dims?.w ?? 2.6), 
-      length: (load.dims?.l ?? 18.0),
-      weight: (load.weight ?? 36000),
-      axleCount: 5,
-      hazmat: false
+      height: overall.height ?? LEGAL_TRUCK.height,
+      width: overall.width ?? LEGAL_TRUCK.width,
+      length: overall.length ?? LEGAL_TRUCK.length,
+      grossWeight: overall.grossWeight ?? LEGAL_TRUCK.grossWeight,
+      axleCount,
+      weightPerAxle,
+      hazmat,
+      ...(envelope ? {
+        basis: 'equipment',
+        truckId: envelope.truckId,
+        trailerId: envelope.trailerId,
+        trailerType: envelope.trailerType,
+        trailerCount: envelope.trailerCount,
+        axleConfiguration: envelope.axleConfiguration,
+        assumptions: envelope.assumptions
+      } : { basis: 'load' }),
+      units: { length: 'ft', weight: 'lb' }
     };
 
-    // Get HERE API key
-    const hereApiKey = functions.config().here?.api_key || process.env.HERE_API_KEY;
-    if (!hereApiKey) {
-      throw new functions.https.HttpsError('failed-precondition', 'HERE_API_KEY not configured');
+    // Route through the configured provider (HERE, or the offline stand-in with ROUTING_PROVIDER=local)
+    const routeData = await routing.route({
+      origin: load.origin,
+      destination: load.destination,
+      via: options.via,
+      avoidAreas: options.avoidAreas,
+      alternatives: options.alternatives,
+      departAt,
+      truck
+    });
+
+    if (!routeData.routes?.length) {
+      throw new functions.https.HttpsError('not-found', `${routing.name} returned no route for this load`);
     }
 
-    // Build HERE API URL
-    const url = `https://router.hereapi.com/v8/routes?transportMode=truck` +
-      `&origin=${load.origin.lat},${load.origin.lng}` +
-      `&destination=${load.destination.lat},${load.destination.lng}` +
-      `&apiKey=${hereApiKey}` +
-      `&truck[height]=${truck.height}&truck[width]=${truck.width}&truck[length]=${truck.length}` +
-      `&truck[axleCount]=${truck.axleCount}&truck[weight]=${truck.weight}` +
-      `&return=polyline,summary,actions`;
+    // Check and price every candidate the same way
+    const complianceLoad = envelope ? envelopeToLoad(load, envelope) : load;
+    const candidates = [];
+    for (const [index, route] of routeData.routes.entries()) {
+      const candidateRoute = { ...routeData, routes: [route] };
+
+      // Work out which states the load passes through and what each one requires
+      let compliance = null;
+      try {
+        compliance = await checkRouteCompliance(db, complianceLoad, candidateRoute);
+      } catch (complianceError) {
+        console.error(`planRoute compliance check failed for candidate ${index}:`, complianceError);
+      }
 
-    // Call HERE API
-    const fetch = require('node-fetch');
-    const response = await fetch(url);
-    const routeData = await response.json();
+      // Is the move legal at that departure time, and if not, when is the earliest it can leave?
+      let travelWindows = null;
+      try {
+        travelWindows = await checkTravelWindows(db, candidateRoute, { departAt });
+      } catch (travelError) {
+        console.error(`planRoute travel window check failed for candidate ${index}:`, travelError);
+      }
 
-    if (!response.ok) {
-      throw new functions.https.HttpsError('internal', `HERE API error: ${routeData.error || 'Unknown error'}`);
+      let clearanceHits = [];
+      try {
+        clearanceHits = await findClearanceHits(db, route, truck.height);
+      } catch (clearanceError) {
+        console.error(`planRoute low-clearance check failed for candidate ${index}:`, clearanceError);
+      }
+
+      const score = scoreCandidate({ route, compliance, travelWindows, clearanceHits, departAt });
+      candidates.push({ routeData: candidateRoute, compliance, travelWindows, clearanceHits, score });
     }
+    const { recommended, reason, comparison } = compareCandidates(candidates.map(candidate => candidate.score));
+    const { routeData: selectedRoute, compliance, travelWindows, clearanceHits } = candidates[recommended];
 
-    // Store route plan
-    await db.collection('loads').doc(loadId).collection('routePlans').add({
-      provider: 'HERE',
-      routeData,
+    // Store route plan (carrying the recommended candidate) with every candidate beneath it
+    const routePlanRef = db.collection('loads').doc(loadId).collection('routePlans').doc();
+    const batch = db.batch();
+    candidates.forEach((candidate, index) => {
+      batch.set(routePlanRef.collection('candidates').doc(String(index)), candidate);
+    });
+    batch.set(routePlanRef, {
+      provider: routing.name,
+      routeData: selectedRoute,
       truck,
+      compliance,
+      travelWindows,
+      clearanceHits,
+      routeOptions: options,
+      candidateCount: candidates.length,
+      recommendedCandidate: recommended,
+      recommendationReason: reason,
+      selectedCandidate: recommended,
+      comparison,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       createdBy: context.auth.uid
     });
+    await batch.commit();
 
-    // Close open route_plan tasks for this load
-    const openTasks = await db.collection('tasks')
-      .where('loadId', '==', loadId)
-      .where('type', '==', 'route_plan')
-      .where('status', '==', 'open')
-      .get();
+    if (compliance) {
+      await db.collection('loads').doc(loadId).update({ routeStates: compliance.statesCrossed });
+    }
 
-    const batch = db.batch();
-    openTasks.docs.forEach(doc => {
-      batch.update(doc.ref, {
-        status: 'completed',
-        completedAt: admin.firestore.FieldValue.serverTimestamp(),
-        completedBy: context.auth.uid
-      });
-    });
-    await batch.commit();
+    // A first route plan moves the load on to permitting (later re-plans leave the status alone)
+    if ((load.status || 'new') === 'new') {
+      try {
+        await transitionLoad(db, loadId, 'permits_pending', {
+          actor: { ...actorFromContext(context), system: true },
+          reason: 'Route planned',
+          expectedFrom: 'new'
+        });
+      } catch (transitionError) {
+        console.warn(`⚠️ Load ${loadId} not moved to permits_pending: ${transitionError.message}`);
+      }
+    }
 
-    return { success: true, routeData };
+    return {
+      success: true,
+      routeData: selectedRoute,
+      routePlanId: routePlanRef.id,
+      compliance,
+      travelWindows,
+      recommendedCandidate: recommended,
+      recommendationReason: reason,
+      comparison
+    };
   } catch (error) {
     console.error('planRoute error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (error instanceof FleetProfileError || error instanceof RoutingError) {
+      throw new functions.https.HttpsError(error.code, error.message);
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * selectRoute
+ * WHAT: Make one of a route plan's candidates the plan's route (the dispatcher overriding the recommendation).
+ * WHY : The cheapest route is not always the one to run - a dispatcher may know a road, a customer or a shop.
+ * HOW : Call with { loadId, routePlanId, candidate, reason? }. Dispatchers only, and only until the load is
+ *       route_planned (permits are issued for a specific route). The choice is recorded in plan.selection.
+ */
+exports.selectRoute = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { loadId, routePlanId, candidate, reason } = data;
+
+    if (!loadId || !routePlanId || !Number.isInteger(candidate)) {
+      throw new functions.https.HttpsError('invalid-argument', 'loadId, routePlanId and candidate (index) are required');
+    }
+    const actor = actorFromContext(context);
+    if (!actor.service && actor.role !== 'dispatcher') {
+      throw new functions.https.HttpsError('permission-denied', 'Only dispatchers can select a route');
+    }
+
+    const loadRef = db.collection('loads').doc(loadId);
+    const loadDoc = await loadRef.get();
+    if (!loadDoc.exists) {
+      throw new functions.https.HttpsError('not-found', 'Load not found');
+    }
+    const status = loadDoc.data().status || 'new';
+    if (!['new', 'permits_pending'].includes(status)) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        `Load is ${status} - its route is fixed by the permits; move it back to permits_pending to change route`
+      );
+    }
+
+    const planRef = loadRef.collection('routePlans').doc(routePlanId);
+    const [planDoc, candidateDoc] = await Promise.all([
+      planRef.get(),
+      planRef.collection('candidates').doc(String(candidate)).get()
+    ]);
+    if (!planDoc.exists) {
+      throw new functions.https.HttpsError('not-found', 'Route plan not found');
+    }
+    if (!candidateDoc.exists) {
+      throw new functions.https.HttpsError('not-found', `Route plan has no candidate ${candidate} (0-${(planDoc.data().candidateCount || 1) - 1})`);
+    }
+
+    const chosen = candidateDoc.data();
+    const selection = {
+      candidate,
+      recommended: candidate === planDoc.data().recommendedCandidate,
+      reason: reason || null,
+      by: context.auth.uid,
+      at: new Date().toISOString()
+    };
+    await planRef.update({
+      routeData: chosen.routeData,
+      compliance: chosen.compliance,
+      travelWindows: chosen.travelWindows,
+      clearanceHits: chosen.clearanceHits,
+      selectedCandidate: candidate,
+      selection
+    });
+    if (chosen.compliance) {
+      await loadRef.update({ routeStates: chosen.compliance.statesCrossed });
+    }
+
+    return {
+      success: true,
+      routePlanId,
+      selection,
+      score: chosen.score,
+      compliance: chosen.compliance,
+      travelWindows: chosen.travelWindows
+    };
+  } catch (error) {
+    console.error('selectRoute error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * transitionLoad
+ * WHAT: Move a load through its lifecycle (new -> permits_pending -> route_planned -> assigned -> in_transit
+ *       -> delivered -> closed, or cancelled), writing an audit entry to loads/{loadId}/history.
+ * WHY : Status used to be set once and never changed; transitions are now checked server-side.
+ * HOW : Call with { loadId, status, reason?, driverUid? }. Dispatchers may make any allowed move; the
+ *       assigned driver may start (in_transit) and deliver their load. Assigning needs a driverUid,
+ *       cancelling needs a reason. See load_lifecycle.js.
+ */
+exports.transitionLoad = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { loadId, status, reason, driverUid } = data;
+
+    if (!loadId || !status) {
+      throw new functions.https.HttpsError('invalid-argument', 'loadId and status are required');
+    }
+
+    const result = await transitionLoad(db, loadId, status, {
+      actor: actorFromContext(context),
+      reason: reason || null,
+      driverUid: driverUid || null
+    });
+
+    return { success: true, loadId, ...result };
+  } catch (error) {
+    console.error('transitionLoad error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (error instanceof LoadTransitionError) throw new functions.https.HttpsError(error.code, error.message);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * onLoadCreated
+ * WHAT: Firestore trigger that opens the route_plan task for a new load.
+ * WHY : Task creation lives in the task engine, not in every function that creates a load.
+ * HOW : Runs on loads/{loadId} create; the task ID derives from the load, so a retry does not duplicate it.
+ */
+exports.onLoadCreated = functions
+  .runWith({ failurePolicy: true })
+  .firestore.document('loads/{loadId}')
+  .onCreate(async (snapshot, context) => {
+    try {
+      await handleLoadCreated(db, context.params.loadId, snapshot.data());
+    } catch (error) {
+      console.error(`onLoadCreated error for load ${context.params.loadId}:`, error);
+      throw error;
+    }
+    return null;
+  });
+
+/**
+ * onLoadStatusChange
+ * WHAT: Firestore trigger that moves tasks along with a load's status: permit_apply opens on
+ *       permits_pending, escort_book on route_planned (when the route needs escorts), driver_ack on
+ *       assigned; tasks the new status finishes are completed and ones it makes moot are cancelled.
+ * WHY : Each lifecycle step hands off to whoever acts next without the caller creating tasks.
+ * HOW : Runs on every loads/{loadId} update; task IDs derive from statusVersion so retries are harmless.
+ *       See TASK_TYPES in task_engine.js.
+ */
+exports.onLoadStatusChange = functions
+  .runWith({ failurePolicy: true })
+  .firestore.document('loads/{loadId}')
+  .onUpdate(async (change, context) => {
+    try {
+      await handleLoadUpdated(db, context.params.loadId, change.before.data(), change.after.data());
+    } catch (error) {
+      console.error(`onLoadStatusChange error for load ${context.params.loadId}:`, error);
+      throw error;
+    }
+    return null;
+  });
+
+/**
+ * onRoutePlanCreated
+ * WHAT: Firestore trigger that completes a load's open route_plan tasks when a route plan is stored.
+ * WHY : planRoute (or anyone writing a plan) no longer closes tasks itself.
+ * HOW : Runs on loads/{loadId}/routePlans/{routePlanId} create; only open tasks are touched.
+ */
+exports.onRoutePlanCreated = functions
+  .runWith({ failurePolicy: true })
+  .firestore.document('loads/{loadId}/routePlans/{routePlanId}')
+  .onCreate(async (snapshot, context) => {
+    try {
+      await handleRoutePlanCreated(db, context.params.loadId, snapshot.data());
+    } catch (error) {
+      console.error(`onRoutePlanCreated error for load ${context.params.loadId}:`, error);
+      throw error;
+    }
+    return null;
+  });
+
+/**
+ * onPermitWritten
+ * WHAT: Firestore trigger that opens a permit_validate task when an upload is parsed and completes it
+ *       when validatePermit records a verdict.
+ * WHY : Parsed permits used to sit unvalidated until someone noticed them.
+ * HOW : Runs on permits/{permitId} writes; one task per parsed upload (keyed by intake.parsedAt).
+ */
+exports.onPermitWritten = functions
+  .runWith({ failurePolicy: true })
+  .firestore.document('permits/{permitId}')
+  .onWrite(async (change, context) => {
+    try {
+      await handlePermitWritten(db, context.params.permitId,
+        change.before.exists ? change.before.data() : null,
+        change.after.exists ? change.after.data() : null);
+    } catch (error) {
+      console.error(`onPermitWritten error for permit ${context.params.permitId}:`, error);
+      throw error;
+    }
+    return null;
+  });
+
+/**
+ * onTaskCreated / onTaskUpdated
+ * WHAT: Stamp every new task with its SLA due date, priority and assignee (dispatch pool, or the load's
+ *       driver for driver tasks); stamp completion time and whether the SLA was met when it closes.
+ * WHY : Tasks created by the engine, a dispatcher or n8n all get the same SLA handling.
+ * HOW : Fields already set are left alone, so retries are no-ops. SLAs are in TASK_TYPES (task_engine.js).
+ */
+exports.onTaskCreated = functions
+  .runWith({ failurePolicy: true })
+  .firestore.document('tasks/{taskId}')
+  .onCreate(async (snapshot, context) => {
+    try {
+      await handleTaskCreated(db, snapshot.ref);
+    } catch (error) {
+      console.error(`onTaskCreated error for task ${context.params.taskId}:`, error);
+      throw error;
+    }
+    return null;
+  });
+
+exports.onTaskUpdated = functions
+  .runWith({ failurePolicy: true })
+  .firestore.document('tasks/{taskId}')
+  .onUpdate(async (change, context) => {
+    try {
+      await handleTaskUpdated(db, change.after.ref, change.before.data(), change.after.data());
+    } catch (error) {
+      console.error(`onTaskUpdated error for task ${context.params.taskId}:`, error);
+      throw error;
+    }
+    return null;
+  });
+
+/**
+ * escalateOverdueTasks
+ * WHAT: Every 15 minutes, escalate open tasks past their due date: priority goes up (normal -> high ->
+ *       urgent), driver tasks move to the dispatch pool and the task gets another half SLA.
+ * WHY : Overdue permits and unacknowledged loads were only noticed when a truck missed its window.
+ * HOW : Scheduled (Cloud Scheduler). Each escalation is recorded in the task's escalations list.
+ */
+exports.escalateOverdueTasks = functions.pubsub
+  .schedule('every 15 minutes')
+  .onRun(async () => {
+    try {
+      await escalateOverdueTasks(db, new Date());
+    } catch (error) {
+      console.error('escalateOverdueTasks error:', error);
+    }
+    return null;
+  });
+
+/**
+ * assignTask
+ * WHAT: Hand an open task to a dispatcher or a driver.
+ * WHY : Tasks start in the dispatch pool (or with the load's driver); dispatchers route them to people.
+ * HOW : Call with { taskId, assigneeRole: 'dispatcher' | 'driver', assigneeUid? }. Dispatchers only;
+ *       assigneeUid is required for drivers (omit it to put a task back in the dispatch pool).
+ */
+exports.assignTask = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { taskId, assigneeRole, assigneeUid } = data;
+
+    if (!taskId || !assigneeRole) {
+      throw new functions.https.HttpsError('invalid-argument', 'taskId and assigneeRole are required');
+    }
+
+    const result = await assignTask(db, taskId, {
+      actor: actorFromContext(context),
+      assigneeRole,
+      assigneeUid: assigneeUid || null
+    });
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('assignTask error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (error instanceof TaskError) throw new functions.https.HttpsError(error.code, error.message);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * completeTask
+ * WHAT: Mark an open task done (e.g. a driver acknowledging a load, a dispatcher confirming escorts).
+ * WHY : Tasks that no load status change covers still need closing, with who and when.
+ * HOW : Call with { taskId, note? }. The assignee or any dispatcher; completing twice is a no-op.
+ */
+exports.completeTask = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { taskId, note } = data;
+
+    if (!taskId) {
+      throw new functions.https.HttpsError('invalid-argument', 'taskId is required');
+    }
+
+    const result = await completeTask(db, taskId, {
+      actor: actorFromContext(context),
+      note: note || null
+    });
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('completeTask error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (error instanceof TaskError) throw new functions.https.HttpsError(error.code, error.message);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * checkRouteCompliance
+ * WHAT: Per-state checklist (permit needed, escorts, travel-time restrictions) for a stored route plan.
+ * WHY : Dispatchers were working this out by hand for every multi-state move.
+ * HOW : Call with { loadId, routePlanId? }. Defaults to the latest route plan; result is saved on the plan.
+ */
+exports.checkRouteCompliance = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { loadId, routePlanId } = data;
+
+    if (!loadId) {
+      throw new functions.https.HttpsError('invalid-argument', 'loadId is required');
+    }
+
+    const loadRef = db.collection('loads').doc(loadId);
+    const loadDoc = await loadRef.get();
+    if (!loadDoc.exists) {
+      throw new functions.https.HttpsError('not-found', 'Load not found');
+    }
+
+    let planDoc;
+    if (routePlanId) {
+      planDoc = await loadRef.collection('routePlans').doc(routePlanId).get();
+    } else {
+      const latest = await loadRef.collection('routePlans').orderBy('createdAt', 'desc').limit(1).get();
+      planDoc = latest.docs[0];
+    }
+    if (!planDoc || !planDoc.exists) {
+      throw new functions.https.HttpsError('not-found', 'Route plan not found - run planRoute first');
+    }
+
+    // Plans built from a truck/trailer are checked against the envelope they were routed with
+    const plan = planDoc.data();
+    const load = plan.truck?.basis === 'equipment' ? envelopeToLoad(loadDoc.data(), plan.truck) : loadDoc.data();
+    const compliance = await checkRouteCompliance(db, load, plan.routeData);
+
+    await planDoc.ref.update({ compliance });
+    await loadRef.update({ routeStates: compliance.statesCrossed });
+
+    return { success: true, routePlanId: planDoc.id, compliance };
+  } catch (error) {
+    console.error('checkRouteCompliance error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
 /**
- * validatePermit (STUB)
- * WHAT: Placeholder to mark permit validated/flagged; wire your analyzer + state_rules JSON later.
- * WHY : Keeps the endpoint stable for n8n/agent now; you can swap internals anytime.
- * HOW : Call with { permitId }.
+ * checkTravelWindows
+ * WHAT: Checks a stored route plan's per-state ETAs against daylight, weekend, holiday and curfew rules.
+ * WHY : Travel-time restrictions were only listed as text; dispatchers still had to work out when to leave.
+ * HOW : Call with { loadId, routePlanId?, departAt? }. Defaults to the latest plan and its departure time.
+ *       Returns whether the move is legal and the earliest legal departure; the result is saved on the plan.
+ */
+exports.checkTravelWindows = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { loadId, routePlanId } = data;
+
+    if (!loadId) {
+      throw new functions.https.HttpsError('invalid-argument', 'loadId is required');
+    }
+    const departAt = data.departAt ? new Date(data.departAt) : null;
+    if (departAt && isNaN(departAt.getTime())) {
+      throw new functions.https.HttpsError('invalid-argument', `Invalid departAt: ${data.departAt}`);
+    }
+
+    const loadRef = db.collection('loads').doc(loadId);
+    let planDoc;
+    if (routePlanId) {
+      planDoc = await loadRef.collection('routePlans').doc(routePlanId).get();
+    } else {
+      const latest = await loadRef.collection('routePlans').orderBy('createdAt', 'desc').limit(1).get();
+      planDoc = latest.docs[0];
+    }
+    if (!planDoc || !planDoc.exists) {
+      throw new functions.https.HttpsError('not-found', 'Route plan not found - run planRoute first');
+    }
+
+    const travelWindows = await checkTravelWindows(db, planDoc.data().routeData, departAt ? { departAt } : {});
+    await planDoc.ref.update({ travelWindows });
+
+    return { success: true, routePlanId: planDoc.id, travelWindows };
+  } catch (error) {
+    console.error('checkTravelWindows error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * calculateEscorts
+ * WHAT: Front/rear escorts, police escort and height pole needed for a load in one state, with rule references.
+ * WHY : Escorts are the most common driver question; the answer should come from the state's tiers, not the LLM.
+ * HOW : Call with { state, roadType?, dims: { width, height, length }, units? } or { state, roadType?, loadId }.
+ *       roadType is interstate, multilane or two_lane; without it every tier applies.
+ */
+exports.calculateEscorts = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { state, roadType, loadId, units } = data;
+    let { dims } = data;
+
+    if (!/^[A-Za-z]{2}$/.test((state || '').trim())) {
+      throw new functions.https.HttpsError('invalid-argument', 'state (two-letter code) is required');
+    }
+    if (roadType && !normalizeRoadType(roadType)) {
+      throw new functions.https.HttpsError('invalid-argument', `Unknown roadType: ${roadType} (expected ${ROAD_TYPES.join(', ')})`);
+    }
+
+    // A stored load supplies its own dimensions (already converted to feet)
+    if (!dims && loadId) {
+      const loadDoc = await db.collection('loads').doc(loadId).get();
+      if (!loadDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'Load not found');
+      }
+      dims = loadToDimensions(loadDoc.data());
+    }
+
+    const measured = dims ? Object.values(dims).filter(value => value !== null && value !== undefined && value !== '') : [];
+    if (!measured.length) {
+      throw new functions.https.HttpsError('invalid-argument', 'dims { width, height, length } or loadId is required');
+    }
+    if (units?.length && !normalizeLengthUnit(units.length)) {
+      throw new functions.https.HttpsError('invalid-argument', `Unknown length unit: ${units.length}`);
+    }
+
+    const escorts = await calculateEscorts(db, {
+      state,
+      roadType,
+      dims,
+      units: data.dims ? units : { length: 'ft' }
+    });
+
+    return { success: true, escorts };
+  } catch (error) {
+    console.error('calculateEscorts error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * validatePermit
+ * WHAT: Check a permit's dimensions and dates against the issuing state's structured limits.
+ * WHY : Deterministic, reproducible verdicts with rule references - no LLM in the loop.
+ * HOW : Call with { permitId }. Uses state_rules/{stateCode} when published, else built-in limits.
  */
 exports.validatePermit = functions.https.onCall(async (data, context) => {
   try {
@@ -588,11 +1159,31 @@ exports.validatePermit = functions.https.onCall(async (data, context) => {
       throw new functions.https.HttpsError('not-found', 'Permit not found');
     }
 
-    // TODO: Integrate your chat_worker & state_rules validation
-    // For now, return a stub validation
+    const permit = permitDoc.data();
+    const stateCode = (permit.state || '').trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(stateCode)) {
+      throw new functions.https.HttpsError('failed-precondition', `Permit has no valid issuing state: ${permit.state}`);
+    }
+
+    // Run the rule engine against the state's limits
+    const limits = await getStateLimits(db, stateCode);
+    const result = evaluatePermit(permit, limits);
+
     const verdict = {
-      compliant: true,
-      notes: ['Automatic validation - placeholder implementation'],
+      compliant: result.compliant,
+      state: stateCode,
+      violations: result.violations,
+      warnings: result.warnings,
+      oversize: result.oversize,
+      escorts: result.escorts,
+      axles: result.axles,
+      notes: [
+        ...result.violations.map(v => v.message),
+        ...result.warnings.map(w => w.message),
+        ...result.oversize.map(o => o.message)
+      ],
+      rulesSource: limits.source,
+      rulesVersion: limits.version || null,
       validatedAt: new Date().toISOString(),
       validatedBy: context.auth.uid
     };
@@ -607,6 +1198,85 @@ exports.validatePermit = functions.https.onCall(async (data, context) => {
     return { success: true, verdict };
   } catch (error) {
     console.error('validatePermit error:', error);
+    if (error instanceof functions.https.HttpsError) throw error;
     throw new functions.https.HttpsError('internal', error.message);
   }
-});
\ No newline at end of file
+});
+
+/**
+ * parsePermitUpload
+ * WHAT: Parse permit files drivers upload (PDF or photo) into the permits/{permitId} document.
+ * WHY : Permit number, issuing state, validity dates, route, dimensions (any units -> feet/lbs),
+ *       axle configuration and special conditions without retyping the permit.
+ * HOW : Storage trigger on permits/{driverId}/{permitId}/{fileName}. Parsed values only fill empty
+ *       fields - edits win, disagreements are listed in intake.conflicts for review. An upload under a
+ *       driverId that does not own the permit is refused with a failed intake.
+ */
+exports.parsePermitUpload = functions
+  .runWith({
+    timeoutSeconds: 300,  // OCR of scanned permits
+    memory: '1GB'
+  })
+  .storage.object().onFinalize(async (object) => {
+    const match = /^permits\/([^/]+)\/([^/]+)\/([^/]+)$/.exec(object.name || '');
+    if (!match) return null;
+
+    const [, driverId, permitId, fileName] = match;
+    const permitRef = db.collection('permits').doc(permitId);
+    const FieldValue = admin.firestore.FieldValue;
+
+    try {
+      const permitDoc = await permitRef.get();
+      const existing = permitDoc.exists ? permitDoc.data() : {};
+
+      // Another driver's permit: nothing from this file is merged, only the failed intake is recorded
+      if (existing.driverId && existing.driverId !== driverId) {
+        throw new Error(`Permit ${permitId} belongs to another driver than ${driverId}`);
+      }
+
+      console.log(`📥 Parsing permit upload ${object.name} (${object.contentType})`);
+      const [buffer] = await storage.bucket(object.bucket).file(object.name).download();
+
+      const parsed = await parsePermitFile(buffer, {
+        contentType: object.contentType,
+        fallbackState: existing.state
+      });
+      const { fields, conflicts } = mergeParsedPermit(existing, parsed);
+
+      await permitRef.set({
+        ...fields,
+        ...(existing.driverId ? {} : { driverId }),
+        ...(existing.ocrText ? {} : { ocrText: parsed.text }),
+        sourceFiles: FieldValue.arrayUnion(object.name),
+        intake: {
+          status: 'parsed',
+          sourcePath: object.name,
+          fileName,
+          method: parsed.method,
+          textConfidence: parsed.textConfidence,
+          confidence: parsed.confidence,
+          missing: parsed.missing,
+          conflicts,
+          parsedAt: new Date().toISOString()
+        },
+        ...(permitDoc.exists ? {} : { createdAt: FieldValue.serverTimestamp() }),
+        updatedAt: FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      console.log(`✅ Permit ${permitId}: ${Object.keys(fields).length} fields filled, ${parsed.missing.length} missing, ${conflicts.length} conflicts`);
+      return null;
+    } catch (error) {
+      console.error(`parsePermitUpload error for ${object.name}:`, error);
+      await permitRef.set({
+        intake: {
+          status: 'failed',
+          sourcePath: object.name,
+          fileName,
+          error: error.message,
+          failedAt: new Date().toISOString()
+        },
+        updatedAt: FieldValue.serverTimestamp()
+      }, { merge: true });
+      return null;
+    }
+  });
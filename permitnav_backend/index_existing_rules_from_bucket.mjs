@@ -1,5 +1,9 @@
+import { createRequire } from 'module';
 import { bucket, db, FieldValue } from './firebase_bootstrap.mjs';
 
+const require = createRequire(import.meta.url);
+const { findState } = require('./state_registry.js');
+
 async function main() {
   const [files] = await bucket.getFiles({ prefix: 'rules/' });
   if (!files.length) {
@@ -7,14 +11,24 @@ async function main() {
     return;
   }
   for (const file of files) {
-    const name = file.name; // e.g., "rules/delaware.pdf"
-    const stateKey = name.replace(/^rules\/|\.pdf$/g, '').toLowerCase();
-    await db.collection('rules').doc(stateKey).set({
-      state: stateKey.toUpperCase(),
+    const name = file.name; // e.g., "rules/DE.pdf" (older uploads: "rules/delaware.pdf")
+    const fileKey = name.replace(/^rules\/|\.pdf$/g, '');
+    const state = findState(fileKey);
+    if (!state) {
+      console.warn(`⚠️ Skipping ${name}: no matching state in state_registry.js`);
+      continue;
+    }
+    await db.collection('rules').doc(state.code).set({
+      state: state.code,
+      name: state.name,
       pdfPath: name,
       createdAt: FieldValue.serverTimestamp()
     }, { merge: true });
-    console.log(`✅ Indexed: ${stateKey} -> ${name}`);
+    // Drop the doc an older run keyed by full name ("new_york")
+    if (fileKey !== state.code) {
+      await db.collection('rules').doc(fileKey.toLowerCase()).delete();
+    }
+    console.log(`✅ Indexed: ${state.code} -> ${name}`);
   }
   const snap = await db.collection('rules').get();
   console.log(`\n📚 Indexed states: ${snap.size}`);
@@ -0,0 +1,208 @@
+/**
+ * LLM provider abstraction
+ * One interface for chat completions, streaming and embeddings, so the chat path can run
+ * against OpenAI or a deterministic fixture-backed mock (no network, no API key).
+ *
+ * Select with LLM_PROVIDER=openai|mock (default openai). Models are tiers so callers never
+ * hard-code names: 'default' (LLM_MODEL, gpt-4o-mini), 'large' (LLM_LARGE_MODEL, gpt-4o),
+ * 'embedding' (LLM_EMBEDDING_MODEL, text-embedding-3-small). Literal model ids also work.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./regulation_retrieval');
+
+const DEFAULT_MODELS = {
+  default: 'gpt-4o-mini',
+  large: 'gpt-4o',
+  embedding: 'text-embedding-3-small'
+};
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'llm');
+const MOCK_EMBEDDING_DIMENSIONS = 64;
+const MOCK_STREAM_CHUNK = 16;
+
+function resolveModels(overrides = {}) {
+  return {
+    default: overrides.default || process.env.LLM_MODEL || DEFAULT_MODELS.default,
+    large: overrides.large || process.env.LLM_LARGE_MODEL || DEFAULT_MODELS.large,
+    embedding: overrides.embedding || process.env.LLM_EMBEDDING_MODEL || DEFAULT_MODELS.embedding
+  };
+}
+
+/**
+ * OpenAI-backed provider
+ * @param {Object} options - { apiKey, models, client }
+ */
+function createOpenAIProvider(options = {}) {
+  // Loaded lazily so the mock provider works without the SDK configured
+  const OpenAI = require('openai');
+  const client = options.client || new OpenAI({ apiKey: options.apiKey });
+  const models = resolveModels(options.models);
+  const modelFor = model => models[model || 'default'] || model;
+
+  function requestBody({ messages, model, temperature = 0.1, json = false, maxTokens }) {
+    const body = { model: modelFor(model), messages, temperature };
+    if (json) body.response_format = { type: 'json_object' };
+    if (maxTokens) body.max_tokens = maxTokens;
+    return body;
+  }
+
+  return {
+    name: 'openai',
+    models,
+
+    /**
+     * @param {Object} request - { messages, model, temperature, json, maxTokens }
+     * @returns {Promise<{content: string, model: string, usage: Object|null}>}
+     */
+    async complete(request) {
+      const completion = await client.chat.completions.create(requestBody(request));
+      return {
+        content: completion.choices[0]?.message?.content || '',
+        model: completion.model,
+        usage: completion.usage || null
+      };
+    },
+
+    /**
+     * Yields text deltas; breaking out of the loop aborts the request
+     */
+    async *stream(request) {
+      const stream = await client.chat.completions.create({ ...requestBody(request), stream: true });
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+
+    async embed(texts, { model = 'embedding' } = {}) {
+      const response = await client.embeddings.create({ model: modelFor(model), input: texts });
+      return response.data.map(item => item.embedding);
+    }
+  };
+}
+
+/**
+ * Load fixture files: { name, match: { system: [...], user: [...] }, response: Object|string }
+ * match strings are case-insensitive substrings of the system prompt(s) / last user message
+ */
+function loadFixtures(fixturesDir) {
+  if (!fs.existsSync(fixturesDir)) return [];
+
+  return fs.readdirSync(fixturesDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8')) }));
+}
+
+function fixtureMatches(fixture, systemText, userText) {
+  const { system = [], user = [] } = fixture.match || {};
+  return system.every(term => systemText.includes(term.toLowerCase())) &&
+    user.every(term => userText.includes(term.toLowerCase()));
+}
+
+function matchSpecificity(fixture) {
+  const { system = [], user = [] } = fixture.match || {};
+  return system.length + user.length;
+}
+
+/**
+ * Hashed bag-of-words vector - similar wording gives similar vectors, same text same vector
+ */
+function mockEmbedding(text) {
+  const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+  for (const token of tokenize(text)) {
+    let hash = 2166136261;
+    for (let i = 0; i < token.length; i++) {
+      hash = Math.imul(hash ^ token.charCodeAt(i), 16777619) >>> 0;
+    }
+    vector[hash % MOCK_EMBEDDING_DIMENSIONS] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+/**
+ * Deterministic fixture-backed provider for tests and offline development
+ * The most specific matching fixture wins (ties broken by filename); "default" fixtures have no match.
+ * @param {Object} options - { fixturesDir, fixtures }
+ */
+function createMockProvider(options = {}) {
+  const fixtures = options.fixtures || loadFixtures(options.fixturesDir || FIXTURES_DIR);
+  const models = resolveModels(options.models);
+  const calls = [];
+
+  function respond(request) {
+    const { messages = [], json = false } = request;
+    const systemText = messages.filter(m => m.role === 'system').map(m => m.content).join('\n').toLowerCase();
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const userText = (lastUser?.content || '').toLowerCase();
+
+    const fixture = fixtures
+      .filter(candidate => fixtureMatches(candidate, systemText, userText))
+      .sort((a, b) => matchSpecificity(b) - matchSpecificity(a))[0];
+
+    if (!fixture) {
+      throw new Error('Mock LLM: no fixture matches this request (add one to fixtures/llm/)');
+    }
+
+    calls.push({ ...request, fixture: fixture.name || fixture.file });
+    const { response } = fixture;
+    const content = typeof response === 'string' ? response : JSON.stringify(response);
+
+    if (json && typeof response === 'string') {
+      JSON.parse(content); // JSON mode must return JSON - fail loudly on a bad fixture
+    }
+    return content;
+  }
+
+  return {
+    name: 'mock',
+    models,
+    calls,
+
+    async complete(request) {
+      return {
+        content: respond(request),
+        model: `mock:${models[request.model || 'default'] || request.model}`,
+        usage: null
+      };
+    },
+
+    async *stream(request) {
+      const content = respond(request);
+      for (let i = 0; i < content.length; i += MOCK_STREAM_CHUNK) {
+        yield content.slice(i, i + MOCK_STREAM_CHUNK);
+      }
+    },
+
+    async embed(texts) {
+      return texts.map(mockEmbedding);
+    }
+  };
+}
+
+/**
+ * Provider selected by LLM_PROVIDER (or options.provider)
+ * @param {Object} options - { provider, apiKey, models, fixturesDir }
+ */
+function createProvider(options = {}) {
+  const kind = (options.provider || process.env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  switch (kind) {
+    case 'openai':
+      return createOpenAIProvider(options);
+    case 'mock':
+      return createMockProvider(options);
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${kind} (expected openai or mock)`);
+  }
+}
+
+module.exports = {
+  DEFAULT_MODELS,
+  createOpenAIProvider,
+  createMockProvider,
+  createProvider
+};
@@ -0,0 +1,168 @@
+/**
+ * Load lifecycle
+ * new -> permits_pending -> route_planned -> assigned -> in_transit -> delivered -> closed (or cancelled)
+ *
+ *   new              created, waiting for a route plan
+ *   permits_pending  route drafted, permits being applied for along it
+ *   route_planned    permits in hand, permitted route locked in
+ *   assigned         driver assigned
+ *   in_transit       driver has picked up and is moving
+ *   delivered        driver has dropped off
+ *   closed           paperwork done
+ *
+ * Every status change goes through transitionLoad(): the move is checked against TRANSITIONS and the
+ * caller's role inside a transaction, and an audit entry is written to loads/{loadId}/history with it.
+ * Firestore rules keep clients from writing status directly. Tasks follow status changes (task_engine.js).
+ */
+
+const admin = require('firebase-admin');
+
+const LOAD_STATUSES = ['new', 'permits_pending', 'route_planned', 'assigned', 'in_transit', 'delivered', 'closed', 'cancelled'];
+
+// Loads that are off the road for good - no more routing, permits, tasks or regulation alerts
+const FINISHED_LOAD_STATUSES = ['delivered', 'closed', 'cancelled'];
+
+// Allowed moves; backwards moves cover re-routing, re-permitting and unassigning a driver
+const TRANSITIONS = {
+  new: ['permits_pending', 'cancelled'],
+  permits_pending: ['route_planned', 'new', 'cancelled'],
+  route_planned: ['assigned', 'permits_pending', 'cancelled'],
+  assigned: ['in_transit', 'route_planned', 'cancelled'],
+  in_transit: ['delivered'],
+  delivered: ['closed'],
+  closed: [],
+  cancelled: []
+};
+
+// Moves the assigned driver may make on their own load; everything else is dispatcher/service only
+const DRIVER_TRANSITIONS = new Set(['assigned->in_transit', 'in_transit->delivered']);
+
+/**
+ * Rejected transition; code is the HttpsError code callers should surface
+ */
+class LoadTransitionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LoadTransitionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Can a load move from one status to another? (ignores who is asking)
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function actorRole(actor) {
+  if (actor.system) return 'system';
+  return actor.service ? 'service' : (actor.role || null);
+}
+
+function checkActor(load, from, to, actor) {
+  if (actor.system || actor.service || actor.role === 'dispatcher') return;
+  if (actor.role === 'driver' && DRIVER_TRANSITIONS.has(`${from}->${to}`) && load.assignedDriverUid === actor.uid) return;
+  throw new LoadTransitionError('permission-denied', `${actor.role || 'This user'} cannot move a load from ${from} to ${to}`);
+}
+
+/**
+ * Move a load to a new status, with an audit entry
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} loadId - Load document ID
+ * @param {string} to - Target status
+ * @param {Object} options - { actor: { uid, role, service, system }, reason, driverUid, expectedFrom }
+ *   actor.system marks a move the backend makes itself (e.g. planRoute) - no role check, audited as 'system'.
+ *   driverUid is required (here or already on the load) to assign; reason is required to cancel.
+ *   expectedFrom makes the move conditional (for automated moves such as planRoute's new -> permits_pending).
+ * @returns {Promise<{from: string, to: string, statusVersion: number}>}
+ */
+async function transitionLoad(db, loadId, to, options = {}) {
+  const { actor = {}, reason = null, driverUid = null, expectedFrom = null } = options;
+  if (!LOAD_STATUSES.includes(to)) {
+    throw new LoadTransitionError('invalid-argument', `Unknown load status: ${to} (expected ${LOAD_STATUSES.join(', ')})`);
+  }
+
+  const loadRef = db.collection('loads').doc(loadId);
+  const FieldValue = admin.firestore.FieldValue;
+
+  return db.runTransaction(async tx => {
+    const doc = await tx.get(loadRef);
+    if (!doc.exists) throw new LoadTransitionError('not-found', 'Load not found');
+
+    const load = doc.data();
+    // Loads created before the lifecycle have no status history
+    const from = load.status || 'new';
+    if (expectedFrom && from !== expectedFrom) {
+      throw new LoadTransitionError('failed-precondition', `Load is ${from}, expected ${expectedFrom}`);
+    }
+    if (!canTransition(from, to)) {
+      throw new LoadTransitionError('failed-precondition', `Cannot move a load from ${from} to ${to} (allowed: ${TRANSITIONS[from]?.join(', ') || 'none'})`);
+    }
+    checkActor(load, from, to, actor);
+
+    const update = {};
+    if (to === 'route_planned') {
+      const plans = await tx.get(loadRef.collection('routePlans').limit(1));
+      if (plans.empty) throw new LoadTransitionError('failed-precondition', 'Load has no route plan - run planRoute first');
+    }
+    if (to === 'assigned') {
+      const assignee = driverUid || load.assignedDriverUid;
+      if (!assignee) throw new LoadTransitionError('invalid-argument', 'driverUid is required to assign a load');
+      update.assignedDriverUid = assignee;
+    }
+    if (to === 'cancelled' && !reason) {
+      throw new LoadTransitionError('invalid-argument', 'reason is required to cancel a load');
+    }
+
+    const statusVersion = (load.statusVersion || 0) + 1;
+    tx.update(loadRef, {
+      ...update,
+      status: to,
+      statusVersion,
+      statusChangedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    tx.set(loadRef.collection('history').doc(), {
+      type: 'status',
+      from,
+      to,
+      statusVersion,
+      reason,
+      ...(update.assignedDriverUid && update.assignedDriverUid !== load.assignedDriverUid
+        ? { assignedDriverUid: update.assignedDriverUid }
+        : {}),
+      by: actor.uid || null,
+      role: actorRole(actor),
+      at: FieldValue.serverTimestamp()
+    });
+
+    return { from, to, statusVersion };
+  });
+}
+
+/**
+ * Audit entry for a load's creation (status history starts here)
+ */
+function creationEntry(actor) {
+  return {
+    type: 'status',
+    from: null,
+    to: 'new',
+    statusVersion: 0,
+    reason: 'Load created',
+    by: actor.uid || null,
+    role: actorRole(actor),
+    at: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+module.exports = {
+  LOAD_STATUSES,
+  FINISHED_LOAD_STATUSES,
+  TRANSITIONS,
+  LoadTransitionError,
+  canTransition,
+  transitionLoad,
+  creationEntry
+};
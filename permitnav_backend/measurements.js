@@ -0,0 +1,234 @@
+/**
+ * Units of measure
+ * Permits, binders, loads and routing APIs mix feet-inches (14'2"), decimal feet, metres, pounds, kips
+ * and tonnes. Everything inside the backend is feet and pounds (what permit_rules.js and state limits
+ * use); values are parsed into those on the way in and converted/formatted on the way out.
+ */
+
+// Exact by definition (international foot and pound)
+const METRES_PER_FOOT = 0.3048;
+const KG_PER_POUND = 0.45359237;
+
+// Feet per unit
+const LENGTH_UNITS = {
+  ft: 1,
+  in: 1 / 12,
+  m: 1 / METRES_PER_FOOT,
+  cm: 1 / (METRES_PER_FOOT * 100),
+  mm: 1 / (METRES_PER_FOOT * 1000)
+};
+
+// Pounds per unit (t = metric tonne, ton = US short ton)
+const WEIGHT_UNITS = {
+  lb: 1,
+  kg: 1 / KG_PER_POUND,
+  t: 1000 / KG_PER_POUND,
+  ton: 2000,
+  kip: 1000
+};
+
+const LENGTH_ALIASES = {
+  ft: 'ft', foot: 'ft', feet: 'ft', "'": 'ft',
+  in: 'in', inch: 'in', inches: 'in', '"': 'in',
+  m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm',
+  cm: 'cm', centimeter: 'cm', centimeters: 'cm', centimetre: 'cm', centimetres: 'cm',
+  mm: 'mm', millimeter: 'mm', millimeters: 'mm', millimetre: 'mm', millimetres: 'mm'
+};
+
+const WEIGHT_ALIASES = {
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb', '#': 'lb',
+  kg: 'kg', kgs: 'kg', kilogram: 'kg', kilograms: 'kg',
+  t: 't', mt: 't', tonne: 't', tonnes: 't', 'metric ton': 't', 'metric tons': 't',
+  ton: 'ton', tons: 'ton', 'short ton': 'ton', 'short tons': 'ton',
+  k: 'kip', kip: 'kip', kips: 'kip'
+};
+
+const NUMBER = String.raw`(\d+(?:\.\d+)?)`;
+// Thousands are grouped with commas, which OCR or typing may misplace ("1,20,000"), or with spaces, thin
+// ones included ("80 000"); any other comma is a decimal comma ("3,5 m"). A number must not run on into
+// digits it could not take ("80 0000") - that is a misread, not a smaller number.
+const GROUP_SPACE = String.raw`[ \u00A0\u2009\u202F]`;
+const GROUPED_NUMBER = String.raw`(\d{1,3}(?:(?:,\d{2,3})*,\d{3}|(?:${GROUP_SPACE}\d{3})+)(?!\d)(?:\.\d+)?|\d+(?:[.,]\d+)?)(?![.,]?\d|${GROUP_SPACE}\d)`;
+
+// 0-11 after the feet with no inch mark, unless another unit follows ("14 ft 6 m")
+const BARE_INCHES = String.raw`((?:1[01]|\d)(?:\.\d+)?)(?![\d.']|\s*(?:ft|feet|foot|m|cm|mm|meters?|metres?|centimet(?:er|re)s?|millimet(?:er|re)s?)\b)`;
+
+// Tried in order against the start of the text
+const LENGTH_PATTERNS = [
+  // 14'2", 14' 2", 14 ft 2 in, 14'-2" - the inch mark is often left off (14'6, 14 ft 6)
+  {
+    pattern: new RegExp(String.raw`^${GROUPED_NUMBER}\s*(?:'|ft\b\.?|feet|foot)\s*-?\s*(?:${NUMBER}\s*(?:"|in\b\.?|inch(?:es)?)|${BARE_INCHES})?`, 'i'),
+    feet: match => toNumber(match[1]) + Number(match[2] || match[3] || 0) / 12
+  },
+  // Feet-inches shorthand used on many state permits ("14-2")
+  { pattern: /^(\d{1,3})-(\d{1,2})(?![\d.])/, feet: match => Number(match[1]) + Number(match[2]) / 12 },
+  {
+    pattern: new RegExp(String.raw`^${GROUPED_NUMBER}\s*("|[a-z]+)`, 'i'),
+    feet: match => {
+      const unit = normalizeLengthUnit(match[2]);
+      return unit ? toNumber(match[1]) * LENGTH_UNITS[unit] : null;
+    }
+  }
+];
+
+const WEIGHT_PATTERN = new RegExp(String.raw`^${GROUPED_NUMBER}\s*(#|metric\s+tons?|short\s+tons?|[a-z]+)?`, 'i');
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * A GROUPED_NUMBER match -> number: group separators dropped, a lone decimal comma read as a point
+ */
+function toNumber(text) {
+  const digits = text.replace(new RegExp(GROUP_SPACE, 'g'), '');
+  return Number(/^\d+,(?!\d{3}$)\d+$/.test(digits) ? digits.replace(',', '.') : digits.replace(/,/g, ''));
+}
+
+function normalizeText(value) {
+  return String(value)
+    .trim()
+    .replace(/[‘’′`´]/g, "'")
+    .replace(/[“”″]/g, '"')
+    .replace(/''/g, '"');
+}
+
+/**
+ * "feet", "Metres", "'" -> "ft" / "m" (null when not a length unit)
+ */
+function normalizeLengthUnit(unit) {
+  if (!unit) return null;
+  return LENGTH_ALIASES[normalizeText(unit).toLowerCase().replace(/\.$/, '')] || null;
+}
+
+/**
+ * "lbs", "Kilograms", "metric tons", "kips" -> "lb" / "kg" / "t" / "kip" (null when not a weight unit)
+ */
+function normalizeWeightUnit(unit) {
+  if (!unit) return null;
+  return WEIGHT_ALIASES[normalizeText(unit).toLowerCase().replace(/\.$/, '').replace(/\s+/g, ' ')] || null;
+}
+
+function unitOrThrow(normalize, unit, kind) {
+  const normalized = normalize(unit);
+  if (!normalized) throw new Error(`Unknown ${kind} unit: ${unit}`);
+  return normalized;
+}
+
+/**
+ * Convert a length between units (throws on unknown units)
+ */
+function convertLength(value, from, to) {
+  const fromUnit = unitOrThrow(normalizeLengthUnit, from, 'length');
+  const toUnit = unitOrThrow(normalizeLengthUnit, to, 'length');
+  return value * LENGTH_UNITS[fromUnit] / LENGTH_UNITS[toUnit];
+}
+
+/**
+ * Convert a weight between units (throws on unknown units)
+ */
+function convertWeight(value, from, to) {
+  const fromUnit = unitOrThrow(normalizeWeightUnit, from, 'weight');
+  const toUnit = unitOrThrow(normalizeWeightUnit, to, 'weight');
+  return value * WEIGHT_UNITS[fromUnit] / WEIGHT_UNITS[toUnit];
+}
+
+/**
+ * Length in any supported format -> feet (3 decimals)
+ * Numbers and unitless strings are taken to be in defaultUnit.
+ *   parseLength("14'2\"") -> 14.167   parseLength("4.32 m") -> 14.173   parseLength("3,5 m") -> 11.483   parseLength(4, 'm') -> 13.123
+ * @returns {number|null}
+ */
+function parseLength(value, defaultUnit = 'ft') {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? round(convertLength(value, defaultUnit, 'ft'), 3) : null;
+  }
+
+  const text = normalizeText(value);
+  for (const { pattern, feet } of LENGTH_PATTERNS) {
+    const match = pattern.exec(text);
+    const result = match ? feet(match) : null;
+    if (result !== null) return round(result, 3);
+  }
+
+  const bare = new RegExp(String.raw`^${GROUPED_NUMBER}(?![\d.,])`).exec(text);
+  return bare ? round(convertLength(toNumber(bare[1]), defaultUnit, 'ft'), 3) : null;
+}
+
+/**
+ * Weight in any supported format -> whole pounds
+ * Numbers and unitless strings are taken to be in defaultUnit.
+ *   parseWeight("120,000 lbs") -> 120000   parseWeight("80 000 lbs") -> 80000   parseWeight("80k") -> 80000
+ * @returns {number|null}
+ */
+function parseWeight(value, defaultUnit = 'lb') {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.round(convertWeight(value, defaultUnit, 'lb')) : null;
+  }
+
+  const match = WEIGHT_PATTERN.exec(normalizeText(value));
+  if (!match) return null;
+  const amount = toNumber(match[1]);
+  // A trailing word that is not a unit ("80000 gross") leaves the number unitless
+  const unit = normalizeWeightUnit(match[2]) || defaultUnit;
+  return Math.round(convertWeight(amount, unit, 'lb'));
+}
+
+/**
+ * Feet -> display string: 14'2" (imperial) or 4.32 m (metric)
+ */
+function formatLength(feet, options = {}) {
+  if (feet === null || feet === undefined) return 'not set';
+  if (options.system === 'metric') return `${round(convertLength(feet, 'ft', 'm'), 2)} m`;
+
+  let whole = Math.floor(feet);
+  let inches = Math.round((feet - whole) * 12);
+  if (inches === 12) {
+    whole += 1;
+    inches = 0;
+  }
+  return inches ? `${whole}'${inches}"` : `${whole}'`;
+}
+
+/**
+ * Pounds -> display string: 120,000 lbs (imperial) or 54,431 kg (metric)
+ */
+function formatWeight(pounds, options = {}) {
+  if (pounds === null || pounds === undefined) return 'not set';
+  if (options.system === 'metric') {
+    return `${Math.round(convertWeight(pounds, 'lb', 'kg')).toLocaleString('en-US')} kg`;
+  }
+  return `${Math.round(pounds).toLocaleString('en-US')} lbs`;
+}
+
+/**
+ * Feet -> whole centimetres (routing APIs take truck dimensions in cm)
+ */
+function toCentimetres(feet) {
+  return feet === null || feet === undefined ? null : Math.round(convertLength(feet, 'ft', 'cm'));
+}
+
+/**
+ * Pounds -> whole kilograms
+ */
+function toKilograms(pounds) {
+  return pounds === null || pounds === undefined ? null : Math.round(convertWeight(pounds, 'lb', 'kg'));
+}
+
+module.exports = {
+  METRES_PER_FOOT,
+  KG_PER_POUND,
+  normalizeLengthUnit,
+  normalizeWeightUnit,
+  convertLength,
+  convertWeight,
+  parseLength,
+  parseWeight,
+  formatLength,
+  formatWeight,
+  toCentimetres,
+  toKilograms
+};
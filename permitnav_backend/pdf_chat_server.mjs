@@ -6,7 +6,15 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { handlePDFChat } from './pdf_chat_handler.mjs';
+import { createRequire } from 'module';
+import { db } from './firebase_bootstrap.mjs';
+
+const require = createRequire(import.meta.url);
+const { createProvider } = require('./llm_provider.js');
+const { createDataSource, createChatService } = require('./chat_core.js');
+const { registerChatRoutes } = require('./chat_routes.js');
+const { registerConversationRoutes } = require('./conversation_routes.js');
+const { registerStateRoutes } = require('./state_routes.js');
 
 // Load environment variables
 dotenv.config();
@@ -14,6 +22,12 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Same chat core as the Cloud Function; CHAT_DATA_SOURCE=local answers from pdf_cache/
+const llm = createProvider({ apiKey: process.env.OPENAI_API_KEY });
+const embedder = process.env.RETRIEVAL_EMBEDDINGS === 'on' ? llm : null;
+const source = createDataSource({ db, embedder });
+const chat = createChatService({ llm, db, source });
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -37,23 +51,14 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * Get available states
+ * Get available states - see state_routes.js
+ * GET /api/states (codes with ingested regulations), ?detail=true for registry metadata
  */
-app.get('/api/states', (req, res) => {
-  const states = [
-    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA',
-    'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
-    'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
-    'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC',
-    'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
-  ];
-  
-  res.json(states);
-});
+registerStateRoutes(app, source);
 
 /**
- * Main chat endpoint - PDF-powered compliance responses
- * POST /api/chat
+ * Chat endpoints - see chat_core.js
+ * POST /api/chat (JSON) and POST /api/chat/stream (Server-Sent Events)
  * 
  * Request body:
  * {
@@ -61,88 +66,18 @@ app.get('/api/states', (req, res) => {
  *   "stateKey": "string (required if no permitId)",
  *   "permitText": "string (optional permit details)",
  *   "userQuestion": "string (required)",
- *   "conversationId": "string (optional)"
+ *   "conversationId": "string (optional - turns are remembered per conversation)",
+ *   "roadType": "string (optional - interstate, multilane or two_lane, for escort questions)"
  * }
+ * A conversationId needs Authorization: Bearer <Firebase ID token>; the conversation belongs to that driver.
+ * So does a stored permitId: only the permit's driver or a dispatcher gets it as context (403 otherwise).
  */
-app.post('/api/chat', async (req, res) => {
-  try {
-    const { permitId, stateKey, permitText, userQuestion, conversationId } = req.body;
-    
-    // Validation
-    if (!userQuestion || userQuestion.trim().length === 0) {
-      return res.status(400).json({
-        error: 'User question is required',
-        code: 'MISSING_QUESTION'
-      });
-    }
-    
-    if (!permitId && !stateKey) {
-      return res.status(400).json({
-        error: 'Either permitId or stateKey must be provided',
-        code: 'MISSING_CONTEXT'
-      });
-    }
+registerChatRoutes(app, chat);
 
-    console.log(`💬 Chat request: ${userQuestion.substring(0, 100)}...`);
-    console.log(`📋 Permit ID: ${permitId || 'N/A'}`);
-    console.log(`🏛️ State: ${stateKey || 'From permit'}`);
-
-    // Create permit data from provided information
-    let permitData = null;
-    if (permitText || stateKey) {
-      permitData = {
-        state: stateKey,
-        permitNumber: permitId || 'Unknown',
-        // Parse permitText if provided (simplified parsing)
-        dimensions: parsePermitDimensions(permitText),
-        restrictions: parsePermitRestrictions(permitText)
-      };
-    }
-
-    // Call PDF chat handler
-    const result = await handlePDFChat(permitId, userQuestion, permitData);
-    
-    if (result.error) {
-      console.error(`❌ Chat error: ${result.error}`);
-      return res.status(500).json({
-        error: result.error,
-        confidence: result.confidence || 0,
-        contactInfo: result.contactInfo
-      });
-    }
-
-    // Transform response to match Android app expectations
-    const response = {
-      is_compliant: result.confidence > 0.7, // Conservative compliance threshold
-      violations: extractViolations(result.answer),
-      escorts: extractEscortInfo(result.answer),
-      travel_restrictions: extractTravelRestrictions(result.answer),
-      notes: result.answer,
-      contact_info: result.contactInfo ? {
-        department: result.contactInfo.department,
-        phone: result.contactInfo.phones[0] || 'Contact info not available',
-        email: result.contactInfo.emails[0] || null,
-        website: result.contactInfo.websites[0] || null,
-        office_hours: 'Standard business hours'
-      } : null,
-      confidence: result.confidence,
-      sources: result.sources || [],
-      state: result.state,
-      permitNumber: result.permitNumber
-    };
-
-    console.log(`✅ Response sent (confidence: ${result.confidence})`);
-    res.json(response);
-
-  } catch (error) {
-    console.error('❌ Chat API error:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message,
-      confidence: 0
-    });
-  }
-});
+/**
+ * Conversation history endpoints (list / fetch / delete)
+ */
+registerConversationRoutes(app, db);
 
 /**
  * Test endpoint for PDF content verification
@@ -151,23 +86,25 @@ app.get('/api/test-pdf/:state', async (req, res) => {
   try {
     const { state } = req.params;
     
-    // Test if we can load PDF content for this state
-    const { loadStatePDFContent } = await import('./pdf_chat_handler.mjs');
-    const content = await loadStatePDFContent(state.toUpperCase());
+    // Test if the configured data source has content for this state
+    const regulation = await source.load(state.toUpperCase(), 'escort requirements');
     
-    if (!content) {
+    if (!regulation.available) {
       return res.status(404).json({
         error: `No PDF content available for state: ${state}`,
-        suggestion: 'Run: node process_state_pdfs.mjs test ' + state.toUpperCase()
+        suggestion: source.name === 'local'
+          ? 'Run: node process_state_pdfs.mjs test ' + state.toUpperCase()
+          : 'Run: node preprocess_pdfs_to_firestore.mjs'
       });
     }
     
     res.json({
       state: state.toUpperCase(),
-      contentLength: content.length,
-      preview: content.substring(0, 500),
-      available: true,
-      lastProcessed: new Date().toISOString()
+      dataSource: source.name,
+      contentLength: regulation.content.length,
+      preview: regulation.content.substring(0, 500),
+      contactInfo: regulation.contactInfo,
+      available: true
     });
     
   } catch (error) {
@@ -178,82 +115,6 @@ app.get('/api/test-pdf/:state', async (req, res) => {
   }
 });
 
-/**
- * Utility functions for parsing permit text and extracting response components
- */
-
-function parsePermitDimensions(permitText) {
-  if (!permitText) return {};
-  
-  const dimensions = {};
-  
-  // Simple regex patterns for common dimension formats
-  const widthMatch = permitText.match(/width[:\s]*(\d+(?:\.\d+)?)/i);
-  const heightMatch = permitText.match(/height[:\s]*(\d+(?:\.\d+)?)/i);
-  const lengthMatch = permitText.match(/length[:\s]*(\d+(?:\.\d+)?)/i);
-  const weightMatch = permitText.match(/weight[:\s]*(\d+(?:,\d+)?)/i);
-  
-  if (widthMatch) dimensions.width = parseFloat(widthMatch[1]);
-  if (heightMatch) dimensions.height = parseFloat(heightMatch[1]);
-  if (lengthMatch) dimensions.length = parseFloat(lengthMatch[1]);
-  if (weightMatch) dimensions.weight = parseInt(weightMatch[1].replace(',', ''));
-  
-  return dimensions;
-}
-
-function parsePermitRestrictions(permitText) {
-  if (!permitText) return [];
-  
-  const restrictions = [];
-  
-  // Look for common restriction keywords
-  if (permitText.toLowerCase().includes('escort')) {
-    restrictions.push('Escort required');
-  }
-  if (permitText.toLowerCase().includes('daylight') || permitText.toLowerCase().includes('sunrise')) {
-    restrictions.push('Daylight hours only');
-  }
-  if (permitText.toLowerCase().includes('weekend') || permitText.toLowerCase().includes('holiday')) {
-    restrictions.push('No weekend/holiday travel');
-  }
-  
-  return restrictions;
-}
-
-function extractViolations(answer) {
-  // Simple extraction - look for violation-related content
-  const violationKeywords = ['violation', 'exceed', 'over limit', 'not compliant', 'prohibited'];
-  const violations = [];
-  
-  const sentences = answer.split(/[.!?]+/);
-  for (const sentence of sentences) {
-    if (violationKeywords.some(keyword => sentence.toLowerCase().includes(keyword))) {
-      violations.push(sentence.trim());
-    }
-  }
-  
-  return violations;
-}
-
-function extractEscortInfo(answer) {
-  // Look for escort-related information
-  const escortSentences = answer.split(/[.!?]+/).filter(sentence => 
-    sentence.toLowerCase().includes('escort')
-  );
-  
-  return escortSentences.join('. ').trim() || 'No escort information found';
-}
-
-function extractTravelRestrictions(answer) {
-  // Look for travel restriction information
-  const restrictionKeywords = ['hours', 'daylight', 'weekend', 'holiday', 'time', 'route'];
-  const restrictionSentences = answer.split(/[.!?]+/).filter(sentence =>
-    restrictionKeywords.some(keyword => sentence.toLowerCase().includes(keyword))
-  );
-  
-  return restrictionSentences.join('. ').trim() || 'No travel restrictions specified';
-}
-
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('❌ Unhandled error:', error);
@@ -279,8 +140,11 @@ app.listen(PORT, () => {
   console.log(`   GET  /health              - Health check`);
   console.log(`   GET  /api/states          - Available states`);
   console.log(`   POST /api/chat            - PDF-powered chat`);
+  console.log(`   POST /api/chat/stream     - Streaming chat (SSE)`);
+  console.log(`   GET  /api/conversations   - Driver's conversations`);
   console.log(`   GET  /api/test-pdf/:state - Test PDF content`);
   console.log(`\n💡 Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`🤖 LLM provider: ${llm.name}, data source: ${source.name}`);
   console.log(`🔑 OpenAI API Key: ${process.env.OPENAI_API_KEY ? 'Configured' : 'Missing'}`);
 });
 
@@ -0,0 +1,418 @@
+/**
+ * Layout-aware PDF text extraction
+ * Keeps page numbers, detects section headings (larger font, "4.2 Title" numbering or ALL CAPS lines)
+ * and tables (lines split into cells by wide gaps), and chunks the result into overlapping passages
+ * tagged with their section - so retrieval and citations can point at "Section 4.2, p. 17".
+ *
+ * Used by preprocess_pdfs_to_firestore.mjs (Firestore chunks) and process_state_pdfs.mjs (pdf_cache).
+ */
+
+const pdfParse = require('pdf-parse');
+
+// Bump when extraction or chunking output changes, so unchanged PDFs are still re-ingested
+const EXTRACTOR_VERSION = 3;
+
+const DEFAULT_CHUNK_CHARS = 1500;
+const DEFAULT_OVERLAP_CHARS = 200;
+
+// Layout heuristics (PDF units are points)
+const LINE_Y_TOLERANCE = 2;
+const CELL_GAP = 18;
+const PARAGRAPH_GAP_RATIO = 1.6;
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_CHARS = 90;
+
+// Pages with fewer embedded characters than this are treated as scanned and sent to OCR
+const LOW_TEXT_CHARS = 200;
+// Below this many characters in the whole binder the extraction is not worth caching
+const MIN_DOCUMENT_CHARS = 500;
+// Pages (and documents) under this extraction confidence are reported as weak source data
+const WEAK_CONFIDENCE = 0.6;
+// Synthetic line spacing for OCR text, which has no positions
+const OCR_LINE_HEIGHT = 10;
+
+const NUMBERED_HEADING = /^(\d+(?:\.\d+)+)\.?\s+[A-Z]/;
+
+/**
+ * pdf.js text items -> lines of cells, top to bottom
+ * @returns {Array<{y: number, size: number, cells: string[]}>}
+ */
+function groupLines(items) {
+  const lines = [];
+
+  for (const item of items) {
+    if (!item.str || !item.str.trim()) continue;
+    const x = item.transform[4];
+    const y = item.transform[5];
+    const size = item.height || Math.abs(item.transform[3]) || 0;
+
+    let line = lines.find(candidate => Math.abs(candidate.y - y) <= LINE_Y_TOLERANCE);
+    if (!line) {
+      line = { y, size: 0, items: [] };
+      lines.push(line);
+    }
+    line.size = Math.max(line.size, size);
+    line.items.push({ x, width: item.width || 0, str: item.str });
+  }
+
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map(line => {
+      const cells = [];
+      let end = null;
+      for (const item of line.items.sort((a, b) => a.x - b.x)) {
+        if (end === null || item.x - end > CELL_GAP) {
+          cells.push(item.str.trim());
+        } else {
+          cells[cells.length - 1] += (item.x - end > 1 ? ' ' : '') + item.str.trim();
+        }
+        end = item.x + item.width;
+      }
+      return { y: line.y, size: line.size, cells: cells.filter(Boolean) };
+    });
+}
+
+/**
+ * Most common font size on a page - the body text size headings are compared against
+ */
+function bodySize(lines) {
+  const counts = new Map();
+  for (const line of lines) {
+    const size = Math.round(line.size);
+    counts.set(size, (counts.get(size) || 0) + line.cells.join(' ').length);
+  }
+  let best = 0;
+  let bestCount = -1;
+  for (const [size, count] of counts) {
+    if (count > bestCount) {
+      best = size;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function isHeading(line, textSize) {
+  const text = line.cells.join(' ');
+  if (line.cells.length !== 1 || text.length > MAX_HEADING_CHARS || /[.;,]$/.test(text)) return false;
+  if (textSize && line.size >= textSize * HEADING_SIZE_RATIO) return true;
+  if (NUMBERED_HEADING.test(text)) return true;
+  // ALL CAPS title lines ("ESCORT REQUIREMENTS")
+  return /[A-Z]{4,}/.test(text) && text === text.toUpperCase();
+}
+
+/**
+ * Lines -> heading / paragraph / table blocks
+ * Consecutive multi-cell lines form a table; a lone multi-cell line is treated as text.
+ * @returns {Array<{type: 'heading'|'paragraph'|'table', text: string}>}
+ */
+function buildBlocks(lines) {
+  const textSize = bodySize(lines);
+  const blocks = [];
+  let paragraph = null;
+  let table = null;
+  let lastY = null;
+  let lineGap = null;
+
+  const flushParagraph = () => {
+    if (paragraph) blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+    paragraph = null;
+  };
+  const flushTable = () => {
+    if (table && table.length > 1) {
+      blocks.push({ type: 'table', text: table.map(cells => cells.join(' | ')).join('\n') });
+    } else if (table) {
+      paragraph = [...(paragraph || []), table[0].join(' ')];
+    }
+    table = null;
+  };
+
+  for (const line of lines) {
+    const gap = lastY === null ? null : lastY - line.y;
+    if (gap !== null && gap > 0 && (lineGap === null || gap < lineGap)) lineGap = gap;
+    const newParagraph = gap !== null && lineGap !== null && gap > lineGap * PARAGRAPH_GAP_RATIO;
+    lastY = line.y;
+
+    if (isHeading(line, textSize)) {
+      flushTable();
+      flushParagraph();
+      blocks.push({ type: 'heading', text: line.cells[0] });
+      continue;
+    }
+
+    if (line.cells.length > 1) {
+      if (!table) flushParagraph();
+      table = table || [];
+      table.push(line.cells);
+      continue;
+    }
+
+    flushTable();
+    if (newParagraph) flushParagraph();
+    paragraph = paragraph || [];
+    paragraph.push(line.cells[0]);
+  }
+
+  flushTable();
+  flushParagraph();
+  return blocks;
+}
+
+function blocksToText(blocks) {
+  return blocks.map(block => block.text).join('\n\n');
+}
+
+function countChars(text) {
+  return text.replace(/\s/g, '').length;
+}
+
+/**
+ * OCR text -> blocks
+ * OCR output has no positions or font sizes, so lines get synthetic y values (blank lines become
+ * paragraph gaps) and go through the same block builder - numbered and ALL CAPS headings still count.
+ */
+function ocrBlocks(text) {
+  const lines = [];
+  let y = 0;
+  for (const raw of text.split('\n')) {
+    const line = raw.replace(/\s+/g, ' ').trim();
+    y -= line ? OCR_LINE_HEIGHT : OCR_LINE_HEIGHT * PARAGRAPH_GAP_RATIO;
+    if (line) lines.push({ y, size: 0, cells: [line] });
+  }
+  return buildBlocks(lines).map(block => ({ ...block, ocr: true }));
+}
+
+/**
+ * Add OCR blocks a page's embedded text does not already contain
+ */
+function mergeOcrBlocks(blocks, ocrText) {
+  const embedded = blocks.map(block => block.text).join(' ').replace(/\s+/g, ' ').toLowerCase();
+  const added = ocrBlocks(ocrText).filter(block =>
+    !embedded.includes(block.text.replace(/\s+/g, ' ').toLowerCase())
+  );
+  return [...blocks, ...added];
+}
+
+/**
+ * Run OCR on low-text pages and merge the results in place
+ * Without tesseract.js installed (or when OCR fails) pages keep their embedded text and the
+ * failure shows up as low confidence rather than an ingest error.
+ */
+async function applyOcr(buffer, pages, lowTextPages, options) {
+  let results;
+  try {
+    const { ocrPages } = require('./pdf_ocr');
+    console.log(`🔎 OCR on ${lowTextPages.length} low-text page${lowTextPages.length === 1 ? '' : 's'}...`);
+    results = await ocrPages(buffer, lowTextPages.map(page => page.page), options);
+  } catch (error) {
+    console.warn(`⚠️ OCR unavailable, keeping embedded text only: ${error.message}`);
+    return;
+  }
+
+  for (const page of lowTextPages) {
+    const ocr = results.get(page.page);
+    if (!ocr) continue;
+    if (!ocr.images) {
+      // Nothing scanned on the page (blank, cover or short page) - the embedded text is all there is
+      page.extraction = { ...page.extraction, confidence: 1 };
+      continue;
+    }
+    if (!ocr.text) continue;
+    page.blocks = mergeOcrBlocks(page.blocks, ocr.text);
+    page.text = blocksToText(page.blocks);
+    page.extraction = {
+      ...page.extraction,
+      method: page.extraction.textChars ? 'text+ocr' : 'ocr',
+      ocrChars: countChars(ocr.text),
+      // Embedded text is exact; OCR is as good as Tesseract says it is
+      confidence: Math.max(page.extraction.confidence, round(ocr.confidence))
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Document-level extraction quality
+ * @returns {{confidence: number, weak: boolean, usable: boolean, chars: number, ocrPages: number[], lowTextPages: number[], weakPages: number[]}}
+ */
+function summarizeExtraction(pages) {
+  const chars = pages.reduce((sum, page) => sum + countChars(page.text), 0);
+  const confidence = pages.length
+    ? round(pages.reduce((sum, page) => sum + page.extraction.confidence, 0) / pages.length)
+    : 0;
+
+  return {
+    confidence,
+    weak: confidence < WEAK_CONFIDENCE,
+    usable: chars >= MIN_DOCUMENT_CHARS,
+    chars,
+    ocrPages: pages.filter(page => page.extraction.method !== 'text').map(page => page.page),
+    lowTextPages: pages.filter(page => page.extraction.textChars < LOW_TEXT_CHARS).map(page => page.page),
+    weakPages: pages.filter(page => page.extraction.confidence < WEAK_CONFIDENCE).map(page => page.page)
+  };
+}
+
+/**
+ * Extract structured text page by page
+ * pdf-parse's default output joins pages and loses their boundaries, so pages are rendered individually.
+ * Pages with little embedded text (scans) are OCR'd and every page records how its text was obtained:
+ *   extraction: { method: 'text'|'ocr'|'text+ocr', textChars, ocrChars, confidence (0-1) }
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - { ocr: false to skip OCR, engine: shared createOcrEngine() }
+ * @returns {Promise<{pages: Array<{page: number, blocks: Object[], text: string, extraction: Object}>, fullText: string, pageCount: number, extraction: Object}>}
+ */
+async function extractPages(buffer, options = {}) {
+  const pages = [];
+  const data = await pdfParse(buffer, {
+    pagerender: async pageData => {
+      const textContent = await pageData.getTextContent();
+      const blocks = buildBlocks(groupLines(textContent.items));
+      const text = blocksToText(blocks);
+      const textChars = countChars(text);
+      pages.push({
+        page: pageData.pageNumber,
+        blocks,
+        text,
+        extraction: {
+          method: 'text',
+          textChars,
+          ocrChars: 0,
+          // A nearly empty page is probably a scan we could not read
+          confidence: round(Math.min(1, textChars / LOW_TEXT_CHARS))
+        }
+      });
+      return text;
+    }
+  });
+
+  pages.sort((a, b) => a.page - b.page);
+
+  const lowTextPages = pages.filter(page => page.extraction.textChars < LOW_TEXT_CHARS);
+  if (lowTextPages.length && options.ocr !== false) {
+    await applyOcr(buffer, pages, lowTextPages, { engine: options.engine });
+  }
+
+  return {
+    pages,
+    fullText: pages.map(page => page.text).join('\n\n'),
+    pageCount: data.numpages,
+    extraction: summarizeExtraction(pages)
+  };
+}
+
+/**
+ * Split an oversized block on line, then sentence, boundaries
+ */
+function splitBlock(block, maxChars) {
+  if (block.text.length <= maxChars) return [block.text];
+
+  const separator = block.type === 'table' ? '\n' : ' ';
+  const units = (block.type === 'table' ? block.text.split('\n') : block.text.split(/(?<=[.!?])\s+|\n/))
+    // A single unit longer than the limit is hard-split
+    .flatMap(unit => unit.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g')) || []);
+  const pieces = [];
+  let current = '';
+
+  for (const unit of units) {
+    if (current && current.length + unit.length + separator.length > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current}${separator}${unit}` : unit;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Last ~overlap characters of a chunk, starting on a word boundary
+ */
+function overlapTail(text, overlap) {
+  if (!overlap || text.length <= overlap) return '';
+  const tail = text.slice(-overlap);
+  const start = tail.search(/\s/);
+  return start >= 0 ? tail.slice(start).trim() : '';
+}
+
+/**
+ * Pages -> overlapping chunks tagged with their section
+ * Chunks never span pages (so each has one citable page) or sections; consecutive chunks of the same
+ * section and page overlap by ~overlapChars. Headings carry over to the following pages.
+ * @param {Array<{page: number, blocks: Object[]}>} pages - From extractPages()
+ * @param {Object} options - { idPrefix, maxChars, overlapChars }
+ * @returns {Array<{id: string, page: number, section: string|null, text: string, ocr?: boolean}>}
+ */
+function chunkPages(pages, options = {}) {
+  const { idPrefix = 'chunk', maxChars = DEFAULT_CHUNK_CHARS, overlapChars = DEFAULT_OVERLAP_CHARS } = options;
+  const chunks = [];
+  let section = null;
+
+  for (const { page, blocks } of pages) {
+    let current = '';
+    let carried = '';
+    // Chunks containing OCR text are marked so answers citing them can be treated with care
+    let ocr = false;
+
+    const flush = () => {
+      if (current && current !== carried) {
+        chunks.push({ id: `${idPrefix}-${chunks.length}`, page, section, text: current, ...(ocr ? { ocr } : {}) });
+      }
+      carried = overlapTail(current, overlapChars);
+      current = carried;
+      ocr = false;
+    };
+
+    for (const block of blocks) {
+      if (block.type === 'heading') {
+        flush();
+        section = block.text;
+        current = carried = '';
+        continue;
+      }
+
+      // Leave room for the overlap carried into the next chunk
+      for (const piece of splitBlock(block, maxChars - overlapChars)) {
+        if (current && current.length + piece.length + 2 > maxChars) flush();
+        current = current ? `${current}\n\n${piece}` : piece;
+        ocr = ocr || Boolean(block.ocr);
+      }
+    }
+    flush();
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  EXTRACTOR_VERSION,
+  DEFAULT_CHUNK_CHARS,
+  DEFAULT_OVERLAP_CHARS,
+  MIN_DOCUMENT_CHARS,
+  extractPages,
+  chunkPages
+};
+
+// Example run: node pdf_extract.js state_rules/Permit_Nav_Indiana_OSOW_Binder.pdf
+if (require.main === module) {
+  const fs = require('fs');
+  const file = process.argv[2];
+  if (!file) {
+    console.error('❌ Usage: node pdf_extract.js <file.pdf>');
+    process.exit(1);
+  }
+
+  (async () => {
+    const { pages, pageCount, extraction } = await extractPages(fs.readFileSync(file));
+    const chunks = chunkPages(pages, { idPrefix: 'DOC' });
+    console.log(`📄 ${pageCount} pages, ${chunks.length} chunks, extraction confidence ${extraction.confidence}`);
+    if (extraction.ocrPages.length) console.log(`🔎 OCR pages: ${extraction.ocrPages.join(', ')}`);
+    if (extraction.weakPages.length) console.log(`⚠️ Weak pages: ${extraction.weakPages.join(', ')}`);
+    for (const chunk of chunks) {
+      console.log(`\n${chunk.id} p.${chunk.page} [${chunk.section || 'no section'}] (${chunk.text.length} chars${chunk.ocr ? ', OCR' : ''})`);
+      console.log(chunk.text.substring(0, 300) + (chunk.text.length > 300 ? '...' : ''));
+    }
+  })().catch(e => { console.error('❌ Extraction error:', e); process.exit(1); });
+}
@@ -0,0 +1,205 @@
+/**
+ * OCR fallback for scanned binder pages
+ * Some state binders are scans (or have scanned appendices) with little or no embedded text. Those pages'
+ * images are pulled out of the PDF, converted to grayscale PNGs and run through Tesseract (tesseract.js,
+ * WASM - no native install needed).
+ *
+ * Language data is downloaded by tesseract.js on first use; set OCR_LANG_PATH to a directory (or URL)
+ * holding eng.traineddata.gz for offline runs. Cached language files go to the OS temp dir, the only
+ * writable location in Cloud Functions.
+ */
+
+const os = require('os');
+const zlib = require('zlib');
+
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+const OCR_LANG = process.env.OCR_LANG || 'eng';
+
+// Images smaller than this are logos, stamps or rules - not worth OCR'ing
+const MIN_IMAGE_SIDE = 200;
+
+// pdf.js ImageKind
+const GRAYSCALE_1BPP = 1;
+const RGB_24BPP = 2;
+const RGBA_32BPP = 3;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * 8-bit grayscale pixels -> PNG file
+ */
+function encodePng(width, height, gray) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 0; // grayscale
+
+  // Each scanline is prefixed with its filter type (0 = none)
+  const raw = Buffer.alloc((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width + 1)] = 0;
+    raw.set(gray.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Decoded pdf.js image -> 8-bit grayscale pixels (null for formats we cannot read)
+ */
+function toGrayscale(image) {
+  const { width, height, kind, data } = image;
+  const gray = new Uint8Array(width * height);
+
+  if (kind === GRAYSCALE_1BPP) {
+    const rowBytes = (width + 7) >> 3;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        gray[y * width + x] = bit ? 255 : 0;
+      }
+    }
+    return gray;
+  }
+
+  const channels = kind === RGB_24BPP ? 3 : kind === RGBA_32BPP ? 4 : 0;
+  if (!channels) return null;
+  for (let i = 0; i < gray.length; i++) {
+    const p = i * channels;
+    gray[i] = Math.round(0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]);
+  }
+  return gray;
+}
+
+/**
+ * Images painted on a pdf.js page, as PNGs
+ * @returns {Promise<Buffer[]>}
+ */
+async function pageImages(page) {
+  const operators = await page.getOperatorList();
+  const images = [];
+
+  for (let i = 0; i < operators.fnArray.length; i++) {
+    const fn = operators.fnArray[i];
+    let image = null;
+    if (fn === PDFJS.OPS.paintImageXObject || fn === PDFJS.OPS.paintJpegXObject) {
+      image = page.objs.get(operators.argsArray[i][0]);
+    } else if (fn === PDFJS.OPS.paintInlineImageXObject) {
+      image = operators.argsArray[i][0];
+    }
+    if (!image || !image.data || image.width < MIN_IMAGE_SIDE || image.height < MIN_IMAGE_SIDE) continue;
+
+    const gray = toGrayscale(image);
+    if (gray) images.push(encodePng(image.width, image.height, gray));
+  }
+
+  return images;
+}
+
+/**
+ * Tesseract worker, started on first use
+ * tesseract.js is required lazily so text-only ingest (and the chat functions) never load it.
+ * @returns {{recognize: function(Buffer): Promise<{text: string, confidence: number}>, terminate: function(): Promise<void>}}
+ */
+function createOcrEngine(options = {}) {
+  const { lang = OCR_LANG, langPath = process.env.OCR_LANG_PATH } = options;
+  let worker = null;
+
+  return {
+    async recognize(png) {
+      if (!worker) {
+        const { createWorker } = require('tesseract.js');
+        worker = createWorker(lang, undefined, {
+          cachePath: os.tmpdir(),
+          ...(langPath ? { langPath } : {})
+        });
+      }
+      const { data } = await (await worker).recognize(png);
+      // Tesseract reports mean word confidence as 0-100
+      return { text: (data.text || '').trim(), confidence: (data.confidence || 0) / 100 };
+    },
+
+    async terminate() {
+      if (worker) await (await worker).terminate();
+      worker = null;
+    }
+  };
+}
+
+/**
+ * OCR the images on the given pages
+ * The PDF is opened separately from pdf-parse so JPEG scans are decoded by pdf.js itself (pdf-parse
+ * leaves that to the browser, which Node does not have).
+ * @param {Buffer} buffer - PDF file contents
+ * @param {number[]} pageNumbers - 1-based pages to OCR
+ * @param {Object} options - { engine } (defaults to a fresh createOcrEngine(), terminated afterwards)
+ * @returns {Promise<Map<number, {text: string, confidence: number, images: number}>>}
+ */
+async function ocrPages(buffer, pageNumbers, options = {}) {
+  const engine = options.engine || createOcrEngine();
+  const results = new Map();
+  // pdf.js ignores Buffer offsets, so hand it its own copy of the bytes
+  const doc = await PDFJS.getDocument({ data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none' });
+
+  try {
+    for (const pageNumber of pageNumbers) {
+      const page = await doc.getPage(pageNumber);
+      const texts = [];
+      let confidence = 0;
+      const images = await pageImages(page);
+
+      for (const png of images) {
+        const result = await engine.recognize(png);
+        if (!result.text) continue;
+        texts.push(result.text);
+        // Weight by text length so a large scanned page outweighs a caption
+        confidence += result.confidence * result.text.length;
+      }
+
+      const text = texts.join('\n\n');
+      results.set(pageNumber, {
+        text,
+        confidence: text ? confidence / texts.reduce((sum, t) => sum + t.length, 0) : 0,
+        images: images.length
+      });
+    }
+  } finally {
+    doc.destroy();
+    if (!options.engine) await engine.terminate();
+  }
+
+  return results;
+}
+
+module.exports = {
+  createOcrEngine,
+  ocrPages,
+  pageImages,
+  encodePng
+};
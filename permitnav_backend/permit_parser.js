@@ -0,0 +1,467 @@
+/**
+ * Permit document parser
+ * Turns an uploaded permit (PDF or photo) into structured permit fields: permit number, issuing state,
+ * validity dates, route, dimensions, axle configuration and special conditions.
+ *
+ * Dimensions are normalized to what the rule engine (permit_rules.js) expects - feet and pounds - from
+ * whatever the permit uses (14'2", 14-2, 4.32 m, 120,000 lbs, 54,431 kg, 60 t - see measurements.js).
+ */
+
+const { extractPages } = require('./pdf_extract');
+const { parseLength, parseWeight, normalizeLengthUnit, normalizeWeightUnit } = require('./measurements');
+const { createOcrEngine } = require('./pdf_ocr');
+const { STATES, findState } = require('./state_registry');
+const { toDate } = require('./permit_rules');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}\\s+${MONTH},?\\s+\\d{4})`;
+
+// A weight inside a list ("12,000 / 20,000 / 20,000 lbs")
+const WEIGHT_TOKEN = /(\d{1,3}(?:,\d{2,3})+(?:\.\d+)?|\d+(?:\.\d+)?)\s*(lbs?\b\.?|pounds?|#|kgs?\b|kilograms?|tonnes?|t\b|tons?\b|kips?\b|k\b)?/gi;
+
+const DIMENSION_LABELS = {
+  width: '(?:overall\\s+|total\\s+|load\\s+|max(?:imum)?\\s+)?width',
+  height: '(?:overall\\s+|total\\s+|load\\s+|max(?:imum)?\\s+)?height',
+  length: '(?:overall\\s+|total\\s+|vehicle\\s+|max(?:imum)?\\s+)?length',
+  weight: 'gross\\s+(?:vehicle\\s+)?weight|gvw|total\\s+weight|gross|weight',
+  overhangFront: 'front\\s+overhang|overhang\\s+front',
+  overhangRear: 'rear\\s+overhang|overhang\\s+rear'
+};
+
+// "14' W x 15' H x 120' L" (the format formatPermitText() and the app produce) and "14 feet wide"
+const DIMENSION_SUFFIXES = { w: 'width', wide: 'width', h: 'height', high: 'height', tall: 'height', l: 'length', long: 'length' };
+
+const HIGHWAY_PREFIXES = ['I', 'IH', 'US', 'SR', 'SH', 'STH', 'CR', ...STATES.map(state => state.code)];
+
+// Same tags the app's PermitParser produces
+const RESTRICTION_KEYWORDS = [
+  { pattern: /daylight/i, tag: 'Daylight hours only' },
+  { pattern: /no\s+sunday|except\s+sunday/i, tag: 'No Sunday travel' },
+  { pattern: /escort/i, tag: 'Escort required' },
+  { pattern: /interstate[\s\S]{0,40}prohibited|prohibited[\s\S]{0,40}interstate/i, tag: 'Interstate travel prohibited' },
+  { pattern: /weather\s+permit/i, tag: 'Weather permitting' },
+  { pattern: /holiday/i, tag: 'No holiday travel' }
+];
+
+const CONDITION_HEADING = /^\s*(?:special\s+(?:conditions|provisions|requirements|restrictions)|permit\s+conditions|conditions(?:\s+of\s+permit)?|restrictions)\s*:?\s*(.*)$/i;
+const FIELD_LABEL_LINE = /^[A-Z][A-Za-z #/()]{2,40}:/;
+const LIST_MARKER = /^\s*(?:[-•*·]|\d{1,2}[.)]|[a-z][.)])\s+/;
+const MAX_CONDITIONS = 30;
+
+// Fields that make a parsed permit usable, for the intake confidence score
+const KEY_FIELDS = ['permitNumber', 'state', 'issueDate', 'expirationDate', 'width', 'height', 'length', 'weight', 'route'];
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Curly quotes, primes and doubled apostrophes (common in OCR output) -> ' and "
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[‘’′`´]/g, "'")
+    .replace(/[“”″]/g, '"')
+    .replace(/''/g, '"')
+    .replace(/[ \t]+/g, ' ');
+}
+
+/**
+ * "08/25/2025", "2025-08-25", "Aug 25, 2025", "25 August 2025" -> "2025-08-25"
+ * @returns {string|null}
+ */
+function parseDate(value) {
+  const text = String(value || '').trim().toLowerCase();
+  let year;
+  let month;
+  let day;
+  let match;
+
+  if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text))) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/.exec(text))) {
+    // US permits: month first
+    [, month, day, year] = match.map(Number);
+  } else if ((match = /^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/.exec(text))) {
+    month = MONTHS.indexOf(match[1].slice(0, 3)) + 1;
+    day = Number(match[2]);
+    year = Number(match[3]);
+  } else if ((match = /^(\d{1,2})\s+([a-z]+)\.?,?\s+(\d{4})$/.exec(text))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].slice(0, 3)) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!month || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Text following each occurrence of a label, up to the end of its line
+ * Skips "(ft)"-style unit hints and the ":" / "=" / "-" separator.
+ */
+function* labelledValues(text, label) {
+  const pattern = new RegExp(`\\b(?:${label})\\b\\s*(?:\\(([^)]{1,12})\\))?\\s*[:=#-]?\\s*([^\\n]*)`, 'gi');
+  for (const match of text.matchAll(pattern)) {
+    yield { hint: match[1] || '', value: match[2] };
+  }
+}
+
+function findLabelled(text, label, parse, normalizeUnit) {
+  for (const { hint, value } of labelledValues(text, label)) {
+    // A unit given only in the label ("Width (m): 4.32") applies to a bare number
+    const parsed = parse(value, normalizeUnit(hint) || undefined);
+    if (parsed !== null && parsed > 0) return parsed;
+  }
+  return null;
+}
+
+function findDate(text, label) {
+  const match = new RegExp(`\\b(?:${label})\\b\\s*[:#-]?\\s*(?:on\\s+)?${DATE}`, 'i').exec(text);
+  return match ? parseDate(match[1]) : null;
+}
+
+function extractDimensions(text) {
+  const dimensions = {};
+  for (const [field, label] of Object.entries(DIMENSION_LABELS)) {
+    dimensions[field] = field === 'weight'
+      ? findLabelled(text, label, parseWeight, normalizeWeightUnit)
+      : findLabelled(text, label, parseLength, normalizeLengthUnit);
+  }
+
+  for (const match of text.matchAll(/(\d+(?:\.\d+)?\s*(?:'|ft\.?|feet|m\b)?\s*(?:\d+(?:\.\d+)?\s*")?)\s*\b(W|H|L|wide|high|tall|long)\b(?!\/)/gi)) {
+    const field = DIMENSION_SUFFIXES[match[2].toLowerCase()];
+    if (dimensions[field] === null) dimensions[field] = parseLength(match[1]);
+  }
+
+  dimensions.axles = null;
+  const axleCount = /\b(?:number\s+of\s+axles|no\.?\s+of\s+axles|axle\s+count|axles)\s*[:#=-]?\s*(\d{1,2})\b/i.exec(text) ||
+    /\b(\d{1,2})[\s-]axles?\b/i.exec(text);
+  if (axleCount) dimensions.axles = Number(axleCount[1]);
+
+  return dimensions;
+}
+
+/**
+ * Axle spacings (feet) and per-axle weights (pounds), when the permit lists them
+ * @returns {{count: number|null, spacings: number[], weights: number[]}|null}
+ */
+function extractAxleConfiguration(text, axles) {
+  const spacingLine = /\baxle\s+spacings?\b\s*(?:\([^)]*\))?\s*[:=-]?\s*([^\n]+)/i.exec(text);
+  const spacings = spacingLine
+    ? spacingLine[1].split(/\s*[,;|/]\s*|\s+-\s+|\s{2,}/).map(parseLength).filter(value => value !== null)
+    : [];
+
+  let weights = [];
+  const weightLine = /\baxle\s+weights?\b\s*(?:\([^)]*\))?\s*[:=-]?\s*([^\n]+)/i.exec(text);
+  if (weightLine) {
+    weights = [...weightLine[1].matchAll(WEIGHT_TOKEN)].map(match => parseWeight(match[0]));
+  } else {
+    // "Axle 1: 12,000 lbs" lines
+    for (const match of text.matchAll(/\baxle\s*#?\s*(\d{1,2})\s*[:=-]\s*([^\n]+)/gi)) {
+      const weight = parseWeight(match[2]);
+      if (weight !== null) weights[Number(match[1]) - 1] = weight;
+    }
+    weights = weights.filter(weight => weight !== undefined);
+  }
+
+  if (!spacings.length && !weights.length) return null;
+  return {
+    count: axles || weights.length || (spacings.length ? spacings.length + 1 : null),
+    spacings,
+    weights
+  };
+}
+
+/**
+ * Issuing state: an explicit label, then the issuing DOT's name or abbreviation, then "State of X"
+ */
+function extractState(text, fallbackState) {
+  const labelled = /\b(?:issuing\s+state|state\s+of\s+issue|issued\s+by|jurisdiction|state(?=\s*:))\s*[:-]?\s*([A-Za-z][A-Za-z .]{1,40})/i.exec(text);
+  if (labelled) {
+    const words = labelled[1].trim().split(/\s+/);
+    for (let count = Math.min(words.length, 3); count > 0; count--) {
+      const state = findState(words.slice(0, count).join(' '));
+      if (state) return state.code;
+    }
+  }
+
+  // The earliest DOT mention is the issuer (later ones are usually route notes about other states)
+  const abbreviations = STATES.map(state => state.dot.abbreviation);
+  let best = null;
+  for (const state of STATES) {
+    const { name, abbreviation } = state.dot;
+    const escape = value => value.replace(/[.*+?^${}()|[\]\\&]/g, '\\$&');
+    const candidates = [new RegExp(escape(name), 'i')];
+    // Ambiguous abbreviations (MDOT, NDOT, ODOT) say nothing on their own
+    if (abbreviations.indexOf(abbreviation) === abbreviations.lastIndexOf(abbreviation)) {
+      candidates.push(new RegExp(`(?<![A-Za-z])${escape(abbreviation)}(?![A-Za-z])`));
+    }
+    for (const pattern of candidates) {
+      const match = pattern.exec(text);
+      if (match && (!best || match.index < best.index)) best = { index: match.index, code: state.code };
+    }
+  }
+  if (best) return best.code;
+
+  const stateOf = /\bstate\s+of\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/.exec(text);
+  const named = stateOf && (findState(stateOf[1]) || findState(stateOf[1].split(' ')[0]));
+  if (named) return named.code;
+
+  return findState(fallbackState)?.code || null;
+}
+
+function extractRoute(text) {
+  const place = (label, stop) => {
+    for (const { value } of labelledValues(text, label)) {
+      const trimmed = value.split(stop)[0].trim().replace(/[,;]$/, '');
+      // "Valid to: 08/25/2025" is a date, not a destination
+      if (trimmed && !new RegExp(`^${DATE}`, 'i').test(trimmed)) return trimmed;
+    }
+    return null;
+  };
+
+  const origin = place('origin|point\\s+of\\s+origin|starting\\s+point|from(?=\\s*:)', /\s+(?:destination|to)\s*:/i);
+  const destination = place('destination|ending\\s+point|to(?=\\s*:)', /\s+(?:route|via)\s*:/i);
+
+  const routeMatch = /\b(?:authorized\s+route|approved\s+route|route\s+description|routing|route)\s*:\s*([\s\S]+?)(?=\n\s*\n|\n[A-Z][A-Za-z #/()]{2,40}:|$)/i.exec(text);
+  const description = routeMatch ? routeMatch[1].replace(/\s+/g, ' ').trim() : null;
+
+  const highways = [];
+  if (description) {
+    const pattern = new RegExp(`\\b(${HIGHWAY_PREFIXES.join('|')})[- ]?(\\d{1,4}[A-Z]?)\\b`, 'g');
+    for (const match of description.matchAll(pattern)) {
+      const highway = `${match[1]}-${match[2]}`;
+      if (!highways.includes(highway)) highways.push(highway);
+    }
+  }
+
+  return { origin, destination, description, highways };
+}
+
+/**
+ * Items under a "Special Conditions" / "Restrictions" heading, one per bullet or line
+ */
+function extractSpecialConditions(text) {
+  const lines = text.split('\n');
+  const conditions = [];
+
+  for (let i = 0; i < lines.length && conditions.length < MAX_CONDITIONS; i++) {
+    const heading = CONDITION_HEADING.exec(lines[i]);
+    if (!heading) continue;
+
+    const section = heading[1] ? [heading[1]] : [];
+    for (let j = i + 1; j < lines.length; j++) {
+      const line = lines[j].trim();
+      if (!line || (FIELD_LABEL_LINE.test(line) && !LIST_MARKER.test(line))) break;
+      section.push(lines[j]);
+      i = j;
+    }
+
+    // With bullets, unmarked lines continue the previous item
+    const bulleted = section.some(line => LIST_MARKER.test(line));
+    for (const line of section) {
+      const item = line.replace(LIST_MARKER, '').trim();
+      if (!item) continue;
+      if (bulleted && !LIST_MARKER.test(line) && conditions.length) {
+        conditions[conditions.length - 1] += ` ${item}`;
+      } else if (!conditions.includes(item)) {
+        conditions.push(item);
+      }
+    }
+  }
+
+  return conditions.slice(0, MAX_CONDITIONS);
+}
+
+/**
+ * Permit text -> structured permit fields
+ * @param {string} rawText - Text from the permit (PDF text layer or OCR)
+ * @param {Object} options - { fallbackState: state to assume when the text names none }
+ * @returns {Object} Permit fields in app/Firestore shape, plus missing (fields not found) and confidence (0-1)
+ */
+function parsePermitText(rawText, options = {}) {
+  const text = normalizeText(rawText);
+
+  const permitNumberMatch = /\bpermit\s*(?:no\.?|number|num\.?|#|id)\s*[:#]?\s*([A-Z0-9][A-Z0-9/-]{3,})/i.exec(text);
+  const permitNumber = permitNumberMatch && /\d/.test(permitNumberMatch[1]) ? permitNumberMatch[1] : null;
+
+  const validFrom = findDate(text, 'valid\\s+from|effective(?:\\s+date)?|start\\s+date|begin(?:ning|s)?(?:\\s+date)?|travel\\s+(?:from|start)');
+  const issueDate = findDate(text, 'issue(?:d)?(?:\\s+date)?|date\\s+(?:of\\s+)?issue(?:d)?') || validFrom;
+  let expirationDate = findDate(text, 'expir(?:es|ation|y)(?:\\s+date)?|valid\\s+(?:through|thru|until|to)|end\\s+date|travel\\s+(?:to|end)');
+  const range = new RegExp(`\\b(?:valid|dates?|travel\\s+dates?|period|effective)\\s*:?\\s*${DATE}\\s*(?:-|–|to|through|thru|until)\\s*${DATE}`, 'i').exec(text);
+  if (!expirationDate && range) expirationDate = parseDate(range[2]);
+
+  const dimensions = extractDimensions(text);
+  const route = extractRoute(text);
+
+  const parsed = {
+    permitNumber,
+    state: extractState(text, options.fallbackState),
+    issueDate,
+    validFrom: validFrom || (range ? parseDate(range[1]) : null),
+    expirationDate,
+    origin: route.origin,
+    destination: route.destination,
+    routeDescription: route.description,
+    route,
+    dimensions,
+    axleConfiguration: extractAxleConfiguration(text, dimensions.axles),
+    specialConditions: extractSpecialConditions(text),
+    restrictions: RESTRICTION_KEYWORDS.filter(keyword => keyword.pattern.test(text)).map(keyword => keyword.tag)
+  };
+
+  const found = {
+    ...parsed,
+    ...dimensions,
+    route: route.description || route.origin || route.destination
+  };
+  parsed.missing = KEY_FIELDS.filter(field => found[field] === null || found[field] === undefined);
+  parsed.confidence = round((KEY_FIELDS.length - parsed.missing.length) / KEY_FIELDS.length);
+  return parsed;
+}
+
+/**
+ * Text of an uploaded permit file: the PDF text layer (OCR'd where scanned) or OCR of a photo
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { contentType, engine: shared createOcrEngine() }
+ * @returns {Promise<{text: string, method: 'pdf'|'pdf+ocr'|'ocr', confidence: number}>}
+ */
+async function extractPermitText(buffer, options = {}) {
+  const contentType = options.contentType || '';
+
+  if (contentType === 'application/pdf' || buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    const { fullText, extraction } = await extractPages(buffer, { engine: options.engine });
+    return {
+      text: fullText,
+      method: extraction.ocrPages.length ? 'pdf+ocr' : 'pdf',
+      confidence: extraction.confidence
+    };
+  }
+
+  if (contentType.startsWith('image/')) {
+    const engine = options.engine || createOcrEngine();
+    try {
+      const { text, confidence } = await engine.recognize(buffer);
+      return { text, method: 'ocr', confidence };
+    } finally {
+      if (!options.engine) await engine.terminate();
+    }
+  }
+
+  throw new Error(`Unsupported permit file type: ${contentType || 'unknown'}`);
+}
+
+/**
+ * extractPermitText() + parsePermitText()
+ * Confidence combines how readable the file was with how many key fields were found.
+ */
+async function parsePermitFile(buffer, options = {}) {
+  const extracted = await extractPermitText(buffer, options);
+  const parsed = parsePermitText(extracted.text, options);
+  return {
+    ...parsed,
+    text: extracted.text,
+    method: extracted.method,
+    textConfidence: extracted.confidence,
+    confidence: round(parsed.confidence * extracted.confidence)
+  };
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  // Placeholders the app writes when its own OCR finds nothing ("IN-1723997330000")
+  return typeof value === 'string' && /^(?:unknown|number|[A-Z]{2}-\d{13})$/i.test(value.trim());
+}
+
+function sameValue(a, b) {
+  const dateA = a instanceof Date || typeof a?.toDate === 'function' ? toDate(a) : null;
+  if (dateA) return toDate(b)?.toISOString().slice(0, 10) === dateA.toISOString().slice(0, 10);
+  if (typeof a === 'number' || typeof b === 'number') return Math.abs(Number(a) - Number(b)) < 0.01;
+  return String(a).trim().toUpperCase() === String(b).trim().toUpperCase();
+}
+
+/**
+ * Fields to write to an existing permit doc
+ * Parsed values only fill gaps: anything the driver or dispatcher already entered wins, and
+ * disagreements are returned as conflicts for review. Multi-page photo uploads fill in page by page.
+ * @param {Object} existing - Current permits/{id} data ({} for a new permit)
+ * @param {Object} parsed - From parsePermitFile()
+ * @returns {{fields: Object, conflicts: Array<{field: string, existing: *, parsed: *}>}}
+ */
+function mergeParsedPermit(existing, parsed) {
+  const fields = {};
+  const conflicts = [];
+
+  const merge = (field, value, current, assign) => {
+    if (value === null || value === undefined) return;
+    if (isEmpty(current)) {
+      assign(value);
+    } else if (!sameValue(current, value)) {
+      conflicts.push({ field, existing: current instanceof Date ? current.toISOString() : current, parsed: value });
+    }
+  };
+
+  const dates = {
+    issueDate: parsed.issueDate && new Date(`${parsed.issueDate}T00:00:00Z`),
+    validFrom: parsed.validFrom && new Date(`${parsed.validFrom}T00:00:00Z`),
+    // Valid through the end of the expiration day
+    expirationDate: parsed.expirationDate && new Date(`${parsed.expirationDate}T23:59:59Z`)
+  };
+
+  for (const field of ['permitNumber', 'state', 'origin', 'destination', 'routeDescription']) {
+    merge(field, parsed[field], existing[field], value => { fields[field] = value; });
+  }
+  for (const [field, value] of Object.entries(dates)) {
+    merge(field, value || null, existing[field], date => { fields[field] = date; });
+  }
+
+  const dimensions = {};
+  for (const [field, value] of Object.entries(parsed.dimensions || {})) {
+    merge(`dimensions.${field}`, value, existing.dimensions?.[field], number => { dimensions[field] = number; });
+  }
+  if (Object.keys(dimensions).length) fields.dimensions = { ...(existing.dimensions || {}), ...dimensions };
+
+  const route = parsed.route || {};
+  if ((route.description || route.origin || route.destination) && isEmpty(existing.route)) fields.route = route;
+  if (parsed.axleConfiguration && isEmpty(existing.axleConfiguration)) fields.axleConfiguration = parsed.axleConfiguration;
+
+  for (const field of ['restrictions', 'specialConditions']) {
+    const current = Array.isArray(existing[field]) ? existing[field] : [];
+    const added = (parsed[field] || []).filter(item => !current.includes(item));
+    if (added.length) fields[field] = [...current, ...added];
+  }
+
+  return { fields, conflicts };
+}
+
+module.exports = {
+  parseDate,
+  parsePermitText,
+  extractPermitText,
+  parsePermitFile,
+  mergeParsedPermit
+};
+
+// Example run: node permit_parser.js permit.pdf (or a photo: permit.jpg)
+if (require.main === module) {
+  const fs = require('fs');
+  const file = process.argv[2];
+  if (!file) {
+    console.error('❌ Usage: node permit_parser.js <permit.pdf|permit.jpg>');
+    process.exit(1);
+  }
+
+  const contentType = /\.pdf$/i.test(file) ? 'application/pdf' : `image/${file.split('.').pop().toLowerCase()}`;
+  parsePermitFile(fs.readFileSync(file), { contentType })
+    .then(({ text, ...permit }) => console.log(JSON.stringify(permit, null, 2)))
+    .catch(e => { console.error('❌ Parse error:', e); process.exit(1); });
+}
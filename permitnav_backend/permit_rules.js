@@ -0,0 +1,194 @@
+/**
+ * Deterministic permit rule engine
+ * Checks a permit's dimensions and dates against structured state limits (state_limits.js).
+ * No LLM involved - the same permit and limits always produce the same verdict.
+ */
+
+const { formatLength, formatWeight } = require('./measurements');
+const { normalizeAxleConfiguration, evaluateAxles } = require('./axles');
+const { evaluateEscorts } = require('./escort_calculator');
+
+const DIMENSION_FIELDS = {
+  width: { label: 'Width', unit: 'ft' },
+  height: { label: 'Height', unit: 'ft' },
+  length: { label: 'Length', unit: 'ft' },
+  grossWeight: { label: 'Gross weight', unit: 'lbs' },
+  overhangFront: { label: 'Front overhang', unit: 'ft' },
+  overhangRear: { label: 'Rear overhang', unit: 'ft' }
+};
+
+/**
+ * Pull numeric dimensions out of a permit document (app writes dimensions.weight, not grossWeight)
+ */
+function extractDimensions(permit) {
+  const dims = permit.dimensions || {};
+  const toNumber = value => (value === null || value === undefined || value === '' ? null : Number(value));
+
+  return {
+    width: toNumber(dims.width),
+    height: toNumber(dims.height),
+    length: toNumber(dims.length),
+    grossWeight: toNumber(dims.grossWeight ?? dims.weight),
+    overhangFront: toNumber(dims.overhangFront),
+    overhangRear: toNumber(dims.overhangRear)
+  };
+}
+
+/**
+ * Firestore Timestamp, Date, ISO string or millis -> Date (or null)
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function formatValue(value, unit) {
+  return unit === 'lbs' ? formatWeight(value) : formatLength(value);
+}
+
+/**
+ * Check dimensions against a state's legal and maximum permittable limits
+ * @param {Object} dims - { width, height, length, grossWeight, overhangFront, overhangRear }
+ * @param {Object} limits - State limits from getStateLimits()
+ * @returns {{violations: Object[], warnings: Object[], oversize: Object[]}}
+ */
+function evaluateDimensions(dims, limits) {
+  const violations = [];
+  const warnings = [];
+  const oversize = [];
+  const state = limits.state;
+
+  for (const [field, { label, unit }] of Object.entries(DIMENSION_FIELDS)) {
+    const actual = dims[field];
+    const legal = limits.legal[field];
+    const permitMax = limits.permitMax[field];
+
+    if (actual === null || actual === undefined || isNaN(actual)) {
+      if (field in limits.permitMax) {
+        warnings.push({
+          code: 'MISSING_DIMENSION',
+          field,
+          message: `${label} is missing - cannot check it against ${state} limits`
+        });
+      }
+      continue;
+    }
+
+    if (permitMax && actual > permitMax.value) {
+      violations.push({
+        code: 'EXCEEDS_PERMIT_MAX',
+        field,
+        actual,
+        limit: permitMax.value,
+        unit,
+        ruleRef: permitMax.ref,
+        message: `${label} ${formatValue(actual, unit)} exceeds the ${state} maximum of ${formatValue(permitMax.value, unit)} - superload review required`
+      });
+    } else if (legal && actual > legal.value) {
+      oversize.push({
+        code: 'EXCEEDS_LEGAL',
+        field,
+        actual,
+        limit: legal.value,
+        unit,
+        ruleRef: legal.ref,
+        message: `${label} ${formatValue(actual, unit)} is over the ${state} legal limit of ${formatValue(legal.value, unit)} - permit required`
+      });
+    }
+  }
+
+  return { violations, warnings, oversize };
+}
+
+/**
+ * Axle groups and bridge formula for a permit/load axle configuration ({ count, spacings, weights })
+ * A configuration that does not add up is reported as a warning rather than failing the whole check.
+ * @param {Object} axleConfiguration - Raw configuration (feet/pounds unless units say otherwise)
+ * @param {Object} limits - State limits from getStateLimits()
+ * @param {Object} units - { length, weight } for plain numbers
+ */
+function evaluateAxleConfiguration(axleConfiguration, limits, units) {
+  try {
+    return evaluateAxles(normalizeAxleConfiguration(axleConfiguration, units), limits);
+  } catch (error) {
+    return {
+      violations: [],
+      warnings: [{ code: 'INVALID_AXLE_CONFIGURATION', field: 'axleConfiguration', message: error.message }],
+      oversize: [],
+      groups: [],
+      bridge: { checked: false, checks: [], failures: [] }
+    };
+  }
+}
+
+/**
+ * Evaluate a permit against a state's limits
+ * @param {Object} permit - Permit document ({ permitNumber, dimensions, axleConfiguration, issueDate, expirationDate })
+ * @param {Object} limits - State limits from getStateLimits()
+ * @param {Object} options - { asOf: Date }
+ * @returns {{compliant: boolean, violations: Object[], warnings: Object[], oversize: Object[], escorts: Object, axles: Object}}
+ */
+function evaluatePermit(permit, limits, options = {}) {
+  const asOf = options.asOf || new Date();
+  const dims = extractDimensions(permit);
+  const { violations, warnings, oversize } = evaluateDimensions(dims, limits);
+
+  const axles = evaluateAxleConfiguration(permit.axleConfiguration, limits);
+  violations.push(...axles.violations);
+  warnings.push(...axles.warnings);
+  oversize.push(...axles.oversize);
+
+  const permitNumber = (permit.permitNumber || '').trim();
+  if (!permitNumber || permitNumber.toUpperCase() === 'NUMBER') {
+    violations.push({
+      code: 'MISSING_PERMIT_NUMBER',
+      field: 'permitNumber',
+      message: 'Missing or invalid permit number'
+    });
+  }
+
+  const issueDate = toDate(permit.issueDate);
+  const expirationDate = toDate(permit.expirationDate);
+  if (expirationDate && expirationDate < asOf) {
+    violations.push({
+      code: 'PERMIT_EXPIRED',
+      field: 'expirationDate',
+      actual: expirationDate.toISOString(),
+      message: `Permit expired on ${expirationDate.toISOString().slice(0, 10)}`
+    });
+  } else if (!expirationDate) {
+    warnings.push({
+      code: 'MISSING_EXPIRATION',
+      field: 'expirationDate',
+      message: 'Permit has no expiration date'
+    });
+  }
+  if (issueDate && issueDate > asOf) {
+    warnings.push({
+      code: 'NOT_YET_VALID',
+      field: 'issueDate',
+      actual: issueDate.toISOString(),
+      message: `Permit is not valid until ${issueDate.toISOString().slice(0, 10)}`
+    });
+  }
+
+  return {
+    compliant: violations.length === 0,
+    violations,
+    warnings,
+    oversize,
+    escorts: evaluateEscorts(dims, limits.escorts),
+    axles: { groups: axles.groups, bridge: axles.bridge }
+  };
+}
+
+module.exports = {
+  extractDimensions,
+  evaluateDimensions,
+  evaluateEscorts,
+  evaluateAxleConfiguration,
+  evaluatePermit,
+  toDate
+};
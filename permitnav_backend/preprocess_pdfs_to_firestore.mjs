@@ -1,12 +1,35 @@
 /**
  * Pre-process all state PDFs into Firestore for lightning-fast chat responses
  * Extracts text and stores in searchable chunks
+ *
+ * Ingest is incremental: each binder is SHA-256 hashed and skipped when the hash (and extractor version)
+ * match the stored state_regulations/{STATE} doc. Every write adds a versions/{n} entry to the state's
+ * history, so re-ingesting one binder never touches the other states.
+ *
+ * A changed binder is compared with the stored version (see regulation_changes.js): the report goes to
+ * changes/{n} and permits/loads in that state are flagged for review.
+ *
+ * Scanned pages are OCR'd (pdf_ocr.js) and every state records its extraction confidence; binders that
+ * come out (nearly) empty fail instead of overwriting the stored version.
+ *
+ * Chunks and per-page extraction stats go to versions/{n}/chunks and versions/{n}/pages, written before
+ * the state doc points at version n - the state doc itself stays well under Firestore's 1 MiB limit.
  */
 
 import admin from 'firebase-admin';
+import crypto from 'crypto';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
-const pdfParse = require('pdf-parse');
+const { EXTRACTOR_VERSION, MIN_DOCUMENT_CHARS, extractPages, chunkPages } = require('./pdf_extract.js');
+const { getState, statesWithBinders } = require('./state_registry.js');
+const { buildChangeReport, flagAffected } = require('./regulation_changes.js');
+const { extractContactInfo, regulationVersionRef } = require('./chat_core.js');
+
+// Binders downloaded and parsed at once
+const CONCURRENCY = 3;
+
+// Writes per batch (Firestore allows 500)
+const BATCH_SIZE = 400;
 
 // Initialize Firebase Admin (uses default credentials)
 admin.initializeApp({
@@ -16,168 +39,209 @@ admin.initializeApp({
 const db = admin.firestore();
 const storage = admin.storage();
 
-// State PDF mapping
-const stateFileMap = {
-  'AL': 'Alabama_OSOW_Permit_Process.pdf',
-  'AK': 'Alaska_OSOW_Permit_Process.pdf',
-  'AZ': 'Arizona_OSOW_Permit_Process.pdf',
-  'AR': 'Arkansas_OSOW_Permit_Binder.pdf',
-  'CA': 'California_OSOW_Permit_Binder.pdf',
-  'CO': 'Colorado_OSOW_Permit_Binder.pdf',
-  'CT': 'Connecticut_OSOW_Permit_Binder.pdf',
-  'DE': 'Delaware_OSOW_Permit_Binder.pdf',
-  'FL': 'Florida_OSOW_Permit_Binder.pdf',
-  'GA': 'Georgia_OSOW_Permit_Binder.pdf',
-  'HI': 'Hawaii_OSOW_Permit_Binder.pdf',
-  'ID': 'Idaho_OSOW_Permit_Binder.pdf',
-  'IL': 'Permit_Nav_Illinois_OSOW_Binder.pdf',
-  'IN': 'Permit_Nav_Indiana_OSOW_Binder.pdf',
-  'IA': 'Permit_Nav_Iowa_OSOW_Binder.pdf',
-  'KS': 'Permit_Nav_Kansas_OSOW_Binder.pdf',
-  'KY': 'Permit_Nav_Kentucky_OSOW_Binder.pdf',
-  'LA': 'Permit_Nav_Louisiana_OSOW_Binder.pdf',
-  'ME': 'Permit_Nav_Maine_OSOW_Binder.pdf',
-  'MD': 'Permit_Nav_Maryland_OSOW_Binder.pdf',
-  'MA': 'Permit_Nav_Massachusetts_OSOW_Binder.pdf',
-  'MI': 'Permit_Nav_Michigan_OSOW_Binder.pdf',
-  'MN': 'Permit_Nav_Minnesota_OSOW_Binder.pdf',
-  'MS': 'Permit_Nav_Mississippi_OSOW_Binder.pdf',
-  'MO': 'Permit_Nav_Missouri_OSOW_Binder.pdf',
-  'MT': 'Permit_Nav_Montana_OSOW_Binder.pdf',
-  'NE': 'Permit_Nav_Nebraska_OSOW_Binder.pdf',
-  'NV': 'Permit_Nav_Nevada_OSOW_Binder.pdf',
-  'NH': 'Permit_Nav_New_Hampshire_OSOW_Binder.pdf',
-  'NJ': 'Permit_Nav_New_Jersey_OSOW_Binder.pdf',
-  'NM': 'Permit_Nav_New_Mexico_OSOW_Binder.pdf',
-  'NY': 'Permit_Nav_New_York_OSOW_Binder.pdf',
-  'NC': 'Permit_Nav_North_Carolina_OSOW_Binder.pdf',
-  'ND': 'Permit_Nav_North_Dakota_OSOW_Binder.pdf',
-  'OH': 'Permit_Nav_Ohio_OSOW_Binder.pdf',
-  'OK': 'Permit_Nav_Oklahoma_OSOW_Binder.pdf',
-  'OR': 'Oregon_OSOW_Permit_Process.pdf',
-  'PA': 'Permit_Nav_Pennsylvania_OSOW_Binder.pdf',
-  'RI': 'Permit_Nav_Rhode_Island_OSOW_Binder.pdf',
-  'SC': 'Permit_Nav_South_Carolina_OSOW_Binder.pdf',
-  'SD': 'Permit_Nav_South_Dakota_OSOW_Binder.pdf',
-  'TN': 'Permit_Nav_Tennessee_OSOW_Binder.pdf',
-  'TX': 'Permit_Nav_Texas_OSOW_Binder.pdf',
-  'UT': 'Permit_Nav_Utah_OSOW_Binder.pdf',
-  'VT': 'Permit_Nav_Vermont_OSOW_Binder.pdf',
-  'VA': 'Permit_Nav_Virginia_OSOW_Binder.pdf',
-  'WA': 'Permit_Nav_Washington_OSOW_Binder.pdf',
-  'WV': 'Permit_Nav_West_Virginia_OSOW_Binder.pdf',
-  'WI': 'Permit_Nav_Wisconsin_OSOW_Binder.pdf',
-  'WY': 'Permit_Nav_Wyoming_OSOW_Binder.pdf'
-};
-
-async function preprocessPDFToFirestore(state, filename) {
+/**
+ * Ingest one state binder if it changed
+ * @param {Object} options - { dryRun, force }
+ * @returns {Promise<{state: string, status: 'added'|'updated'|'unchanged'|'failed', reason?: string, version?: number, changes?: string[]}>}
+ */
+async function preprocessPDFToFirestore(state, filename, options = {}) {
+  const { dryRun = false, force = false } = options;
+
   try {
-    console.log(`🔄 Processing ${state}: ${filename}`);
-    
     // Download PDF from Storage
     const bucket = storage.bucket();
     const file = bucket.file(`state_rules/${filename}`);
     const [buffer] = await file.download();
+    const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    const stateRef = db.collection('state_regulations').doc(state);
+    const existingDoc = await stateRef.get();
+    const existing = existingDoc.exists ? existingDoc.data() : null;
+
+    const reason = changeReason(existing, { filename, contentHash }, force);
+    if (!reason) {
+      console.log(`⏭️ ${state} unchanged (${contentHash.substring(0, 12)}), skipping`);
+      return { state, status: 'unchanged' };
+    }
+
+    const status = existing ? 'updated' : 'added';
+    const version = (existing?.version || 0) + 1;
+    console.log(`🔄 Processing ${state}: ${filename} (${reason})`);
     
-    // Parse PDF text
-    const data = await pdfParse(buffer);
-    const fullText = data.text;
+    // Parse PDF text page by page, keeping headings, paragraphs and tables (scanned pages are OCR'd)
+    const { pages, fullText, pageCount, extraction } = await extractPages(buffer);
     
-    console.log(`📄 Extracted ${fullText.length} characters from ${state} PDF`);
+    console.log(`📄 Extracted ${fullText.length} characters (${pageCount} pages) from ${state} PDF, confidence ${extraction.confidence}`);
+
+    // Never replace a good stored version with an empty extraction
+    if (!extraction.usable) {
+      throw new Error(`only ${extraction.chars} characters extracted from ${filename} (minimum ${MIN_DOCUMENT_CHARS}) - not storing`);
+    }
+    if (extraction.weakPages.length) {
+      console.warn(`⚠️ ${state}: weak extraction on pages ${extraction.weakPages.join(', ')}`);
+    }
+
+    // What changed since the stored version
+    const report = existing?.fullText ? buildChangeReport(
+      state,
+      { version: existing.version, contentHash: existing.contentHash, fullText: existing.fullText, filename: existing.filename },
+      { version, contentHash, fullText, filename }
+    ) : null;
+    if (report?.hasChanges) {
+      report.summary.forEach(message => console.log(`   • ${message}`));
+    }
+
+    if (dryRun) {
+      console.log(`🔍 ${state} would be ${status} as v${version}: ${reason}`);
+      return { state, status, reason, version, changes: report?.summary || [], extraction };
+    }
     
     // Extract contact information
     const contactInfo = extractContactInfo(fullText, state);
     
-    // Break into searchable chunks (2000 chars each for fast queries)
-    const chunks = chunkText(fullText, 2000);
+    // Break into overlapping, section-tagged chunks that never span pages,
+    // so every chunk can be cited as { id, page, section }
+    const chunks = chunkPages(pages, { idPrefix: state });
+    const processedAt = new Date().toISOString();
     
+    // Chunks and pages first: the state doc only moves to this version once they are all written
+    const versionRef = regulationVersionRef(db, state, version);
+    const writes = [
+      ...chunks.map((chunk, chunkIndex) => [versionRef.collection('chunks').doc(String(chunkIndex).padStart(5, '0')), { ...chunk, chunkIndex }]),
+      ...pages.map(page => [versionRef.collection('pages').doc(String(page.page)), { page: page.page, ...page.extraction }])
+    ];
+    for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      writes.slice(i, i + BATCH_SIZE).forEach(([ref, data]) => batch.set(ref, data));
+      await batch.commit();
+    }
+
     // Store in Firestore
     const stateDoc = {
       state: state,
       filename: filename,
       fullText: fullText,
       contactInfo: contactInfo,
-      chunks: chunks,
-      processedAt: new Date().toISOString(),
-      chunkCount: chunks.length
+      pageCount: pageCount,
+      processedAt: processedAt,
+      chunkCount: chunks.length,
+      contentHash: contentHash,
+      extractorVersion: EXTRACTOR_VERSION,
+      extraction,
+      version: version
     };
+
+    // State doc and its history entry are written together
+    const batch = db.batch();
+    batch.set(stateRef, stateDoc);
+    batch.set(versionRef, {
+      version,
+      filename,
+      contentHash,
+      extractorVersion: EXTRACTOR_VERSION,
+      pageCount,
+      chunkCount: chunks.length,
+      extractionConfidence: extraction.confidence,
+      processedAt,
+      reason,
+      changeCount: report ? report.summary.length : null
+    });
+    if (report) {
+      batch.set(stateRef.collection('changes').doc(String(version)), report);
+    }
+    await batch.commit();
     
-    await db.collection('state_regulations').doc(state).set(stateDoc);
-    
-    console.log(`✅ ${state} processed: ${chunks.length} chunks stored in Firestore`);
+    console.log(`✅ ${state} ${status} as v${version}: ${chunks.length} chunks stored in Firestore`);
+
+    // Re-extracting the same binder (forced or new extractor) changes formatting, not rules - don't alert
+    if (report?.hasChanges && existing.contentHash !== contentHash) {
+      const flagged = await flagAffected(db, report);
+      console.log(`🚩 ${state}: flagged ${flagged.permits} permits and ${flagged.loads} loads for review`);
+    }
+    return { state, status, reason, version, changes: report?.summary || [], extraction };
     
   } catch (error) {
     console.error(`❌ Error processing ${state}:`, error);
+    return { state, status: 'failed', reason: error.message };
   }
 }
 
-function chunkText(text, maxChars) {
-  const chunks = [];
-  const paragraphs = text.split('\n\n');
-  let currentChunk = '';
-  
-  for (const paragraph of paragraphs) {
-    if (currentChunk.length + paragraph.length > maxChars) {
-      if (currentChunk.trim()) {
-        chunks.push(currentChunk.trim());
-      }
-      currentChunk = paragraph;
-    } else {
-      currentChunk += '\n\n' + paragraph;
-    }
+/**
+ * Why a binder needs (re-)ingesting, or null when the stored version is current
+ */
+function changeReason(existing, { filename, contentHash }, force) {
+  if (force) return 'forced';
+  if (!existing) return 'new state';
+  if (existing.contentHash !== contentHash) {
+    return existing.contentHash ? 'binder content changed' : 'no stored hash';
   }
-  
-  if (currentChunk.trim()) {
-    chunks.push(currentChunk.trim());
+  if (existing.filename !== filename) return 'binder file renamed';
+  if (existing.extractorVersion !== EXTRACTOR_VERSION) {
+    return `extractor v${existing.extractorVersion || 1} -> v${EXTRACTOR_VERSION}`;
   }
-  
-  return chunks;
+  return null;
 }
 
-function extractContactInfo(pdfContent, state) {
-  const phonePattern = /(\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4})/g;
-  const emailPattern = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g;
-  const websitePattern = /(https?:\/\/[^\s]+|www\.[^\s]+)/g;
-
-  const phones = [...new Set(pdfContent.match(phonePattern) || [])];
-  const emails = [...new Set(pdfContent.match(emailPattern) || [])];
-  const websites = [...new Set(pdfContent.match(websitePattern) || [])];
-
-  return {
-    state: state.toUpperCase(),
-    department: `${state.toUpperCase()} Department of Transportation`,
-    phones: phones.slice(0, 3),
-    emails: emails.slice(0, 3),
-    websites: websites.slice(0, 2),
-    lastUpdated: new Date().toISOString()
-  };
+/**
+ * Run fn over items with at most `limit` in flight
+ */
+async function runPool(items, limit, fn) {
+  const results = [];
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      results.push(await fn(item));
+    }
+  });
+  await Promise.all(workers);
+  return results;
 }
 
-async function preprocessAllPDFs() {
-  console.log('🚀 Starting PDF preprocessing to Firestore...');
-  
-  const states = Object.keys(stateFileMap);
-  console.log(`📋 Processing ${states.length} state PDFs`);
-  
-  // Process 3 at a time to avoid overwhelming Firebase
-  for (let i = 0; i < states.length; i += 3) {
-    const batch = states.slice(i, i + 3);
-    
-    await Promise.all(
-      batch.map(state => preprocessPDFToFirestore(state, stateFileMap[state]))
-    );
-    
-    console.log(`✅ Completed batch ${Math.floor(i / 3) + 1}/${Math.ceil(states.length / 3)}`);
-    
-    // Small delay between batches
-    if (i + 3 < states.length) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    }
+/**
+ * Ingest the given states (default: all) and report what changed
+ * @param {string[]} states - State codes
+ * @param {Object} options - { dryRun, force }
+ */
+async function preprocessAllPDFs(states = statesWithBinders().map(state => state.code), options = {}) {
+  console.log(`🚀 Starting PDF preprocessing to Firestore${options.dryRun ? ' (dry run - nothing is written)' : ''}...`);
+  console.log(`📋 Checking ${states.length} state PDFs`);
+
+  const results = await runPool(states, CONCURRENCY, state => preprocessPDFToFirestore(state, getState(state).binder, options));
+
+  const byStatus = status => results.filter(result => result.status === status).map(result => result.state).sort();
+  const verb = options.dryRun ? 'Would be ' : '';
+  console.log(`\n📊 Preprocessing ${options.dryRun ? 'dry run ' : ''}complete:`);
+  console.log(`🆕 ${verb}Added: ${byStatus('added').join(', ') || 'none'}`);
+  console.log(`🔄 ${verb}Updated: ${byStatus('updated').join(', ') || 'none'}`);
+  console.log(`⏭️ Unchanged: ${byStatus('unchanged').length} states`);
+  const weak = results.filter(result => result.extraction?.weak).map(result => `${result.state} (${result.extraction.confidence})`);
+  if (weak.length) {
+    console.log(`⚠️ Weak source data: ${weak.join(', ')}`);
   }
-  
-  console.log('🎉 All PDFs preprocessed to Firestore!');
-  console.log('💬 Chat responses will now be lightning fast!');
+  const failed = byStatus('failed');
+  if (failed.length) {
+    console.log(`❌ Failed: ${failed.join(', ')}`);
+    process.exitCode = 1;
+  }
+  return results;
 }
 
-// Run the preprocessing
-preprocessAllPDFs().catch(console.error);
\ No newline at end of file
+// Usage: node preprocess_pdfs_to_firestore.mjs [--dry-run] [--force] [IN OH ...]
+const args = process.argv.slice(2);
+const flags = new Set(args.filter(arg => arg.startsWith('--')));
+const requested = args.filter(arg => !arg.startsWith('--')).map(state => state.toUpperCase());
+const unknown = requested.filter(state => !getState(state)?.binder);
+
+if (unknown.length) {
+  console.error(`❌ No PDF mapping found for: ${unknown.join(', ')}`);
+  process.exit(1);
+}
+
+preprocessAllPDFs(requested.length ? requested : undefined, {
+  dryRun: flags.has('--dry-run'),
+  force: flags.has('--force')
+}).catch(error => {
+  console.error(error);
+  process.exit(1);
+});
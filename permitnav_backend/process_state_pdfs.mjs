@@ -1,12 +1,21 @@
 /**
  * PDF Processing Script
- * Extracts text from state regulation PDFs and caches for chat system
+ * Extracts text from state regulation PDFs and caches for chat system:
+ *   pdf_cache/{STATE}_content.txt - structured text (headings, paragraphs, tables) with page markers
+ *   pdf_cache/{STATE}_chunks.json - page- and section-tagged chunks used for local retrieval
+ *   pdf_cache/{STATE}_changes.json - the last change detected between two extractions
  */
 
 import fs from 'fs';
 import path from 'path';
-import pdfParse from 'pdf-parse';
 import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+
+// pdf-parse runs its debug harness when imported as ESM, so load it through require
+const require = createRequire(import.meta.url);
+const { MIN_DOCUMENT_CHARS, extractPages, chunkPages } = require('./pdf_extract.js');
+const { getState, statesWithBinders } = require('./state_registry.js');
+const { buildChangeReport } = require('./regulation_changes.js');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,60 +23,6 @@ const __dirname = path.dirname(__filename);
 const PDF_DIR = path.join(__dirname, 'state_rules');
 const CACHE_DIR = path.join(__dirname, 'pdf_cache');
 
-// State mapping (same as in chat handler)
-const STATE_FILE_MAP = {
-  'AL': 'Alabama_OSOW_Permit_Process.pdf',
-  'AK': 'Alaska_OSOW_Permit_Process.pdf', 
-  'AZ': 'Arizona_OSOW_Permit_Process.pdf',
-  'AR': 'Arkansas_OSOW_Permit_Binder.pdf',
-  'CA': 'California_OSOW_Permit_Binder.pdf',
-  'CO': 'Colorado_OSOW_Permit_Binder.pdf',
-  'CT': 'Connecticut_OSOW_Permit_Binder.pdf',
-  'DE': 'Delaware_OSOW_Permit_Binder.pdf',
-  'FL': 'Florida_OSOW_Permit_Binder.pdf',
-  'GA': 'Georgia_OSOW_Permit_Binder.pdf',
-  'HI': 'Hawaii_OSOW_Permit_Binder.pdf',
-  'ID': 'Idaho_OSOW_Permit_Binder.pdf',
-  'IL': 'Permit_Nav_Illinois_OSOW_Binder.pdf',
-  'IN': 'Permit_Nav_Indiana_OSOW_Binder.pdf',
-  'IA': 'Permit_Nav_Iowa_OSOW_Binder.pdf',
-  'KS': 'Permit_Nav_Kansas_OSOW_Binder.pdf',
-  'KY': 'Permit_Nav_Kentucky_OSOW_Binder.pdf',
-  'LA': 'Permit_Nav_Louisiana_OSOW_Binder.pdf',
-  'ME': 'Permit_Nav_Maine_OSOW_Binder.pdf',
-  'MD': 'Permit_Nav_Maryland_OSOW_Binder.pdf',
-  'MA': 'Permit_Nav_Massachusetts_OSOW_Binder.pdf',
-  'MI': 'Permit_Nav_Michigan_OSOW_Binder.pdf',
-  'MN': 'Permit_Nav_Minnesota_OSOW_Binder.pdf',
-  'MS': 'Permit_Nav_Mississippi_OSOW_Binder.pdf',
-  'MO': 'Permit_Nav_Missouri_OSOW_Binder.pdf',
-  'MT': 'Permit_Nav_Montana_OSOW_Binder.pdf',
-  'NE': 'Permit_Nav_Nebraska_OSOW_Binder.pdf',
-  'NV': 'Permit_Nav_Nevada_OSOW_Binder.pdf',
-  'NH': 'Permit_Nav_New_Hampshire_OSOW_Binder.pdf',
-  'NJ': 'Permit_Nav_New_Jersey_OSOW_Binder.pdf',
-  'NM': 'Permit_Nav_New_Mexico_OSOW_Binder.pdf',
-  'NY': 'Permit_Nav_New_York_OSOW_Binder.pdf',
-  'NC': 'Permit_Nav_North_Carolina_OSOW_Binder.pdf',
-  'ND': 'Permit_Nav_North_Dakota_OSOW_Binder.pdf',
-  'OH': 'Permit_Nav_Ohio_OSOW_Binder.pdf',
-  'OK': 'Permit_Nav_Oklahoma_OSOW_Binder.pdf',
-  'OR': 'Oregon_OSOW_Permit_Process.pdf',
-  'PA': 'Permit_Nav_Pennsylvania_OSOW_Binder.pdf',
-  'RI': 'Permit_Nav_Rhode_Island_OSOW_Binder.pdf',
-  'SC': 'Permit_Nav_South_Carolina_OSOW_Binder.pdf',
-  'SD': 'Permit_Nav_South_Dakota_OSOW_Binder.pdf',
-  'TN': 'Permit_Nav_Tennessee_OSOW_Binder.pdf',
-  'TX': 'Permit_Nav_Texas_OSOW_Binder.pdf',
-  'UT': 'Permit_Nav_Utah_OSOW_Binder.pdf',
-  'VT': 'Permit_Nav_Vermont_OSOW_Binder.pdf',
-  'VA': 'Permit_Nav_Virginia_OSOW_Binder.pdf',
-  'WA': 'Permit_Nav_Washington_OSOW_Binder.pdf',
-  'WV': 'Permit_Nav_West_Virginia_OSOW_Binder.pdf',
-  'WI': 'Permit_Nav_Wisconsin_OSOW_Binder.pdf',
-  'WY': 'Permit_Nav_Wyoming_OSOW_Binder.pdf'
-};
-
 /**
  * Process a single PDF and extract text content
  */
@@ -85,20 +40,29 @@ async function processPDF(state, filename) {
     // Read PDF file
     const pdfBuffer = fs.readFileSync(pdfPath);
     
-    // Extract text using pdf-parse
-    const data = await pdfParse(pdfBuffer);
-    
-    // Clean up text content
-    let cleanText = data.text
-      .replace(/\s+/g, ' ')              // Normalize whitespace
-      .replace(/\n\s*\n/g, '\n\n')       // Normalize line breaks
+    // Extract text page by page, keeping headings, paragraphs and tables (scanned pages are OCR'd)
+    const { pages, pageCount, extraction } = await extractPages(pdfBuffer);
+
+    // An empty cache file would look like a state with no rules - keep the previous one instead
+    if (!extraction.usable) {
+      console.error(`❌ ${state}: only ${extraction.chars} characters extracted (minimum ${MIN_DOCUMENT_CHARS}), cache not written`);
+      return false;
+    }
+    if (extraction.weakPages.length) {
+      console.warn(`⚠️ ${state}: weak extraction on pages ${extraction.weakPages.join(', ')}`);
+    }
+    const cleanText = pages
+      .map(page => `=== PAGE ${page.page} ===\n\n${page.text}`)
+      .join('\n\n')
       .trim();
+    const extractedAt = new Date().toISOString();
 
     // Add metadata header
     const metadata = `STATE: ${state}
 FILENAME: ${filename}
-PAGES: ${data.numpages}
-EXTRACTED: ${new Date().toISOString()}
+PAGES: ${pageCount}
+EXTRACTED: ${extractedAt}
+EXTRACTION_CONFIDENCE: ${extraction.confidence}${extraction.ocrPages.length ? ` (OCR pages: ${extraction.ocrPages.join(', ')})` : ''}
 CONTENT_LENGTH: ${cleanText.length} characters
 
 === REGULATION CONTENT ===
@@ -107,11 +71,38 @@ CONTENT_LENGTH: ${cleanText.length} characters
 
     const fullContent = metadata + cleanText;
 
-    // Save to cache
+    // Compare with the previous extraction before overwriting it
     const cacheFile = path.join(CACHE_DIR, `${state}_content.txt`);
+    if (fs.existsSync(cacheFile)) {
+      const previous = fs.readFileSync(cacheFile, 'utf8');
+      const report = buildChangeReport(
+        state,
+        { fullText: previous.split('=== REGULATION CONTENT ===').pop(), filename: (previous.match(/^FILENAME: (.+)$/m) || [])[1] },
+        { fullText: cleanText, filename }
+      );
+      if (report.hasChanges) {
+        fs.writeFileSync(path.join(CACHE_DIR, `${state}_changes.json`), JSON.stringify(report, null, 2), 'utf8');
+        console.log(`🔔 ${state} changed since the last extraction:`);
+        report.summary.forEach(message => console.log(`   • ${message}`));
+      }
+    }
+
+    // Save to cache
     fs.writeFileSync(cacheFile, fullContent, 'utf8');
+
+    // Same chunking as the Firestore preprocess, so local answers cite the same ids
+    const chunks = chunkPages(pages, { idPrefix: state });
+    const chunksFile = path.join(CACHE_DIR, `${state}_chunks.json`);
+    fs.writeFileSync(chunksFile, JSON.stringify({
+      state,
+      filename,
+      pageCount,
+      extractedAt,
+      extraction: { ...extraction, pages: pages.map(page => ({ page: page.page, ...page.extraction })) },
+      chunks
+    }, null, 2), 'utf8');
     
-    console.log(`✅ ${state}: Extracted ${cleanText.length} characters, ${data.numpages} pages`);
+    console.log(`✅ ${state}: Extracted ${cleanText.length} characters, ${pageCount} pages, ${chunks.length} chunks`);
     return true;
     
   } catch (error) {
@@ -135,8 +126,8 @@ async function processAllPDFs() {
   let processed = 0;
   let failed = 0;
   
-  for (const [state, filename] of Object.entries(STATE_FILE_MAP)) {
-    const success = await processPDF(state, filename);
+  for (const { code, binder } of statesWithBinders()) {
+    const success = await processPDF(code, binder);
     if (success) {
       processed++;
     } else {
@@ -173,7 +164,7 @@ async function processSpecificStates(states) {
   }
   
   for (const state of states) {
-    const filename = STATE_FILE_MAP[state.toUpperCase()];
+    const filename = getState(state)?.binder;
     if (filename) {
       await processPDF(state.toUpperCase(), filename);
     } else {
@@ -188,7 +179,7 @@ async function processSpecificStates(states) {
 async function testExtraction(state) {
   console.log(`🧪 Testing extraction for ${state}...`);
   
-  const filename = STATE_FILE_MAP[state.toUpperCase()];
+  const filename = getState(state)?.binder;
   if (!filename) {
     console.error(`❌ No PDF mapping for ${state}`);
     return;
@@ -246,7 +237,7 @@ switch (command) {
   node process_state_pdfs.mjs test IN
   
 Examples:
-  node process_state_pdfs.mjs all              # Process all 51 states
+  node process_state_pdfs.mjs all              # Process every state with a binder
   node process_state_pdfs.mjs states IN IL     # Process only Indiana and Illinois  
   node process_state_pdfs.mjs test IN          # Test Indiana extraction and show preview
 `);
@@ -0,0 +1,179 @@
+/**
+ * Regulation change detection between binder versions
+ * Compares a newly extracted binder with the stored previous version - structured limits (via the
+ * state profile extractor + diff, e.g. "WI max width without escort changed from 12' to 13'") and the
+ * text itself (added/removed lines) - and flags permits and loads in the state for review.
+ *
+ * Reports are stored at state_regulations/{STATE}/changes/{version}.
+ */
+
+const admin = require('firebase-admin');
+const { extractStateProfile } = require('./state_profile_extractor');
+const { diffProfiles } = require('./state_profile_diff');
+const { FINISHED_LOAD_STATUSES } = require('./load_lifecycle');
+
+// Lines kept per side in a stored report (the counts are always exact)
+const MAX_REPORTED_LINES = 50;
+// Above this many line pairs the LCS table gets too big - fall back to set differences
+const MAX_LCS_CELLS = 4000000;
+const FIRESTORE_BATCH_LIMIT = 450;
+
+function diffLines(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line && !/^=== PAGE \d+ ===$/.test(line));
+}
+
+/**
+ * Line diff of two texts (whitespace-insensitive, page markers ignored)
+ * @returns {{added: string[], removed: string[]}}
+ */
+function diffText(previousText, nextText) {
+  const before = diffLines(previousText);
+  const after = diffLines(nextText);
+
+  if (before.length * after.length > MAX_LCS_CELLS) {
+    const beforeSet = new Set(before);
+    const afterSet = new Set(after);
+    return {
+      added: after.filter(line => !beforeSet.has(line)),
+      removed: before.filter(line => !afterSet.has(line))
+    };
+  }
+
+  // Longest common subsequence, walked back into added/removed lines
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const table = new Uint32Array(rows * cols);
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i * cols + j] = before[i] === after[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const added = [];
+  const removed = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      removed.push(before[i++]);
+    } else {
+      added.push(after[j++]);
+    }
+  }
+  removed.push(...before.slice(i));
+  added.push(...after.slice(j));
+  return { added, removed };
+}
+
+/**
+ * Compare two binder versions
+ * @param {string} state - State code
+ * @param {Object} previous - { version, contentHash, fullText, filename }
+ * @param {Object} next - { version, contentHash, fullText, filename }
+ * @returns {Object} Change report ({ hasChanges: false } when nothing meaningful changed)
+ */
+function buildChangeReport(state, previous, next) {
+  const profileOf = binder => extractStateProfile(binder.fullText || '', state, {
+    binderName: binder.filename || `${state} OS/OW Binder`,
+    sourceFile: binder.filename || null
+  });
+
+  const limitChanges = diffProfiles(profileOf(previous), profileOf(next));
+  const { added, removed } = diffText(previous.fullText, next.fullText);
+
+  const summary = limitChanges.map(change => change.message);
+  if (added.length || removed.length) {
+    summary.push(`${state} binder text: ${added.length} line${added.length === 1 ? '' : 's'} added, ${removed.length} removed`);
+  }
+
+  return {
+    state,
+    fromVersion: previous.version || null,
+    toVersion: next.version || null,
+    fromHash: previous.contentHash || null,
+    toHash: next.contentHash || null,
+    hasChanges: summary.length > 0,
+    // Limit changes can change what a permit allows; text-only changes just need a read
+    severity: limitChanges.length ? 'limits' : (summary.length ? 'text' : 'none'),
+    limitChanges,
+    textChanges: {
+      addedCount: added.length,
+      removedCount: removed.length,
+      added: added.slice(0, MAX_REPORTED_LINES),
+      removed: removed.slice(0, MAX_REPORTED_LINES)
+    },
+    summary,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+function isExpired(permit, now) {
+  const expires = permit.expirationDate;
+  if (!expires) return false;
+  const date = typeof expires.toDate === 'function' ? expires.toDate() : new Date(expires);
+  return !isNaN(date) && date < now;
+}
+
+/**
+ * Permits issued in the state (unexpired) and open loads whose route crosses it
+ * @returns {Promise<{permits: FirebaseFirestore.DocumentReference[], loads: FirebaseFirestore.DocumentReference[]}>}
+ */
+async function findAffected(db, state) {
+  const now = new Date();
+  const [permitSnapshot, loadSnapshot] = await Promise.all([
+    db.collection('permits').where('state', 'in', [state, state.toLowerCase()]).get(),
+    db.collection('loads').where('routeStates', 'array-contains', state).get()
+  ]);
+
+  return {
+    permits: permitSnapshot.docs.filter(doc => !isExpired(doc.data(), now)).map(doc => doc.ref),
+    loads: loadSnapshot.docs.filter(doc => !FINISHED_LOAD_STATUSES.includes(doc.data().status)).map(doc => doc.ref)
+  };
+}
+
+/**
+ * Flag affected permits and loads with a regulation alert
+ * @returns {Promise<{permits: number, loads: number}>}
+ */
+async function flagAffected(db, report) {
+  const FieldValue = admin.firestore.FieldValue;
+  const { permits, loads } = await findAffected(db, report.state);
+  const alert = {
+    state: report.state,
+    version: report.toVersion,
+    severity: report.severity,
+    summary: report.summary.slice(0, 10),
+    reportPath: `state_regulations/${report.state}/changes/${report.toVersion}`,
+    flaggedAt: report.generatedAt
+  };
+
+  const refs = [...permits, ...loads];
+  for (let i = 0; i < refs.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    for (const ref of refs.slice(i, i + FIRESTORE_BATCH_LIMIT)) {
+      batch.update(ref, {
+        regulationAlerts: FieldValue.arrayUnion(alert),
+        regulationReviewNeeded: true,
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    }
+    await batch.commit();
+  }
+
+  return { permits: permits.length, loads: loads.length };
+}
+
+module.exports = {
+  diffText,
+  buildChangeReport,
+  findAffected,
+  flagAffected
+};
@@ -0,0 +1,282 @@
+/**
+ * Question-aware retrieval over state regulation chunks
+ * Scores every chunk with BM25 and optionally blends in embedding similarity
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_DIR = path.join(__dirname, 'pdf_cache');
+// Bump when the index layout changes so stale pdf_cache/*_index.json files are rebuilt
+const INDEX_FORMAT_VERSION = 3;
+
+// BM25 tuning (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for',
+  'from', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'my', 'of',
+  'on', 'or', 'our', 'shall', 'should', 'that', 'the', 'their', 'there', 'this',
+  'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'will', 'with',
+  'would', 'you', 'your', 'me', 'need', 'any', 'all', 'about'
+]);
+
+/**
+ * Split text into lowercase search terms (stopwords removed, plurals folded)
+ */
+function tokenize(text) {
+  if (!text) return [];
+
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOPWORDS.has(token) && (token.length > 1 || /\d/.test(token)))
+    .map(stem);
+}
+
+/**
+ * Very light stemming so "escorts"/"escort" and "curfews"/"curfew" match
+ */
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+/**
+ * Chunk string or { id, page, section, text } object -> { id, page, section, text }
+ * Older state_regulations docs store plain strings; they get positional ids and no page or section.
+ */
+function normalizeChunk(chunk, chunkIndex, idPrefix) {
+  if (typeof chunk === 'string') {
+    return { id: `${idPrefix}-${chunkIndex}`, page: null, section: null, text: chunk };
+  }
+  return {
+    id: chunk.id || `${idPrefix}-${chunkIndex}`,
+    page: chunk.page ?? null,
+    section: chunk.section || null,
+    text: chunk.text || ''
+  };
+}
+
+/**
+ * Build a BM25 index over regulation chunks
+ * @param {Array<string|{id: string, page: number, section: string, text: string}>} chunks - Chunks (order defines chunkIndex)
+ * @param {Object} meta - Optional metadata stored with the index (state, processedAt)
+ */
+function buildIndex(rawChunks, meta = {}) {
+  const docs = [];
+  const df = {};
+  let totalLength = 0;
+  const chunks = rawChunks.map((chunk, chunkIndex) => normalizeChunk(chunk, chunkIndex, meta.state || 'chunk'));
+
+  chunks.forEach((chunk, chunkIndex) => {
+    // The section title counts as chunk text ("Escort Requirements" matches escort questions)
+    const tokens = tokenize(chunk.section ? `${chunk.section}\n${chunk.text}` : chunk.text);
+    const tf = {};
+    for (const token of tokens) {
+      tf[token] = (tf[token] || 0) + 1;
+    }
+    for (const token of Object.keys(tf)) {
+      df[token] = (df[token] || 0) + 1;
+    }
+    totalLength += tokens.length;
+    docs.push({ chunkIndex, length: tokens.length, tf });
+  });
+
+  return {
+    ...meta,
+    formatVersion: INDEX_FORMAT_VERSION,
+    chunks,
+    docs,
+    df,
+    docCount: docs.length,
+    avgDocLength: docs.length ? totalLength / docs.length : 0,
+    embeddings: null
+  };
+}
+
+/**
+ * BM25 score of every chunk in the index for the given query terms
+ */
+function scoreBm25(index, queryTokens) {
+  const uniqueTerms = [...new Set(queryTokens)];
+
+  return index.docs.map(doc => {
+    let score = 0;
+    for (const term of uniqueTerms) {
+      const freq = doc.tf[term];
+      if (!freq) continue;
+
+      const docFreq = index.df[term] || 0;
+      const idf = Math.log(1 + (index.docCount - docFreq + 0.5) / (docFreq + 0.5));
+      const norm = freq + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / (index.avgDocLength || 1)));
+      score += idf * (freq * (BM25_K1 + 1)) / norm;
+    }
+    return score;
+  });
+}
+
+/**
+ * Compute and attach chunk embeddings so retrieve() can blend semantic similarity
+ * @param {Object} index - Index from buildIndex()
+ * @param {{embed: function(string[]): Promise<number[][]>}} embedder
+ */
+async function embedIndex(index, embedder, batchSize = 64) {
+  const embeddings = [];
+  for (let i = 0; i < index.chunks.length; i += batchSize) {
+    const batch = index.chunks.slice(i, i + batchSize).map(chunk => chunk.text);
+    embeddings.push(...await embedder.embed(batch));
+  }
+  index.embeddings = embeddings;
+  return index;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+function normalizeScores(scores) {
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  if (max === min) return scores.map(() => (max > 0 ? 1 : 0));
+  return scores.map(score => (score - min) / (max - min));
+}
+
+/**
+ * Return the top-k passages for a question
+ * @param {Object} index - Index from buildIndex()/loadLocalIndex()
+ * @param {string} question - The driver's question
+ * @param {Object} options - { k, embedder, lexicalWeight }
+ * @returns {Promise<Array<{chunkIndex: number, id: string, page: number|null, section: string|null, score: number, text: string}>>}
+ */
+async function retrieve(index, question, options = {}) {
+  const { k = 3, embedder = null, lexicalWeight = 0.5 } = options;
+
+  if (!index || index.docCount === 0) return [];
+
+  let scores = scoreBm25(index, tokenize(question));
+
+  if (embedder && index.embeddings) {
+    const [queryEmbedding] = await embedder.embed([question]);
+    const semantic = index.embeddings.map(embedding => cosineSimilarity(queryEmbedding, embedding));
+    const lexical = normalizeScores(scores);
+    scores = lexical.map((score, i) => lexicalWeight * score + (1 - lexicalWeight) * semantic[i]);
+  }
+
+  // Nothing matched - fall back to the opening chunks (overview, contacts)
+  if (scores.every(score => score <= 0)) {
+    return index.chunks.slice(0, k).map((chunk, chunkIndex) => ({ chunkIndex, score: 0, ...chunk }));
+  }
+
+  return scores
+    .map((score, chunkIndex) => ({ chunkIndex, score }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.chunkIndex - b.chunkIndex)
+    .slice(0, k)
+    .map(result => ({ ...result, ...index.chunks[result.chunkIndex] }));
+}
+
+/**
+ * Split flat text into ~maxChars passages on sentence boundaries
+ * (pdf_cache content files have their whitespace collapsed, so there are no paragraphs)
+ */
+function splitIntoPassages(text, maxChars = 2000) {
+  const sentences = text.split(/(?<=[.!?])\s+/).map(sentence => sentence + ' ');
+  const passages = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (current.length + sentence.length > maxChars && current.trim()) {
+      passages.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  }
+
+  if (current.trim()) {
+    passages.push(current.trim());
+  }
+
+  return passages;
+}
+
+/**
+ * Build (or load) an offline index for a state from pdf_cache
+ * Prefers {STATE}_chunks.json (page- and section-tagged, written by process_state_pdfs.mjs) and falls back
+ * to splitting {STATE}_content.txt from older runs. The index is cached as {STATE}_index.json.
+ */
+function loadLocalIndex(state, cacheDir = CACHE_DIR) {
+  const code = state.toUpperCase();
+  const chunksFile = path.join(cacheDir, `${code}_chunks.json`);
+  const contentFile = path.join(cacheDir, `${code}_content.txt`);
+  const indexFile = path.join(cacheDir, `${code}_index.json`);
+  const sourceFile = fs.existsSync(chunksFile) ? chunksFile : contentFile;
+
+  if (!fs.existsSync(sourceFile)) {
+    return null;
+  }
+
+  const sourceMtime = fs.statSync(sourceFile).mtimeMs;
+  if (fs.existsSync(indexFile)) {
+    const cached = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    if (cached.sourceMtime === sourceMtime && cached.formatVersion === INDEX_FORMAT_VERSION) {
+      return cached;
+    }
+  }
+
+  let index;
+  if (sourceFile === chunksFile) {
+    const { filename = null, chunks } = JSON.parse(fs.readFileSync(chunksFile, 'utf8'));
+    index = buildIndex(chunks, { state: code, filename, sourceMtime });
+  } else {
+    const content = fs.readFileSync(contentFile, 'utf8');
+    const body = content.split('=== REGULATION CONTENT ===').pop();
+    const filename = (content.match(/^FILENAME: (.+)$/m) || [])[1] || null;
+    index = buildIndex(splitIntoPassages(body), { state: code, filename, sourceMtime });
+  }
+
+  fs.writeFileSync(indexFile, JSON.stringify(index), 'utf8');
+  return index;
+}
+
+module.exports = {
+  tokenize,
+  buildIndex,
+  scoreBm25,
+  embedIndex,
+  retrieve,
+  splitIntoPassages,
+  loadLocalIndex
+};
+
+// Example run (offline): node regulation_retrieval.js IN "When do I need an escort?" 3
+if (require.main === module) {
+  (async () => {
+    const state = process.argv[2] || 'IN';
+    const question = process.argv[3] || 'What are the escort requirements?';
+    const k = parseInt(process.argv[4] || '3', 10);
+
+    const index = loadLocalIndex(state);
+    if (!index) {
+      console.error(`❌ No cached content for ${state}. Run: node process_state_pdfs.mjs test ${state}`);
+      process.exit(1);
+    }
+
+    const passages = await retrieve(index, question, { k });
+    console.log(`🔎 ${state}: top ${passages.length} of ${index.docCount} chunks for "${question}"`);
+    for (const passage of passages) {
+      console.log(`\n${passage.id}${passage.page ? ` p.${passage.page}` : ''}${passage.section ? ` [${passage.section}]` : ''} (score ${passage.score.toFixed(3)})`);
+      console.log(passage.text.substring(0, 400) + (passage.text.length > 400 ? '...' : ''));
+    }
+  })().catch(e => { console.error('❌ Retrieval error:', e); process.exit(1); });
+}
@@ -0,0 +1,276 @@
+/**
+ * LLM response schema validation and repair
+ * Every model answer is checked against a strict schema. Near-misses are coerced (e.g. "true" -> true,
+ * 85 -> 0.85), invalid answers are retried with the validation errors fed back to the model, and if
+ * that still fails callers get a safe fallback. Outcomes are counted per day in llm_metrics/{date}.
+ */
+
+const admin = require('firebase-admin');
+
+/**
+ * Compliance chat response - the fields toComplianceResponse() relies on
+ */
+const COMPLIANCE_SCHEMA = {
+  name: 'compliance_response',
+  fields: {
+    notes: { type: 'string', required: true, minLength: 1 },
+    is_compliant: { type: 'boolean', required: true },
+    violations: { type: 'array', items: 'string', required: true },
+    escorts: { type: 'string', required: true },
+    travel_restrictions: { type: 'string', required: true },
+    confidence: { type: 'number', required: true, min: 0, max: 1 },
+    sources: { type: 'array', items: 'string', required: true },
+    citations: {
+      type: 'array',
+      default: [],
+      items: {
+        fields: {
+          chunk_id: { type: 'string', required: true, minLength: 1 },
+          page: { type: 'number' },
+          quote: { type: 'string', required: true, minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+const DEFAULT_MAX_ATTEMPTS = 2;
+
+/**
+ * Parse model output as a JSON object, tolerating prose or code fences around it
+ * @returns {Object|null}
+ */
+function parseModelJson(content) {
+  if (!content) return null;
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    const match = content.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+      return JSON.parse(match[0]);
+    } catch {
+      return null;
+    }
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Best-effort conversion of a value to the expected type
+ * @returns {{ok: boolean, value: *}}
+ */
+function coerceValue(value, type) {
+  switch (type) {
+    case 'string':
+      if (typeof value === 'string') return { ok: true, value: value.trim() };
+      if (typeof value === 'number' || typeof value === 'boolean') return { ok: true, value: String(value) };
+      if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+        return { ok: true, value: value.join('; ') };
+      }
+      return { ok: false, value };
+
+    case 'boolean':
+      if (typeof value === 'boolean') return { ok: true, value };
+      if (typeof value === 'string') {
+        const text = value.trim().toLowerCase();
+        if (['true', 'yes', 'compliant'].includes(text)) return { ok: true, value: true };
+        if (['false', 'no', 'non-compliant', 'not compliant'].includes(text)) return { ok: true, value: false };
+      }
+      return { ok: false, value };
+
+    case 'number': {
+      if (typeof value === 'number' && !isNaN(value)) return { ok: true, value };
+      if (typeof value === 'string') {
+        const number = parseFloat(value.replace('%', ''));
+        if (!isNaN(number)) return { ok: true, value: value.includes('%') ? number / 100 : number };
+      }
+      return { ok: false, value };
+    }
+
+    default:
+      return { ok: false, value };
+  }
+}
+
+/**
+ * Array item -> string (models sometimes return {"description": "..."} objects)
+ */
+function coerceItem(item) {
+  if (typeof item === 'string') return item.trim();
+  if (item && typeof item === 'object') {
+    const text = item.message || item.description || item.text || item.title;
+    if (typeof text === 'string') return text.trim();
+  }
+  if (typeof item === 'number') return String(item);
+  return null;
+}
+
+/**
+ * Validate (and coerce) a parsed response against a schema
+ * Unknown keys are dropped - the schema is strict. Array items are strings or nested { fields } objects.
+ * @returns {{valid: boolean, value: Object, errors: string[], coercions: string[]}}
+ */
+function validateResponse(data, schema = COMPLIANCE_SCHEMA, keyPrefix = '') {
+  const errors = [];
+  const coercions = [];
+  const value = {};
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, value: null, errors: [`${keyPrefix || 'Response'} is not a JSON object`], coercions };
+  }
+
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    const key = keyPrefix + name;
+    let field = data[name];
+
+    if (field === undefined || field === null) {
+      if (rule.default !== undefined) {
+        value[name] = rule.default;
+      } else if (rule.required) {
+        errors.push(`"${key}" is required (${rule.type})`);
+      }
+      continue;
+    }
+
+    if (rule.type === 'array' && typeof rule.items === 'object') {
+      if (!Array.isArray(field)) {
+        errors.push(`"${key}" must be an array of objects, got ${describeType(field)}`);
+        continue;
+      }
+      value[name] = [];
+      field.forEach((item, i) => {
+        const nested = validateResponse(item, rule.items, `${key}[${i}].`);
+        coercions.push(...nested.coercions);
+        if (nested.valid) {
+          value[name].push(nested.value);
+        } else if (rule.required) {
+          errors.push(...nested.errors);
+        } else {
+          // A bad optional item (e.g. one malformed citation) should not sink the whole answer
+          coercions.push(`${key}[${i}]: dropped (${nested.errors.join('; ')})`);
+        }
+      });
+      continue;
+    }
+
+    if (rule.type === 'array') {
+      if (!Array.isArray(field)) {
+        if (typeof field === 'string') {
+          coercions.push(`${key}: string -> array`);
+          field = field.trim() ? [field] : [];
+        } else {
+          errors.push(`"${key}" must be an array of ${rule.items}s, got ${describeType(field)}`);
+          continue;
+        }
+      }
+      const items = field.map(coerceItem);
+      if (items.some(item => item === null)) {
+        errors.push(`"${key}" must only contain ${rule.items}s`);
+        continue;
+      }
+      if (field.some(item => typeof item !== 'string')) coercions.push(`${key}: items -> strings`);
+      value[name] = items.filter(Boolean);
+      continue;
+    }
+
+    const coerced = coerceValue(field, rule.type);
+    if (!coerced.ok) {
+      errors.push(`"${key}" must be a ${rule.type}, got ${describeType(field)}`);
+      continue;
+    }
+    if (typeof field !== rule.type) coercions.push(`${key}: ${describeType(field)} -> ${rule.type}`);
+    field = coerced.value;
+
+    // Confidence given as a percentage
+    if (rule.type === 'number' && rule.max === 1 && field > 1 && field <= 100) {
+      coercions.push(`${key}: ${field} -> ${field / 100}`);
+      field = field / 100;
+    }
+    if (rule.min !== undefined && field < rule.min) errors.push(`"${key}" must be >= ${rule.min}`);
+    if (rule.max !== undefined && field > rule.max) errors.push(`"${key}" must be <= ${rule.max}`);
+    if (rule.minLength && String(field).length < rule.minLength) errors.push(`"${key}" must not be empty`);
+
+    value[name] = field;
+  }
+
+  const unknown = Object.keys(data).filter(name => !(name in schema.fields));
+  if (unknown.length) coercions.push(`dropped unknown keys: ${unknown.map(name => keyPrefix + name).join(', ')}`);
+
+  return { valid: errors.length === 0, value, errors, coercions };
+}
+
+/**
+ * Validate a model answer, retrying with the validation errors when it does not fit
+ * @param {Object} llm - LLM provider
+ * @param {Object} request - The original llm.complete() request
+ * @param {string} content - The model's first answer (from complete() or a finished stream)
+ * @param {Object} options - { schema, maxAttempts }
+ * @returns {Promise<{value: Object|null, outcome: string, attempts: number, errors: string[], coercions: string[]}>}
+ *   outcome: 'valid' | 'coerced' | 'retried' | 'fallback'
+ */
+async function validateOrRepair(llm, request, content, options = {}) {
+  const { schema = COMPLIANCE_SCHEMA, maxAttempts = DEFAULT_MAX_ATTEMPTS } = options;
+  const messages = [...request.messages];
+  let attempt = 1;
+  let result;
+
+  for (;;) {
+    result = validateResponse(parseModelJson(content), schema);
+    if (result.valid) break;
+
+    console.warn(`⚠️ ${schema.name} attempt ${attempt} failed validation: ${result.errors.join('; ')}`);
+    if (attempt >= maxAttempts) {
+      return { value: null, outcome: 'fallback', attempts: attempt, errors: result.errors, coercions: result.coercions };
+    }
+
+    // Show the model its own answer and what was wrong with it
+    messages.push(
+      { role: 'assistant', content: content || '' },
+      {
+        role: 'user',
+        content: `Your previous response did not match the required JSON schema:\n- ${result.errors.join('\n- ')}\n\nRespond again with only the corrected JSON object containing: ${Object.keys(schema.fields).join(', ')}.`
+      }
+    );
+    attempt++;
+    const completion = await llm.complete({ ...request, messages, json: true });
+    content = completion.content;
+  }
+
+  const outcome = attempt > 1 ? 'retried' : (result.coercions.length ? 'coerced' : 'valid');
+  return { value: result.value, outcome, attempts: attempt, errors: [], coercions: result.coercions };
+}
+
+/**
+ * Count a validation outcome in llm_metrics/{YYYY-MM-DD} - never throws
+ */
+async function recordSchemaOutcome(db, schemaName, result) {
+  if (!db) return;
+  try {
+    const FieldValue = admin.firestore.FieldValue;
+    const day = new Date().toISOString().slice(0, 10);
+    await db.collection('llm_metrics').doc(day).set({
+      [schemaName]: {
+        total: FieldValue.increment(1),
+        [result.outcome]: FieldValue.increment(1),
+        retryAttempts: FieldValue.increment(result.attempts - 1)
+      },
+      updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.warn(`⚠️ Could not record ${schemaName} metrics: ${error.message}`);
+  }
+}
+
+module.exports = {
+  COMPLIANCE_SCHEMA,
+  parseModelJson,
+  validateResponse,
+  validateOrRepair,
+  recordSchemaOutcome
+};
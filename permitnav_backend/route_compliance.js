@@ -0,0 +1,249 @@
+/**
+ * Multi-state route compliance
+ * Splits a stored HERE route into per-state segments and checks the load against
+ * each state's limits, producing the checklist dispatchers used to build by hand.
+ */
+
+const { decode, haversineMeters } = require('./flexible_polyline');
+const { getStateLimits } = require('./state_limits');
+const { evaluateDimensions, evaluateEscorts, evaluateAxleConfiguration } = require('./permit_rules');
+const { parseLength, parseWeight } = require('./measurements');
+
+const METERS_PER_MILE = 1609.344;
+
+// Loads written before units were recorded follow planRoute's old HERE convention: metres and kilograms
+const LEGACY_LOAD_UNITS = { length: 'm', weight: 'kg' };
+
+/**
+ * HERE span stateCode may be "IN" or "US-IN"
+ */
+function normalizeStateCode(code) {
+  if (!code) return null;
+  return code.toUpperCase().replace(/^US-/, '');
+}
+
+function pathMeters(points, from, to) {
+  let meters = 0;
+  for (let i = from + 1; i <= to && i < points.length; i++) {
+    meters += haversineMeters(points[i - 1], points[i]);
+  }
+  return meters;
+}
+
+/**
+ * Split a HERE v8 route response into consecutive per-state segments
+ * Requires the route to have been requested with spans=stateCode (planRoute does this).
+ * @param {Object} routeData - HERE Routing v8 response
+ * @param {number} routeIndex - Which route to use (0 = primary)
+ * @returns {{segments: Object[], stateDetection: string}}
+ */
+function segmentRouteByState(routeData, routeIndex = 0) {
+  const route = routeData?.routes?.[routeIndex];
+  if (!route) {
+    return { segments: [], stateDetection: 'no_route' };
+  }
+
+  const segments = [];
+  let stateDetection = 'spans';
+
+  for (const section of route.sections || []) {
+    const points = section.polyline ? decode(section.polyline).polyline : [];
+    const spans = (section.spans || []).filter(span => span.stateCode);
+
+    if (!spans.length) {
+      // Route stored before spans were requested - mileage is known, states are not
+      stateDetection = 'unavailable';
+      segments.push({
+        state: null,
+        miles: pathMeters(points, 0, points.length - 1) / METERS_PER_MILE,
+        start: points[0] || null,
+        end: points[points.length - 1] || null
+      });
+      continue;
+    }
+
+    spans.forEach((span, i) => {
+      const from = span.offset;
+      const to = i + 1 < spans.length ? spans[i + 1].offset : points.length - 1;
+      const state = normalizeStateCode(span.stateCode);
+      const meters = pathMeters(points, from, to);
+      const last = segments[segments.length - 1];
+
+      // Merge consecutive spans (and section boundaries) in the same state
+      if (last && last.state === state) {
+        last.miles += meters / METERS_PER_MILE;
+        last.end = points[to] || last.end;
+      } else {
+        segments.push({
+          state,
+          miles: meters / METERS_PER_MILE,
+          start: points[from] || null,
+          end: points[to] || null
+        });
+      }
+    });
+  }
+
+  for (const segment of segments) {
+    segment.miles = Math.round(segment.miles * 10) / 10;
+  }
+
+  return { segments, stateDetection };
+}
+
+/**
+ * Units a load's numbers are stored in (legacy loads: metres/kilograms)
+ */
+function loadUnits(load) {
+  return { ...LEGACY_LOAD_UNITS, ...(load.units || {}) };
+}
+
+/**
+ * Load dims/weight -> feet/pounds for the rule engine
+ * Numbers are read in the load's declared units ({ length, weight }, e.g. { length: 'ft', weight: 'lb' });
+ * strings may carry their own ("14'2\"", "36,000 kg").
+ */
+function loadToDimensions(load) {
+  const dims = load.dims || {};
+  const units = loadUnits(load);
+
+  return {
+    width: parseLength(dims.w, units.length),
+    height: parseLength(dims.h, units.length),
+    length: parseLength(dims.l, units.length),
+    grossWeight: parseWeight(load.weight, units.weight),
+    overhangFront: parseLength(dims.overhangFront, units.length),
+    overhangRear: parseLength(dims.overhangRear, units.length)
+  };
+}
+
+/**
+ * loadToDimensions() output -> the dims stored on a load (feet), overhangs included
+ */
+function dimensionsToLoadDims(measured) {
+  return {
+    h: measured.height,
+    w: measured.width,
+    l: measured.length,
+    overhangFront: measured.overhangFront,
+    overhangRear: measured.overhangRear
+  };
+}
+
+// Oversize items that make a permit an overweight one
+const WEIGHT_FIELDS = new Set(['grossWeight', 'singleAxle', 'tandemAxle', 'tridemAxle', 'multiAxle', 'axleConfiguration']);
+
+/**
+ * Estimated single-trip permit fee for one state (USD), from the state's fee schedule
+ * Oversize and overweight are charged separately; superloads add the review fee.
+ * @returns {{amount: number, items: Object[]}}
+ */
+function estimatePermitFee(limits, { oversize, violations, miles }) {
+  const fees = limits.fees || {};
+  const items = [];
+  const exceeded = [...oversize, ...violations];
+
+  if (exceeded.some(item => !WEIGHT_FIELDS.has(item.field)) && fees.oversize) {
+    items.push({ type: 'oversize', amount: fees.oversize.amount, ruleRef: fees.oversize.ref });
+  }
+  if (exceeded.some(item => WEIGHT_FIELDS.has(item.field)) && fees.overweight) {
+    const amount = fees.overweight.amount + (fees.overweight.perMile || 0) * miles;
+    items.push({ type: 'overweight', amount: Math.round(amount * 100) / 100, ruleRef: fees.overweight.ref });
+  }
+  if (violations.length && fees.superload) {
+    items.push({ type: 'superload', amount: fees.superload.amount, ruleRef: fees.superload.ref });
+  }
+
+  return { amount: Math.round(items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100, items };
+}
+
+/**
+ * Human-readable travel restrictions from a state's profile
+ */
+function describeTravelRestrictions(limits) {
+  const restrictions = [];
+  const travel = limits.travel;
+
+  if (travel?.daylightOnly) restrictions.push('Daylight hours only');
+  if (travel?.weekendBan) restrictions.push('No weekend travel');
+  if (travel?.nightTravel === 'prohibited') restrictions.push('No night travel');
+  if (travel?.nightTravel === 'conditional') restrictions.push('Night travel only with required lighting/escorts');
+  for (const curfew of travel?.curfews || []) {
+    const windows = curfew.windows.map(w => `${w.start}-${w.end}`).join(', ');
+    restrictions.push(`${curfew.area === 'metro' ? 'Metro' : 'Statewide'} curfew ${curfew.days[0]}-${curfew.days[curfew.days.length - 1]} ${windows}`);
+  }
+  if (limits.holidays?.blackout) restrictions.push('No movement on major holidays');
+
+  if (!travel && !limits.holidays) {
+    restrictions.push('No structured travel-time rules on file - check state regulations');
+  }
+  return restrictions;
+}
+
+/**
+ * Per-state compliance checklist for a load along a route
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance (null = built-in limits only)
+ * @param {Object} load - Load document ({ dims, weight, axleConfiguration })
+ * @param {Object} routeData - HERE Routing v8 response
+ */
+async function checkRouteCompliance(db, load, routeData) {
+  const { segments, stateDetection } = segmentRouteByState(routeData);
+  const dims = loadToDimensions(load);
+
+  // One checklist entry per state, even if the route re-enters a state
+  const milesByState = new Map();
+  for (const segment of segments) {
+    if (!segment.state) continue;
+    milesByState.set(segment.state, (milesByState.get(segment.state) || 0) + segment.miles);
+  }
+
+  const states = [];
+  for (const [state, miles] of milesByState) {
+    const limits = await getStateLimits(db, state);
+    const { violations, warnings, oversize } = evaluateDimensions(dims, limits);
+    const axles = evaluateAxleConfiguration(load.axleConfiguration, limits, loadUnits(load));
+    violations.push(...axles.violations);
+    warnings.push(...axles.warnings);
+    oversize.push(...axles.oversize);
+    const escorts = evaluateEscorts(dims, limits.escorts);
+    const permitFee = estimatePermitFee(limits, { oversize, violations, miles });
+
+    states.push({
+      state,
+      miles: Math.round(miles * 10) / 10,
+      permitRequired: oversize.length > 0 || violations.length > 0,
+      superload: violations.length > 0,
+      oversize,
+      violations,
+      warnings,
+      escorts,
+      permitFee,
+      bridgeFormula: axles.bridge.checked ? { compliant: !axles.bridge.failures.length, failures: axles.bridge.failures } : null,
+      travelRestrictions: describeTravelRestrictions(limits),
+      rulesSource: limits.source
+    });
+  }
+
+  return {
+    stateDetection,
+    segments,
+    states,
+    statesCrossed: states.map(entry => entry.state),
+    permitsNeeded: states.filter(entry => entry.permitRequired).map(entry => entry.state),
+    escortsNeeded: states.filter(entry => entry.escorts.required).map(entry => entry.state),
+    estimatedPermitFees: Math.round(states.reduce((sum, entry) => sum + entry.permitFee.amount, 0) * 100) / 100,
+    totalMiles: Math.round(segments.reduce((sum, segment) => sum + segment.miles, 0) * 10) / 10,
+    loadDimensions: dims,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  segmentRouteByState,
+  loadUnits,
+  loadToDimensions,
+  dimensionsToLoadDims,
+  describeTravelRestrictions,
+  estimatePermitFee,
+  checkRouteCompliance
+};
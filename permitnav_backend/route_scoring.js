@@ -0,0 +1,273 @@
+/**
+ * Route candidate scoring
+ * planRoute asks HERE for alternative routes; each candidate is checked (per-state compliance, travel
+ * windows, known low clearances) and priced so dispatchers compare like with like. The score is an
+ * estimated trip cost in dollars:
+ *   operating cost (miles, driving and waiting hours) + permit fees + escort vehicles + permitting overhead per state
+ * Candidates that pass under a known low clearance, or that have no legal departure within the travel
+ * window search, are only recommended when every candidate does.
+ */
+
+const { haversineMeters } = require('./flexible_polyline');
+const { formatLength, parseLength } = require('./measurements');
+const { routePoints } = require('./routing_provider');
+
+const METERS_PER_MILE = 1609.344;
+
+// Rough per-unit costs (USD) - only used to rank candidates against each other
+const COST_MODEL = {
+  perMile: 2.0,          // fuel, tyres, maintenance
+  perHour: 35,           // driver time, including waiting for a legal travel window
+  perState: 40,          // dispatcher time to apply for and carry one more permit
+  escortPerMile: 1.75    // each front/rear escort vehicle
+};
+
+// A structure within this distance of the route polyline is treated as on the route
+const CLEARANCE_MATCH_METERS = 40;
+
+// low_clearances docs carry the 0.1° grid tile (~11 km) they sit in, so a route only reads the tiles
+// its polyline passes through. Firestore takes up to 30 values per 'in' filter.
+const CLEARANCE_TILE_DEGREES = 0.1;
+const TILES_PER_QUERY = 30;
+// Padding so a structure just across a tile edge from the polyline is still read (~110 m)
+const TILE_PAD_DEGREES = 0.001;
+
+// HERE notices for restrictions the route could not avoid
+const HERE_RESTRICTION_NOTICES = new Set(['violatedVehicleRestriction', 'violatedBlockedRoad']);
+
+/**
+ * Metres from point p to segment a-b (equirectangular - fine at clearance-matching distances)
+ */
+function distanceToSegmentMeters(p, a, b) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const cos = Math.cos(toRad(p[0]));
+  const x = ([lat, lng]) => [toRad(lng - p[1]) * cos * 6371000, toRad(lat - p[0]) * 6371000];
+  const [ax, ay] = x(a);
+  const [bx, by] = x(b);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const t = dx || dy ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (dx * dx + dy * dy))) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+/**
+ * Grid tile key of a point ("398_-862")
+ */
+function clearanceTile(lat, lng) {
+  return `${Math.floor(lat / CLEARANCE_TILE_DEGREES)}_${Math.floor(lng / CLEARANCE_TILE_DEGREES)}`;
+}
+
+/**
+ * Tiles a polyline passes through, padded at tile edges; long segments are walked in quarter tiles
+ */
+function routeTiles(points) {
+  const tiles = new Set();
+  const add = ([lat, lng]) => {
+    for (const dLat of [-TILE_PAD_DEGREES, TILE_PAD_DEGREES]) {
+      for (const dLng of [-TILE_PAD_DEGREES, TILE_PAD_DEGREES]) tiles.add(clearanceTile(lat + dLat, lng + dLng));
+    }
+  };
+
+  points.forEach((point, i) => {
+    add(point);
+    if (!i) return;
+    const previous = points[i - 1];
+    const steps = Math.ceil(Math.max(Math.abs(point[0] - previous[0]), Math.abs(point[1] - previous[1])) / (CLEARANCE_TILE_DEGREES / 4));
+    for (let step = 1; step < steps; step++) {
+      add([previous[0] + (point[0] - previous[0]) * step / steps, previous[1] + (point[1] - previous[1]) * step / steps]);
+    }
+  });
+  return [...tiles];
+}
+
+/**
+ * A structure record (import file row) -> low_clearances doc; clearance may carry units ("13'6\"", "4.1 m")
+ * Throws on a record without a position or clearance.
+ * @param {Object} record - { lat, lng, clearance, description, ref }
+ */
+function normalizeLowClearance(record) {
+  const lat = Number(record.lat);
+  const lng = Number(record.lng);
+  const clearance = parseLength(record.clearance);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new Error(`Invalid position: ${record.lat}, ${record.lng}`);
+  }
+  if (!(clearance > 0)) throw new Error(`Invalid clearance: ${record.clearance}`);
+
+  return {
+    lat,
+    lng,
+    clearance,
+    description: record.description || null,
+    ref: record.ref || null,
+    tile: clearanceTile(lat, lng)
+  };
+}
+
+/**
+ * Known low clearances on a route that the truck does not fit under, plus restrictions HERE reported
+ * Known clearances are low_clearances/{id} docs written by import_low_clearances.mjs:
+ * { lat, lng, clearance (ft), description, ref, tile }.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance (null = HERE notices only)
+ * @param {Object} route - One HERE v8 route
+ * @param {number} height - Overall height (ft)
+ * @returns {Promise<Object[]>} Hits: { source, ... }
+ */
+async function findClearanceHits(db, route, height) {
+  const hits = [];
+  for (const section of route?.sections || []) {
+    for (const notice of section.notices || []) {
+      if (HERE_RESTRICTION_NOTICES.has(notice.code)) {
+        hits.push({ source: 'here', code: notice.code, message: notice.title || notice.code });
+      }
+    }
+  }
+
+  const points = routePoints(route);
+  if (!db || !points.length || !height) return hits;
+
+  // The tiles along the route narrow the query; the polyline check does the rest
+  const tiles = routeTiles(points);
+  const docs = [];
+  for (let i = 0; i < tiles.length; i += TILES_PER_QUERY) {
+    const snapshot = await db.collection('low_clearances').where('tile', 'in', tiles.slice(i, i + TILES_PER_QUERY)).get();
+    docs.push(...snapshot.docs);
+  }
+
+  for (const doc of docs) {
+    const structure = doc.data();
+    if (!(structure.clearance < height)) continue;
+
+    const at = [structure.lat, structure.lng];
+    let nearest = Infinity;
+    for (let i = 1; i < points.length && nearest > CLEARANCE_MATCH_METERS; i++) {
+      // Cheap reject: the segment cannot come closer than (distance to an end - segment length)
+      const length = haversineMeters(points[i - 1], points[i]);
+      if (haversineMeters(at, points[i - 1]) - length > CLEARANCE_MATCH_METERS) continue;
+      nearest = Math.min(nearest, distanceToSegmentMeters(at, points[i - 1], points[i]));
+    }
+    if (nearest <= CLEARANCE_MATCH_METERS) {
+      hits.push({
+        source: 'low_clearances',
+        id: doc.id,
+        lat: structure.lat,
+        lng: structure.lng,
+        clearance: structure.clearance,
+        ref: structure.ref || null,
+        message: `${structure.description || 'Structure'}: ${formatLength(structure.clearance)} clearance, load is ${formatLength(height)}`
+      });
+    }
+  }
+  return hits;
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Price one candidate
+ * @param {Object} candidate - { route, compliance, travelWindows, clearanceHits, departAt }
+ * @returns {Object} { miles, hours, waitHours, statesCrossed, permitsNeeded, estimatedPermitFees,
+ *   escortMiles, clearanceHits, travelLegal, noLegalDeparture, costs: { operating, permitFees, escorts, permitting }, score }
+ *   noLegalDeparture: illegal as planned and no departure in the search window fixes it (waitHours is then 0,
+ *   so the score alone would make the route look cheap)
+ */
+function scoreCandidate(candidate) {
+  const { route, compliance, travelWindows, clearanceHits = [], departAt } = candidate;
+  const sections = route?.sections || [];
+  const meters = sections.reduce((sum, section) => sum + (section.summary?.length || 0), 0);
+  const seconds = sections.reduce((sum, section) => sum + (section.summary?.duration || 0), 0);
+
+  const miles = compliance?.totalMiles ?? meters / METERS_PER_MILE;
+  const hours = seconds / 3600;
+  const earliest = travelWindows?.earliestDeparture ? new Date(travelWindows.earliestDeparture) : null;
+  const waitHours = earliest && departAt ? Math.max(0, (earliest - departAt) / 3600000) : 0;
+
+  const states = compliance?.states || [];
+  const escortMiles = states.reduce((sum, entry) => sum + ((entry.escorts.front || 0) + (entry.escorts.rear || 0)) * entry.miles, 0);
+  const permitFees = compliance?.estimatedPermitFees || 0;
+
+  const costs = {
+    operating: round(miles * COST_MODEL.perMile + (hours + waitHours) * COST_MODEL.perHour),
+    permitFees: round(permitFees),
+    escorts: round(escortMiles * COST_MODEL.escortPerMile),
+    permitting: round((compliance?.permitsNeeded?.length || 0) * COST_MODEL.perState)
+  };
+
+  return {
+    miles: round(miles, 1),
+    hours: round(hours, 1),
+    waitHours: round(waitHours, 1),
+    statesCrossed: compliance?.statesCrossed || [],
+    permitsNeeded: compliance?.permitsNeeded || [],
+    superloadStates: states.filter(entry => entry.superload).map(entry => entry.state),
+    estimatedPermitFees: costs.permitFees,
+    escortMiles: round(escortMiles, 1),
+    policeEscortStates: states.filter(entry => entry.escorts.police).map(entry => entry.state),
+    clearanceHits: clearanceHits.length,
+    travelLegal: travelWindows ? travelWindows.legal : null,
+    noLegalDeparture: Boolean(travelWindows && travelWindows.legal === false && !travelWindows.earliestDeparture),
+    costs,
+    score: Math.round(costs.operating + costs.permitFees + costs.escorts + costs.permitting)
+  };
+}
+
+function describeRow(row) {
+  const parts = [
+    `${row.miles} mi`,
+    `${row.hours} h${row.waitHours ? ` + ${row.waitHours} h wait` : ''}`,
+    `${row.statesCrossed.length} state${row.statesCrossed.length === 1 ? '' : 's'}`,
+    `$${row.estimatedPermitFees} permits`,
+    row.escortMiles ? `${row.escortMiles} escort mi` : 'no escorts'
+  ];
+  if (row.clearanceHits) parts.push(`${row.clearanceHits} low-clearance hit${row.clearanceHits > 1 ? 's' : ''}`);
+  if (row.noLegalDeparture) parts.push('no legal departure');
+  return parts.join(', ');
+}
+
+/**
+ * Rank scored candidates and build the dispatcher-facing comparison
+ * @param {Object[]} scores - scoreCandidate() results, in candidate order
+ * @returns {{recommended: number, reason: string, comparison: Object[]}}
+ */
+function compareCandidates(scores) {
+  const all = scores.map((score, index) => index);
+  const clear = all.filter(index => !scores[index].clearanceHits);
+  const fits = clear.length ? clear : all;
+  // Among routes the truck fits, prefer ones it can legally drive without a layover
+  const departable = fits.filter(index => !scores[index].noLegalDeparture);
+  const pool = departable.length ? departable : fits;
+  const recommended = pool.reduce((best, index) => (scores[index].score < scores[best].score ? index : best), pool[0]);
+  const best = scores[recommended].score;
+
+  const comparison = scores.map((score, index) => ({
+    candidate: index,
+    recommended: index === recommended,
+    ...score,
+    vsRecommended: score.score - best,
+    summary: describeRow(score)
+  }));
+
+  const filters = [];
+  if (clear.length && clear.length < scores.length) filters.push(`without low-clearance hits (${scores.length - clear.length} excluded)`);
+  if (departable.length && departable.length < fits.length) filters.push(`with a legal departure (${fits.length - departable.length} excluded)`);
+
+  let reason = scores.length === 1 ? 'Only route returned' : `Lowest estimated cost ($${best})`;
+  if (filters.length) reason += ` among routes ${filters.join(' and ')}`;
+  if (!clear.length) reason += ' - every route has low-clearance hits, review before dispatch';
+  if (!departable.length) reason += ' - no continuous legal departure in the search window, plan a layover';
+
+  return { recommended, reason, comparison };
+}
+
+module.exports = {
+  COST_MODEL,
+  clearanceTile,
+  routeTiles,
+  normalizeLowClearance,
+  findClearanceHits,
+  scoreCandidate,
+  compareCandidates
+};
@@ -0,0 +1,384 @@
+/**
+ * Routing provider abstraction
+ * One interface for truck routing, so planRoute, route compliance and travel-window checks can run
+ * against HERE Routing v8 or an offline stand-in (no network, no API key).
+ *
+ * Select with ROUTING_PROVIDER=here|local (default here). Every provider returns HERE v8-shaped
+ * responses - routes[].sections[] with a flexible polyline, summary { length (m), duration (s) } and
+ * stateCode spans - which is what route_compliance.js, time_rules.js and route_scoring.js read.
+ *
+ * The local provider answers from recorded HERE responses in fixtures/routing/recorded (capture them by
+ * running against HERE with ROUTING_RECORD_DIR=fixtures/routing/recorded) and otherwise routes over the
+ * small interstate graph in fixtures/routing/graph.json. The Chicago -> Indianapolis fixture in the repo
+ * is assembled by hand in the v8 format (its `note` says so): two alternatives, stateCode spans and a
+ * violatedVehicleRestriction notice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decode, encode, haversineMeters } = require('./flexible_polyline');
+const { toCentimetres, toKilograms } = require('./measurements');
+
+const HERE_ROUTES_URL = 'https://router.hereapi.com/v8/routes';
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'routing');
+
+// A recorded response answers requests whose points are within this of the recorded ones (~1 km)
+const FIXTURE_TOLERANCE_DEGREES = 0.01;
+// Origins/destinations further than this from every graph node are outside the local network
+const MAX_SNAP_METERS = 150000;
+// Alternatives must differ from earlier routes and stay within this factor of the fastest
+const ALTERNATIVE_PENALTY = 1.6;
+const MAX_ALTERNATIVE_RATIO = 1.6;
+const MAX_SEARCHES_PER_ROUTE = 3;
+
+const METERS_PER_MILE = 1609.344;
+
+/**
+ * Routing failure; code is the HttpsError code callers should surface
+ */
+class RoutingError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RoutingError';
+    this.code = code;
+  }
+}
+
+/**
+ * Every [lat, lng] point of a route, all sections in order
+ */
+function routePoints(route) {
+  return (route?.sections || []).flatMap(section => (section.polyline ? decode(section.polyline).polyline : []));
+}
+
+/**
+ * HERE Routing v8 request URL
+ * HERE takes truck dimensions in centimetres and weights in kilograms; the request carries feet/pounds.
+ * @param {Object} request - { origin, destination, via, avoidAreas, alternatives, departAt, truck }
+ *   truck: { height, width, length, grossWeight, weightPerAxle, axleCount, trailerCount, hazmat }
+ */
+function hereRouteUrl(request, apiKey) {
+  const { origin, destination, via = [], avoidAreas = [], alternatives = 0, departAt, truck } = request;
+  return `${HERE_ROUTES_URL}?transportMode=truck` +
+    `&origin=${origin.lat},${origin.lng}` +
+    `&destination=${destination.lat},${destination.lng}` +
+    `&apiKey=${apiKey}` +
+    `&truck[height]=${toCentimetres(truck.height)}&truck[width]=${toCentimetres(truck.width)}` +
+    `&truck[length]=${toCentimetres(truck.length)}` +
+    `&truck[axleCount]=${truck.axleCount}&truck[grossWeight]=${toKilograms(truck.grossWeight)}` +
+    (truck.weightPerAxle ? `&truck[weightPerAxle]=${toKilograms(truck.weightPerAxle)}` : '') +
+    (truck.trailerCount ? `&truck[trailerCount]=${truck.trailerCount}` : '') +
+    (truck.hazmat?.length ? `&truck[shippedHazardousGoods]=${truck.hazmat.join(',')}` : '') +
+    via.map(point => `&via=${point.lat},${point.lng}`).join('') +
+    (avoidAreas.length
+      ? `&avoid[areas]=${avoidAreas.map(area => `bbox:${area.west},${area.south},${area.east},${area.north}`).join('|')}`
+      : '') +
+    (alternatives ? `&alternatives=${alternatives}` : '') +
+    `&departureTime=${encodeURIComponent(departAt.toISOString())}` +
+    `&return=polyline,summary,actions` +
+    `&spans=stateCode`;
+}
+
+/**
+ * Save a HERE response as a local-provider fixture (the API key is not part of it)
+ */
+function recordFixture(recordDir, request, routeData) {
+  const { origin, destination, via = [], avoidAreas = [], alternatives = 0 } = request;
+  const name = [origin, destination].map(point => `${point.lat.toFixed(3)}_${point.lng.toFixed(3)}`).join('-');
+  fs.mkdirSync(recordDir, { recursive: true });
+  fs.writeFileSync(path.join(recordDir, `${name}-${Date.now()}.json`), JSON.stringify({
+    name,
+    recordedAt: new Date().toISOString(),
+    match: { origin, destination, via, avoidAreas, alternatives },
+    truck: request.truck,
+    response: routeData
+  }, null, 2));
+  console.log(`📼 Recorded HERE response as ${name}`);
+}
+
+/**
+ * HERE Routing v8 provider
+ * @param {Object} options - { apiKey, fetch, recordDir }
+ */
+function createHereProvider(options = {}) {
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const recordDir = options.recordDir || process.env.ROUTING_RECORD_DIR || null;
+
+  return {
+    name: 'here',
+
+    /**
+     * @param {Object} request - { origin, destination, via, avoidAreas, alternatives, departAt, truck }
+     * @returns {Promise<Object>} HERE v8 response
+     */
+    async route(request) {
+      if (!options.apiKey) {
+        throw new RoutingError('failed-precondition', 'HERE_API_KEY not configured');
+      }
+
+      const response = await fetchImpl(hereRouteUrl(request, options.apiKey));
+      const routeData = await response.json();
+      if (!response.ok) {
+        throw new RoutingError('internal', `HERE API error: ${routeData.error || routeData.title || 'Unknown error'}`);
+      }
+
+      if (recordDir) recordFixture(recordDir, request, routeData);
+      return routeData;
+    }
+  };
+}
+
+function loadRecordedFixtures(recordedDir) {
+  if (!fs.existsSync(recordedDir)) return [];
+
+  return fs.readdirSync(recordedDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(recordedDir, file), 'utf8')) }));
+}
+
+function samePoint(a, b) {
+  return Math.abs(a.lat - b.lat) <= FIXTURE_TOLERANCE_DEGREES && Math.abs(a.lng - b.lng) <= FIXTURE_TOLERANCE_DEGREES;
+}
+
+function fixtureMatches(fixture, request) {
+  const match = fixture.match || {};
+  const via = request.via || [];
+  return samePoint(match.origin, request.origin) &&
+    samePoint(match.destination, request.destination) &&
+    (match.via || []).length === via.length &&
+    (match.via || []).every((point, i) => samePoint(point, via[i])) &&
+    JSON.stringify(match.avoidAreas || []) === JSON.stringify(request.avoidAreas || []);
+}
+
+function loadGraph(file) {
+  const graph = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+  const edges = graph.edges.map(edge => {
+    const from = nodes.get(edge.from);
+    const to = nodes.get(edge.to);
+    if (!from || !to) throw new Error(`Routing graph edge ${edge.from}-${edge.to} references an unknown node`);
+    const meters = haversineMeters([from.lat, from.lng], [to.lat, to.lng]);
+    const mph = graph.speedsMph[edge.class] || graph.speedsMph.state;
+    return { ...edge, meters, seconds: (meters / METERS_PER_MILE) / mph * 3600 };
+  });
+  return { nodes, edges, speedsMph: graph.speedsMph };
+}
+
+function insideArea(point, area) {
+  return point.lat >= area.south && point.lat <= area.north && point.lng >= area.west && point.lng <= area.east;
+}
+
+/**
+ * Edges a request may use: not through an avoid area, not under a clearance the truck does not fit
+ */
+function usableEdges(graph, request) {
+  const areas = request.avoidAreas || [];
+  const height = request.truck?.height || 0;
+  return graph.edges.filter(edge => {
+    const ends = [graph.nodes.get(edge.from), graph.nodes.get(edge.to)];
+    const middle = { lat: (ends[0].lat + ends[1].lat) / 2, lng: (ends[0].lng + ends[1].lng) / 2 };
+    if (areas.some(area => [...ends, middle].some(point => insideArea(point, area)))) return false;
+    return !(edge.maxHeight && height > edge.maxHeight);
+  });
+}
+
+function nearestNode(graph, edges, point, label) {
+  const reachable = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+  let best = null;
+  for (const id of reachable) {
+    const node = graph.nodes.get(id);
+    const meters = haversineMeters([point.lat, point.lng], [node.lat, node.lng]);
+    if (!best || meters < best.meters) best = { node, meters };
+  }
+  if (!best || best.meters > MAX_SNAP_METERS) {
+    throw new RoutingError('not-found', `Local router: ${label} (${point.lat}, ${point.lng}) is outside the routing graph`);
+  }
+  return best;
+}
+
+/**
+ * Fastest path between two nodes (Dijkstra); penalties multiply the cost of edges already used
+ * @returns {Object[]|null} Edges in travel order, each { edge, from, to }
+ */
+function shortestPath(graph, edges, fromId, toId, penalties) {
+  const cost = new Map([[fromId, 0]]);
+  const previous = new Map();
+  const done = new Set();
+
+  while (true) {
+    let current = null;
+    for (const [id, value] of cost) {
+      if (!done.has(id) && (current === null || value < cost.get(current))) current = id;
+    }
+    if (current === null) return null;
+    if (current === toId) break;
+    done.add(current);
+
+    for (const edge of edges) {
+      if (edge.from !== current && edge.to !== current) continue;
+      const next = edge.from === current ? edge.to : edge.from;
+      const value = cost.get(current) + edge.seconds * (penalties.get(edge) || 1);
+      if (!cost.has(next) || value < cost.get(next)) {
+        cost.set(next, value);
+        previous.set(next, { edge, from: current, to: next });
+      }
+    }
+  }
+
+  const path = [];
+  for (let id = toId; id !== fromId; id = previous.get(id).from) path.unshift(previous.get(id));
+  return path;
+}
+
+/**
+ * One HERE-style section for a leg: straight lines between nodes, state spans switching halfway along
+ * edges that cross a state line
+ */
+function buildSection(graph, leg, start, end, departAt, index) {
+  const points = [[start.point.lat, start.point.lng]];
+  const states = [start.node.state];
+  let meters = start.meters;
+  let seconds = start.meters / METERS_PER_MILE / graph.speedsMph.state * 3600;
+
+  for (const step of leg) {
+    const from = graph.nodes.get(step.from);
+    const to = graph.nodes.get(step.to);
+    if (from.state !== to.state) {
+      points.push([(from.lat + to.lat) / 2, (from.lng + to.lng) / 2]);
+      states.push(to.state);
+    }
+    points.push([to.lat, to.lng]);
+    states.push(to.state);
+    meters += step.edge.meters;
+    seconds += step.edge.seconds;
+  }
+  points.push([end.point.lat, end.point.lng]);
+  states.push(end.node.state);
+  meters += end.meters;
+  seconds += end.meters / METERS_PER_MILE / graph.speedsMph.state * 3600;
+
+  const spans = [];
+  states.forEach((state, offset) => {
+    // A span starts where its state starts (the border midpoint, or the first point)
+    if (!spans.length || spans[spans.length - 1].stateCode !== `US-${state}`) spans.push({ offset, stateCode: `US-${state}` });
+  });
+
+  const arriveAt = new Date(departAt.getTime() + seconds * 1000);
+  return {
+    section: {
+      id: `local-section-${index}`,
+      type: 'vehicle',
+      departure: { time: departAt.toISOString(), place: { type: 'place', location: { lat: start.point.lat, lng: start.point.lng } } },
+      arrival: { time: arriveAt.toISOString(), place: { type: 'place', location: { lat: end.point.lat, lng: end.point.lng } } },
+      summary: { length: Math.round(meters), duration: Math.round(seconds), baseDuration: Math.round(seconds) },
+      polyline: encode(points),
+      spans,
+      roads: [...new Set(leg.map(step => step.edge.road))],
+      transport: { mode: 'truck' }
+    },
+    arriveAt
+  };
+}
+
+/**
+ * Route over the local graph: origin, vias and destination snap to their nearest nodes; alternatives
+ * re-run the search with the edges of earlier routes penalised and are kept when they differ (and are
+ * not much slower)
+ */
+function routeOnGraph(graph, request) {
+  const edges = usableEdges(graph, request);
+  const waypoints = [request.origin, ...(request.via || []), request.destination];
+  const snapped = waypoints.map((point, i) => ({
+    point,
+    ...nearestNode(graph, edges, point, i === 0 ? 'origin' : i === waypoints.length - 1 ? 'destination' : `via ${i}`)
+  }));
+
+  const penalties = new Map();
+  const found = [];
+  const wanted = 1 + (request.alternatives || 0);
+  for (let attempt = 0; attempt < wanted * MAX_SEARCHES_PER_ROUTE && found.length < wanted; attempt++) {
+    const legs = [];
+    for (let i = 1; i < snapped.length; i++) {
+      const leg = shortestPath(graph, edges, snapped[i - 1].node.id, snapped[i].node.id, penalties);
+      if (!leg) {
+        if (!found.length) throw new RoutingError('not-found', 'Local router: no route avoiding the requested areas and clearances');
+        break;
+      }
+      legs.push(leg);
+    }
+    if (legs.length !== snapped.length - 1) break;
+
+    const used = legs.flat().map(step => step.edge);
+    const seconds = used.reduce((sum, edge) => sum + edge.seconds, 0);
+    const key = used.map(edge => `${edge.from}-${edge.to}`).join('|');
+    if (!found.some(route => route.key === key) && (!found.length || seconds <= found[0].seconds * MAX_ALTERNATIVE_RATIO)) {
+      found.push({ key, legs, seconds });
+    }
+    used.forEach(edge => penalties.set(edge, (penalties.get(edge) || 1) * ALTERNATIVE_PENALTY));
+  }
+
+  const departAt = request.departAt || new Date();
+  return {
+    routes: found.map((route, index) => {
+      let legDeparture = departAt;
+      const sections = route.legs.map((leg, i) => {
+        const { section, arriveAt } = buildSection(graph, leg, snapped[i], snapped[i + 1], legDeparture, i);
+        legDeparture = arriveAt;
+        return section;
+      });
+      return { id: `local-${index}`, sections };
+    })
+  };
+}
+
+/**
+ * Offline provider: recorded HERE responses first, then the local graph router
+ * @param {Object} options - { fixturesDir, fixtures, graph }
+ */
+function createLocalProvider(options = {}) {
+  const fixturesDir = options.fixturesDir || FIXTURES_DIR;
+  const fixtures = options.fixtures || loadRecordedFixtures(path.join(fixturesDir, 'recorded'));
+  let graph = options.graph || null;
+  const calls = [];
+
+  return {
+    name: 'local',
+    calls,
+
+    async route(request) {
+      const fixture = fixtures.find(candidate => fixtureMatches(candidate, request));
+      calls.push({ ...request, fixture: fixture ? fixture.name || fixture.file : null });
+      if (fixture) return JSON.parse(JSON.stringify(fixture.response));
+
+      graph = graph || loadGraph(path.join(fixturesDir, 'graph.json'));
+      return routeOnGraph(graph, request);
+    }
+  };
+}
+
+/**
+ * Provider selected by ROUTING_PROVIDER (or options.provider)
+ * @param {Object} options - { provider, apiKey, fetch, recordDir, fixturesDir }
+ */
+function createRoutingProvider(options = {}) {
+  const kind = (options.provider || process.env.ROUTING_PROVIDER || 'here').toLowerCase();
+
+  switch (kind) {
+    case 'here':
+      return createHereProvider(options);
+    case 'local':
+      return createLocalProvider(options);
+    default:
+      throw new Error(`Unknown ROUTING_PROVIDER: ${kind} (expected here or local)`);
+  }
+}
+
+module.exports = {
+  RoutingError,
+  routePoints,
+  hereRouteUrl,
+  createHereProvider,
+  createLocalProvider,
+  createRoutingProvider
+};
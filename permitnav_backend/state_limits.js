@@ -0,0 +1,142 @@
+/**
+ * Structured per-state size & weight limits
+ * Dimensions are in feet, weights in pounds. Every limit carries a rule reference
+ * so verdicts can point back to where the number came from.
+ */
+
+// Baseline used when a state has no reviewed profile yet.
+// Width/weight are federal (23 CFR 658); height/length/overhang/tridem are the most common state values.
+// Axle groups are also held to the federal bridge formula (axles.js) unless a profile sets bridgeFormula: false.
+const BASELINE_LIMITS = {
+  legal: {
+    width: { value: 8.5, ref: '23 CFR 658.15 (102 in. federal width)' },
+    height: { value: 13.5, ref: 'Common state legal height (13\'6")' },
+    length: { value: 65, ref: 'Common state legal combination length' },
+    grossWeight: { value: 80000, ref: '23 CFR 658.17 (80,000 lb federal gross)' },
+    singleAxle: { value: 20000, ref: '23 CFR 658.17 (20,000 lb federal single axle)' },
+    tandemAxle: { value: 34000, ref: '23 CFR 658.17 (34,000 lb federal tandem axle)' },
+    tridemAxle: { value: 42000, ref: 'Common state legal tridem axle weight' },
+    overhangFront: { value: 3, ref: 'Common state front overhang limit' },
+    overhangRear: { value: 4, ref: 'Common state rear overhang limit' }
+  },
+  permitMax: {
+    width: { value: 16, ref: 'Typical routine permit maximum width' },
+    height: { value: 16, ref: 'Typical routine permit maximum height' },
+    length: { value: 120, ref: 'Typical routine permit maximum length' },
+    grossWeight: { value: 150000, ref: 'Typical routine permit maximum gross weight' },
+    singleAxle: { value: 28000, ref: 'Typical routine permit maximum single axle weight' },
+    tandemAxle: { value: 48000, ref: 'Typical routine permit maximum tandem axle weight' },
+    tridemAxle: { value: 60000, ref: 'Typical routine permit maximum tridem axle weight' }
+  },
+  // Tiers with roadTypes only apply on those roads (escort_calculator.js)
+  escorts: [
+    { dimension: 'width', over: 12, front: 1, rear: 0, roadTypes: ['two_lane'], ref: 'Typical escort threshold: over 12\' wide on two-lane roads (front)' },
+    { dimension: 'width', over: 12, front: 0, rear: 1, roadTypes: ['interstate', 'multilane'], ref: 'Typical escort threshold: over 12\' wide on multilane highways (rear)' },
+    { dimension: 'width', over: 14, front: 1, rear: 1, ref: 'Typical escort threshold: over 14\' wide' },
+    { dimension: 'width', over: 16, front: 1, rear: 1, police: true, ref: 'Typical police escort threshold: over 16\' wide' },
+    { dimension: 'height', over: 14.5, front: 1, rear: 0, heightPole: true, ref: 'Typical height pole threshold: over 14\'6"' },
+    { dimension: 'length', over: 100, front: 0, rear: 1, ref: 'Typical escort threshold: over 100\' long' }
+  ],
+  // Single-trip permit fees (USD) for estimates - states publish the actual schedules
+  fees: {
+    oversize: { amount: 30, ref: 'Typical single-trip oversize permit fee' },
+    overweight: { amount: 50, perMile: 0.05, ref: 'Typical single-trip overweight permit fee plus mileage' },
+    superload: { amount: 250, ref: 'Typical superload engineering review fee' }
+  },
+  travel: null,
+  holidays: null,
+  source: 'baseline'
+};
+
+// Reviewed state profiles layered over the baseline (see app/src/main/assets/state_rules/in.json)
+const STATE_OVERRIDES = {
+  IN: {
+    legal: {
+      width: { value: 8.5, ref: 'Indiana OS/OW Binder §2 - Legal Limits: Width 8\'6"' },
+      height: { value: 13.5, ref: 'Indiana OS/OW Binder §2 - Legal Limits: Height 13\'6"' },
+      length: { value: 65, ref: 'Indiana OS/OW Binder §2 - Legal Limits: 65\' (combination)' },
+      grossWeight: { value: 80000, ref: 'Indiana OS/OW Binder §2 - federal bridge formula applies' }
+    },
+    permitMax: {
+      width: { value: 16, ref: 'Indiana OS/OW Binder §2 - Superloads > 16\' wide' },
+      height: { value: 15, ref: 'Indiana OS/OW Binder §2 - Superloads > 15\' high' },
+      length: { value: 110, ref: 'Indiana OS/OW Binder §2 - Superloads > 110\' long' },
+      grossWeight: { value: 200000, ref: 'Indiana OS/OW Binder §2 - Superloads 200,000 lbs' }
+    },
+    escorts: [
+      { dimension: 'width', over: 12, front: 0, rear: 1, ref: 'INDOT single trip: width > 12\' requires rear escort' },
+      { dimension: 'width', over: 14, front: 1, rear: 1, ref: 'INDOT single trip: width > 14\' requires front and rear escort' },
+      { dimension: 'height', over: 14.5, front: 1, rear: 0, heightPole: true, ref: 'INDOT single trip: height > 14\'6" requires front escort with height pole' },
+      { dimension: 'length', over: 100, front: 0, rear: 1, ref: 'INDOT single trip: length > 100\' requires rear escort' }
+    ],
+    travel: {
+      daylightOnly: true,
+      weekendBan: true,
+      curfews: [
+        {
+          area: 'metro',
+          days: ['MON', 'TUE', 'WED', 'THU', 'FRI'],
+          windows: [{ start: '07:00', end: '09:00' }, { start: '16:00', end: '18:00' }],
+          ref: 'Indiana OS/OW Binder §5 - Curfew Hours (Indianapolis and major metro areas)'
+        }
+      ]
+    },
+    holidays: { blackout: true, ref: 'Indiana OS/OW Binder §2 - No movement during major holidays' },
+    source: 'reviewed'
+  }
+};
+
+/**
+ * Layer a partial profile over a base profile
+ * (limit groups and fees merge per field; escort tiers, travel and holidays replace)
+ */
+function mergeLimits(base, override) {
+  if (!override) return base;
+
+  return {
+    ...base,
+    ...override,
+    legal: { ...base.legal, ...(override.legal || {}) },
+    permitMax: { ...base.permitMax, ...(override.permitMax || {}) },
+    fees: { ...base.fees, ...(override.fees || {}) },
+    escorts: override.escorts || base.escorts
+  };
+}
+
+/**
+ * Built-in limits for a state (baseline + reviewed override), no I/O
+ */
+function getBuiltInLimits(stateCode) {
+  const state = stateCode.toUpperCase();
+  return { ...mergeLimits(BASELINE_LIMITS, STATE_OVERRIDES[state]), state };
+}
+
+/**
+ * Limits for a state, preferring a published profile in state_rules/{stateCode}
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance (optional for offline use)
+ */
+async function getStateLimits(db, stateCode) {
+  const builtIn = getBuiltInLimits(stateCode);
+  if (!db) return builtIn;
+
+  const doc = await db.collection('state_rules').doc(builtIn.state).get();
+  if (!doc.exists) return builtIn;
+
+  const profile = doc.data();
+  return {
+    ...mergeLimits(builtIn, profile.limits),
+    travel: profile.travel || builtIn.travel,
+    holidays: profile.holidays || builtIn.holidays,
+    state: builtIn.state,
+    source: 'state_rules',
+    version: profile.version || null
+  };
+}
+
+module.exports = {
+  BASELINE_LIMITS,
+  STATE_OVERRIDES,
+  mergeLimits,
+  getBuiltInLimits,
+  getStateLimits
+};
@@ -0,0 +1,141 @@
+/**
+ * Human-readable diff between two state profiles
+ * e.g. "WI max width without escort changed from 12' to 13'"
+ */
+
+const { formatLength, formatWeight } = require('./measurements');
+
+const LIMIT_LABELS = {
+  legal: {
+    width: 'legal max width',
+    height: 'legal max height',
+    length: 'legal max length',
+    grossWeight: 'legal max gross weight',
+    singleAxle: 'legal single axle weight',
+    tandemAxle: 'legal tandem axle weight',
+    tridemAxle: 'legal tridem axle weight',
+    overhangFront: 'legal front overhang',
+    overhangRear: 'legal rear overhang'
+  },
+  permitMax: {
+    width: 'max permit width before superload review',
+    height: 'max permit height before superload review',
+    length: 'max permit length before superload review',
+    grossWeight: 'max permit gross weight before superload review',
+    singleAxle: 'max permit single axle weight before superload review',
+    tandemAxle: 'max permit tandem axle weight before superload review',
+    tridemAxle: 'max permit tridem axle weight before superload review'
+  }
+};
+
+const WEIGHT_FIELDS = new Set(['grossWeight', 'singleAxle', 'tandemAxle', 'tridemAxle']);
+
+function formatValue(value, kind) {
+  if (value === null || value === undefined) return 'not set';
+  if (kind === 'feet') return formatLength(value);
+  if (kind === 'pounds') return formatWeight(value);
+  if (Array.isArray(value)) return value.length ? value.join(', ') : 'none';
+  return String(value);
+}
+
+/**
+ * Flatten the reviewable parts of a profile into { key: { value, label, kind } }
+ */
+function flattenProfile(profile) {
+  const flat = {};
+  if (!profile) return flat;
+
+  const limits = profile.limits || {};
+  for (const [group, labels] of Object.entries(LIMIT_LABELS)) {
+    for (const [field, label] of Object.entries(labels)) {
+      const entry = limits[group]?.[field];
+      if (entry) {
+        flat[`limits.${group}.${field}`] = {
+          value: entry.value,
+          label,
+          kind: WEIGHT_FIELDS.has(field) ? 'pounds' : 'feet'
+        };
+      }
+    }
+  }
+
+  // Escort tiers are keyed by dimension + order so "the first width tier" compares like-for-like
+  const tiersByDimension = {};
+  for (const tier of limits.escorts || []) {
+    (tiersByDimension[tier.dimension] = tiersByDimension[tier.dimension] || []).push(tier);
+  }
+  for (const [dimension, tiers] of Object.entries(tiersByDimension)) {
+    tiers.sort((a, b) => a.over - b.over).forEach((tier, i) => {
+      const label = i === 0 ? `max ${dimension} without escort` : `escort tier ${i + 1} ${dimension} threshold`;
+      flat[`limits.escorts.${dimension}.${i}`] = { value: tier.over, label, kind: 'feet' };
+      flat[`limits.escorts.${dimension}.${i}.vehicles`] = {
+        value: `${tier.front || 0} front / ${tier.rear || 0} rear${tier.police ? ' + police' : ''}${tier.heightPole ? ' + height pole' : ''}${tier.unresolved ? ' (wording unclear - check binder)' : ''}`,
+        label: `escorts required over ${formatLength(tier.over)} ${dimension}`,
+        kind: 'text'
+      };
+    });
+  }
+
+  const travel = profile.travel || {};
+  if ('daylightOnly' in travel) flat['travel.daylightOnly'] = { value: travel.daylightOnly, label: 'daylight-only travel', kind: 'text' };
+  if ('nightTravel' in travel) flat['travel.nightTravel'] = { value: travel.nightTravel, label: 'night travel', kind: 'text' };
+  if ('weekendBan' in travel) flat['travel.weekendBan'] = { value: travel.weekendBan, label: 'weekend travel ban', kind: 'text' };
+  (travel.curfews || []).forEach((curfew, i) => {
+    flat[`travel.curfews.${i}`] = {
+      value: `${curfew.area} ${curfew.days.join('/')} ${curfew.windows.map(w => `${w.start}-${w.end}`).join(', ')}`,
+      label: `${curfew.area} curfew`,
+      kind: 'text'
+    };
+  });
+
+  if (profile.holidays) {
+    flat['holidays.blackout'] = { value: profile.holidays.blackout, label: 'holiday travel blackout', kind: 'text' };
+  }
+
+  for (const permitType of profile.permitTypes || []) {
+    flat[`permitTypes.${permitType.type}`] = {
+      value: permitType.validityDays ?? 'listed',
+      label: `${permitType.type.replace('_', ' ')} permit validity (days)`,
+      kind: 'text'
+    };
+  }
+
+  return flat;
+}
+
+/**
+ * Compare two profiles
+ * @returns {Array<{path: string, before: *, after: *, message: string}>}
+ */
+function diffProfiles(previous, next) {
+  const before = flattenProfile(previous);
+  const after = flattenProfile(next);
+  const state = (next?.state || previous?.state || '').toUpperCase();
+  const changes = [];
+
+  for (const path of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const old = before[path];
+    const current = after[path];
+    const oldValue = old ? old.value : null;
+    const newValue = current ? current.value : null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+    const { label, kind } = current || old;
+    let message;
+    if (!old) {
+      message = `${state} ${label} added: ${formatValue(newValue, kind)}`;
+    } else if (!current) {
+      message = `${state} ${label} removed (was ${formatValue(oldValue, kind)})`;
+    } else {
+      message = `${state} ${label} changed from ${formatValue(oldValue, kind)} to ${formatValue(newValue, kind)}`;
+    }
+    changes.push({ path, before: oldValue, after: newValue, message });
+  }
+
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+module.exports = {
+  flattenProfile,
+  diffProfiles
+};
@@ -0,0 +1,287 @@
+/**
+ * Structured state profile extraction from OS/OW binder text
+ * Turns the binder prose ("Width: 8'6"", "Superloads: > 16' wide ...") into the
+ * machine-readable profile stored in state_rules/{stateCode}. Pattern-based, so the
+ * same binder always yields the same profile and every value quotes its source line.
+ */
+
+const { parseLength, parseWeight, formatLength } = require('./measurements');
+
+const FEET_INCHES = String.raw`(\d+(?:\.\d+)?)\s*'\s*(?:(\d+(?:\.\d+)?)\s*")?`;
+const POUNDS = String.raw`([\d,]+)\s*(?:lbs?|pounds)`;
+
+const DAY_CODES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const WEEKDAYS = ['MON', 'TUE', 'WED', 'THU', 'FRI'];
+
+/**
+ * "12'4"" -> 12.333 (feet, 3 decimals)
+ */
+function parseFeetInches(feet, inches) {
+  return parseLength(inches ? `${feet}'${inches}"` : `${feet}'`);
+}
+
+function parsePounds(text) {
+  return parseWeight(text);
+}
+
+/**
+ * Collapse binder text into one line per bullet so patterns don't depend on PDF line wrapping
+ */
+function normalizeBinderText(text) {
+  return text
+    .replace(/\*\*/g, '')
+    .replace(/[‘’′]/g, '\'')
+    .replace(/[“”″]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .replace(/ - (?=[A-Z])/g, '\n- ')
+    .trim();
+}
+
+/**
+ * Text between a heading and the next of several possible headings
+ */
+function section(text, start, ends) {
+  const startMatch = text.match(start);
+  if (!startMatch) return '';
+
+  const rest = text.slice(startMatch.index + startMatch[0].length);
+  let endIndex = rest.length;
+  for (const end of ends) {
+    const endMatch = rest.match(end);
+    if (endMatch && endMatch.index < endIndex) endIndex = endMatch.index;
+  }
+  return rest.slice(0, endIndex);
+}
+
+function sourceLine(text, index) {
+  const lineStart = text.lastIndexOf('\n', index) + 1;
+  const lineEnd = text.indexOf('\n', index);
+  return text.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).replace(/^- /, '').trim();
+}
+
+function limit(value, binderName, text, index) {
+  return { value, ref: `${binderName} - "${sourceLine(text, index)}"` };
+}
+
+function extractLegalLimits(text, binderName) {
+  const legalText = section(text, /Legal Limits[^:]*:/i, [/Superloads?/i, /Travel Restrictions/i, /Escort Requirements/i]);
+  const offset = text.indexOf(legalText);
+  const legal = {};
+  let match;
+
+  if ((match = legalText.match(new RegExp(`Width:\\s*${FEET_INCHES}`, 'i')))) {
+    legal.width = limit(parseFeetInches(match[1], match[2]), binderName, text, offset + match.index);
+  }
+  if ((match = legalText.match(new RegExp(`Height:\\s*${FEET_INCHES}`, 'i')))) {
+    legal.height = limit(parseFeetInches(match[1], match[2]), binderName, text, offset + match.index);
+  }
+  if ((match = legalText.match(new RegExp(`Length:[^\\n]*?${FEET_INCHES}\\s*\\(combination\\)`, 'i'))) ||
+      (match = legalText.match(new RegExp(`Length:\\s*${FEET_INCHES}`, 'i')))) {
+    legal.length = limit(parseFeetInches(match[1], match[2]), binderName, text, offset + match.index);
+  }
+  if ((match = legalText.match(new RegExp(`${POUNDS}\\s*single axle`, 'i')))) {
+    legal.singleAxle = limit(parsePounds(match[1]), binderName, text, offset + match.index);
+  }
+  if ((match = legalText.match(new RegExp(`${POUNDS}\\s*tandem`, 'i')))) {
+    legal.tandemAxle = limit(parsePounds(match[1]), binderName, text, offset + match.index);
+  }
+  if ((match = legalText.match(new RegExp(`(?:gross|GVW)[^\\n]*?${POUNDS}`, 'i')))) {
+    legal.grossWeight = limit(parsePounds(match[1]), binderName, text, offset + match.index);
+  }
+
+  return legal;
+}
+
+function extractPermitMax(text, binderName) {
+  const match = text.match(/Superloads?:?[^\n]*/i);
+  if (!match) return {};
+
+  const line = match[0];
+  const permitMax = {};
+  const patterns = {
+    width: new RegExp(`>\\s*${FEET_INCHES}\\s*wide`, 'i'),
+    height: new RegExp(`>\\s*${FEET_INCHES}\\s*(?:high|tall)`, 'i'),
+    length: new RegExp(`>\\s*${FEET_INCHES}\\s*long`, 'i')
+  };
+
+  for (const [field, pattern] of Object.entries(patterns)) {
+    const found = line.match(pattern);
+    if (found) permitMax[field] = limit(parseFeetInches(found[1], found[2]), binderName, text, match.index);
+  }
+
+  const weight = line.match(new RegExp(POUNDS, 'i'));
+  if (weight) permitMax.grossWeight = limit(parsePounds(weight[1]), binderName, text, match.index);
+
+  return permitMax;
+}
+
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3 };
+const FRONT_ESCORT = /\b(?:(\d+|a|an|one|two|three)\s+)?(?:front|lead)\b/;
+const REAR_ESCORT = /\b(?:(\d+|a|an|one|two|three)\s+)?(?:rear|chase|trailing)\b/;
+
+/**
+ * Escort vehicles a requirement sentence asks for
+ * "rear escort" -> { front: 0, rear: 1 }, "front and rear escort" -> { front: 1, rear: 1 },
+ * "two rear escorts" -> { front: 0, rear: 2 }. Height pole cars lead, so "height pole" alone is a front escort.
+ * When the sentence asks for escorts without saying where, resolved is false and both positions are
+ * filled (the strict reading) until a reviewer corrects the profile.
+ */
+function escortVehicles(requirement) {
+  const count = match => (match[1] ? COUNT_WORDS[match[1]] || parseInt(match[1], 10) : 1);
+  const front = requirement.match(FRONT_ESCORT);
+  const rear = requirement.match(REAR_ESCORT);
+
+  if (front || rear) {
+    // "two front and rear escorts" - the count covers both positions
+    const shared = front && rear && !rear[1] && front.index < rear.index ? count(front) : null;
+    return { front: front ? count(front) : 0, rear: rear ? shared || count(rear) : 0, resolved: true };
+  }
+  if (/pole/.test(requirement)) return { front: 1, rear: 0, resolved: true };
+
+  // Police escort or route survey only - no escort vehicles asked for
+  if (!/escort|pilot/.test(requirement.replace(/(?:police|patrol|chp) escorts?/g, ''))) {
+    return { front: 0, rear: 0, resolved: true };
+  }
+  return { front: 1, rear: 1, resolved: false };
+}
+
+function extractEscorts(text, binderName) {
+  const escortText = section(text, /Escort Requirements:?/i, [/\n\d+\.\s+[A-Z]/, /Permit Workflow/i]);
+  const offset = text.indexOf(escortText);
+  const escorts = [];
+  const pattern = new RegExp(`(Width|Height|Length)\\s*>\\s*${FEET_INCHES}\\s*requires?\\s*([^.\\n]*)`, 'gi');
+  let match;
+
+  while ((match = pattern.exec(escortText))) {
+    const dimension = match[1].toLowerCase();
+    const requirement = match[4].toLowerCase();
+    const { front, rear, resolved } = escortVehicles(requirement);
+    const tier = {
+      dimension,
+      over: parseFeetInches(match[2], match[3]),
+      front,
+      rear,
+      ref: `${binderName} - "${sourceLine(text, offset + match.index)}"`
+    };
+    if (dimension === 'height') tier.heightPole = true;
+    if (requirement.includes('route survey')) tier.routeSurvey = true;
+    if (/police|patrol|chp/.test(requirement)) tier.police = true;
+    if (!resolved) tier.unresolved = true;
+    escorts.push(tier);
+  }
+
+  return escorts.sort((a, b) => a.dimension.localeCompare(b.dimension) || a.over - b.over);
+}
+
+function to24h(hour, meridiem) {
+  let h = parseInt(hour, 10) % 12;
+  if (meridiem.toUpperCase() === 'PM') h += 12;
+  return `${String(h).padStart(2, '0')}:00`;
+}
+
+function extractTravel(text, binderName) {
+  const travel = {
+    daylightOnly: /daylight (?:hours )?only|sunrise to sunset/i.test(text),
+    nightTravel: /night travel requires/i.test(text) ? 'conditional' : (/no night travel/i.test(text) ? 'prohibited' : 'unspecified'),
+    weekendBan: /no (?:weekend|saturday|sunday) (?:travel|movement)/i.test(text),
+    curfews: []
+  };
+
+  // "7-9 AM, 4-6 PM weekdays"
+  const curfew = text.match(/Curfew Hours?:[^\n]*/i) || text.match(/rush hours?[^\n]*\d+\s*-\s*\d+\s*[AP]M[^\n]*/i);
+  if (curfew) {
+    const windows = [];
+    const windowPattern = /(\d{1,2})\s*-\s*(\d{1,2})\s*([AP]M)/gi;
+    let match;
+    while ((match = windowPattern.exec(curfew[0]))) {
+      windows.push({ start: to24h(match[1], match[3]), end: to24h(match[2], match[3]) });
+    }
+    if (windows.length) {
+      travel.curfews.push({
+        area: /metro|cities|urban/i.test(curfew[0]) ? 'metro' : 'statewide',
+        days: /weekday/i.test(curfew[0]) ? WEEKDAYS : DAY_CODES,
+        windows,
+        ref: `${binderName} - "${sourceLine(text, curfew.index)}"`
+      });
+    }
+  }
+
+  return travel;
+}
+
+function extractHolidays(text, binderName) {
+  const match = text.match(/No movement[^\n]*holidays?[^\n]*/i);
+  return {
+    blackout: Boolean(match),
+    ref: match ? `${binderName} - "${sourceLine(text, match.index)}"` : null
+  };
+}
+
+function extractPermitTypes(text, binderName) {
+  const permitTypes = [];
+  const singleTrip = text.match(/(?:single trip permits?|permits?)[^\n]*?valid (?:for )?(\d+) days/i);
+
+  if (singleTrip) {
+    permitTypes.push({
+      type: 'single_trip',
+      validityDays: parseInt(singleTrip[1], 10),
+      ref: `${binderName} - "${sourceLine(text, singleTrip.index)}"`
+    });
+  }
+
+  const annual = text.match(/annual[^\n]*permit[^\n]*/i);
+  if (annual) {
+    permitTypes.push({ type: 'annual', ref: `${binderName} - "${sourceLine(text, annual.index)}"` });
+  }
+
+  return permitTypes;
+}
+
+/**
+ * Extract a structured state profile from binder text
+ * @param {string} rawText - Text extracted from the binder PDF
+ * @param {string} stateCode - Two-letter state code
+ * @param {Object} options - { binderName, sourceFile }
+ * @returns {Object} Profile ready for state_rules/{stateCode} plus extraction warnings
+ */
+function extractStateProfile(rawText, stateCode, options = {}) {
+  const text = normalizeBinderText(rawText);
+  const binderName = options.binderName || `${stateCode.toUpperCase()} OS/OW Binder`;
+
+  const legal = extractLegalLimits(text, binderName);
+  const permitMax = extractPermitMax(text, binderName);
+  const escorts = extractEscorts(text, binderName);
+
+  const missing = [];
+  for (const field of ['width', 'height', 'length']) {
+    if (!legal[field]) missing.push(`limits.legal.${field}`);
+    if (!permitMax[field]) missing.push(`limits.permitMax.${field}`);
+  }
+  if (!escorts.length) missing.push('limits.escorts');
+  // Tiers whose wording does not say which escort vehicles are needed
+  const unresolved = escorts
+    .filter(tier => tier.unresolved)
+    .map(tier => `limits.escorts.${tier.dimension} > ${formatLength(tier.over)}`);
+
+  return {
+    state: stateCode.toUpperCase(),
+    limits: { legal, permitMax, escorts },
+    travel: extractTravel(text, binderName),
+    holidays: extractHolidays(text, binderName),
+    permitTypes: extractPermitTypes(text, binderName),
+    extraction: {
+      method: 'binder-patterns',
+      sourceFile: options.sourceFile || null,
+      missing,
+      unresolved,
+      extractedAt: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  parseFeetInches,
+  normalizeBinderText,
+  extractStateProfile
+};
@@ -0,0 +1,175 @@
+/**
+ * State registry
+ * The one list of jurisdictions the backend knows about: postal code, full name, FIPS code, time zone,
+ * the OS/OW binder PDF in state_rules/ (null when we have none yet) and the state DOT.
+ * Ingest scripts, the upload/index scripts, /api/states and the travel-time rules all read from here.
+ * States that span two zones list the zone most of the state (and its permit office) keeps; TIMEZONE_AREAS
+ * maps the counties on the other zone.
+ */
+
+const STATES = [
+  { code: 'AL', name: 'Alabama', fips: '01', timezone: 'America/Chicago', binder: 'Alabama_OSOW_Permit_Process.pdf', dot: { name: 'Alabama Department of Transportation', abbreviation: 'ALDOT' } },
+  { code: 'AK', name: 'Alaska', fips: '02', timezone: 'America/Anchorage', binder: 'Alaska_OSOW_Permit_Process.pdf', dot: { name: 'Alaska Department of Transportation & Public Facilities', abbreviation: 'DOT&PF' } },
+  { code: 'AZ', name: 'Arizona', fips: '04', timezone: 'America/Phoenix', binder: 'Arizona_OSOW_Permit_Process.pdf', dot: { name: 'Arizona Department of Transportation', abbreviation: 'ADOT' } },
+  { code: 'AR', name: 'Arkansas', fips: '05', timezone: 'America/Chicago', binder: 'Arkansas_OSOW_Permit_Binder.pdf', dot: { name: 'Arkansas Department of Transportation', abbreviation: 'ARDOT' } },
+  { code: 'CA', name: 'California', fips: '06', timezone: 'America/Los_Angeles', binder: 'California_OSOW_Permit_Binder.pdf', dot: { name: 'California Department of Transportation', abbreviation: 'Caltrans' } },
+  { code: 'CO', name: 'Colorado', fips: '08', timezone: 'America/Denver', binder: 'Colorado_OSOW_Permit_Binder.pdf', dot: { name: 'Colorado Department of Transportation', abbreviation: 'CDOT' } },
+  { code: 'CT', name: 'Connecticut', fips: '09', timezone: 'America/New_York', binder: 'Connecticut_OSOW_Permit_Binder.pdf', dot: { name: 'Connecticut Department of Transportation', abbreviation: 'CTDOT' } },
+  { code: 'DE', name: 'Delaware', fips: '10', timezone: 'America/New_York', binder: 'Delaware_OSOW_Permit_Binder.pdf', dot: { name: 'Delaware Department of Transportation', abbreviation: 'DelDOT' } },
+  { code: 'DC', name: 'District of Columbia', fips: '11', timezone: 'America/New_York', binder: null, dot: { name: 'District Department of Transportation', abbreviation: 'DDOT' } },
+  { code: 'FL', name: 'Florida', fips: '12', timezone: 'America/New_York', binder: 'Florida_OSOW_Permit_Binder.pdf', dot: { name: 'Florida Department of Transportation', abbreviation: 'FDOT' } },
+  { code: 'GA', name: 'Georgia', fips: '13', timezone: 'America/New_York', binder: 'Georgia_OSOW_Permit_Binder.pdf', dot: { name: 'Georgia Department of Transportation', abbreviation: 'GDOT' } },
+  { code: 'HI', name: 'Hawaii', fips: '15', timezone: 'Pacific/Honolulu', binder: 'Hawaii_OSOW_Permit_Binder.pdf', dot: { name: 'Hawaii Department of Transportation', abbreviation: 'HDOT' } },
+  { code: 'ID', name: 'Idaho', fips: '16', timezone: 'America/Boise', binder: 'Idaho_OSOW_Permit_Binder.pdf', dot: { name: 'Idaho Transportation Department', abbreviation: 'ITD' } },
+  { code: 'IL', name: 'Illinois', fips: '17', timezone: 'America/Chicago', binder: 'Permit_Nav_Illinois_OSOW_Binder.pdf', dot: { name: 'Illinois Department of Transportation', abbreviation: 'IDOT' } },
+  { code: 'IN', name: 'Indiana', fips: '18', timezone: 'America/Indiana/Indianapolis', binder: 'Permit_Nav_Indiana_OSOW_Binder.pdf', dot: { name: 'Indiana Department of Transportation', abbreviation: 'INDOT' } },
+  { code: 'IA', name: 'Iowa', fips: '19', timezone: 'America/Chicago', binder: 'Permit_Nav_Iowa_OSOW_Binder.pdf', dot: { name: 'Iowa Department of Transportation', abbreviation: 'Iowa DOT' } },
+  { code: 'KS', name: 'Kansas', fips: '20', timezone: 'America/Chicago', binder: 'Permit_Nav_Kansas_OSOW_Binder.pdf', dot: { name: 'Kansas Department of Transportation', abbreviation: 'KDOT' } },
+  { code: 'KY', name: 'Kentucky', fips: '21', timezone: 'America/New_York', binder: 'Permit_Nav_Kentucky_OSOW_Binder.pdf', dot: { name: 'Kentucky Transportation Cabinet', abbreviation: 'KYTC' } },
+  { code: 'LA', name: 'Louisiana', fips: '22', timezone: 'America/Chicago', binder: 'Permit_Nav_Louisiana_OSOW_Binder.pdf', dot: { name: 'Louisiana Department of Transportation and Development', abbreviation: 'DOTD' } },
+  { code: 'ME', name: 'Maine', fips: '23', timezone: 'America/New_York', binder: 'Permit_Nav_Maine_OSOW_Binder.pdf', dot: { name: 'Maine Department of Transportation', abbreviation: 'MaineDOT' } },
+  { code: 'MD', name: 'Maryland', fips: '24', timezone: 'America/New_York', binder: 'Permit_Nav_Maryland_OSOW_Binder.pdf', dot: { name: 'Maryland Department of Transportation', abbreviation: 'MDOT' } },
+  { code: 'MA', name: 'Massachusetts', fips: '25', timezone: 'America/New_York', binder: 'Permit_Nav_Massachusetts_OSOW_Binder.pdf', dot: { name: 'Massachusetts Department of Transportation', abbreviation: 'MassDOT' } },
+  { code: 'MI', name: 'Michigan', fips: '26', timezone: 'America/Detroit', binder: 'Permit_Nav_Michigan_OSOW_Binder.pdf', dot: { name: 'Michigan Department of Transportation', abbreviation: 'MDOT' } },
+  { code: 'MN', name: 'Minnesota', fips: '27', timezone: 'America/Chicago', binder: 'Permit_Nav_Minnesota_OSOW_Binder.pdf', dot: { name: 'Minnesota Department of Transportation', abbreviation: 'MnDOT' } },
+  { code: 'MS', name: 'Mississippi', fips: '28', timezone: 'America/Chicago', binder: 'Permit_Nav_Mississippi_OSOW_Binder.pdf', dot: { name: 'Mississippi Department of Transportation', abbreviation: 'MDOT' } },
+  { code: 'MO', name: 'Missouri', fips: '29', timezone: 'America/Chicago', binder: 'Permit_Nav_Missouri_OSOW_Binder.pdf', dot: { name: 'Missouri Department of Transportation', abbreviation: 'MoDOT' } },
+  { code: 'MT', name: 'Montana', fips: '30', timezone: 'America/Denver', binder: 'Permit_Nav_Montana_OSOW_Binder.pdf', dot: { name: 'Montana Department of Transportation', abbreviation: 'MDT' } },
+  { code: 'NE', name: 'Nebraska', fips: '31', timezone: 'America/Chicago', binder: 'Permit_Nav_Nebraska_OSOW_Binder.pdf', dot: { name: 'Nebraska Department of Transportation', abbreviation: 'NDOT' } },
+  { code: 'NV', name: 'Nevada', fips: '32', timezone: 'America/Los_Angeles', binder: 'Permit_Nav_Nevada_OSOW_Binder.pdf', dot: { name: 'Nevada Department of Transportation', abbreviation: 'NDOT' } },
+  { code: 'NH', name: 'New Hampshire', fips: '33', timezone: 'America/New_York', binder: 'Permit_Nav_New_Hampshire_OSOW_Binder.pdf', dot: { name: 'New Hampshire Department of Transportation', abbreviation: 'NHDOT' } },
+  { code: 'NJ', name: 'New Jersey', fips: '34', timezone: 'America/New_York', binder: 'Permit_Nav_New_Jersey_OSOW_Binder.pdf', dot: { name: 'New Jersey Department of Transportation', abbreviation: 'NJDOT' } },
+  { code: 'NM', name: 'New Mexico', fips: '35', timezone: 'America/Denver', binder: 'Permit_Nav_New_Mexico_OSOW_Binder.pdf', dot: { name: 'New Mexico Department of Transportation', abbreviation: 'NMDOT' } },
+  { code: 'NY', name: 'New York', fips: '36', timezone: 'America/New_York', binder: 'Permit_Nav_New_York_OSOW_Binder.pdf', dot: { name: 'New York State Department of Transportation', abbreviation: 'NYSDOT' } },
+  { code: 'NC', name: 'North Carolina', fips: '37', timezone: 'America/New_York', binder: 'Permit_Nav_North_Carolina_OSOW_Binder.pdf', dot: { name: 'North Carolina Department of Transportation', abbreviation: 'NCDOT' } },
+  { code: 'ND', name: 'North Dakota', fips: '38', timezone: 'America/Chicago', binder: 'Permit_Nav_North_Dakota_OSOW_Binder.pdf', dot: { name: 'North Dakota Department of Transportation', abbreviation: 'NDDOT' } },
+  { code: 'OH', name: 'Ohio', fips: '39', timezone: 'America/New_York', binder: 'Permit_Nav_Ohio_OSOW_Binder.pdf', dot: { name: 'Ohio Department of Transportation', abbreviation: 'ODOT' } },
+  { code: 'OK', name: 'Oklahoma', fips: '40', timezone: 'America/Chicago', binder: 'Permit_Nav_Oklahoma_OSOW_Binder.pdf', dot: { name: 'Oklahoma Department of Transportation', abbreviation: 'ODOT' } },
+  { code: 'OR', name: 'Oregon', fips: '41', timezone: 'America/Los_Angeles', binder: 'Oregon_OSOW_Permit_Process.pdf', dot: { name: 'Oregon Department of Transportation', abbreviation: 'ODOT' } },
+  { code: 'PA', name: 'Pennsylvania', fips: '42', timezone: 'America/New_York', binder: 'Permit_Nav_Pennsylvania_OSOW_Binder.pdf', dot: { name: 'Pennsylvania Department of Transportation', abbreviation: 'PennDOT' } },
+  { code: 'RI', name: 'Rhode Island', fips: '44', timezone: 'America/New_York', binder: 'Permit_Nav_Rhode_Island_OSOW_Binder.pdf', dot: { name: 'Rhode Island Department of Transportation', abbreviation: 'RIDOT' } },
+  { code: 'SC', name: 'South Carolina', fips: '45', timezone: 'America/New_York', binder: 'Permit_Nav_South_Carolina_OSOW_Binder.pdf', dot: { name: 'South Carolina Department of Transportation', abbreviation: 'SCDOT' } },
+  { code: 'SD', name: 'South Dakota', fips: '46', timezone: 'America/Chicago', binder: 'Permit_Nav_South_Dakota_OSOW_Binder.pdf', dot: { name: 'South Dakota Department of Transportation', abbreviation: 'SDDOT' } },
+  { code: 'TN', name: 'Tennessee', fips: '47', timezone: 'America/Chicago', binder: 'Permit_Nav_Tennessee_OSOW_Binder.pdf', dot: { name: 'Tennessee Department of Transportation', abbreviation: 'TDOT' } },
+  { code: 'TX', name: 'Texas', fips: '48', timezone: 'America/Chicago', binder: 'Permit_Nav_Texas_OSOW_Binder.pdf', dot: { name: 'Texas Department of Transportation', abbreviation: 'TxDOT' } },
+  { code: 'UT', name: 'Utah', fips: '49', timezone: 'America/Denver', binder: 'Permit_Nav_Utah_OSOW_Binder.pdf', dot: { name: 'Utah Department of Transportation', abbreviation: 'UDOT' } },
+  { code: 'VT', name: 'Vermont', fips: '50', timezone: 'America/New_York', binder: 'Permit_Nav_Vermont_OSOW_Binder.pdf', dot: { name: 'Vermont Agency of Transportation', abbreviation: 'VTrans' } },
+  { code: 'VA', name: 'Virginia', fips: '51', timezone: 'America/New_York', binder: 'Permit_Nav_Virginia_OSOW_Binder.pdf', dot: { name: 'Virginia Department of Transportation', abbreviation: 'VDOT' } },
+  { code: 'WA', name: 'Washington', fips: '53', timezone: 'America/Los_Angeles', binder: 'Permit_Nav_Washington_OSOW_Binder.pdf', dot: { name: 'Washington State Department of Transportation', abbreviation: 'WSDOT' } },
+  { code: 'WV', name: 'West Virginia', fips: '54', timezone: 'America/New_York', binder: 'Permit_Nav_West_Virginia_OSOW_Binder.pdf', dot: { name: 'West Virginia Department of Transportation', abbreviation: 'WVDOT' } },
+  { code: 'WI', name: 'Wisconsin', fips: '55', timezone: 'America/Chicago', binder: 'Permit_Nav_Wisconsin_OSOW_Binder.pdf', dot: { name: 'Wisconsin Department of Transportation', abbreviation: 'WisDOT' } },
+  { code: 'WY', name: 'Wyoming', fips: '56', timezone: 'America/Denver', binder: 'Permit_Nav_Wyoming_OSOW_Binder.pdf', dot: { name: 'Wyoming Department of Transportation', abbreviation: 'WYDOT' } }
+];
+
+// Counties of multi-zone states that keep the state's other zone, as [south, west, north, east] boxes.
+// The boxes follow county lines only roughly - points within a few miles of a zone line may be misread.
+const TIMEZONE_AREAS = {
+  // Northwest (Gary, Valparaiso, La Porte) and southwest (Evansville) corners
+  IN: [
+    { timezone: 'America/Chicago', box: [40.73, -87.53, 41.77, -86.47] },
+    { timezone: 'America/Chicago', box: [37.77, -88.1, 38.53, -87.07] },
+    { timezone: 'America/Chicago', box: [37.77, -87.27, 38.21, -86.25] }
+  ],
+  // Western Kentucky, Bowling Green and Elizabethtown included
+  KY: [
+    { timezone: 'America/Chicago', box: [36.49, -89.6, 38.2, -85.9] },
+    { timezone: 'America/Chicago', box: [36.49, -85.9, 37.9, -85.45] },
+    { timezone: 'America/Chicago', box: [36.49, -85.45, 37.1, -84.58] }
+  ],
+  // East Tennessee, Chattanooga and Knoxville included
+  TN: [
+    { timezone: 'America/New_York', box: [34.98, -85.48, 35.5, -81.6] },
+    { timezone: 'America/New_York', box: [35.5, -84.95, 36.68, -81.6] }
+  ],
+  // The panhandle west of the Apalachicola River
+  FL: [
+    { timezone: 'America/Chicago', box: [29.9, -87.7, 31.01, -85.0] }
+  ],
+  // El Paso and Hudspeth counties
+  TX: [
+    { timezone: 'America/Denver', box: [31.0, -106.65, 32.01, -104.9] }
+  ]
+};
+
+const BY_CODE = new Map(STATES.map(state => [state.code, state]));
+
+// Lookup keys: "new_york", "new york", "newyork" -> NY
+function nameKey(value) {
+  return String(value).toLowerCase().replace(/[^a-z]/g, '');
+}
+const BY_NAME = new Map(STATES.map(state => [nameKey(state.name), state]));
+const BY_FIPS = new Map(STATES.map(state => [state.fips, state]));
+const BY_BINDER = new Map(STATES.filter(state => state.binder).map(state => [state.binder.toLowerCase(), state]));
+
+/**
+ * State by postal code ("IN", "us-in")
+ * @returns {Object|null}
+ */
+function getState(code) {
+  if (!code) return null;
+  return BY_CODE.get(String(code).toUpperCase().replace(/^US-/, '')) || null;
+}
+
+/**
+ * Time zone at a point in a state: the zone of its TIMEZONE_AREAS box, else the state's own
+ * (also when no point is given)
+ * @param {string} code - Postal code
+ * @param {number[]} point - [lat, lng]
+ * @returns {string|null}
+ */
+function timezoneAt(code, point) {
+  const state = getState(code);
+  if (!state) return null;
+  const area = point && (TIMEZONE_AREAS[state.code] || []).find(({ box: [south, west, north, east] }) =>
+    point[0] >= south && point[0] <= north && point[1] >= west && point[1] <= east
+  );
+  return area ? area.timezone : state.timezone;
+}
+
+/**
+ * Whether a state keeps more than one time zone
+ */
+function spansTimezones(code) {
+  return Boolean(TIMEZONE_AREAS[getState(code)?.code]);
+}
+
+/**
+ * State by anything we have seen used as a key: code, full name (any case/separator), FIPS code
+ * or binder filename (e.g. the legacy "new_york" keys from upload_state_rules.mjs)
+ * @returns {Object|null}
+ */
+function findState(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const base = text.replace(/^.*\//, '');
+
+  return getState(text) ||
+    BY_FIPS.get(text.padStart(2, '0')) ||
+    BY_BINDER.get(base.toLowerCase()) ||
+    BY_NAME.get(nameKey(base.replace(/\.pdf$/i, ''))) ||
+    null;
+}
+
+/**
+ * State code for a binder filename (null if the file is not a registered binder)
+ */
+function stateForBinder(filename) {
+  return BY_BINDER.get(String(filename).toLowerCase())?.code || null;
+}
+
+/**
+ * States that have a binder PDF
+ */
+function statesWithBinders() {
+  return STATES.filter(state => state.binder);
+}
+
+module.exports = {
+  STATES,
+  getState,
+  timezoneAt,
+  spansTimezones,
+  findState,
+  stateForBinder,
+  statesWithBinders
+};
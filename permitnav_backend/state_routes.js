@@ -0,0 +1,52 @@
+/**
+ * State endpoints
+ * Shared by the pdfchat Cloud Function (index.js) and the local server (pdf_chat_server.mjs)
+ */
+
+const { STATES } = require('./state_registry');
+
+/**
+ * Register /api/states on an express app
+ *   GET /api/states             - ["IN", "OH", ...] codes with ingested regulations (what the Android app reads)
+ *   GET /api/states?detail=true - every registry state with its metadata and ingest status
+ * @param {import('express').Express} app - Express app
+ * @param {Object} source - Regulation data source from createDataSource()
+ */
+function registerStateRoutes(app, source) {
+  app.get('/api/states', async (req, res) => {
+    try {
+      const ingested = new Map((await source.listStates()).map(entry => [entry.state, entry]));
+
+      if (req.query.detail !== 'true') {
+        return res.json(STATES.filter(state => ingested.has(state.code)).map(state => state.code));
+      }
+
+      res.json(STATES.map(state => {
+        const entry = ingested.get(state.code);
+        return {
+          ...state,
+          available: Boolean(entry),
+          ingest: entry ? {
+            processedAt: entry.processedAt,
+            version: entry.version,
+            pageCount: entry.pageCount,
+            chunkCount: entry.chunkCount,
+            // Low values mean a scanned or hard-to-read binder - answers for the state deserve a check
+            extractionConfidence: entry.extractionConfidence
+          } : null
+        };
+      }));
+
+    } catch (error) {
+      console.error('❌ States error:', error);
+      res.status(500).json({
+        error: 'Failed to list available states',
+        code: 'STATES_UNAVAILABLE'
+      });
+    }
+  });
+}
+
+module.exports = {
+  registerStateRoutes
+};
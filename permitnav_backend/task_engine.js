@@ -0,0 +1,443 @@
+/**
+ * Task engine
+ * Tasks are the dispatcher/driver to-do list: route_plan, permit_apply, permit_validate, escort_book and
+ * driver_ack. They are opened and closed by Firestore triggers reacting to loads, route plans and permits
+ * (index.js), never inline by the functions that cause them. Every task gets an SLA due date and an
+ * assignee (a dispatcher or the load's driver); overdue tasks are escalated by a scheduled job.
+ *
+ * Triggers can be delivered more than once, so every handler is idempotent: tasks are opened under a
+ * deterministic ID with create-if-absent, and updates only apply to tasks still in the expected state.
+ */
+
+const admin = require('firebase-admin');
+const { FINISHED_LOAD_STATUSES } = require('./load_lifecycle');
+
+const TASK_STATUSES = ['open', 'completed', 'cancelled'];
+
+/**
+ * Task types
+ *   assignee   who works it: 'dispatcher' (the dispatch pool or a named dispatcher) or 'driver' (the load's driver)
+ *   slaMinutes time allowed from creation
+ *   openOn     load status that opens it
+ *   completeOn load statuses that mean the work is done
+ *   cancelOn   load statuses that make it moot (FINISHED_LOAD_STATUSES apply to every type)
+ */
+const TASK_TYPES = {
+  route_plan: {
+    title: 'Plan route',
+    assignee: 'dispatcher',
+    slaMinutes: 4 * 60,
+    openOn: 'new',
+    completeOn: [],
+    cancelOn: []
+  },
+  permit_apply: {
+    title: 'Apply for permits along the route',
+    assignee: 'dispatcher',
+    slaMinutes: 24 * 60,
+    openOn: 'permits_pending',
+    completeOn: ['route_planned'],
+    cancelOn: ['new']
+  },
+  permit_validate: {
+    title: 'Validate uploaded permit',
+    assignee: 'dispatcher',
+    slaMinutes: 8 * 60,
+    openOn: null,
+    completeOn: [],
+    cancelOn: []
+  },
+  escort_book: {
+    title: 'Book escorts',
+    assignee: 'dispatcher',
+    slaMinutes: 24 * 60,
+    openOn: null, // route_planned, when the route needs escorts
+    completeOn: [],
+    cancelOn: ['new', 'permits_pending']
+  },
+  driver_ack: {
+    title: 'Acknowledge load assignment',
+    assignee: 'driver',
+    slaMinutes: 2 * 60,
+    openOn: 'assigned',
+    completeOn: ['in_transit'],
+    cancelOn: ['route_planned']
+  }
+};
+
+// Each escalation raises priority, hands driver tasks to dispatch and gives another half SLA
+const PRIORITIES = ['normal', 'high', 'urgent'];
+const MAX_ESCALATION_LEVEL = PRIORITIES.length - 1;
+
+/**
+ * Rejected task operation; code is the HttpsError code callers should surface
+ */
+class TaskError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TaskError';
+    this.code = code;
+  }
+}
+
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Open a task unless one with the same key already exists
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} task - { key, type, loadId, permitId, driverUid, source, details }
+ *   key identifies the piece of work (e.g. "<loadId>-3-permit_apply"); it becomes the task ID.
+ * @returns {Promise<{taskId: string, created: boolean}>}
+ */
+async function openTask(db, task) {
+  const type = TASK_TYPES[task.type];
+  if (!type) throw new TaskError('invalid-argument', `Unknown task type: ${task.type}`);
+
+  const taskRef = db.collection('tasks').doc(task.key);
+  const created = await db.runTransaction(async tx => {
+    if ((await tx.get(taskRef)).exists) return false;
+    tx.set(taskRef, {
+      type: task.type,
+      title: type.title,
+      loadId: task.loadId || null,
+      permitId: task.permitId || null,
+      status: 'open',
+      driverUid: task.driverUid || null,
+      details: task.details || null,
+      source: task.source,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: task.source
+    });
+    return true;
+  });
+
+  if (created) console.log(`📋 Opened ${task.type} task ${task.key}`);
+  return { taskId: task.key, created };
+}
+
+/**
+ * Complete or cancel the open tasks of some types for a load or permit
+ * @param {Object} filter - { loadId } or { permitId }
+ * @param {Object} options - { types (default all), status: 'completed' | 'cancelled', reason, by }
+ * @returns {Promise<number>} Tasks closed
+ */
+async function closeTasks(db, filter, options) {
+  const [field, value] = filter.permitId ? ['permitId', filter.permitId] : ['loadId', filter.loadId];
+  const open = await db.collection('tasks').where(field, '==', value).where('status', '==', 'open').get();
+  const docs = open.docs.filter(doc => !options.types || options.types.includes(doc.data().type));
+  if (!docs.length) return 0;
+
+  const FieldValue = admin.firestore.FieldValue;
+  const batch = db.batch();
+  docs.forEach(doc => batch.update(doc.ref, options.status === 'completed'
+    ? { status: 'completed', completedBy: options.by, completionNote: options.reason || null, updatedAt: FieldValue.serverTimestamp() }
+    : { status: 'cancelled', cancelledBy: options.by, cancelReason: options.reason || null, updatedAt: FieldValue.serverTimestamp() }));
+  await batch.commit();
+
+  console.log(`📋 ${options.status === 'completed' ? 'Completed' : 'Cancelled'} ${docs.length} task(s) for ${field} ${value}`);
+  return docs.length;
+}
+
+/**
+ * tasks onCreate: stamp SLA due date, priority and assignee on a new task (whoever created it)
+ * Fields already present are kept, so a retry (or a task created with an explicit due date) is left alone.
+ */
+async function handleTaskCreated(db, taskRef) {
+  return db.runTransaction(async tx => {
+    const doc = await tx.get(taskRef);
+    if (!doc.exists) return false;
+    const task = doc.data();
+    if (task.dueAt) return false;
+
+    const type = TASK_TYPES[task.type] || { assignee: 'dispatcher', slaMinutes: 24 * 60 };
+    const createdAt = toDate(task.createdAt) || new Date();
+    const driverTask = type.assignee === 'driver' && task.driverUid;
+
+    tx.update(taskRef, {
+      slaMinutes: task.slaMinutes || type.slaMinutes,
+      dueAt: new Date(createdAt.getTime() + (task.slaMinutes || type.slaMinutes) * 60 * 1000),
+      priority: task.priority || PRIORITIES[0],
+      escalationLevel: 0,
+      // escalateOverdueTasks queries on it, so it has to be set from the start
+      escalationExhausted: false,
+      assigneeRole: task.assigneeRole || (driverTask ? 'driver' : 'dispatcher'),
+      assigneeUid: task.assigneeUid || (driverTask ? task.driverUid : null)
+    });
+    return true;
+  });
+}
+
+/**
+ * tasks onUpdate: stamp completion/cancellation time and whether the SLA was met
+ */
+async function handleTaskUpdated(db, taskRef, before, after) {
+  if (before.status === after.status || after.status === 'open') return false;
+  if (after.status === 'completed' && after.completedAt) return false;
+  if (after.status === 'cancelled' && after.cancelledAt) return false;
+
+  const now = new Date();
+  if (after.status === 'cancelled') {
+    await taskRef.update({ cancelledAt: now });
+    return true;
+  }
+
+  const dueAt = toDate(after.dueAt);
+  await taskRef.update({
+    completedAt: now,
+    metSla: dueAt ? now <= dueAt : null
+  });
+  console.log(`✅ Task ${taskRef.id} (${after.type}) completed${dueAt && now > dueAt ? ' after its SLA' : ''}`);
+  return true;
+}
+
+/**
+ * loads onCreate: a new load needs a route plan
+ */
+async function handleLoadCreated(db, loadId, load) {
+  return openTask(db, {
+    key: `${loadId}-${load.statusVersion || 0}-route_plan`,
+    type: 'route_plan',
+    loadId,
+    driverUid: load.assignedDriverUid,
+    source: 'load_created'
+  });
+}
+
+/**
+ * Latest route plan of a load, with its id (null if none)
+ */
+async function latestRoutePlan(db, loadId) {
+  const plans = await db.collection('loads').doc(loadId).collection('routePlans').orderBy('createdAt', 'desc').limit(1).get();
+  return plans.empty ? null : { id: plans.docs[0].id, ...plans.docs[0].data() };
+}
+
+/**
+ * Whether escorts for this route plan already have a booking task that stands - open or completed
+ * Tasks opened before bookings recorded their plan count for any plan.
+ */
+async function hasEscortBooking(db, loadId, routePlanId) {
+  const tasks = await db.collection('tasks').where('loadId', '==', loadId).where('type', '==', 'escort_book').get();
+  return tasks.docs.some(doc => {
+    const task = doc.data();
+    return task.status !== 'cancelled' && (task.details?.routePlanId ?? routePlanId) === routePlanId;
+  });
+}
+
+/**
+ * loads onUpdate: close tasks the new status finishes or makes moot, open the ones it starts
+ */
+async function handleLoadUpdated(db, loadId, before, after) {
+  if (!after || before?.status === after.status) return [];
+  const status = after.status;
+  const opened = [];
+
+  const completed = Object.keys(TASK_TYPES).filter(type => TASK_TYPES[type].completeOn.includes(status));
+  if (completed.length) {
+    await closeTasks(db, { loadId }, { types: completed, status: 'completed', reason: `Load ${status}`, by: 'task_engine' });
+  }
+
+  const cancelled = FINISHED_LOAD_STATUSES.includes(status)
+    ? null
+    : Object.keys(TASK_TYPES).filter(type => TASK_TYPES[type].cancelOn.includes(status));
+  if (!cancelled || cancelled.length) {
+    await closeTasks(db, { loadId }, { types: cancelled, status: 'cancelled', reason: `Load ${status}`, by: 'task_engine' });
+  }
+
+  const version = after.statusVersion || 0;
+  for (const [type, config] of Object.entries(TASK_TYPES)) {
+    if (config.openOn !== status) continue;
+    opened.push(await openTask(db, { key: `${loadId}-${version}-${type}`, type, loadId, driverUid: after.assignedDriverUid, source: `load_${status}` }));
+  }
+
+  // Escorts are booked once per route plan. An open or completed booking survives an undone assignment
+  // (and a completed one survives permits re-run for the same route); a new plan books again.
+  if (status === 'route_planned') {
+    const plan = await latestRoutePlan(db, loadId);
+    const states = plan?.compliance?.escortsNeeded || [];
+    if (states.length && !(await hasEscortBooking(db, loadId, plan.id))) {
+      opened.push(await openTask(db, {
+        key: `${loadId}-${version}-escort_book`,
+        type: 'escort_book',
+        loadId,
+        details: { states, routePlanId: plan.id },
+        source: 'load_route_planned'
+      }));
+    }
+  }
+
+  return opened;
+}
+
+/**
+ * loads/{loadId}/routePlans onCreate: the route_plan task is done
+ */
+async function handleRoutePlanCreated(db, loadId, plan) {
+  return closeTasks(db, { loadId }, {
+    types: ['route_plan'],
+    status: 'completed',
+    reason: 'Route planned',
+    by: plan.createdBy || 'task_engine'
+  });
+}
+
+/**
+ * permits onWrite: a freshly parsed upload needs validating; a verdict completes the validation
+ */
+async function handlePermitWritten(db, permitId, before, after) {
+  if (!after) return null;
+
+  if (after.verdict?.validatedAt && after.verdict.validatedAt !== before?.verdict?.validatedAt) {
+    await closeTasks(db, { permitId }, {
+      types: ['permit_validate'],
+      status: 'completed',
+      reason: after.verdict.compliant ? 'Permit validated' : 'Permit flagged',
+      by: after.verdict.validatedBy || 'task_engine'
+    });
+    return null;
+  }
+
+  const parsedAt = after.intake?.status === 'parsed' ? after.intake.parsedAt : null;
+  if (!parsedAt || parsedAt === before?.intake?.parsedAt) return null;
+
+  // One validation per parsed upload
+  return openTask(db, {
+    key: `${permitId}-${Date.parse(parsedAt)}-permit_validate`,
+    type: 'permit_validate',
+    permitId,
+    loadId: after.loadId,
+    details: { permitNumber: after.permitNumber || null, state: after.state || null, missing: after.intake.missing || [] },
+    source: 'permit_parsed'
+  });
+}
+
+/**
+ * Escalate open tasks past their due date
+ * Each escalation bumps priority, moves driver tasks to the dispatch pool and sets a new due date half an
+ * SLA out, so a task still ignored escalates again. The last level sets escalationExhausted, which drops
+ * the task out of the query - it stays overdue and urgent without being re-read every run.
+ * @param {Date} now
+ * @returns {Promise<number>} Tasks escalated
+ */
+async function escalateOverdueTasks(db, now = new Date()) {
+  const overdue = await db.collection('tasks')
+    .where('status', '==', 'open')
+    .where('escalationExhausted', '==', false)
+    .where('dueAt', '<=', now)
+    .get();
+
+  let escalated = 0;
+  for (const doc of overdue.docs) {
+    const changed = await db.runTransaction(async tx => {
+      const fresh = await tx.get(doc.ref);
+      const task = fresh.data();
+      // Completed or already escalated by a concurrent run
+      if (task.status !== 'open' || task.escalationExhausted || toDate(task.dueAt) > now) return false;
+
+      const level = (task.escalationLevel || 0) + 1;
+      const sla = task.slaMinutes || TASK_TYPES[task.type]?.slaMinutes || 60;
+      tx.update(doc.ref, {
+        escalationLevel: level,
+        escalationExhausted: level >= MAX_ESCALATION_LEVEL,
+        priority: PRIORITIES[level],
+        assigneeRole: 'dispatcher',
+        ...(task.assigneeRole === 'driver' ? { assigneeUid: null } : {}),
+        dueAt: new Date(now.getTime() + sla * 30 * 1000),
+        escalations: admin.firestore.FieldValue.arrayUnion({
+          level,
+          at: now.toISOString(),
+          overdueSince: toDate(task.dueAt).toISOString(),
+          from: { role: task.assigneeRole || null, uid: task.assigneeUid || null }
+        })
+      });
+      return true;
+    });
+    if (changed) escalated++;
+  }
+
+  if (escalated) console.log(`⏰ Escalated ${escalated} overdue task(s)`);
+  return escalated;
+}
+
+/**
+ * Hand a task to a dispatcher or driver (dispatchers/service only)
+ * @param {Object} options - { actor: { uid, role, service }, assigneeUid, assigneeRole }
+ */
+async function assignTask(db, taskId, options) {
+  const { actor, assigneeUid = null, assigneeRole } = options;
+  if (!actor.service && actor.role !== 'dispatcher') {
+    throw new TaskError('permission-denied', 'Only dispatchers can assign tasks');
+  }
+  if (!['dispatcher', 'driver'].includes(assigneeRole)) {
+    throw new TaskError('invalid-argument', 'assigneeRole must be dispatcher or driver');
+  }
+  if (assigneeRole === 'driver' && !assigneeUid) {
+    throw new TaskError('invalid-argument', 'assigneeUid is required to assign a task to a driver');
+  }
+
+  const taskRef = db.collection('tasks').doc(taskId);
+  return db.runTransaction(async tx => {
+    const doc = await tx.get(taskRef);
+    if (!doc.exists) throw new TaskError('not-found', 'Task not found');
+    if (doc.data().status !== 'open') throw new TaskError('failed-precondition', `Task is ${doc.data().status}`);
+
+    tx.update(taskRef, {
+      assigneeRole,
+      assigneeUid,
+      // Drivers read their tasks through driverUid (firestore.rules)
+      ...(assigneeRole === 'driver' ? { driverUid: assigneeUid } : {}),
+      assignedBy: actor.uid,
+      assignedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { taskId, assigneeRole, assigneeUid };
+  });
+}
+
+/**
+ * Mark a task done (its assignee, or any dispatcher/service)
+ * @param {Object} options - { actor: { uid, role, service }, note }
+ */
+async function completeTask(db, taskId, options) {
+  const { actor, note = null } = options;
+  const taskRef = db.collection('tasks').doc(taskId);
+
+  return db.runTransaction(async tx => {
+    const doc = await tx.get(taskRef);
+    if (!doc.exists) throw new TaskError('not-found', 'Task not found');
+    const task = doc.data();
+    if (task.status === 'completed') return { taskId, status: 'completed', alreadyCompleted: true };
+    if (task.status !== 'open') throw new TaskError('failed-precondition', `Task is ${task.status}`);
+    if (!actor.service && actor.role !== 'dispatcher' && task.assigneeUid !== actor.uid) {
+      throw new TaskError('permission-denied', 'Only the assignee or a dispatcher can complete this task');
+    }
+
+    tx.update(taskRef, {
+      status: 'completed',
+      completedBy: actor.uid,
+      completionNote: note,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { taskId, status: 'completed' };
+  });
+}
+
+module.exports = {
+  TASK_TYPES,
+  TASK_STATUSES,
+  TaskError,
+  openTask,
+  closeTasks,
+  handleTaskCreated,
+  handleTaskUpdated,
+  handleLoadCreated,
+  handleLoadUpdated,
+  handleRoutePlanCreated,
+  handlePermitWritten,
+  escalateOverdueTasks,
+  assignTask,
+  completeTask
+};
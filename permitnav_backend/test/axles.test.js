@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeAxleConfiguration,
+  axleGroups,
+  bridgeFormulaWeight,
+  checkBridgeFormula,
+  evaluateAxles,
+  routingAxleParams
+} = require('../axles');
+const { getBuiltInLimits } = require('../state_limits');
+
+// Tractor-semitrailer at 80,000 lbs: steer, drive tandem, trailer tandem
+const FIVE_AXLE = { count: 5, spacings: [12, 4.5, 30, 4.5], weights: [12000, 17000, 17000, 17000, 17000] };
+
+test('bridge formula weights match the FHWA table', () => {
+  const cases = [
+    [51, 5, 80000],
+    [36, 4, 66000],
+    [36, 5, 70500],
+    [20, 3, 51000],
+    [4.5, 2, 34000],
+    [8, 3, 34000],
+    [57, 6, 88000]
+  ];
+  for (const [feet, axles, pounds] of cases) {
+    assert.equal(bridgeFormulaWeight(feet, axles), pounds, `${feet} ft / ${axles} axles`);
+  }
+});
+
+test('axle configurations normalize from any units', () => {
+  assert.deepEqual(normalizeAxleConfiguration({ spacings: ["12'", '4 ft 6'], weights: ['12,000 lbs', '17k', '17000'] }), {
+    count: 3,
+    spacings: [12, 4.5],
+    weights: [12000, 17000, 17000]
+  });
+  assert.deepEqual(normalizeAxleConfiguration({ spacings: [3.66], weights: [5443, 7711] }, { length: 'm', weight: 'kg' }), {
+    count: 2,
+    spacings: [12.008],
+    weights: [12000, 17000]
+  });
+  assert.equal(normalizeAxleConfiguration(null), null);
+  assert.throws(() => normalizeAxleConfiguration({ count: 5, spacings: [12, 4.5] }), /5 axles need 4 spacings/);
+  assert.throws(() => normalizeAxleConfiguration({ spacings: [12, -1] }), /Invalid axle spacing/);
+});
+
+test('axles within 8 ft group into tandems and tridems', () => {
+  const groups = axleGroups(FIVE_AXLE);
+  assert.deepEqual(groups.map(group => [group.type, group.axles, group.weight]), [
+    ['singleAxle', [1], 12000],
+    ['tandemAxle', [2, 3], 34000],
+    ['tandemAxle', [4, 5], 34000]
+  ]);
+
+  const tridem = axleGroups({ count: 4, spacings: [14, 4.5, 4.5], weights: [] });
+  assert.deepEqual(tridem.map(group => [group.type, group.spread, group.weight]), [['singleAxle', 0, null], ['tridemAxle', 9, null]]);
+});
+
+test('a legal 80,000 lb five-axle truck passes every bridge formula run', () => {
+  const bridge = checkBridgeFormula(FIVE_AXLE);
+  assert.equal(bridge.checked, true);
+  assert.equal(bridge.checks.length, 10);
+  assert.deepEqual(bridge.failures, []);
+  assert.equal(bridge.checks.find(check => check.axles[0] === 1 && check.axles[1] === 5).allowed, 80000);
+  // Two tandems 36 ft or more apart carry 34,000 lbs each
+  assert.equal(bridge.checks.find(check => check.axles[0] === 2 && check.axles[1] === 5).allowed, 68000);
+
+  assert.equal(checkBridgeFormula({ count: 5, spacings: [12, 4.5, 30, 4.5], weights: [] }).checked, false);
+});
+
+test('heavy axle groups need a permit and the worst bridge run is reported', () => {
+  const limits = getBuiltInLimits('OH');
+  const heavy = { ...FIVE_AXLE, spacings: [12, 4.5, 20, 4.5], weights: [12000, 20000, 20000, 17000, 17000] };
+  const result = evaluateAxles(heavy, limits);
+
+  assert.deepEqual(result.oversize.map(entry => entry.code), ['EXCEEDS_LEGAL', 'EXCEEDS_BRIDGE_FORMULA']);
+  assert.deepEqual(result.oversize[0].axles, [2, 3]);
+  assert.ok(result.bridge.failures.length > 0);
+  assert.deepEqual(result.violations, []);
+
+  const noSpacings = evaluateAxles({ count: 5, spacings: [], weights: [] }, limits);
+  assert.deepEqual(noSpacings.warnings.map(warning => warning.code), ['MISSING_AXLE_SPACINGS']);
+});
+
+test('routing gets the axle count and heaviest axle', () => {
+  assert.deepEqual(routingAxleParams(FIVE_AXLE), { axleCount: 5, weightPerAxle: 17000 });
+  assert.deepEqual(routingAxleParams(null), { axleCount: 5, weightPerAxle: null });
+});
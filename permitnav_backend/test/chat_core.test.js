@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fake_firestore');
+const { createMockProvider } = require('../llm_provider');
+const { createChatService, createFirestoreSource, regulationVersionRef, extractContactInfo } = require('../chat_core');
+
+const PASSAGES = [
+  {
+    id: 'IN-0',
+    page: 4,
+    section: 'Escort Requirements',
+    source: 'Indiana_OSOW_Permit_Binder.pdf',
+    text: 'Escort Requirements: - Width > 12\'4" requires escorts. - Height > 15\' requires route survey + escort.'
+  },
+  {
+    id: 'IN-1',
+    page: 5,
+    section: 'Travel Restrictions',
+    source: 'Indiana_OSOW_Permit_Binder.pdf',
+    text: 'Travel Restrictions: Oversize movement is limited to daylight hours only. No movement during major holidays.'
+  }
+];
+
+const source = {
+  name: 'stub',
+  load: async state => ({ available: true, content: 'passages', passages: PASSAGES, contactInfo: extractContactInfo('', state) })
+};
+
+const ANSWER = {
+  notes: 'Daylight hours only in Indiana.',
+  is_compliant: true,
+  violations: [],
+  escorts: 'None at this width',
+  travel_restrictions: 'Daylight hours only',
+  confidence: 0.9,
+  sources: ['Indiana binder']
+};
+
+// Fixtures are matched on the last user message; the repair prompt quotes the schema errors
+const REPAIR_PROMPT = 'did not match the required json schema';
+
+function service(fixtures, db = null) {
+  const llm = createMockProvider(fixtures ? { fixtures } : {});
+  return { llm, chat: createChatService({ llm, source, db }) };
+}
+
+test('the repo fixtures answer escort questions with citations verified against the passages', async () => {
+  const { llm, chat } = service();
+  const response = await chat.ask({ stateKey: 'IN', userQuestion: 'Do I need an escort at 13 ft wide?' });
+
+  assert.equal(llm.calls[0].fixture, 'escorts');
+  assert.equal(response.state, 'IN');
+  assert.deepEqual(response.citations.map(citation => [citation.chunk_id, citation.page, citation.verified]), [['IN-0', 4, true]]);
+  // The calculated requirement wins over the model's wording
+  assert.match(response.escorts, /rear escort/i);
+});
+
+test('citations are corrected, flagged or dropped by what the passages back up', async () => {
+  const { chat } = service([{
+    name: 'cited',
+    response: {
+      ...ANSWER,
+      citations: [
+        { chunk_id: 'IN-0', page: 4, quote: 'limited to daylight hours only' },
+        { chunk_id: 'IN-1', page: 5, quote: 'no movement during the major holidays' },
+        { chunk_id: 'IN-1', page: 5, quote: 'Night travel is permitted with amber lights' },
+        { chunk_id: 'IN-1', page: 5, quote: 'hours' }
+      ]
+    }
+  }]);
+  const { citations } = await chat.ask({ stateKey: 'IN', userQuestion: 'Can I run at night?' });
+
+  assert.deepEqual(citations.map(citation => [citation.chunk_id, citation.verified, citation.flag || null]), [
+    ['IN-1', true, 'chunk_corrected'],
+    ['IN-1', false, 'approximate_quote']
+  ]);
+});
+
+test('near-miss answers are coerced without a retry', async () => {
+  const { llm, chat } = service([{
+    name: 'loose',
+    response: { ...ANSWER, is_compliant: 'true', confidence: 85, violations: 'None', extra: 'dropped' }
+  }]);
+  const response = await chat.ask({ stateKey: 'IN', userQuestion: 'Can I run at night?' });
+
+  assert.equal(llm.calls.length, 1);
+  assert.equal(response.is_compliant, true);
+  assert.equal(response.confidence, 0.85);
+  assert.deepEqual(response.violations, ['None']);
+});
+
+test('an invalid answer is retried with the schema errors and the repaired answer is used', async () => {
+  const db = createFakeFirestore();
+  const { llm, chat } = service([
+    { name: 'broken', match: { user: ['night'] }, response: { notes: 'Daylight only', confidence: 'high' } },
+    { name: 'repaired', match: { user: [REPAIR_PROMPT] }, response: ANSWER }
+  ], db);
+  const response = await chat.ask({ stateKey: 'IN', userQuestion: 'Can I run at night?' });
+
+  assert.deepEqual(llm.calls.map(call => call.fixture), ['broken', 'repaired']);
+  const feedback = llm.calls[1].messages.at(-1).content;
+  assert.match(feedback, /"is_compliant" is required/);
+  assert.match(feedback, /"confidence" must be a number/);
+  assert.equal(response.notes, ANSWER.notes);
+  assert.equal(response.confidence, 0.9);
+
+  const day = new Date().toISOString().slice(0, 10);
+  const metrics = db.read(`llm_metrics/${day}`).compliance_response;
+  assert.deepEqual([metrics.total, metrics.retried, metrics.retryAttempts], [1, 1, 1]);
+});
+
+test('an answer that cannot be repaired falls back to a zero-confidence reply', async () => {
+  const { llm, chat } = service([
+    { name: 'off-schema', response: { answer: 'Sure! You can run at night with lights.' } }
+  ]);
+  const response = await chat.ask({ stateKey: 'IN', userQuestion: 'Can I run at night?' });
+
+  assert.equal(llm.calls.length, 2);
+  assert.equal(response.confidence, 0);
+  assert.equal(response.is_compliant, false);
+  assert.ok(response.contact_info);
+});
+
+test('streamed answers send the notes as they arrive and complete with the repaired answer', async () => {
+  const { chat } = service([
+    { name: 'broken', match: { user: ['night'] }, response: { notes: 'Streaming notes text', is_compliant: 'maybe' } },
+    { name: 'repaired', match: { user: [REPAIR_PROMPT] }, response: ANSWER }
+  ]);
+
+  const events = [];
+  for await (const event of chat.askStream({ stateKey: 'IN', userQuestion: 'Can I run at night?' })) events.push(event);
+
+  const streamed = events.filter(event => event.event === 'delta').map(event => event.data.text).join('');
+  assert.equal(streamed, 'Streaming notes text');
+  assert.equal(events.at(-1).event, 'complete');
+  assert.equal(events.at(-1).data.notes, ANSWER.notes);
+});
+
+test('the Firestore source reads chunks from the current version, or from older state docs', async () => {
+  const db = createFakeFirestore();
+  const chunks = PASSAGES.map(({ source: _source, ...chunk }) => chunk);
+  await db.collection('state_regulations').doc('IN').set({ filename: 'Indiana_OSOW_Permit_Binder.pdf', version: 2, chunkCount: 2, processedAt: 'v2' });
+  for (const [chunkIndex, chunk] of [...chunks, { id: 'IN-stale', text: 'Left over from an interrupted ingest' }].entries()) {
+    await regulationVersionRef(db, 'IN', 2).collection('chunks').doc(String(chunkIndex).padStart(5, '0')).set({ ...chunk, chunkIndex });
+  }
+  await db.collection('state_regulations').doc('OH').set({ filename: 'Ohio.pdf', chunks: [{ id: 'OH-0', page: 1, text: 'Escorts are required over 14 feet wide.' }], chunkCount: 1, processedAt: 'v1' });
+
+  const firestore = createFirestoreSource(db);
+  const indiana = await firestore.load('IN', 'Do I need escorts at 13 feet wide?');
+  assert.deepEqual(indiana.passages.map(passage => [passage.id, passage.page]), [['IN-0', 4]]);
+  // Only chunkCount chunks belong to the version
+  const stale = await firestore.load('IN', 'left over from an interrupted ingest');
+  assert.ok(!stale.passages.some(passage => passage.id === 'IN-stale'));
+
+  const ohio = await firestore.load('OH', 'escorts');
+  assert.deepEqual(ohio.passages.map(passage => passage.id), ['OH-0']);
+});
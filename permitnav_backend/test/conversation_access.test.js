@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { createFakeFirestore } = require('./helpers/fake_firestore');
+const { createMockProvider } = require('../llm_provider');
+const { createChatService, extractContactInfo } = require('../chat_core');
+const { registerConversationRoutes, resolveCaller } = require('../conversation_routes');
+const { registerChatRoutes } = require('../chat_routes');
+const { ConversationAccessError, appendTurn } = require('../conversation_store');
+
+const source = {
+  name: 'stub',
+  load: async state => ({ available: true, content: `${state} regulations`, passages: [], contactInfo: extractContactInfo('', state) })
+};
+
+// ID tokens in these tests are "token-<uid>"; dispatcher uids carry the dispatcher role claim
+Object.defineProperty(admin, 'auth', {
+  configurable: true,
+  value: () => ({
+    verifyIdToken: async token => {
+      if (!token.startsWith('token-')) throw new Error('Decoding Firebase ID token failed');
+      const uid = token.slice(6);
+      return uid.startsWith('dispatcher') ? { uid, role: 'dispatcher' } : { uid };
+    }
+  })
+});
+
+async function seed(db) {
+  await appendTurn(db, 'conv-a', { driverId: 'driver-a', stateKey: 'IN', question: 'Can I run at 13 ft wide?', answer: 'Only with a rear escort.' });
+  await db.collection('conversations').doc('legacy').set({ driverId: null, title: 'Old thread', turnCount: 0 });
+}
+
+function chatFor(db) {
+  const llm = createMockProvider();
+  return { llm, chat: createChatService({ llm, source, db }) };
+}
+
+test('the owner gets their history replayed and the new turn appended', async () => {
+  const db = createFakeFirestore();
+  await seed(db);
+  const { llm, chat } = chatFor(db);
+
+  await chat.ask({ stateKey: 'IN', userQuestion: 'What about at night?', conversationId: 'conv-a', driverId: 'driver-a' });
+
+  assert.ok(llm.calls[0].messages.some(message => message.content === 'Only with a rear escort.'));
+  assert.equal(db.read('conversations/conv-a').turnCount, 2);
+});
+
+test('another driver cannot read or extend a conversation', async () => {
+  const db = createFakeFirestore();
+  await seed(db);
+  const { llm, chat } = chatFor(db);
+
+  await assert.rejects(
+    chat.ask({ stateKey: 'IN', userQuestion: 'What about at night?', conversationId: 'conv-a', driverId: 'driver-b' }),
+    error => error instanceof ConversationAccessError && error.status === 403
+  );
+  assert.equal(llm.calls.length, 0);
+  assert.equal(db.read('conversations/conv-a').turnCount, 1);
+
+  // Conversations without an owner are closed, and a conversationId needs a signed-in caller
+  await assert.rejects(chat.ask({ stateKey: 'IN', userQuestion: 'Hi', conversationId: 'legacy', driverId: 'driver-b' }), { status: 403 });
+  await assert.rejects(chat.ask({ stateKey: 'IN', userQuestion: 'Hi', conversationId: 'conv-a' }), { status: 401 });
+});
+
+test('appending checks ownership too', async () => {
+  const db = createFakeFirestore();
+  await seed(db);
+  await assert.rejects(
+    appendTurn(db, 'conv-a', { driverId: 'driver-b', question: 'Injected', answer: 'Injected' }),
+    { code: 'FORBIDDEN' }
+  );
+  assert.equal(db.read('conversations/conv-a').turnCount, 1);
+});
+
+function routes(db) {
+  const handlers = {};
+  const app = {
+    get: (route, handler) => { handlers[`GET ${route}`] = handler; },
+    delete: (route, handler) => { handlers[`DELETE ${route}`] = handler; }
+  };
+  registerConversationRoutes(app, db);
+
+  return async (route, { token, params = {}, query = {} } = {}) => {
+    const req = {
+      params,
+      query,
+      body: {},
+      get: header => (header === 'Authorization' && token ? `Bearer ${token}` : undefined)
+    };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    await handlers[route](req, res);
+    return res;
+  };
+}
+
+test('conversation routes need a verified ID token and only serve the owner', async () => {
+  const db = createFakeFirestore();
+  await seed(db);
+  const call = routes(db);
+
+  assert.equal((await call('GET /api/conversations', { query: { driverId: 'driver-a' } })).statusCode, 401);
+  assert.equal((await call('GET /api/conversations', { token: 'forged', query: { driverId: 'driver-a' } })).statusCode, 401);
+
+  const own = await call('GET /api/conversations/:conversationId', { token: 'token-driver-a', params: { conversationId: 'conv-a' } });
+  assert.equal(own.statusCode, 200);
+  assert.equal(own.body.turns.length, 1);
+
+  const other = await call('GET /api/conversations/:conversationId', { token: 'token-driver-b', params: { conversationId: 'conv-a' } });
+  assert.equal(other.statusCode, 403);
+  const legacy = await call('GET /api/conversations/:conversationId', { token: 'token-driver-b', params: { conversationId: 'legacy' } });
+  assert.equal(legacy.statusCode, 403);
+
+  const removed = await call('DELETE /api/conversations/:conversationId', { token: 'token-driver-b', params: { conversationId: 'conv-a' } });
+  assert.equal(removed.statusCode, 403);
+  assert.ok(db.read('conversations/conv-a'));
+});
+
+test('a stored permit is only chatted about by its driver or a dispatcher', async () => {
+  const db = createFakeFirestore();
+  await db.collection('permits').doc('permit1').set({ driverId: 'driver-a', state: 'IN', permitNumber: 'IN-1' });
+  const { llm, chat } = chatFor(db);
+  const ask = caller => chat.ask({ permitId: 'permit1', userQuestion: 'Can I run at night?', driverId: caller?.uid, callerRole: caller?.role });
+  const callerFor = token => resolveCaller({ get: () => `Bearer ${token}` });
+
+  await assert.rejects(ask(null), { status: 401 });
+  await assert.rejects(ask(await callerFor('token-driver-b')), { status: 403, code: 'FORBIDDEN' });
+  assert.equal(llm.calls.length, 0);
+
+  const own = await ask(await callerFor('token-driver-a'));
+  assert.equal(own.permitNumber, 'IN-1');
+  await ask(await callerFor('token-dispatcher-1'));
+  assert.equal(llm.calls.length, 2);
+});
+
+test('the chat stream answers access errors as JSON before opening the stream', async () => {
+  const db = createFakeFirestore();
+  await seed(db);
+  const { llm, chat } = chatFor(db);
+  const handlers = {};
+  registerChatRoutes({ post: (route, handler) => { handlers[route] = handler; } }, chat);
+
+  const stream = async token => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+      set(headers) { Object.assign(this.headers, headers); },
+      flushHeaders() {},
+      on() {},
+      write(chunk) { this.streamed = (this.streamed || '') + chunk; },
+      end() { this.ended = true; }
+    };
+    await handlers['/api/chat/stream']({
+      body: { stateKey: 'IN', userQuestion: 'What about at night?', conversationId: 'conv-a' },
+      get: header => (header === 'Authorization' && token ? `Bearer ${token}` : undefined)
+    }, res);
+    return res;
+  };
+
+  for (const [token, status] of [[null, 401], ['token-driver-b', 403]]) {
+    const res = await stream(token);
+    assert.equal(res.statusCode, status);
+    assert.equal(res.headers['Content-Type'], undefined);
+    assert.equal(res.streamed, undefined);
+  }
+  assert.equal(llm.calls.length, 0);
+
+  const own = await stream('token-driver-a');
+  assert.match(own.headers['Content-Type'], /text\/event-stream/);
+  assert.match(own.streamed, /event: complete/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRoadType, evaluateEscorts, describeEscorts, formatEscortText, calculateEscorts } = require('../escort_calculator');
+const { BASELINE_LIMITS } = require('../state_limits');
+
+test('road types normalize from labels and free text', () => {
+  const cases = [
+    ['Interstate', 'interstate'],
+    ['freeway', 'interstate'],
+    ['4-lane divided', 'multilane'],
+    ['two_lane', 'two_lane'],
+    ['on an undivided highway', 'two_lane'],
+    ['on a 4 lane divided highway', 'multilane'],
+    ['gravel', null],
+    [null, null]
+  ];
+  for (const [text, roadType] of cases) assert.equal(normalizeRoadType(text), roadType, String(text));
+});
+
+test('baseline escort tiers by dimension and road type', () => {
+  const cases = [
+    // dims, road type, front, rear, police, height pole
+    [{ width: 11.5 }, null, 0, 0, false, false],
+    [{ width: 12.5 }, 'two_lane', 1, 0, false, false],
+    [{ width: 12.5 }, 'interstate', 0, 1, false, false],
+    // No road type: every tier applies
+    [{ width: 12.5 }, null, 1, 1, false, false],
+    [{ width: 14.5 }, 'interstate', 1, 1, false, false],
+    [{ width: 16.5 }, 'interstate', 1, 1, true, false],
+    [{ height: 14.75 }, null, 1, 0, false, true],
+    [{ length: 105 }, 'multilane', 0, 1, false, false],
+    // Exactly on a threshold is not over it
+    [{ width: 12, height: 14.5, length: 100 }, null, 0, 0, false, false]
+  ];
+  for (const [dims, roadType, front, rear, police, heightPole] of cases) {
+    const escorts = evaluateEscorts(dims, BASELINE_LIMITS.escorts, roadType);
+    assert.deepEqual([escorts.front, escorts.rear, escorts.police, escorts.heightPole], [front, rear, police, heightPole], JSON.stringify({ dims, roadType }));
+  }
+});
+
+test('escort requirements read as plain English', () => {
+  const cases = [
+    [{ required: false }, 'No escorts required'],
+    [{ required: true, front: 1, rear: 0, heightPole: true }, '1 front escort with a height pole'],
+    [{ required: true, front: 1, rear: 2 }, '1 front escort and 2 rear escorts'],
+    [{ required: true, front: 1, rear: 1, police: true }, '1 front escort and 1 rear escort and a police escort'],
+    [{ required: false, heightPole: true, routeSurvey: true }, 'A height pole and a route survey']
+  ];
+  for (const [escorts, text] of cases) assert.equal(describeEscorts(escorts), text);
+});
+
+test('Indiana escorts come with the binder rule that triggered them', async () => {
+  const escorts = await calculateEscorts(null, { state: 'in', roadType: 'Interstate', dims: { width: "14'6", height: '4.5 m' } });
+
+  assert.equal(escorts.state, 'IN');
+  assert.equal(escorts.roadType, 'interstate');
+  assert.equal(escorts.dimensions.width, 14.5);
+  assert.equal(escorts.summary, '1 front escort with a height pole and 1 rear escort');
+  assert.deepEqual(escorts.rules.map(rule => [rule.dimension, rule.over]), [['width', 12], ['width', 14], ['height', 14.5]]);
+  assert.equal(escorts.rulesSource, 'reviewed');
+
+  const text = formatEscortText(escorts);
+  assert.match(text, /^IN on .*interstate: 1 front escort/);
+  assert.match(text, /- Over 14' wide: INDOT single trip: width > 14' requires front and rear escort/);
+});
+
+test('bad requests are rejected', async () => {
+  await assert.rejects(calculateEscorts(null, { state: 'Indiana', dims: { width: 13 } }), /Invalid state/);
+  await assert.rejects(calculateEscorts(null, { state: 'IN', roadType: 'gravel', dims: { width: 13 } }), /Unknown road type/);
+  await assert.rejects(calculateEscorts(null, { state: 'IN', dims: {} }), /At least one of width, height or length/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { equipmentEnvelope, envelopeToLoad } = require('../fleet');
+const { loadToDimensions, dimensionsToLoadDims } = require('../route_compliance');
+
+const TRUCK = { id: 'truck1', height: 13.5, width: 8.5, length: 24, fifthWheelSetback: 3, tareWeight: 19000 };
+const TRAILER = { id: 'trailer1', trailerType: 'flatbed', deckHeight: 5, width: 8.5, length: 53, kingpinSetback: 3, tareWeight: 11000 };
+
+test('the envelope stacks cargo on the deck and keeps the overhangs', () => {
+  const cargo = { height: 9, width: 10, length: 60, grossWeight: 40000, overhangFront: 2, overhangRear: null };
+  const envelope = equipmentEnvelope(cargo, { truck: TRUCK, trailer: TRAILER });
+
+  assert.deepEqual([envelope.height, envelope.width, envelope.length, envelope.grossWeight], [14, 10, 78, 70000]);
+  // Cargo 7 ft longer than the deck hangs off the back
+  assert.deepEqual([envelope.overhangFront, envelope.overhangRear], [2, 7]);
+  // The load's own figure wins when it is the larger one
+  assert.equal(equipmentEnvelope({ ...cargo, overhangRear: 9 }, { truck: TRUCK, trailer: TRAILER }).overhangRear, 9);
+  assert.equal(equipmentEnvelope({ ...cargo, length: 40 }, { truck: TRUCK, trailer: TRAILER }).overhangRear, null);
+});
+
+test('compliance sees the envelope dimensions with the overhangs in feet', () => {
+  const load = {
+    dims: { h: 2.74, w: 3.05, l: 18.29, overhangFront: 0.61, overhangRear: 2.74 },
+    weight: 18144,
+    units: { length: 'm', weight: 'kg' },
+    routeStates: ['IN']
+  };
+  const envelope = equipmentEnvelope(loadToDimensions(load), { truck: TRUCK, trailer: TRAILER });
+  const dims = loadToDimensions(envelopeToLoad(load, envelope));
+
+  assert.equal(dims.length, envelope.length);
+  assert.equal(dims.grossWeight, envelope.grossWeight);
+  assert.deepEqual([dims.overhangFront, dims.overhangRear], [2.001, 8.99]);
+
+  // Envelopes stored before overhangs were tracked fall back to the load's
+  const { overhangFront, overhangRear, ...stored } = envelope;
+  const legacy = loadToDimensions(envelopeToLoad(load, stored));
+  assert.deepEqual([legacy.overhangFront, legacy.overhangRear], [2.001, 8.99]);
+  assert.deepEqual(envelopeToLoad(load, envelope).routeStates, ['IN']);
+});
+
+test('loads are stored in feet with their overhangs', () => {
+  const measured = loadToDimensions({ dims: { h: 2.74, w: 3.05, l: 18.29, overhangFront: 0.61, overhangRear: 2.74 }, units: { length: 'm' } });
+  const dims = dimensionsToLoadDims(measured);
+
+  assert.deepEqual(Object.keys(dims), ['h', 'w', 'l', 'overhangFront', 'overhangRear']);
+  assert.deepEqual([dims.overhangFront, dims.overhangRear], [2.001, 8.99]);
+  // Read back as feet, nothing changes
+  assert.deepEqual(loadToDimensions({ dims, units: { length: 'ft' } }), { ...measured, grossWeight: null });
+});
@@ -0,0 +1,179 @@
+/**
+ * In-memory Firestore for tests
+ * Covers what the backend uses: documents and subcollections, where/orderBy/limit queries, batches,
+ * transactions (including create-if-absent) and the FieldValue transforms. Dates are stored as
+ * Timestamps, as Firestore does.
+ */
+
+const { FieldValue, Timestamp } = require('firebase-admin').firestore;
+
+function isTransform(value, method) {
+  return value instanceof FieldValue && value.methodName === `FieldValue.${method}`;
+}
+
+function clone(value) {
+  if (value instanceof Timestamp) return value;
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+}
+
+function isMap(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Timestamp) && !(value instanceof Date) && !(value instanceof FieldValue);
+}
+
+/**
+ * Apply a write's fields (with FieldValue transforms) on top of the stored data
+ * mergeMaps: nested maps merge into the stored ones (set with merge) instead of replacing them.
+ * Dotted keys ('a.b') address nested fields, as in update().
+ */
+function applyFields(current, fields, mergeMaps = false) {
+  const next = { ...current };
+  for (const [path, value] of Object.entries(fields)) {
+    const [key, ...rest] = path.split('.');
+    if (rest.length) {
+      next[key] = applyFields(isMap(next[key]) ? next[key] : {}, { [rest.join('.')]: value }, mergeMaps);
+      continue;
+    }
+
+    if (isTransform(value, 'delete')) delete next[key];
+    else if (isTransform(value, 'serverTimestamp')) next[key] = Timestamp.now();
+    else if (isTransform(value, 'increment')) next[key] = (next[key] || 0) + value.operand;
+    else if (isTransform(value, 'arrayUnion')) {
+      const existing = next[key] || [];
+      next[key] = [...existing, ...value.elements.map(clone).filter(item => !existing.some(old => JSON.stringify(old) === JSON.stringify(item)))];
+    } else if (isTransform(value, 'arrayRemove')) {
+      next[key] = (next[key] || []).filter(item => !value.elements.some(gone => JSON.stringify(gone) === JSON.stringify(item)));
+    } else if (isMap(value)) {
+      next[key] = applyFields(mergeMaps && isMap(next[key]) ? next[key] : {}, value, mergeMaps);
+    } else next[key] = clone(value);
+  }
+  return next;
+}
+
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function matches(data, [field, op, expected]) {
+  const actual = comparable(field.split('.').reduce((object, key) => object?.[key], data));
+  const value = comparable(expected);
+  switch (op) {
+    case '==': return actual === value;
+    case '!=': return actual !== value;
+    case '<': return actual < value;
+    case '<=': return actual <= value;
+    case '>': return actual > value;
+    case '>=': return actual >= value;
+    case 'in': return expected.map(comparable).includes(actual);
+    case 'array-contains': return (actual || []).some(item => comparable(item) === value);
+    default: throw new Error(`fake_firestore: unsupported operator ${op}`);
+  }
+}
+
+function createFakeFirestore() {
+  const docs = new Map();
+  let nextId = 0;
+
+  function snapshot(path) {
+    const data = docs.get(path);
+    return {
+      id: path.split('/').pop(),
+      ref: docRef(path),
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : clone(data)),
+      get: field => data?.[field]
+    };
+  }
+
+  function write(path, fields, { merge = false } = {}) {
+    docs.set(path, applyFields(merge ? docs.get(path) || {} : {}, fields, merge));
+  }
+
+  function docRef(path) {
+    return {
+      id: path.split('/').pop(),
+      path,
+      collection: name => query(`${path}/${name}`),
+      get: async () => snapshot(path),
+      set: async (fields, options) => write(path, fields, options),
+      create: async fields => {
+        if (docs.has(path)) throw Object.assign(new Error(`Document already exists: ${path}`), { code: 6 });
+        write(path, fields);
+      },
+      update: async fields => {
+        if (!docs.has(path)) throw Object.assign(new Error(`No document to update: ${path}`), { code: 5 });
+        docs.set(path, applyFields(docs.get(path), fields));
+      },
+      delete: async () => { docs.delete(path); }
+    };
+  }
+
+  function query(path, filters = [], order = [], max = null) {
+    return {
+      path,
+      doc: id => docRef(`${path}/${id || `auto${++nextId}`}`),
+      add: async fields => {
+        const ref = docRef(`${path}/auto${++nextId}`);
+        await ref.set(fields);
+        return ref;
+      },
+      where: (field, op, value) => query(path, [...filters, [field, op, value]], order, max),
+      orderBy: (field, direction = 'asc') => query(path, filters, [...order, [field, direction]], max),
+      limit: count => query(path, filters, order, count),
+      get: async () => {
+        let results = [...docs.keys()]
+          .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map(snapshot)
+          .filter(snap => filters.every(filter => matches(snap.data(), filter)));
+        for (const [field, direction] of [...order].reverse()) {
+          results.sort((a, b) => {
+            const x = comparable(a.data()[field]);
+            const y = comparable(b.data()[field]);
+            return (x < y ? -1 : x > y ? 1 : 0) * (direction === 'desc' ? -1 : 1);
+          });
+        }
+        if (max !== null) results = results.slice(0, max);
+        return { empty: results.length === 0, size: results.length, docs: results, forEach: fn => results.forEach(fn) };
+      }
+    };
+  }
+
+  function writer() {
+    const ops = [];
+    return {
+      ops,
+      set: (ref, fields, options) => { ops.push(() => ref.set(fields, options)); },
+      create: (ref, fields) => { ops.push(() => ref.create(fields)); },
+      update: (ref, fields) => { ops.push(() => ref.update(fields)); },
+      delete: ref => { ops.push(() => ref.delete()); },
+      run: async () => { for (const op of ops) await op(); }
+    };
+  }
+
+  return {
+    docs,
+    collection: name => query(name),
+    doc: path => docRef(path),
+    batch: () => {
+      const batch = writer();
+      return { ...batch, commit: batch.run };
+    },
+    runTransaction: async fn => {
+      const tx = writer();
+      const result = await fn({ ...tx, get: ref => ref.get() });
+      await tx.run();
+      return result;
+    },
+    /** Document data by path ('loads/abc'), or undefined */
+    read: path => (docs.has(path) ? clone(docs.get(path)) : undefined)
+  };
+}
+
+module.exports = { createFakeFirestore };
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fake_firestore');
+const { TRANSITIONS, canTransition, transitionLoad } = require('../load_lifecycle');
+
+const DISPATCHER = { uid: 'dispatcher-1', role: 'dispatcher' };
+const DRIVER = { uid: 'driver-1', role: 'driver' };
+
+async function seedLoad(db, fields) {
+  await db.collection('loads').doc('load-1').set({ dispatcherId: DISPATCHER.uid, ...fields });
+}
+
+async function history(db) {
+  const snapshot = await db.collection('loads').doc('load-1').collection('history').get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+// The error transitionLoad should reject with, by code and message
+function rejection(code, message) {
+  return error => error.name === 'LoadTransitionError' && error.code === code && message.test(error.message);
+}
+
+test('only listed moves are allowed, and finished loads stay finished', () => {
+  assert.ok(canTransition('new', 'permits_pending'));
+  assert.ok(canTransition('assigned', 'route_planned'));
+  assert.ok(!canTransition('new', 'assigned'));
+  assert.ok(!canTransition('in_transit', 'cancelled'));
+  assert.deepEqual([TRANSITIONS.closed, TRANSITIONS.cancelled], [[], []]);
+  assert.ok(!canTransition('unknown', 'new'));
+});
+
+test('a dispatcher moves the load and every move is audited', async () => {
+  const db = createFakeFirestore();
+  await seedLoad(db, { status: 'route_planned', statusVersion: 2 });
+
+  const result = await transitionLoad(db, 'load-1', 'assigned', { actor: DISPATCHER, driverUid: DRIVER.uid });
+  assert.deepEqual(result, { from: 'route_planned', to: 'assigned', statusVersion: 3 });
+
+  const load = db.read('loads/load-1');
+  assert.deepEqual([load.status, load.statusVersion, load.assignedDriverUid], ['assigned', 3, DRIVER.uid]);
+  const [entry] = await history(db);
+  assert.deepEqual(
+    [entry.from, entry.to, entry.statusVersion, entry.by, entry.role, entry.assignedDriverUid],
+    ['route_planned', 'assigned', 3, DISPATCHER.uid, 'dispatcher', DRIVER.uid]
+  );
+});
+
+test('the assigned driver may only pick up and deliver their own load', async () => {
+  const db = createFakeFirestore();
+  await seedLoad(db, { status: 'assigned', assignedDriverUid: DRIVER.uid });
+
+  await assert.rejects(
+    transitionLoad(db, 'load-1', 'in_transit', { actor: { uid: 'driver-2', role: 'driver' } }),
+    rejection('permission-denied', /driver cannot move a load from assigned to in_transit/)
+  );
+  await assert.rejects(
+    transitionLoad(db, 'load-1', 'route_planned', { actor: DRIVER }),
+    rejection('permission-denied', /driver cannot move/)
+  );
+  await assert.rejects(
+    transitionLoad(db, 'load-1', 'in_transit', { actor: { uid: 'someone' } }),
+    rejection('permission-denied', /^This user cannot move/)
+  );
+  assert.deepEqual(await history(db), []);
+
+  await transitionLoad(db, 'load-1', 'in_transit', { actor: DRIVER });
+  await transitionLoad(db, 'load-1', 'delivered', { actor: DRIVER });
+  assert.equal(db.read('loads/load-1').status, 'delivered');
+  assert.deepEqual((await history(db)).map(entry => [entry.to, entry.role]), [['in_transit', 'driver'], ['delivered', 'driver']]);
+
+  // Closing is paperwork for the office
+  await assert.rejects(transitionLoad(db, 'load-1', 'closed', { actor: DRIVER }), rejection('permission-denied', /delivered to closed/));
+});
+
+test('preconditions are checked before anything is written', async () => {
+  const db = createFakeFirestore();
+
+  await assert.rejects(transitionLoad(db, 'load-1', 'parked', { actor: DISPATCHER }), rejection('invalid-argument', /Unknown load status: parked/));
+  await assert.rejects(transitionLoad(db, 'load-1', 'cancelled', { actor: DISPATCHER }), rejection('not-found', /Load not found/));
+
+  // Loads from before the lifecycle count as new
+  await seedLoad(db, {});
+  await assert.rejects(
+    transitionLoad(db, 'load-1', 'assigned', { actor: DISPATCHER, driverUid: DRIVER.uid }),
+    rejection('failed-precondition', /from new to assigned \(allowed: permits_pending, cancelled\)/)
+  );
+  await assert.rejects(transitionLoad(db, 'load-1', 'cancelled', { actor: DISPATCHER }), rejection('invalid-argument', /reason is required/));
+
+  // planRoute's automated move only applies to a load that is still new
+  await transitionLoad(db, 'load-1', 'permits_pending', { actor: { system: true }, expectedFrom: 'new' });
+  await assert.rejects(
+    transitionLoad(db, 'load-1', 'permits_pending', { actor: { system: true }, expectedFrom: 'new' }),
+    rejection('failed-precondition', /Load is permits_pending, expected new/)
+  );
+
+  await assert.rejects(transitionLoad(db, 'load-1', 'route_planned', { actor: DISPATCHER }), rejection('failed-precondition', /no route plan/));
+  await db.collection('loads').doc('load-1').collection('routePlans').doc('plan-1').set({ recommended: 0 });
+  await transitionLoad(db, 'load-1', 'route_planned', { actor: DISPATCHER });
+
+  await assert.rejects(transitionLoad(db, 'load-1', 'assigned', { actor: DISPATCHER }), rejection('invalid-argument', /driverUid is required/));
+
+  const entries = await history(db);
+  assert.deepEqual(entries.map(entry => [entry.from, entry.to, entry.role, entry.by]), [
+    ['new', 'permits_pending', 'system', null],
+    ['permits_pending', 'route_planned', 'dispatcher', DISPATCHER.uid]
+  ]);
+  assert.equal(db.read('loads/load-1').statusVersion, 2);
+});
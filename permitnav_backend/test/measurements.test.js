@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLength, parseWeight, formatLength, formatWeight, convertLength, toCentimetres, toKilograms } = require('../measurements');
+const { parsePermitText } = require('../permit_parser');
+
+test('feet-inches parse with or without the inch mark', () => {
+  const cases = [
+    ["14'2\"", 14.167],
+    ["14' 2\"", 14.167],
+    ["14'-2\"", 14.167],
+    ['14 ft 2 in', 14.167],
+    ["14'6", 14.5],
+    ["14' 6", 14.5],
+    ["14'-6", 14.5],
+    ['14 ft 6', 14.5],
+    ["14'11.5", 14.958],
+    ['14’6”', 14.5],
+    ['14-2', 14.167],
+    ["14'", 14],
+    ['14.5 feet', 14.5]
+  ];
+  for (const [text, feet] of cases) assert.equal(parseLength(text), feet, text);
+});
+
+test('a number after the feet is not inches when it is 12 or more or has its own unit', () => {
+  assert.equal(parseLength("14'65"), 14);
+  assert.equal(parseLength("14' 6 m"), 14);
+});
+
+test('metric and unitless lengths convert to feet', () => {
+  const cases = [
+    ['4.32 m', undefined, 14.173],
+    ['432 cm', undefined, 14.173],
+    ['4320 mm', undefined, 14.173],
+    ['3,5 m', undefined, 11.483],
+    ['1 200 mm', undefined, 3.937],
+    [4, 'm', 13.123],
+    ['14.5', undefined, 14.5],
+    ['170 in', undefined, 14.167]
+  ];
+  for (const [value, unit, feet] of cases) assert.equal(parseLength(value, unit), feet, String(value));
+  assert.equal(parseLength(''), null);
+  assert.equal(parseLength('tall'), null);
+  assert.throws(() => convertLength(1, 'furlong', 'ft'), /Unknown length unit/);
+});
+
+test('weights parse to whole pounds', () => {
+  const cases = [
+    ['120,000 lbs', 120000],
+    ['1,20,000 lbs', 120000],
+    ['54,431 kg', 120000],
+    ['80k', 80000],
+    ['40 tons', 80000],
+    ['80000 gross', 80000],
+    ['80 000 lbs', 80000],
+    ['80\u2009000 lbs', 80000],
+    ['54\u202F431 kg', 120000]
+  ];
+  for (const [text, pounds] of cases) assert.equal(parseWeight(text), pounds, text);
+});
+
+test('a number that runs on into digits it cannot take is rejected, not cut short', () => {
+  assert.equal(parseWeight('80 0000 lbs'), null);
+  assert.equal(parseWeight('3,5,1 t'), null);
+  assert.equal(parseLength('14 6'), null);
+});
+
+test('lengths and weights format for display and routing APIs', () => {
+  assert.equal(formatLength(14.5), "14'6\"");
+  assert.equal(formatLength(13.999), "14'");
+  assert.equal(formatLength(14.173, { system: 'metric' }), '4.32 m');
+  assert.equal(formatLength(null), 'not set');
+  assert.equal(formatWeight(120000), '120,000 lbs');
+  assert.equal(formatWeight(120000, { system: 'metric' }), '54,431 kg');
+  assert.equal(toCentimetres(13.5), 411);
+  assert.equal(toKilograms(80000), 36287);
+});
+
+test('permit text with inch marks left off keeps the inches', () => {
+  const { dimensions } = parsePermitText("Height: 14'6 Width: 12' 6 Length: 95'-6");
+  assert.deepEqual([dimensions.height, dimensions.width, dimensions.length], [14.5, 12.5, 95.5]);
+});
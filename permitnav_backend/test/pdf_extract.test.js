@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkPages } = require('../pdf_extract');
+
+function sentences(prefix, count) {
+  return Array.from({ length: count }, (_, i) => `${prefix} sentence ${i + 1} of the rules.`).join(' ');
+}
+
+test('chunks never span pages and keep the section across a page break', () => {
+  const pages = [
+    { page: 1, blocks: [{ type: 'heading', text: 'Escort Requirements' }, { type: 'paragraph', text: 'Over 12 feet wide needs a rear escort.' }] },
+    { page: 2, blocks: [{ type: 'paragraph', text: 'Over 14 feet wide needs front and rear escorts.' }, { type: 'heading', text: 'Travel Restrictions' }, { type: 'paragraph', text: 'Daylight only.' }] },
+    { page: 3, blocks: [] }
+  ];
+  const chunks = chunkPages(pages, { idPrefix: 'IN' });
+
+  assert.deepEqual(chunks.map(chunk => [chunk.id, chunk.page, chunk.section]), [
+    ['IN-0', 1, 'Escort Requirements'],
+    ['IN-1', 2, 'Escort Requirements'],
+    ['IN-2', 2, 'Travel Restrictions']
+  ]);
+  // A chunk before the next heading carries nothing into the new section
+  assert.equal(chunks[2].text, 'Daylight only.');
+});
+
+test('long sections are split into overlapping chunks under the size limit', () => {
+  const pages = [{ page: 7, blocks: [{ type: 'heading', text: '4.2 Oversize Loads' }, { type: 'paragraph', text: sentences('Width', 30) }] }];
+  const chunks = chunkPages(pages, { idPrefix: 'OH', maxChars: 300, overlapChars: 60 });
+
+  assert.ok(chunks.length > 3);
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.length <= 300, `${chunk.id}: ${chunk.text.length}`);
+    assert.deepEqual([chunk.page, chunk.section], [7, '4.2 Oversize Loads']);
+  }
+  // Each chunk starts with the tail of the one before it, on a word boundary
+  for (let i = 1; i < chunks.length; i++) {
+    const head = chunks[i].text.split('\n\n')[0];
+    assert.ok(chunks[i - 1].text.endsWith(head), `${chunks[i].id} starts with "${head}"`);
+    assert.ok(head.length <= 60 && head.length > 0);
+  }
+  // Every sentence made it into some chunk
+  for (let i = 1; i <= 30; i++) assert.ok(chunks.some(chunk => chunk.text.includes(`Width sentence ${i} of`)), String(i));
+});
+
+test('tables split on rows, and chunks with OCR text are marked', () => {
+  const rows = Array.from({ length: 20 }, (_, i) => `Axle ${i + 1} | 20,000 lbs`).join('\n');
+  const pages = [
+    { page: 1, blocks: [{ type: 'table', text: rows }] },
+    { page: 2, blocks: [{ type: 'paragraph', text: 'Scanned page text.', ocr: true }] }
+  ];
+  const chunks = chunkPages(pages, { maxChars: 120, overlapChars: 0 });
+
+  const tableChunks = chunks.filter(chunk => chunk.page === 1);
+  assert.ok(tableChunks.length > 1);
+  for (const chunk of tableChunks) assert.match(chunk.text, /^(Axle \d+ \| 20,000 lbs\n?)+$/);
+  assert.deepEqual(chunks.filter(chunk => chunk.ocr).map(chunk => [chunk.page, chunk.text]), [[2, 'Scanned page text.']]);
+  assert.equal(chunks[0].id, 'chunk-0');
+  assert.equal(chunks[0].section, null);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractPages } = require('../pdf_extract');
+
+const IMAGE_SIDE = 200;
+
+/**
+ * Minimal PDF: one page per entry, each with optional text lines and an optional grayscale "scan"
+ * @param {Array<{lines?: string[], scan?: boolean}>} pages
+ */
+function makePdf(pages) {
+  const objects = [];
+  const add = body => objects.push(body) && objects.length;
+
+  const catalog = add(null);
+  const tree = add(null);
+  const font = add(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'));
+  const kids = pages.map(({ lines = [], scan = false }) => {
+    const image = scan ? add(Buffer.concat([
+      Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${IMAGE_SIDE} /Height ${IMAGE_SIDE} /ColorSpace /DeviceGray /BitsPerComponent 8 /Length ${IMAGE_SIDE * IMAGE_SIDE} >>\nstream\n`),
+      Buffer.alloc(IMAGE_SIDE * IMAGE_SIDE, 128),
+      Buffer.from('\nendstream')
+    ])) : null;
+    const text = lines.map((line, i) => `BT /F1 10 Tf 40 ${740 - i * 14} Td (${line}) Tj ET`).join('\n');
+    const content = `${image ? `q ${IMAGE_SIDE} 0 0 ${IMAGE_SIDE} 40 300 cm /Im1 Do Q\n` : ''}${text}`;
+    const stream = add(Buffer.from(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`));
+    const resources = `<< /Font << /F1 ${font} 0 R >>${image ? ` /XObject << /Im1 ${image} 0 R >>` : ''} >>`;
+    return add(Buffer.from(`<< /Type /Page /Parent ${tree} 0 R /MediaBox [0 0 612 792] /Resources ${resources} /Contents ${stream} 0 R >>`));
+  });
+  objects[catalog - 1] = Buffer.from(`<< /Type /Catalog /Pages ${tree} 0 R >>`);
+  objects[tree - 1] = Buffer.from(`<< /Type /Pages /Kids [${kids.map(kid => `${kid} 0 R`).join(' ')}] /Count ${kids.length} >>`);
+
+  // pdf.js 1.10 copies its input with new Buffer(), which puts files under 4 KB in Node's shared pool
+  // and then reads offsets from the start of the pool - pad the header comment past that
+  const parts = [Buffer.from(`%PDF-1.4\n%${'-'.repeat(Buffer.poolSize)}\n`)];
+  const offsets = [];
+  let length = parts[0].length;
+  objects.forEach((body, i) => {
+    const part = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+    offsets.push(length);
+    parts.push(part);
+    length += part.length;
+  });
+  const xref = [`xref\n0 ${objects.length + 1}`, '0000000000 65535 f ', ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `)].join('\n');
+  parts.push(Buffer.from(`${xref}\ntrailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${length}\n%%EOF\n`));
+  return Buffer.concat(parts);
+}
+
+// Stands in for Tesseract: every image reads as the same scanned text
+function fakeEngine(result = { text: 'ESCORT REQUIREMENTS\n\nLoads over 12 feet wide need a rear escort.', confidence: 0.82 }) {
+  const calls = [];
+  return {
+    calls,
+    async recognize(png) {
+      calls.push(png);
+      if (result instanceof Error) throw result;
+      return result;
+    },
+    async terminate() {}
+  };
+}
+
+const FULL_PAGE = Array.from({ length: 12 }, (_, i) => `Line ${i + 1}: oversize loads over 12 feet wide need a rear escort vehicle.`);
+
+test('pages with enough embedded text are not OCR\'d', async () => {
+  const engine = fakeEngine();
+  const { pages, extraction } = await extractPages(makePdf([{ lines: FULL_PAGE }]), { engine });
+
+  assert.equal(engine.calls.length, 0);
+  assert.deepEqual([pages[0].extraction.method, pages[0].extraction.confidence], ['text', 1]);
+  assert.deepEqual(extraction.ocrPages, []);
+});
+
+test('a scanned page is read by OCR and takes its confidence', async () => {
+  const engine = fakeEngine();
+  const { pages, extraction } = await extractPages(makePdf([{ lines: FULL_PAGE }, { scan: true }]), { engine });
+
+  assert.equal(engine.calls.length, 1);
+  // The image is handed over as a PNG
+  assert.deepEqual([...engine.calls[0].subarray(1, 4)].map(byte => String.fromCharCode(byte)).join(''), 'PNG');
+  assert.deepEqual([pages[1].extraction.method, pages[1].extraction.confidence], ['ocr', 0.82]);
+  assert.match(pages[1].text, /rear escort/);
+  assert.deepEqual(pages[1].blocks.map(block => [block.type, block.ocr]), [['heading', true], ['paragraph', true]]);
+  assert.deepEqual(extraction.ocrPages, [2]);
+});
+
+test('short pages without a scan keep their text at full confidence', async () => {
+  const engine = fakeEngine();
+  const { pages } = await extractPages(makePdf([{ lines: ['Appendix B'] }]), { engine });
+
+  assert.equal(engine.calls.length, 0);
+  assert.deepEqual([pages[0].extraction.method, pages[0].extraction.confidence, pages[0].text], ['text', 1, 'Appendix B']);
+});
+
+test('without OCR a scanned page is reported as weak, not dropped', async () => {
+  const pdf = makePdf([{ lines: ['Scanned appendix'], scan: true }]);
+
+  const skipped = await extractPages(pdf, { ocr: false });
+  assert.ok(skipped.pages[0].extraction.confidence < 0.6);
+  assert.deepEqual(skipped.extraction.weakPages, [1]);
+
+  // OCR failing is the same as no OCR
+  const failed = await extractPages(pdf, { engine: fakeEngine(new Error('no language data')) });
+  assert.deepEqual([failed.pages[0].extraction.method, failed.pages[0].text], ['text', 'Scanned appendix']);
+  assert.equal(failed.extraction.usable, false);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDate, parsePermitText, mergeParsedPermit } = require('../permit_parser');
+
+// Text layer of a typical single-trip permit, with the curly quotes OCR tends to produce
+const INDIANA_PERMIT = `INDIANA DEPARTMENT OF TRANSPORTATION
+OVERSIZE/OVERWEIGHT SINGLE TRIP PERMIT
+Permit No: IN-2025-0012345
+Issue Date: 08/18/2025
+Valid: 08/20/2025 - 08/25/2025
+
+Origin: Gary, IN Destination: Evansville, IN
+Route: I-65 S to I-465 W to I-69 S to SR-62 E
+
+Overall Width: 14’ 2”
+Height (m): 4.42
+Length: 120 ft
+Gross Weight: 120,000 lbs
+Number of Axles: 7
+Axle Spacing: 12' / 4'6" / 30' / 4'6" / 4'6" / 4'6"
+
+Special Conditions:
+1. Travel during daylight hours only.
+2. One rear escort required
+   on two-lane highways.
+3. No travel on holidays.
+Signed: Permit Office`;
+
+test('permit dates are read in US and written forms', () => {
+  assert.equal(parseDate('08/25/2025'), '2025-08-25');
+  assert.equal(parseDate('8-5-25'), '2025-08-05');
+  assert.equal(parseDate('Aug. 25th, 2025'), '2025-08-25');
+  assert.equal(parseDate('25 September 2025'), '2025-09-25');
+  assert.equal(parseDate('02/30/2025'), null);
+  assert.equal(parseDate('next week'), null);
+});
+
+test('a permit\'s text is parsed into fields in feet and pounds', () => {
+  const parsed = parsePermitText(INDIANA_PERMIT);
+
+  assert.equal(parsed.permitNumber, 'IN-2025-0012345');
+  assert.equal(parsed.state, 'IN');
+  assert.deepEqual([parsed.issueDate, parsed.validFrom, parsed.expirationDate], ['2025-08-18', '2025-08-20', '2025-08-25']);
+  assert.deepEqual([parsed.origin, parsed.destination], ['Gary, IN', 'Evansville, IN']);
+  assert.deepEqual(parsed.route.highways, ['I-65', 'I-465', 'I-69', 'SR-62']);
+
+  const { width, height, length, weight, axles } = parsed.dimensions;
+  assert.deepEqual({ width, height, length, weight, axles }, { width: 14.167, height: 14.501, length: 120, weight: 120000, axles: 7 });
+  assert.deepEqual(parsed.axleConfiguration.spacings, [12, 4.5, 30, 4.5, 4.5, 4.5]);
+  assert.equal(parsed.axleConfiguration.count, 7);
+
+  // The wrapped bullet stays one condition; the signature line ends the section
+  assert.deepEqual(parsed.specialConditions, [
+    'Travel during daylight hours only.',
+    'One rear escort required on two-lane highways.',
+    'No travel on holidays.'
+  ]);
+  assert.deepEqual(parsed.restrictions, ['Daylight hours only', 'Escort required', 'No holiday travel']);
+
+  assert.deepEqual(parsed.missing, []);
+  assert.equal(parsed.confidence, 1);
+});
+
+test('missing fields lower the confidence and the state can fall back', () => {
+  const parsed = parsePermitText('Permit #: 77-ABC\n14 ft wide x 15\' H\nExpires: Sept 3, 2025', { fallbackState: 'Ohio' });
+
+  assert.equal(parsed.permitNumber, '77-ABC');
+  assert.equal(parsed.state, 'OH');
+  assert.equal(parsed.expirationDate, '2025-09-03');
+  assert.deepEqual([parsed.dimensions.width, parsed.dimensions.height], [14, 15]);
+  assert.deepEqual(parsed.missing, ['issueDate', 'length', 'weight', 'route']);
+  assert.equal(parsed.confidence, 0.56);
+
+  // A number without digits is a word that happened to follow "Permit No"
+  assert.equal(parsePermitText('Permit number: PENDING').permitNumber, null);
+  assert.equal(parsePermitText('').confidence, 0);
+});
+
+test('parsed fields fill an empty permit', () => {
+  const parsed = parsePermitText(INDIANA_PERMIT);
+  const { fields, conflicts } = mergeParsedPermit({}, parsed);
+
+  assert.deepEqual(conflicts, []);
+  assert.equal(fields.permitNumber, 'IN-2025-0012345');
+  assert.equal(fields.issueDate.toISOString(), '2025-08-18T00:00:00.000Z');
+  // Valid through the end of the last day
+  assert.equal(fields.expirationDate.toISOString(), '2025-08-25T23:59:59.000Z');
+  assert.equal(fields.dimensions.weight, 120000);
+  assert.deepEqual(fields.route, parsed.route);
+  assert.deepEqual(fields.axleConfiguration, parsed.axleConfiguration);
+  assert.deepEqual(fields.restrictions, parsed.restrictions);
+});
+
+test('entered values win over parsed ones and disagreements become conflicts', () => {
+  const existing = {
+    // The app's placeholder when its own OCR found no number
+    permitNumber: 'IN-1723997330000',
+    state: 'in',
+    expirationDate: new Date('2025-08-26T23:59:59Z'),
+    dimensions: { width: 14.17, height: 14, weight: null, customField: 'kept' },
+    route: { description: 'Entered by dispatch' },
+    restrictions: ['Escort required', 'No night travel'],
+    specialConditions: []
+  };
+  const { fields, conflicts } = mergeParsedPermit(existing, parsePermitText(INDIANA_PERMIT));
+
+  assert.equal(fields.permitNumber, 'IN-2025-0012345');
+  // Same state in another case, and the width to within rounding, are not conflicts
+  assert.equal(fields.state, undefined);
+  assert.deepEqual(conflicts, [
+    { field: 'expirationDate', existing: '2025-08-26T23:59:59.000Z', parsed: new Date('2025-08-25T23:59:59Z') },
+    { field: 'dimensions.height', existing: 14, parsed: 14.501 }
+  ]);
+
+  // Only the gaps are filled, the rest of the map is kept
+  assert.deepEqual(
+    [fields.dimensions.width, fields.dimensions.height, fields.dimensions.weight, fields.dimensions.customField],
+    [14.17, 14, 120000, 'kept']
+  );
+  assert.equal(fields.route, undefined);
+  assert.deepEqual(fields.restrictions, ['Escort required', 'No night travel', 'Daylight hours only', 'No holiday travel']);
+  assert.equal(fields.specialConditions.length, 3);
+});
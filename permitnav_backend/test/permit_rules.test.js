@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluatePermit, evaluateDimensions } = require('../permit_rules');
+const { getBuiltInLimits } = require('../state_limits');
+
+const asOf = new Date('2026-06-01T12:00:00Z');
+
+function permit(dimensions, extra = {}) {
+  return {
+    permitNumber: 'IN-2026-0001',
+    issueDate: '2026-05-30',
+    expirationDate: '2026-06-05',
+    dimensions,
+    ...extra
+  };
+}
+
+test('legal-size load is compliant with nothing oversize', () => {
+  const result = evaluatePermit(permit({ width: 8.5, height: 13.5, length: 65, weight: 80000 }), getBuiltInLimits('IN'), { asOf });
+  assert.equal(result.compliant, true);
+  assert.deepEqual(result.violations, []);
+  assert.deepEqual(result.oversize, []);
+  assert.equal(result.escorts.required, false);
+});
+
+test('over legal but under the permit maximum is oversize, not a violation', () => {
+  const result = evaluatePermit(permit({ width: 12, height: 14, length: 80, weight: 90000 }), getBuiltInLimits('IN'), { asOf });
+  assert.equal(result.compliant, true);
+  assert.deepEqual(result.oversize.map(entry => entry.field).sort(), ['grossWeight', 'height', 'length', 'width']);
+  assert.ok(result.oversize.every(entry => entry.code === 'EXCEEDS_LEGAL' && entry.ruleRef));
+});
+
+test('over the state permit maximum is a superload violation with the state rule reference', () => {
+  const result = evaluatePermit(permit({ width: 10, height: 15.5, length: 70 }), getBuiltInLimits('IN'), { asOf });
+  assert.equal(result.compliant, false);
+  const height = result.violations.find(entry => entry.field === 'height');
+  assert.equal(height.code, 'EXCEEDS_PERMIT_MAX');
+  assert.equal(height.limit, 15);
+  assert.match(height.ruleRef, /Indiana OS\/OW Binder/);
+});
+
+test('missing, expired and not-yet-valid permits are reported', () => {
+  const limits = getBuiltInLimits('IN');
+  const expired = evaluatePermit(permit({ width: 10 }, { permitNumber: 'NUMBER', expirationDate: '2026-05-01' }), limits, { asOf });
+  assert.deepEqual(expired.violations.map(entry => entry.code).sort(), ['MISSING_PERMIT_NUMBER', 'PERMIT_EXPIRED']);
+
+  const early = evaluatePermit(permit({ width: 10 }, { issueDate: '2026-06-03' }), limits, { asOf });
+  assert.ok(early.warnings.some(entry => entry.code === 'NOT_YET_VALID'));
+  assert.ok(early.warnings.some(entry => entry.code === 'MISSING_DIMENSION' && entry.field === 'height'));
+});
+
+test('IN escort tiers: rear over 12 ft wide, front and rear over 14 ft, height pole over 14 ft 6 in', () => {
+  const limits = getBuiltInLimits('IN');
+  const at = dims => evaluatePermit(permit({ height: 13, length: 60, ...dims }), limits, { asOf }).escorts;
+
+  assert.deepEqual([at({ width: 12 }).front, at({ width: 12 }).rear], [0, 0]);
+  assert.deepEqual([at({ width: 13 }).front, at({ width: 13 }).rear], [0, 1]);
+  assert.deepEqual([at({ width: 14.5 }).front, at({ width: 14.5 }).rear], [1, 1]);
+
+  const tall = at({ width: 10, height: 14.75 });
+  assert.equal(tall.front, 1);
+  assert.equal(tall.heightPole, true);
+  assert.equal(at({ width: 10, length: 105 }).rear, 1);
+});
+
+test('axle groups over the legal tandem weight are oversize', () => {
+  const result = evaluatePermit(permit(
+    { width: 8.5, height: 13, length: 60, weight: 80000 },
+    { axleConfiguration: { count: 5, spacings: [12, 4.5, 30, 4.5], weights: [12000, 18000, 18000, 16000, 16000] } }
+  ), getBuiltInLimits('IN'), { asOf });
+  assert.ok(result.oversize.some(entry => entry.field === 'tandemAxle'), JSON.stringify(result.oversize));
+  assert.ok(result.axles.groups.length >= 3);
+});
+
+test('evaluateDimensions skips fields the state does not limit', () => {
+  const { warnings } = evaluateDimensions({ width: 10 }, getBuiltInLimits('OH'));
+  assert.ok(!warnings.some(entry => entry.field === 'overhangFront'));
+});
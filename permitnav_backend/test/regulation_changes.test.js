@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fake_firestore');
+const { flagAffected } = require('../regulation_changes');
+const { FINISHED_LOAD_STATUSES } = require('../load_lifecycle');
+
+test('regulation alerts skip loads that are off the road', async () => {
+  const db = createFakeFirestore();
+  const statuses = ['new', 'in_transit', ...FINISHED_LOAD_STATUSES];
+  for (const status of statuses) {
+    await db.collection('loads').doc(status).set({ status, routeStates: ['IN', 'OH'] });
+  }
+  await db.collection('permits').doc('current').set({ state: 'in', expirationDate: new Date(Date.now() + 86400000) });
+  await db.collection('permits').doc('expired').set({ state: 'IN', expirationDate: new Date(Date.now() - 86400000) });
+
+  const flagged = await flagAffected(db, {
+    state: 'IN',
+    toVersion: 'v2',
+    severity: 'major',
+    summary: ['Escort threshold lowered to 12\''],
+    generatedAt: '2026-10-18T00:00:00.000Z'
+  });
+
+  assert.deepEqual(flagged, { permits: 1, loads: 2 });
+  const alerted = statuses.filter(status => db.read(`loads/${status}`).regulationReviewNeeded);
+  assert.deepEqual(alerted, ['new', 'in_transit']);
+  assert.equal(db.read('permits/current').regulationAlerts[0].reportPath, 'state_regulations/IN/changes/v2');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, buildIndex, scoreBm25, embedIndex, retrieve, splitIntoPassages } = require('../regulation_retrieval');
+
+const CHUNKS = [
+  { id: 'IN-0', page: 1, section: 'Overview', text: 'This binder covers oversize and overweight permits issued by INDOT.' },
+  { id: 'IN-1', page: 3, section: 'Escort Requirements', text: 'Loads over 12 feet 4 inches wide require one rear escort. Loads over 14 feet 6 inches wide require front and rear escorts.' },
+  { id: 'IN-2', page: 4, section: 'Travel Restrictions', text: 'Travel is limited to daylight hours. No travel on weekends or holidays.' },
+  { id: 'IN-3', page: 5, section: 'Fees', text: 'Single trip permit fee is $20. Escort vehicles are not covered by the fee.' }
+];
+
+test('questions are tokenized without stopwords, with plurals folded', () => {
+  assert.deepEqual(tokenize('Do I need escorts for the curfews?'), ['escort', 'curfew']);
+  assert.deepEqual(tokenize('What about 2 policies, a class?'), ['2', 'policy', 'class']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('BM25 ranks the chunk that is about the question first', async () => {
+  const index = buildIndex(CHUNKS, { state: 'IN' });
+  assert.equal(index.docCount, 4);
+
+  const [best, next] = await retrieve(index, 'When do I need escorts for a wide load?', { k: 2 });
+  // The section title counts, and "escort" is repeated - the fee chunk only mentions it once
+  assert.deepEqual([best.id, best.page, best.section], ['IN-1', 3, 'Escort Requirements']);
+  assert.equal(next.id, 'IN-3');
+  assert.ok(best.score > next.score);
+
+  const [travel] = await retrieve(index, 'Can I travel on weekends?', { k: 1 });
+  assert.equal(travel.id, 'IN-2');
+});
+
+test('rare terms outweigh common ones and long chunks are normalized', () => {
+  const index = buildIndex([
+    'permit permit permit escort',
+    'permit curfew',
+    'permit',
+    `permit curfew ${'filler '.repeat(40)}`
+  ]);
+  const scores = scoreBm25(index, tokenize('permit curfew'));
+
+  // "permit" is in every chunk, so it adds little; "curfew" decides
+  assert.ok(scores[1] > scores[0]);
+  assert.ok(scores[1] > scores[2]);
+  // Same terms, but in a chunk four times as long
+  assert.ok(scores[1] > scores[3]);
+  assert.deepEqual(index.chunks.map(chunk => chunk.id), ['chunk-0', 'chunk-1', 'chunk-2', 'chunk-3']);
+});
+
+test('with no matching terms the opening chunks are returned', async () => {
+  const index = buildIndex(CHUNKS, { state: 'IN' });
+  const results = await retrieve(index, 'zebra crossings', { k: 2 });
+  assert.deepEqual(results.map(result => [result.id, result.score]), [['IN-0', 0], ['IN-1', 0]]);
+  assert.deepEqual(await retrieve(buildIndex([]), 'escorts'), []);
+});
+
+test('embeddings are blended with the lexical score', async () => {
+  // Fake embedder: the travel chunk and the question point the same way
+  const embedder = {
+    embed: async texts => texts.map(text => (/travel|move|night/i.test(text) ? [1, 0] : [0, 1]))
+  };
+  const index = await embedIndex(buildIndex(CHUNKS, { state: 'IN' }), embedder);
+
+  const lexicalOnly = await retrieve(index, 'Can I move it at night?', { k: 1 });
+  assert.equal(lexicalOnly[0].score, 0);
+  const [blended] = await retrieve(index, 'Can I move it at night?', { k: 1, embedder });
+  assert.equal(blended.id, 'IN-2');
+});
+
+test('flat text is split into passages on sentence boundaries', () => {
+  const passages = splitIntoPassages('One two. Three four! Five six? Seven.', 22);
+  assert.deepEqual(passages, ['One two. Three four!', 'Five six? Seven.']);
+});
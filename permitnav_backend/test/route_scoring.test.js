@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreCandidate, compareCandidates } = require('../route_scoring');
+
+const DEPART_AT = new Date('2026-10-14T12:00:00Z');
+
+// 100 miles, 2 hours, one state needing a permit and a rear escort
+function candidate({ miles = 100, hours = 2, travelWindows = { legal: true, earliestDeparture: DEPART_AT.toISOString() }, clearanceHits = [] } = {}) {
+  return {
+    route: { sections: [{ summary: { length: miles * 1609.344, duration: hours * 3600 } }] },
+    compliance: {
+      totalMiles: miles,
+      statesCrossed: ['IN'],
+      permitsNeeded: ['IN'],
+      estimatedPermitFees: 30,
+      states: [{ state: 'IN', miles, escorts: { front: 0, rear: 1, police: false }, superload: false }]
+    },
+    travelWindows,
+    clearanceHits,
+    departAt: DEPART_AT
+  };
+}
+
+test('a candidate is priced from miles, hours, waiting, fees, escorts and permits', () => {
+  const score = scoreCandidate(candidate({
+    travelWindows: { legal: false, earliestDeparture: new Date(DEPART_AT.getTime() + 10 * 3600000).toISOString() }
+  }));
+
+  assert.deepEqual(score.costs, { operating: 620, permitFees: 30, escorts: 175, permitting: 40 });
+  assert.equal(score.score, 865);
+  assert.deepEqual([score.waitHours, score.escortMiles, score.travelLegal, score.noLegalDeparture], [10, 100, false, false]);
+});
+
+test('routes under a low clearance or with no legal departure are passed over', () => {
+  const noDeparture = { legal: false, earliestDeparture: null };
+  const scores = [
+    scoreCandidate(candidate({ miles: 80, clearanceHits: [{ source: 'here', code: 'violatedVehicleRestriction' }] })),
+    scoreCandidate(candidate({ miles: 90, travelWindows: noDeparture })),
+    scoreCandidate(candidate({ miles: 120 }))
+  ];
+  assert.equal(scores[1].noLegalDeparture, true);
+  // Without the filter the no-departure route would win on cost: it has no wait priced in
+  assert.ok(scores[1].score < scores[2].score);
+
+  const { recommended, reason, comparison } = compareCandidates(scores);
+  assert.equal(recommended, 2);
+  assert.equal(reason, `Lowest estimated cost ($${scores[2].score}) among routes without low-clearance hits (1 excluded) and with a legal departure (1 excluded)`);
+  assert.match(comparison[1].summary, /no legal departure$/);
+  assert.equal(comparison[0].vsRecommended, scores[0].score - scores[2].score);
+});
+
+test('when every route has the problem the cheapest is still recommended, with a warning', () => {
+  const noDeparture = { legal: false, earliestDeparture: null };
+  const stuck = compareCandidates([
+    scoreCandidate(candidate({ miles: 120, travelWindows: noDeparture })),
+    scoreCandidate(candidate({ miles: 90, travelWindows: noDeparture }))
+  ]);
+  assert.equal(stuck.recommended, 1);
+  assert.match(stuck.reason, /no continuous legal departure in the search window, plan a layover$/);
+
+  const low = compareCandidates([scoreCandidate(candidate({ clearanceHits: [{ source: 'low_clearances' }] }))]);
+  assert.equal(low.recommended, 0);
+  assert.equal(low.reason, 'Only route returned - every route has low-clearance hits, review before dispatch');
+});
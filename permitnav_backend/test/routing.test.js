@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeFirestore } = require('./helpers/fake_firestore');
+const { routePoints, hereRouteUrl, createHereProvider, createLocalProvider, createRoutingProvider } = require('../routing_provider');
+const { checkRouteCompliance } = require('../route_compliance');
+const { checkTravelWindows } = require('../time_rules');
+const { clearanceTile, routeTiles, normalizeLowClearance, findClearanceHits, scoreCandidate, compareCandidates } = require('../route_scoring');
+
+const INDIANAPOLIS = { lat: 39.77, lng: -86.16 };
+const CINCINNATI = { lat: 39.10, lng: -84.51 };
+const SOUTH_BEND = { lat: 41.68, lng: -86.25 };
+const CHICAGO = { lat: 41.8781, lng: -87.6298 };
+const INDIANAPOLIS_DOWNTOWN = { lat: 39.7684, lng: -86.1581 };
+
+// Wednesday 8 AM in Indiana
+const DEPART_AT = new Date('2026-10-14T12:00:00Z');
+
+const WIDE_LOAD = { dims: { w: 13, h: 13, l: 70 }, weight: 80000, units: { length: 'ft', weight: 'lb' } };
+const TRUCK = { height: 13.5, width: 13, length: 70, grossWeight: 80000, axleCount: 5 };
+
+/**
+ * Compliance, travel windows and clearance hits for every route, the way planRoute runs them
+ */
+async function planCandidates(db, routeData, load = WIDE_LOAD, height = TRUCK.height) {
+  const scores = [];
+  for (const route of routeData.routes) {
+    const single = { routes: [route] };
+    const compliance = await checkRouteCompliance(db, load, single);
+    const travelWindows = await checkTravelWindows(db, single, { departAt: DEPART_AT });
+    const clearanceHits = await findClearanceHits(db, route, height);
+    scores.push(scoreCandidate({ route, compliance, travelWindows, clearanceHits, departAt: DEPART_AT }));
+  }
+  return scores;
+}
+
+test('ROUTING_PROVIDER selects the provider', () => {
+  assert.equal(createRoutingProvider({ provider: 'local' }).name, 'local');
+  assert.equal(createRoutingProvider({ provider: 'HERE' }).name, 'here');
+  assert.throws(() => createRoutingProvider({ provider: 'osrm' }), /Unknown ROUTING_PROVIDER: osrm/);
+});
+
+test('graph routes run through compliance, travel windows and scoring', async () => {
+  const provider = createLocalProvider();
+  const routeData = await provider.route({ origin: INDIANAPOLIS, destination: CINCINNATI, alternatives: 2, departAt: DEPART_AT, truck: TRUCK });
+
+  assert.equal(provider.calls[0].fixture, null);
+  assert.deepEqual(routeData.routes.map(route => route.sections[0].summary.length), [160176, 247284]);
+  assert.equal(routeData.routes[0].sections[0].summary.duration, 6900);
+  assert.deepEqual(routeData.routes[0].sections[0].spans.map(span => span.stateCode), ['US-IN', 'US-OH']);
+
+  const compliance = await checkRouteCompliance(null, WIDE_LOAD, { routes: [routeData.routes[0]] });
+  assert.equal(compliance.stateDetection, 'spans');
+  assert.deepEqual(compliance.statesCrossed, ['IN', 'OH']);
+  assert.deepEqual(compliance.permitsNeeded, ['IN', 'OH']);
+  assert.equal(compliance.totalMiles, 99.5);
+  assert.deepEqual(compliance.states.map(entry => [entry.state, entry.escorts.front, entry.escorts.rear]), [['IN', 0, 1], ['OH', 1, 1]]);
+
+  const weekday = await checkTravelWindows(null, { routes: [routeData.routes[0]] }, { departAt: DEPART_AT });
+  assert.equal(weekday.legal, true);
+  assert.deepEqual(weekday.timeline.map(entry => entry.state), ['IN', 'OH']);
+  assert.deepEqual(weekday.statesWithoutTravelRules, ['OH']);
+
+  // Saturday morning: Indiana's weekend ban holds the move until Monday
+  const saturday = await checkTravelWindows(null, { routes: [routeData.routes[0]] }, { departAt: new Date('2026-10-17T14:00:00Z') });
+  assert.deepEqual(saturday.conflicts.map(conflict => [conflict.state, conflict.rule]), [['IN', 'weekend']]);
+  assert.ok(saturday.earliestDeparture.startsWith('2026-10-19T11:'));
+
+  const scores = await planCandidates(null, routeData);
+  const { recommended, reason } = compareCandidates(scores);
+  assert.equal(recommended, 0);
+  assert.equal(reason, `Lowest estimated cost ($${scores[0].score})`);
+  assert.ok(scores[1].score > scores[0].score);
+});
+
+test('the graph router keeps tall trucks off marked low clearances', async () => {
+  const provider = createLocalProvider();
+  const low = await provider.route({ origin: INDIANAPOLIS, destination: SOUTH_BEND, truck: { ...TRUCK, height: 13 } });
+  const tall = await provider.route({ origin: INDIANAPOLIS, destination: SOUTH_BEND, truck: { ...TRUCK, height: 14.5 } });
+
+  assert.ok(low.routes[0].sections[0].roads.includes('US-31'));
+  assert.ok(!tall.routes[0].sections[0].roads.includes('US-31'));
+});
+
+test('the recorded HERE response replays with its notices and the clear alternative is recommended', async () => {
+  const provider = createLocalProvider();
+  const routeData = await provider.route({ origin: CHICAGO, destination: INDIANAPOLIS_DOWNTOWN, alternatives: 1, departAt: DEPART_AT, truck: { ...TRUCK, height: 14 } });
+
+  assert.equal(provider.calls[0].fixture, '41.878_-87.630-39.768_-86.158');
+  assert.equal(routeData.routes.length, 2);
+
+  const hits = await findClearanceHits(null, routeData.routes[0], 14);
+  assert.deepEqual(hits.map(hit => [hit.source, hit.code]), [['here', 'violatedVehicleRestriction']]);
+
+  const scores = await planCandidates(null, routeData, WIDE_LOAD, 14);
+  assert.deepEqual(scores.map(score => score.statesCrossed), [['IL', 'IN'], ['IL', 'IN']]);
+  assert.deepEqual(scores.map(score => score.clearanceHits), [1, 0]);
+  // The I-65 route is shorter, but it runs into the height restriction
+  assert.ok(scores[0].score < scores[1].score);
+
+  const { recommended, reason } = compareCandidates(scores);
+  assert.equal(recommended, 1);
+  assert.match(reason, /among routes without low-clearance hits \(1 excluded\)$/);
+});
+
+test('known low clearances are matched against the route polyline', async () => {
+  const provider = createLocalProvider();
+  const { routes: [route] } = await provider.route({ origin: INDIANAPOLIS, destination: CINCINNATI, departAt: DEPART_AT, truck: TRUCK });
+  const points = routePoints(route);
+  const [lat, lng] = points[1];
+
+  const db = createFakeFirestore();
+  const structures = {
+    'on-route': { lat, lng, clearance: '13\'3"', description: 'Rail overpass' },
+    'tall-enough': { lat, lng, clearance: 15, description: 'Sign bridge' },
+    'off-route': { lat: lat + 0.005, lng, clearance: 12, description: 'Side street' },
+    // Inside the route's latitude band but nowhere near it
+    'same-latitude': { lat, lng: lng + 3, clearance: 12, description: 'Far away' }
+  };
+  for (const [id, record] of Object.entries(structures)) {
+    await db.collection('low_clearances').doc(id).set(normalizeLowClearance(record));
+  }
+  assert.equal(db.read('low_clearances/on-route').clearance, 13.25);
+  assert.throws(() => normalizeLowClearance({ lat, lng, clearance: 'low' }), /Invalid clearance/);
+
+  const hits = await findClearanceHits(db, route, 13.5);
+  assert.deepEqual(hits.map(hit => hit.id), ['on-route']);
+  assert.equal(hits[0].message, 'Rail overpass: 13\'3" clearance, load is 13\'6"');
+  assert.deepEqual(await findClearanceHits(db, route, 13), []);
+});
+
+test('the clearance lookup walks the tiles along the polyline', () => {
+  // One straight 1° segment still covers every tile it crosses
+  const tiles = routeTiles([[39.05, -86.05], [39.05, -85.05]]);
+  for (let lng = -86.05; lng <= -85.05; lng += 0.1) assert.ok(tiles.includes(clearanceTile(39.05, lng)), String(lng));
+  assert.ok(!tiles.includes(clearanceTile(39.25, -85.55)));
+
+  // A point just across a tile edge reads both tiles
+  assert.deepEqual(routeTiles([[39.0995, -86.05]]).sort(), [clearanceTile(39.05, -86.05), clearanceTile(39.15, -86.05)].sort());
+});
+
+test('HERE responses are recorded without the API key and replay offline', async () => {
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-fixtures-'));
+  try {
+    const local = createLocalProvider();
+    const recorded = await local.route({ origin: INDIANAPOLIS, destination: CINCINNATI, departAt: DEPART_AT, truck: TRUCK });
+
+    const requested = [];
+    const here = createHereProvider({
+      apiKey: 'secret-key',
+      recordDir: path.join(fixturesDir, 'recorded'),
+      fetch: async url => {
+        requested.push(url);
+        return { ok: true, json: async () => recorded };
+      }
+    });
+    const request = { origin: INDIANAPOLIS, destination: CINCINNATI, departAt: DEPART_AT, truck: TRUCK };
+    await here.route(request);
+
+    assert.equal(requested[0], hereRouteUrl(request, 'secret-key'));
+    assert.match(requested[0], /truck\[height\]=411&truck\[width\]=396&truck\[length\]=2134/);
+    assert.match(requested[0], /truck\[grossWeight\]=36287/);
+    assert.match(requested[0], /&spans=stateCode$/);
+
+    const [file] = fs.readdirSync(path.join(fixturesDir, 'recorded'));
+    assert.ok(!fs.readFileSync(path.join(fixturesDir, 'recorded', file), 'utf8').includes('secret-key'));
+
+    const offline = createLocalProvider({ fixturesDir });
+    const replayed = await offline.route({ ...request, origin: { lat: 39.775, lng: -86.155 } });
+    assert.equal(offline.calls[0].fixture, '39.770_-86.160-39.100_-84.510');
+    assert.deepEqual(replayed, JSON.parse(JSON.stringify(recorded)));
+  } finally {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  }
+});
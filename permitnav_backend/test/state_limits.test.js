@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BASELINE_LIMITS, mergeLimits, getBuiltInLimits, getStateLimits } = require('../state_limits');
+
+function stateRulesDb(profiles) {
+  return {
+    collection: () => ({
+      doc: id => ({
+        get: async () => ({ exists: id in profiles, data: () => profiles[id] })
+      })
+    })
+  };
+}
+
+test('states without a reviewed profile get the baseline', () => {
+  const limits = getBuiltInLimits('oh');
+  assert.equal(limits.state, 'OH');
+  assert.equal(limits.source, 'baseline');
+  assert.deepEqual(limits.legal, BASELINE_LIMITS.legal);
+});
+
+test('reviewed overrides merge per field and replace escort tiers', () => {
+  const limits = getBuiltInLimits('IN');
+  assert.equal(limits.source, 'reviewed');
+  assert.equal(limits.permitMax.height.value, 15);
+  // Not overridden for IN - still the baseline
+  assert.equal(limits.legal.tandemAxle.value, 34000);
+  assert.equal(limits.permitMax.tridemAxle.value, 60000);
+  assert.equal(limits.escorts.length, 4);
+  assert.ok(limits.escorts.every(tier => !tier.roadTypes));
+  assert.ok(limits.travel.daylightOnly);
+});
+
+test('mergeLimits merges fees per field and leaves the base untouched', () => {
+  const merged = mergeLimits(BASELINE_LIMITS, { fees: { oversize: { amount: 45, ref: 'State fee' } } });
+  assert.equal(merged.fees.oversize.amount, 45);
+  assert.equal(merged.fees.superload.amount, 250);
+  assert.equal(BASELINE_LIMITS.fees.oversize.amount, 30);
+  assert.equal(mergeLimits(BASELINE_LIMITS, null), BASELINE_LIMITS);
+});
+
+test('a published state_rules profile layers over the built-in limits', async () => {
+  const db = stateRulesDb({
+    IN: {
+      version: 3,
+      limits: { permitMax: { height: { value: 15.5, ref: 'Published IN profile' } } },
+      travel: { daylightOnly: false }
+    }
+  });
+  const limits = await getStateLimits(db, 'in');
+  assert.equal(limits.source, 'state_rules');
+  assert.equal(limits.version, 3);
+  assert.equal(limits.permitMax.height.value, 15.5);
+  assert.equal(limits.permitMax.width.value, 16);
+  assert.equal(limits.travel.daylightOnly, false);
+  assert.equal(limits.holidays.blackout, true);
+  assert.equal(limits.escorts.length, 4);
+});
+
+test('without a published profile (or a db) the built-in limits are used', async () => {
+  assert.equal((await getStateLimits(stateRulesDb({}), 'IN')).source, 'reviewed');
+  assert.equal((await getStateLimits(null, 'KY')).source, 'baseline');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractStateProfile } = require('../state_profile_extractor');
+
+const BINDER = `1. Indiana Overview
+- Legal Limits: - Width: 8'6" - Height: 13'6" - Length: 65' (combination) - Superloads: > 16' wide, > 15' high, > 110' long, or 200,000 lbs - Escort Requirements:
+- Width > 12' requires rear escort.
+- Width > 14' requires front and rear escorts.
+- Width > 16' requires police escort.
+- Height > 14'6" requires front escort with height pole.
+- Length > 100' requires two rear escorts.
+3. Permit Workflow`;
+
+function tier(profile, dimension, over) {
+  return profile.limits.escorts.find(entry => entry.dimension === dimension && entry.over === over);
+}
+
+test('escort tiers follow the front/rear wording of each sentence', () => {
+  const profile = extractStateProfile(BINDER, 'in');
+
+  assert.deepEqual([tier(profile, 'width', 12).front, tier(profile, 'width', 12).rear], [0, 1]);
+  assert.deepEqual([tier(profile, 'width', 14).front, tier(profile, 'width', 14).rear], [1, 1]);
+  assert.deepEqual([tier(profile, 'length', 100).front, tier(profile, 'length', 100).rear], [0, 2]);
+
+  const police = tier(profile, 'width', 16);
+  assert.deepEqual([police.front, police.rear, police.police], [0, 0, true]);
+
+  const height = tier(profile, 'height', 14.5);
+  assert.deepEqual([height.front, height.rear, height.heightPole], [1, 0, true]);
+
+  assert.deepEqual(profile.extraction.unresolved, []);
+  assert.ok(profile.limits.escorts.every(entry => !entry.unresolved));
+});
+
+test('escorts without a position are kept strict and marked unresolved', () => {
+  const profile = extractStateProfile(`Escort Requirements: - Width > 12'4" requires escorts. - Height > 15' requires route survey + escort. 3. Permit Workflow`, 'IN');
+
+  const width = profile.limits.escorts.find(entry => entry.dimension === 'width');
+  assert.equal(width.over, 12.333);
+  assert.deepEqual([width.front, width.rear, width.unresolved], [1, 1, true]);
+
+  const height = profile.limits.escorts.find(entry => entry.dimension === 'height');
+  assert.equal(height.routeSurvey, true);
+  assert.equal(height.unresolved, true);
+  assert.equal(profile.extraction.unresolved.length, 2);
+});
+
+test('legal and superload limits quote their source line', () => {
+  const profile = extractStateProfile(BINDER, 'IN');
+  assert.equal(profile.limits.legal.width.value, 8.5);
+  assert.equal(profile.limits.legal.length.value, 65);
+  assert.equal(profile.limits.permitMax.height.value, 15);
+  assert.equal(profile.limits.permitMax.grossWeight.value, 200000);
+  assert.match(profile.limits.permitMax.width.ref, /^IN OS\/OW Binder - "Superloads/);
+});
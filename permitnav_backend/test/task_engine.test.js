@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fake_firestore');
+const { openTask, handleTaskCreated, escalateOverdueTasks, handleLoadUpdated, completeTask } = require('../task_engine');
+
+const HOUR = 60 * 60 * 1000;
+
+async function createTask(db, task) {
+  await openTask(db, task);
+  await handleTaskCreated(db, db.collection('tasks').doc(task.key));
+  return db.read(`tasks/${task.key}`);
+}
+
+test('overdue tasks escalate to urgent and then stop', async () => {
+  const db = createFakeFirestore();
+  const task = await createTask(db, { key: 'load1-4-driver_ack', type: 'driver_ack', loadId: 'load1', driverUid: 'driver-a', source: 'load_assigned' });
+  assert.equal(task.escalationExhausted, false);
+  assert.deepEqual([task.assigneeRole, task.assigneeUid], ['driver', 'driver-a']);
+
+  // driver_ack has a 2 hour SLA; each escalation gives another hour
+  let now = new Date(task.dueAt.toMillis() + 1);
+  const levels = [];
+  for (let run = 0; run < 4; run++) {
+    levels.push(await escalateOverdueTasks(db, now));
+    now = new Date(now.getTime() + 2 * HOUR);
+  }
+
+  assert.deepEqual(levels, [1, 1, 0, 0]);
+  const escalated = db.read('tasks/load1-4-driver_ack');
+  assert.deepEqual([escalated.escalationLevel, escalated.priority, escalated.escalationExhausted], [2, 'urgent', true]);
+  assert.deepEqual([escalated.assigneeRole, escalated.assigneeUid], ['dispatcher', null]);
+  assert.equal(escalated.escalations.length, 2);
+});
+
+test('finished loads cancel every open task', async () => {
+  const db = createFakeFirestore();
+  await createTask(db, { key: 'load1-2-escort_book', type: 'escort_book', loadId: 'load1', source: 'load_route_planned' });
+  await createTask(db, { key: 'permit1-validate', type: 'permit_validate', loadId: 'load1', permitId: 'permit1', source: 'permit_parsed' });
+
+  await handleLoadUpdated(db, 'load1', { status: 'in_transit' }, { status: 'delivered', statusVersion: 6 });
+
+  assert.equal(db.read('tasks/load1-2-escort_book').status, 'cancelled');
+  assert.equal(db.read('tasks/permit1-validate').status, 'cancelled');
+});
+
+test('escorts are booked once per route plan, even when the booking is done and the assignment undone', async () => {
+  const db = createFakeFirestore();
+  await db.collection('loads').doc('load1').collection('routePlans').doc('plan1').set({
+    createdAt: new Date('2026-10-14T12:00:00Z'),
+    compliance: { escortsNeeded: ['IN'] }
+  });
+  const escortTasks = async () => (await db.collection('tasks').where('type', '==', 'escort_book').get()).docs.map(doc => [doc.id, doc.data().status]);
+
+  await handleLoadUpdated(db, 'load1', { status: 'permits_pending' }, { status: 'route_planned', statusVersion: 2 });
+  assert.deepEqual(await escortTasks(), [['load1-2-escort_book', 'open']]);
+
+  await completeTask(db, 'load1-2-escort_book', { actor: { uid: 'dispatcher-1', role: 'dispatcher' }, note: 'Booked' });
+  await handleLoadUpdated(db, 'load1', { status: 'route_planned' }, { status: 'assigned', statusVersion: 3, assignedDriverUid: 'driver-a' });
+  await handleLoadUpdated(db, 'load1', { status: 'assigned' }, { status: 'route_planned', statusVersion: 4 });
+  assert.deepEqual(await escortTasks(), [['load1-2-escort_book', 'completed']]);
+
+  // A new route plan books again
+  await handleLoadUpdated(db, 'load1', { status: 'route_planned' }, { status: 'permits_pending', statusVersion: 5 });
+  await db.collection('loads').doc('load1').collection('routePlans').doc('plan2').set({
+    createdAt: new Date('2026-10-15T12:00:00Z'),
+    compliance: { escortsNeeded: ['IN', 'OH'] }
+  });
+  await handleLoadUpdated(db, 'load1', { status: 'permits_pending' }, { status: 'route_planned', statusVersion: 6 });
+  assert.deepEqual(await escortTasks(), [['load1-2-escort_book', 'completed'], ['load1-6-escort_book', 'open']]);
+});
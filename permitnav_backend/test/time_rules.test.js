@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { localParts, zonedTime, holidaysForYear, sunTimes, restrictedIntervals, evaluateTimeline } = require('../time_rules');
+const { getBuiltInLimits } = require('../state_limits');
+
+const INDIANAPOLIS = [39.77, -86.16];
+const EASTERN = 'America/Indiana/Indianapolis';
+const HOUR = 60 * 60 * 1000;
+
+function crossing(start, hours, state = 'IN') {
+  const from = new Date(start);
+  return [{ state, start: from, end: new Date(from.getTime() + hours * HOUR), point: INDIANAPOLIS }];
+}
+
+test('blackout holidays include the federal observed day', () => {
+  assert.deepEqual(holidaysForYear(2026).map(holiday => [holiday.date, holiday.observed]), [
+    ['2026-01-01', false],
+    ['2026-05-25', false],
+    ['2026-07-04', false],
+    ['2026-07-03', true],
+    ['2026-09-07', false],
+    ['2026-11-26', false],
+    ['2026-12-25', false]
+  ]);
+  // A Saturday New Year's Day is observed the Friday before, in the previous year
+  assert.deepEqual(holidaysForYear(2028, ['newYearsDay']).map(holiday => holiday.date), ['2028-01-01', '2027-12-31']);
+});
+
+test('local wall-clock times follow daylight saving time', () => {
+  const cases = [
+    ['2026-03-07', '12:00', '2026-03-07T17:00:00.000Z'],
+    ['2026-03-08', '12:00', '2026-03-08T16:00:00.000Z'],
+    ['2026-11-01', '00:00', '2026-11-01T04:00:00.000Z'],
+    ['2026-11-02', '00:00', '2026-11-02T05:00:00.000Z']
+  ];
+  for (const [date, time, iso] of cases) assert.equal(zonedTime(date, time, EASTERN).toISOString(), iso, `${date} ${time}`);
+
+  assert.deepEqual(localParts(new Date('2026-10-16T02:30:00Z'), EASTERN), { date: '2026-10-15', minutes: 22 * 60 + 30, day: 'THU', offset: -240 });
+});
+
+test('sunrise and sunset are computed for the location', () => {
+  const { sunrise, sunset } = sunTimes('2026-06-21', ...INDIANAPOLIS);
+  // 6:16 AM and 9:16 PM EDT
+  assert.ok(Math.abs(sunrise - new Date('2026-06-21T10:16:00Z')) < 5 * 60 * 1000);
+  assert.ok(Math.abs(sunset - new Date('2026-06-22T01:16:00Z')) < 5 * 60 * 1000);
+  assert.deepEqual(sunTimes('2026-06-21', 78, 15), { sunrise: null, sunset: null });
+});
+
+test('restricted intervals by rule', () => {
+  const limits = getBuiltInLimits('IN');
+  const intervals = restrictedIntervals(limits, {
+    timeZone: EASTERN,
+    point: INDIANAPOLIS,
+    from: new Date('2026-10-16T12:00:00Z'),
+    to: new Date('2026-10-17T12:00:00Z')
+  });
+  const rules = intervals.map(interval => `${interval.rule}${interval.metro ? ' (metro)' : ''} ${interval.start.toISOString().slice(0, 16)}`);
+
+  assert.deepEqual(rules.sort(), [
+    'curfew (metro) 2026-10-16T11:00',
+    'curfew (metro) 2026-10-16T20:00',
+    'night 2026-10-16T23:34',
+    'weekend 2026-10-17T04:00'
+  ]);
+
+  // Overnight curfews end the next morning
+  const overnight = restrictedIntervals({ travel: { curfews: [{ area: 'statewide', days: ['MON'], windows: [{ start: '22:00', end: '06:00' }], ref: 'Test' }] } }, {
+    timeZone: EASTERN,
+    from: new Date('2026-10-19T12:00:00Z'),
+    to: new Date('2026-10-20T12:00:00Z')
+  });
+  assert.deepEqual(overnight.map(interval => [interval.start.toISOString(), interval.end.toISOString()]), [
+    ['2026-10-20T02:00:00.000Z', '2026-10-20T10:00:00.000Z']
+  ]);
+});
+
+test('travel windows and the earliest legal departure', () => {
+  const limitsByState = new Map([['IN', getBuiltInLimits('IN')]]);
+  const cases = [
+    // Weekday daytime: legal as planned
+    ['2026-10-14T15:00:00Z', 2, [], '2026-10-14T15:00:00.000Z'],
+    // Friday night runs into the night ban and the weekend - wait for Monday morning
+    ['2026-10-17T02:00:00Z', 3, ['night', 'weekend'], '2026-10-19T11:28'],
+    // Thanksgiving - wait for Friday morning
+    ['2026-11-26T15:00:00Z', 2, ['holiday'], '2026-11-27T12:']
+  ];
+
+  for (const [departAt, hours, rules, earliest] of cases) {
+    const result = evaluateTimeline(crossing(departAt, hours), limitsByState);
+    assert.equal(result.legal, rules.length === 0, departAt);
+    assert.deepEqual(result.conflicts.map(conflict => conflict.rule), rules, departAt);
+    assert.ok(result.earliestDeparture.startsWith(earliest), `${departAt}: ${result.earliestDeparture}`);
+  }
+});
+
+test('crossings longer than any travel window need a layover', () => {
+  const result = evaluateTimeline(crossing('2026-10-14T15:00:00Z', 16 * 24), new Map([['IN', getBuiltInLimits('IN')]]));
+  assert.equal(result.earliestDeparture, null);
+  assert.match(result.reason, /plan a layover/);
+
+  assert.match(evaluateTimeline([], new Map()).reason, /no per-state segments/);
+});
+
+test('windows use the time zone where the state is crossed', () => {
+  const GARY = [41.59, -87.35];
+  // Weekday curfew 7 to 9 AM local
+  const limitsByState = new Map([['IN', { travel: { curfews: [{ area: 'statewide', days: ['MON'], windows: [{ start: '07:00', end: '09:00' }], ref: 'Test' }] } }]]);
+  // 8:10-8:50 AM in Gary (Central), 9:10-9:50 AM in Indianapolis (Eastern)
+  const entry = { state: 'IN', start: new Date('2026-10-19T13:10:00Z'), end: new Date('2026-10-19T13:50:00Z') };
+
+  assert.equal(evaluateTimeline([{ ...entry, point: GARY }], limitsByState).legal, false);
+  assert.equal(evaluateTimeline([{ ...entry, point: INDIANAPOLIS }], limitsByState).legal, true);
+
+  // A crossing that changes zone is checked in the zone at its middle, with a warning
+  const crossingZones = evaluateTimeline([{ ...entry, point: [40.68, -86.76], ends: [GARY, INDIANAPOLIS] }], limitsByState);
+  assert.deepEqual(crossingZones.warnings.map(warning => warning.rule), ['time_zone']);
+  assert.equal(crossingZones.warnings[0].message, 'IN: route crosses from America/Chicago to America/Indiana/Indianapolis - windows checked in America/Indiana/Indianapolis');
+  assert.deepEqual(evaluateTimeline([{ ...entry, point: INDIANAPOLIS, ends: [INDIANAPOLIS] }], limitsByState).warnings, []);
+});
@@ -0,0 +1,442 @@
+/**
+ * Travel-time windows and holiday blackouts
+ * Turns a state's travel rules (daylight only, no night or weekend movement, curfews, holiday blackouts)
+ * into restricted time intervals and checks a route's per-state ETAs against them. Sunrise/sunset is
+ * computed locally from the route's coordinates; local times use the zone at those coordinates
+ * (state_registry.js timezoneAt - multi-zone states such as Indiana map their other-zone counties).
+ *
+ * The move is treated as continuous (no parking for the night), so the earliest legal departure is the
+ * first start time at which every state is crossed outside its restricted windows.
+ */
+
+const { timezoneAt, spansTimezones } = require('./state_registry');
+const { getStateLimits } = require('./state_limits');
+const { segmentRouteByState } = require('./route_compliance');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const DAY_CODES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// "Daylight" on most OS/OW permits runs from 30 minutes before sunrise to 30 minutes after sunset
+const DEFAULT_DAYLIGHT = { beforeSunrise: 30, afterSunset: 30, ref: 'Common state daylight definition (1/2 hour before sunrise to 1/2 hour after sunset)' };
+
+// Holidays most states close to oversize movement (the date itself and the federal observed day)
+const BLACKOUT_HOLIDAYS = ['newYearsDay', 'memorialDay', 'independenceDay', 'laborDay', 'thanksgiving', 'christmas'];
+
+const HOLIDAY_NAMES = {
+  newYearsDay: "New Year's Day",
+  memorialDay: 'Memorial Day',
+  independenceDay: 'Independence Day',
+  laborDay: 'Labor Day',
+  thanksgiving: 'Thanksgiving Day',
+  christmas: 'Christmas Day'
+};
+
+// How far ahead evaluateTimeline looks for a legal departure before giving up
+const DEFAULT_HORIZON_DAYS = 14;
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {{date: string, minutes: number, day: string, offset: number}} date is YYYY-MM-DD, offset in minutes
+ */
+function localParts(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatter(timeZone).formatToParts(instant)) parts[type] = Number(value);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const date = `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+
+  return {
+    date,
+    minutes: parts.hour * 60 + parts.minute,
+    day: DAY_CODES[new Date(`${date}T00:00:00Z`).getUTCDay()],
+    offset: Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / MINUTE)
+  };
+}
+
+/**
+ * Local date + "HH:MM" in a time zone -> instant (DST-aware)
+ */
+function zonedTime(date, time, timeZone) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wall = Date.parse(`${date}T00:00:00Z`) + (hours * 60 + minutes) * MINUTE;
+  // Two passes: the offset at the guess can differ from the offset at the answer across a DST change
+  let instant = wall - localParts(new Date(wall), timeZone).offset * MINUTE;
+  instant = wall - localParts(new Date(instant), timeZone).offset * MINUTE;
+  return new Date(instant);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+}
+
+function isoDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * nth weekday of a month (n = -1 for the last), as YYYY-MM-DD
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return isoDate(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0));
+  return isoDate(year, month, lastDay.getUTCDate() - ((lastDay.getUTCDay() - weekday + 7) % 7));
+}
+
+/**
+ * Blackout holidays for a year, with the federal observed day when the date falls on a weekend
+ * @param {number} year
+ * @param {string[]} names - Keys of HOLIDAY_NAMES (default BLACKOUT_HOLIDAYS)
+ * @returns {{key: string, name: string, date: string, observed: boolean}[]}
+ */
+function holidaysForYear(year, names = BLACKOUT_HOLIDAYS) {
+  const fixed = {
+    newYearsDay: isoDate(year, 1, 1),
+    memorialDay: nthWeekday(year, 5, 1, -1),
+    independenceDay: isoDate(year, 7, 4),
+    laborDay: nthWeekday(year, 9, 1, 1),
+    thanksgiving: nthWeekday(year, 11, 4, 4),
+    christmas: isoDate(year, 12, 25)
+  };
+
+  const holidays = [];
+  for (const key of names) {
+    const date = fixed[key];
+    if (!date) continue;
+    holidays.push({ key, name: HOLIDAY_NAMES[key], date, observed: false });
+
+    // Saturday holidays are observed Friday, Sunday holidays Monday
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (weekday === 6) holidays.push({ key, name: `${HOLIDAY_NAMES[key]} (observed)`, date: addDays(date, -1), observed: true });
+    if (weekday === 0) holidays.push({ key, name: `${HOLIDAY_NAMES[key]} (observed)`, date: addDays(date, 1), observed: true });
+  }
+  return holidays;
+}
+
+/**
+ * Sunrise and sunset for a local date at a location (NOAA sunrise equation, ~1 minute accuracy)
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} lat - Degrees north
+ * @param {number} lng - Degrees east (negative in the US)
+ * @returns {{sunrise: Date|null, sunset: Date|null}} null during polar day/night
+ */
+function sunTimes(date, lat, lng) {
+  const rad = Math.PI / 180;
+  const julianNoon = Date.parse(`${date}T12:00:00Z`) / DAY + 2440587.5;
+  const n = Math.round(julianNoon - 2451545.0 + 0.0008);
+  const meanSolarTime = n - lng / 360;
+
+  const anomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+  const center = 1.9148 * Math.sin(anomaly * rad) + 0.02 * Math.sin(2 * anomaly * rad) + 0.0003 * Math.sin(3 * anomaly * rad);
+  const longitude = (anomaly + center + 180 + 102.9372) % 360;
+  const transit = 2451545.0 + meanSolarTime + 0.0053 * Math.sin(anomaly * rad) - 0.0069 * Math.sin(2 * longitude * rad);
+
+  const declination = Math.asin(Math.sin(longitude * rad) * Math.sin(23.4397 * rad));
+  const cosHourAngle = (Math.sin(-0.833 * rad) - Math.sin(lat * rad) * Math.sin(declination)) /
+    (Math.cos(lat * rad) * Math.cos(declination));
+  if (cosHourAngle < -1 || cosHourAngle > 1) return { sunrise: null, sunset: null };
+
+  const hourAngle = Math.acos(cosHourAngle) / rad;
+  const toDate = julian => new Date(Math.round((julian - 2440587.5) * DAY));
+  return { sunrise: toDate(transit - hourAngle / 360), sunset: toDate(transit + hourAngle / 360) };
+}
+
+/**
+ * Restricted intervals for one state between two instants
+ * Metro-area curfews come back with metro: true - whether they apply depends on the streets used.
+ * @param {Object} limits - State limits from getStateLimits() (travel, holidays)
+ * @param {Object} options - { timeZone, point: [lat, lng], from: Date, to: Date }
+ * @returns {{start: Date, end: Date, rule: string, label: string, ref: string, metro?: boolean}[]}
+ */
+function restrictedIntervals(limits, { timeZone, point, from, to }) {
+  const travel = limits.travel || {};
+  const holidays = limits.holidays || {};
+  const intervals = [];
+  const first = addDays(localParts(from, timeZone).date, -1);
+  const last = addDays(localParts(to, timeZone).date, 1);
+
+  const daylight = { ...DEFAULT_DAYLIGHT, ...(travel.daylight || {}) };
+  const nightBanned = travel.daylightOnly || travel.nightTravel === 'prohibited';
+  const blackoutDates = new Map();
+  if (holidays.blackout) {
+    for (let year = Number(first.slice(0, 4)); year <= Number(last.slice(0, 4)); year++) {
+      for (const holiday of holidaysForYear(year, holidays.names || BLACKOUT_HOLIDAYS)) blackoutDates.set(holiday.date, holiday);
+    }
+  }
+
+  for (let date = first; date <= last; date = addDays(date, 1)) {
+    const dayStart = zonedTime(date, '00:00', timeZone);
+    const dayEnd = zonedTime(addDays(date, 1), '00:00', timeZone);
+    const day = DAY_CODES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+    if (nightBanned && point) {
+      const today = sunTimes(date, point[0], point[1]);
+      const tomorrow = sunTimes(addDays(date, 1), point[0], point[1]);
+      if (today.sunset && tomorrow.sunrise) {
+        intervals.push({
+          start: new Date(today.sunset.getTime() + daylight.afterSunset * MINUTE),
+          end: new Date(tomorrow.sunrise.getTime() - daylight.beforeSunrise * MINUTE),
+          rule: 'night',
+          label: 'No night travel',
+          ref: travel.daylightRef || daylight.ref
+        });
+      }
+    }
+
+    if (travel.weekendBan && (day === 'SAT' || day === 'SUN')) {
+      intervals.push({ start: dayStart, end: dayEnd, rule: 'weekend', label: 'No weekend travel', ref: travel.weekendRef || 'State weekend movement restriction' });
+    }
+
+    const holiday = blackoutDates.get(date);
+    if (holiday) {
+      intervals.push({ start: dayStart, end: dayEnd, rule: 'holiday', label: `No movement on ${holiday.name}`, ref: holidays.ref || 'State holiday movement restriction' });
+    }
+
+    for (const curfew of travel.curfews || []) {
+      if (!curfew.days.includes(day)) continue;
+      for (const window of curfew.windows) {
+        // Overnight windows ("22:00-06:00") end the next morning
+        const endDate = window.end <= window.start ? addDays(date, 1) : date;
+        intervals.push({
+          start: zonedTime(date, window.start, timeZone),
+          end: zonedTime(endDate, window.end, timeZone),
+          rule: 'curfew',
+          label: `${curfew.area === 'metro' ? 'Metro' : 'Statewide'} curfew ${window.start}-${window.end}`,
+          ref: curfew.ref,
+          ...(curfew.area === 'metro' ? { metro: true } : {})
+        });
+      }
+    }
+  }
+
+  return intervals.filter(interval => interval.end > from && interval.start < to);
+}
+
+/**
+ * Per-state ETAs for a HERE route: each state's share of the drive time, by distance
+ * @param {Object} routeData - HERE Routing v8 response (summary.duration per section)
+ * @param {Date} departAt - Departure time
+ * @returns {{state: string, start: Date, end: Date, point: number[], ends: number[][]}[]}
+ *   point is the middle of the crossing, ends its first and last coordinates
+ */
+function routeTimeline(routeData, departAt) {
+  const { segments } = segmentRouteByState(routeData);
+  const sections = routeData?.routes?.[0]?.sections || [];
+  const seconds = sections.reduce((sum, section) => sum + (section.summary?.duration || 0), 0);
+  const miles = segments.reduce((sum, segment) => sum + segment.miles, 0);
+
+  const timeline = [];
+  let offset = 0;
+  for (const segment of segments) {
+    const duration = miles ? seconds * 1000 * segment.miles / miles : 0;
+    if (segment.state) {
+      const midpoint = segment.start && segment.end
+        ? [(segment.start[0] + segment.end[0]) / 2, (segment.start[1] + segment.end[1]) / 2]
+        : segment.start || segment.end;
+      timeline.push({
+        state: segment.state,
+        start: new Date(departAt.getTime() + offset),
+        end: new Date(departAt.getTime() + offset + duration),
+        point: midpoint,
+        ends: [segment.start, segment.end].filter(Boolean)
+      });
+    }
+    offset += duration;
+  }
+  return timeline;
+}
+
+function shiftTimeline(timeline, milliseconds) {
+  return timeline.map(entry => ({
+    ...entry,
+    start: new Date(entry.start.getTime() + milliseconds),
+    end: new Date(entry.end.getTime() + milliseconds)
+  }));
+}
+
+function overlaps(entry, interval) {
+  return entry.start < interval.end && interval.start < entry.end;
+}
+
+/**
+ * Restricted intervals each timeline entry runs into
+ * @param {Object[]} timeline - routeTimeline() entries
+ * @param {Map<Object, Object[]>} intervalsByEntry - restricted intervals per entry
+ */
+function findConflicts(timeline, intervalsByEntry) {
+  const conflicts = [];
+  const warnings = [];
+
+  timeline.forEach((entry, i) => {
+    for (const interval of intervalsByEntry.get(i) || []) {
+      if (!overlaps(entry, interval)) continue;
+      const conflict = {
+        state: entry.state,
+        rule: interval.rule,
+        from: interval.start.toISOString(),
+        to: interval.end.toISOString(),
+        ruleRef: interval.ref,
+        message: `${entry.state}: ${interval.label} - in state ${entry.start.toISOString()} to ${entry.end.toISOString()}`,
+        entry,
+        interval
+      };
+      (interval.metro ? warnings : conflicts).push(conflict);
+    }
+  });
+
+  return { conflicts, warnings };
+}
+
+// Conflicts carry their timeline entry and interval for the departure search; callers get plain data
+function stripInterval({ entry, interval, ...conflict }) {
+  return conflict;
+}
+
+/**
+ * Time zone a timeline entry's windows are worked out in: the zone at the middle of the crossing
+ */
+function entryTimeZone(entry) {
+  return timezoneAt(entry.state, entry.point);
+}
+
+/**
+ * Warnings for crossings of multi-zone states whose windows may be an hour off: the crossing changes
+ * zone, or there is no coordinate to tell which zone it is in
+ */
+function timeZoneWarnings(timeline) {
+  const warnings = [];
+  for (const entry of timeline) {
+    if (!spansTimezones(entry.state)) continue;
+    const timeZone = entryTimeZone(entry);
+    const zones = [...new Set((entry.ends || []).map(point => timezoneAt(entry.state, point)))];
+    if (!entry.point) {
+      warnings.push({ state: entry.state, rule: 'time_zone', message: `${entry.state}: spans two time zones and the route has no coordinates here - windows checked in ${timeZone}` });
+    } else if (zones.length > 1) {
+      warnings.push({ state: entry.state, rule: 'time_zone', message: `${entry.state}: route crosses from ${zones[0]} to ${zones[1]} - windows checked in ${timeZone}` });
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Check a timeline against each state's travel rules and find the earliest legal departure
+ * @param {Object[]} timeline - { state, start, end, point } per state crossing (routeTimeline())
+ * @param {Map<string, Object>} limitsByState - State limits from getStateLimits()
+ * @param {Object} options - { horizonDays }
+ * @returns {Object} { legal, conflicts, warnings, earliestDeparture, earliestArrival, reason }
+ */
+function evaluateTimeline(timeline, limitsByState, options = {}) {
+  const horizon = (options.horizonDays || DEFAULT_HORIZON_DAYS) * DAY;
+  const result = { legal: true, conflicts: [], warnings: [], earliestDeparture: null, earliestArrival: null, reason: null };
+  if (!timeline.length) {
+    result.reason = 'Route has no per-state segments - travel windows not checked';
+    return result;
+  }
+
+  const departAt = timeline[0].start;
+  const arriveAt = timeline[timeline.length - 1].end;
+
+  // Restricted windows for every state over the whole search range, worked out once
+  const intervalsByEntry = new Map();
+  timeline.forEach((entry, i) => {
+    const limits = limitsByState.get(entry.state);
+    const timeZone = entryTimeZone(entry);
+    if (!limits || !timeZone) return;
+    intervalsByEntry.set(i, restrictedIntervals(limits, {
+      timeZone,
+      point: entry.point,
+      from: entry.start,
+      to: new Date(entry.end.getTime() + horizon)
+    }));
+  });
+
+  const now = findConflicts(timeline, intervalsByEntry);
+  result.legal = now.conflicts.length === 0;
+  result.conflicts = now.conflicts.map(stripInterval);
+  result.warnings = [...timeZoneWarnings(timeline), ...now.warnings.map(stripInterval)];
+
+  // Push the departure past each conflicting window until nothing conflicts
+  let shift = 0;
+  let conflicts = now.conflicts;
+  while (conflicts.length) {
+    // Any earlier start still overlaps the window, so each conflict sets a minimum shift
+    shift += Math.max(...conflicts.map(conflict => conflict.interval.end.getTime() - conflict.entry.start.getTime()));
+    if (shift > horizon) {
+      result.reason = `No continuous legal departure within ${horizon / DAY} days - a state crossing is longer than its travel window; plan a layover`;
+      return result;
+    }
+    conflicts = findConflicts(shiftTimeline(timeline, shift), intervalsByEntry).conflicts;
+  }
+
+  result.earliestDeparture = new Date(departAt.getTime() + shift).toISOString();
+  result.earliestArrival = new Date(arriveAt.getTime() + shift).toISOString();
+  return result;
+}
+
+/**
+ * Travel-window check for a stored HERE route
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance (null = built-in limits only)
+ * @param {Object} routeData - HERE Routing v8 response
+ * @param {Object} options - { departAt: Date (default: the route's departure time, else now), horizonDays }
+ */
+async function checkTravelWindows(db, routeData, options = {}) {
+  const routeDeparture = routeData?.routes?.[0]?.sections?.[0]?.departure?.time;
+  const departAt = options.departAt || (routeDeparture ? new Date(routeDeparture) : new Date());
+  const timeline = routeTimeline(routeData, departAt);
+
+  const limitsByState = new Map();
+  for (const entry of timeline) {
+    if (!limitsByState.has(entry.state)) limitsByState.set(entry.state, await getStateLimits(db, entry.state));
+  }
+
+  const unstructured = [...limitsByState].filter(([, limits]) => !limits.travel && !limits.holidays).map(([state]) => state);
+  const result = evaluateTimeline(timeline, limitsByState, options);
+
+  return {
+    ...result,
+    departAt: departAt.toISOString(),
+    arriveAt: timeline.length ? timeline[timeline.length - 1].end.toISOString() : null,
+    timeline: timeline.map(entry => ({
+      state: entry.state,
+      timeZone: entryTimeZone(entry),
+      enter: entry.start.toISOString(),
+      exit: entry.end.toISOString()
+    })),
+    // No structured rules on file is not the same as no restrictions
+    statesWithoutTravelRules: unstructured,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  BLACKOUT_HOLIDAYS,
+  localParts,
+  zonedTime,
+  holidaysForYear,
+  sunTimes,
+  restrictedIntervals,
+  routeTimeline,
+  evaluateTimeline,
+  checkTravelWindows
+};
@@ -1,36 +1,33 @@
 import fs from 'fs';
 import path from 'path';
+import { createRequire } from 'module';
 import { bucket, db, FieldValue } from './firebase_bootstrap.mjs';
 
+const require = createRequire(import.meta.url);
+const { getState, findState, stateForBinder } = require('./state_registry.js');
+
 const RULES_DIR = './state_rules';
 const DEST_PREFIX = 'rules';
 
-function toStateKeyFromFilename(file) {
-  const base = path.basename(file, path.extname(file));
-  
-  // Handle "Permit_Nav_StateName_OSOW_Binder.pdf" format
-  if (base.startsWith('Permit_Nav_')) {
-    const parts = base.split('_');
-    if (parts.length >= 3) {
-      // Join state name parts (e.g., "New_York" -> "new york")
-      const stateNameParts = [];
-      for (let i = 2; i < parts.length; i++) {
-        if (parts[i] === 'OSOW' || parts[i] === 'Binder') break;
-        stateNameParts.push(parts[i]);
-      }
-      return stateNameParts.join(' ').trim().toLowerCase().replace(/\s+/g, '_');
-    }
-  }
-  
-  // Handle "StateName_OSOW_Permit_Binder.pdf" format
-  return (base.split('_')[0] || base).trim().toLowerCase();
+// Binder filename -> state code ("Permit_Nav_New_York_OSOW_Binder.pdf" -> "NY")
+function toStateCodeFromFilename(file) {
+  const base = path.basename(file);
+  const known = stateForBinder(base);
+  if (known) return known;
+
+  // Unregistered file - try the state name in "Permit_Nav_StateName_OSOW_Binder" / "StateName_OSOW_..." names
+  const name = path.basename(base, path.extname(base))
+    .replace(/^Permit_Nav_/, '')
+    .replace(/_OSOW.*$/, '');
+  return findState(name)?.code || null;
 }
 
-async function uploadOne(localPath, stateKey) {
-  const destination = `${DEST_PREFIX}/${stateKey}.pdf`;
+async function uploadOne(localPath, stateCode) {
+  const destination = `${DEST_PREFIX}/${stateCode}.pdf`;
   await bucket.upload(localPath, { destination });
-  await db.collection('rules').doc(stateKey).set({
-    state: stateKey.toUpperCase(),   // full name uppercased is fine
+  await db.collection('rules').doc(stateCode).set({
+    state: stateCode,
+    name: getState(stateCode).name,
     pdfPath: destination,
     createdAt: FieldValue.serverTimestamp()
   }, { merge: true });
@@ -48,7 +45,12 @@ async function main() {
     return;
   }
   for (const f of files) {
-    await uploadOne(path.join(RULES_DIR, f), toStateKeyFromFilename(f));
+    const stateCode = toStateCodeFromFilename(f);
+    if (!stateCode) {
+      console.warn(`⚠️ Skipping ${f}: no matching state in state_registry.js`);
+      continue;
+    }
+    await uploadOne(path.join(RULES_DIR, f), stateCode);
   }
   // Print index
   const snap = await db.collection('rules').get();